@@ -0,0 +1,143 @@
+// Amounts are counted in integer units of their token - nanotons for TON (9 decimals), the jetton's own
+// decimals otherwise - and only turned into decimal TON for display. In memory a unit count is a bigint;
+// journals, reports, plan files and API responses store it as a decimal string ("1500000000"), since JSON
+// has no bigint.
+//
+// Remainder rule: a total split by weight (an equal split is weight 1 each) rarely divides into whole
+// units. Every recipient first gets the floor of its exact share; the units left over (fewer than there
+// are recipients) then go one each to the recipients with the largest dropped fractions, ties to the one
+// listed first. A plan with `remainder: "master"` keeps them on the master instead. Either way the
+// transfers add up to the stated total or, with "master", to the total less the remainder - never more.
+export const TON_DECIMALS = 9;
+
+export const REMAINDER_RULES = ['recipients', 'master'];
+
+// Decimal amount (string, number or bigint units) -> bigint units. Strings are parsed exactly; digits
+// beyond `decimals` are rounded half up. Throws on anything that is not a plain non-negative decimal.
+export function toUnits(amount, decimals = TON_DECIMALS) {
+    if (typeof amount === 'bigint') {
+        return amount;
+    }
+    const text = typeof amount === 'number' ? numberToDecimal(amount) : String(amount ?? '').trim();
+    const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (match[1] === '' && !match[2])) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+
+    const [, whole, fraction = ''] = match;
+    const units = BigInt((whole || '0') + fraction.slice(0, decimals).padEnd(decimals, '0'));
+    return fraction.length > decimals && fraction[decimals] >= '5' ? units + 1n : units;
+}
+
+// bigint (or decimal string) units -> decimal string, trailing zeros trimmed unless `fixed`
+export function fromUnits(units, decimals = TON_DECIMALS, { fixed = false } = {}) {
+    const value = BigInt(units);
+    const sign = value < 0n ? '-' : '';
+    const absolute = value < 0n ? -value : value;
+    const divisor = 10n ** BigInt(decimals);
+    let fraction = (absolute % divisor).toString().padStart(decimals, '0');
+    if (!fixed) {
+        fraction = fraction.replace(/0+$/, '');
+    }
+    return `${sign}${absolute / divisor}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Units of an amount someone typed (a CLI flag, an API field): a plain decimal with at most `decimals`
+// places, taken digit for digit - never rounded. Returns null for anything else so the caller can word the error.
+export function parseAmountUnits(value, decimals = TON_DECIMALS) {
+    if (typeof value === 'number' && !(Number.isFinite(value) && value >= 0)) {
+        return null;
+    }
+    const text = typeof value === 'number' ? numberToDecimal(value) : typeof value === 'string' ? value.trim() : '';
+    const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (match[1] === '' && !match[2]) || (match[2] ?? '').length > decimals) {
+        return null;
+    }
+    return toUnits(text, decimals);
+}
+
+// Units as a JavaScript number, for display fields and comparisons against configured limits
+export function unitsToNumber(units, decimals = TON_DECIMALS) {
+    return Number(fromUnits(units, decimals));
+}
+
+// Units of a transfer, journal entry or report line; records written before amounts carried `units`
+// fall back to their decimal `amount`
+export function unitsOf(entry, decimals = TON_DECIMALS) {
+    return entry.units !== undefined && entry.units !== null ? BigInt(entry.units) : toUnits(entry.amount ?? 0, decimals);
+}
+
+export function sumUnits(values) {
+    return values.reduce((sum, value) => sum + BigInt(value), 0n);
+}
+
+// Nanotons a wallet record held when last synced, or null when it never was; records saved before they
+// carried `balanceUnits` fall back to their decimal `balance`
+export function balanceUnitsOf(wallet) {
+    if (wallet.balanceUnits !== undefined && wallet.balanceUnits !== null) {
+        return BigInt(wallet.balanceUnits);
+    }
+    return wallet.balance !== undefined && wallet.balance !== null && wallet.balance !== '' ? toUnits(wallet.balance) : null;
+}
+
+// The same balance as decimal TON for display
+export function walletBalance(wallet) {
+    const units = balanceUnitsOf(wallet);
+    return units === null ? null : fromUnits(units);
+}
+
+// Split `total` units by bigint `weights` following the remainder rule above: { shares } in weight order,
+// and the `leftover` units kept on the master when `remainder` is 'master' (0n otherwise)
+export function allocateUnits(total, weights, { remainder = 'recipients' } = {}) {
+    const totalWeight = sumUnits(weights);
+    if (totalWeight <= 0n) {
+        return { shares: weights.map(() => 0n), leftover: total };
+    }
+
+    const exact = weights.map((weight, index) => ({ index, units: total * weight / totalWeight, fraction: total * weight % totalWeight }));
+    const shares = exact.map(share => share.units);
+    let leftover = total - sumUnits(shares);
+
+    if (remainder === 'recipients') {
+        const order = [...exact].sort((a, b) => (b.fraction > a.fraction ? 1 : b.fraction < a.fraction ? -1 : a.index - b.index));
+        for (const { index } of order.slice(0, Number(leftover))) {
+            shares[index] += 1n;
+        }
+        leftover = 0n;
+    }
+    return { shares, leftover };
+}
+
+// The shortest decimal that reads back as `amount` - the digits it was written with (0.1 is "0.1"), not
+// its binary expansion - with any exponent written out
+function numberToDecimal(amount) {
+    if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+    const [mantissa, exponent = '0'] = String(amount).split('e');
+    const [whole, fraction = ''] = mantissa.split('.');
+    const digits = whole + fraction;
+    const point = whole.length + Number(exponent);
+    if (point <= 0) {
+        return `0.${'0'.repeat(-point)}${digits}`;
+    }
+    return point >= digits.length ? digits.padEnd(point, '0') : `${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+// One line on whether a job's transfers add up (a report's `reconciliation`)
+export function formatReconciliation(reconciliation, token) {
+    const amount = (units, symbol = token.symbol, decimals = token.decimals) => `${fromUnits(units, decimals)} ${symbol}`;
+    const plan = [`requested ${amount(reconciliation.requestedUnits)} = transfers ${amount(reconciliation.transfersUnits)}`];
+    if (BigInt(reconciliation.clampedUnits) !== 0n) {
+        plan.push(`${amount(reconciliation.clampedUnits)} clamped by min/max`);
+    }
+    if (BigInt(reconciliation.remainderUnits) > 0n) {
+        plan.push(`${amount(reconciliation.remainderUnits)} remainder kept on the master`);
+    }
+    const chain = reconciliation.chainBalanced === null
+        ? 'not tracked on-chain yet'
+        : `on-chain ${amount(reconciliation.onchainUnits)} confirmed, master debited ${amount(reconciliation.debitedUnits)} (fees ${amount(reconciliation.feesUnits, 'TON', TON_DECIMALS)})`;
+    const states = `sent ${amount(reconciliation.sentUnits)}, pending ${amount(reconciliation.pendingUnits)}, failed ${amount(reconciliation.failedUnits)}, bounced ${amount(reconciliation.bouncedUnits)}`;
+    const status = reconciliation.balanced ? '🧮 Reconciled' : '⚠️ Does not reconcile';
+    return `${status}: ${plan.join(' + ')}; ${chain} (${states})`;
+}
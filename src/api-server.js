@@ -0,0 +1,495 @@
+import http from 'http';
+import crypto from 'crypto';
+import { toPublicWallet, summarizePreview } from './wallet-manager.js';
+import { DistributionPlan, formatAddress } from './distribution-plan.js';
+import { summarizeJob } from './distribution-job.js';
+import { PolicyViolationError, requireOverrideReason } from './spending-policy.js';
+import { PlanApprovalError } from './plan-approval.js';
+import { WALLET_VERSIONS, HIGHLOAD_VERSION } from './wallet-contracts.js';
+import { parseAmountUnits, fromUnits, TON_DECIMALS } from './amounts.js';
+
+export const DEFAULT_API_HOST = '127.0.0.1';
+export const DEFAULT_API_PORT = 8780;
+
+// Request bodies larger than this are refused before parsing
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Error thrown by route handlers; becomes { error: { code, message, details } } with `status`
+export class ApiError extends Error {
+    constructor(status, code, message, details = undefined) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Routes: `mutating` ones run one at a time, since the manager signs with a single master wallet.
+// Every response is JSON and never contains mnemonics, private keys or encrypted boxes.
+const ROUTES = [
+    { method: 'GET', path: '/health', public: true, run: health },
+    { method: 'GET', path: '/wallets', run: listWallets },
+    { method: 'POST', path: '/wallets/children', mutating: true, run: createChildren },
+    { method: 'GET', path: '/balances/master', run: masterBalance },
+    { method: 'POST', path: '/balances/sync', mutating: true, run: syncBalances },
+    { method: 'GET', path: '/price', run: price },
+    { method: 'POST', path: '/distributions/preview', run: previewDistribution },
+    { method: 'POST', path: '/distributions', mutating: true, run: createDistribution },
+    { method: 'GET', path: '/distributions', run: listDistributions },
+    { method: 'GET', path: '/distributions/:jobId', run: getDistribution },
+    { method: 'POST', path: '/distributions/:jobId/execute', mutating: true, run: executeDistribution },
+    { method: 'POST', path: '/distributions/:jobId/track', mutating: true, run: trackDistribution },
+    { method: 'GET', path: '/reports', run: listReports },
+    { method: 'GET', path: '/reports/:reportId', run: getReport },
+    { method: 'GET', path: '/deposits', run: listDeposits }
+];
+
+// HTTP server exposing an initialized WalletManager. Every route except /health needs
+// `Authorization: Bearer <token>`; the server refuses to start without a token.
+export function createApiServer(walletManager, { token = process.env.API_TOKEN } = {}) {
+    if (!token) {
+        throw new Error('The API server needs a token: set API_TOKEN or pass --token-file');
+    }
+
+    const expected = crypto.createHash('sha256').update(token).digest();
+    let queue = Promise.resolve();
+
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const { route, params } = matchRoute(req.method, url.pathname);
+
+            if (!route.public && !isAuthorized(req.headers.authorization, expected)) {
+                throw new ApiError(401, 'unauthorized', 'Missing or invalid API token');
+            }
+
+            const body = req.method === 'POST' ? await readJsonBody(req) : {};
+            const run = () => route.run(walletManager, { params, query: url.searchParams, body });
+            const result = route.mutating ? await (queue = queue.then(run, run)) : await run();
+
+            sendJson(res, result.status ?? 200, result.data);
+
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                console.error('❌ API request failed:', error);
+            }
+            const apiError = toApiError(error);
+            sendJson(res, apiError.status, {
+                error: { code: apiError.code, message: apiError.message, ...(apiError.details ? { details: apiError.details } : {}) }
+            });
+        }
+    });
+}
+
+// Listen on `host:port` and resolve to the running server once it accepts connections
+export async function startApiServer(walletManager, { host = DEFAULT_API_HOST, port = DEFAULT_API_PORT, token } = {}) {
+    const server = createApiServer(walletManager, { token });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const { address, port: boundPort } = server.address();
+    console.log(`🌐 API server listening on http://${address}:${boundPort}${walletManager.simulate ? ' (simulated ledger)' : ''}`);
+    return server;
+}
+
+async function health(walletManager) {
+    return { data: { status: 'ok', profile: walletManager.profile, network: walletManager.network, simulated: walletManager.simulate } };
+}
+
+async function listWallets(walletManager, { query }) {
+    const { master } = await walletManager.getAllWallets();
+    const children = selectChildren(walletManager, query.get('select'));
+    const offset = parseInteger(query.get('offset') ?? '0', 'offset', { min: 0 });
+    const limit = parseInteger(query.get('limit') ?? '1000', 'limit', { min: 1, max: 1000 });
+
+    return {
+        data: {
+            master: master ? toPublicWallet(master, walletManager.network) : null,
+            children: children.slice(offset, offset + limit).map(wallet => toPublicWallet(wallet, walletManager.network)),
+            totalChildren: children.length,
+            selection: query.get('select')
+        }
+    };
+}
+
+async function createChildren(walletManager, { body }) {
+    const count = parseInteger(body.count, 'count', { min: 1, max: 1000 });
+    const version = body.version ?? walletManager.childWalletVersion;
+    if (!WALLET_VERSIONS.includes(version) || version === HIGHLOAD_VERSION) {
+        throw new ApiError(400, 'invalid_request', `version must be one of ${WALLET_VERSIONS.filter(candidate => candidate !== HIGHLOAD_VERSION).join(', ')}`);
+    }
+    requireUnlocked(walletManager);
+
+    const wallets = await walletManager.createChildWallets(count, { version });
+    return {
+        status: 201,
+        data: { created: wallets.map(wallet => toPublicWallet(wallet, walletManager.network)), totalChildren: walletManager.childWallets.length }
+    };
+}
+
+async function masterBalance(walletManager) {
+    const balance = await walletManager.getExactMasterBalance();
+    return { data: { address: formatAddress(walletManager.masterWallet.address, { network: walletManager.network }), balance, reserve: walletManager.masterReserve } };
+}
+
+async function syncBalances(walletManager, { body }) {
+    if (body.addresses !== undefined && body.select !== undefined) {
+        throw new ApiError(400, 'invalid_request', 'Pass either addresses or select, not both');
+    }
+    const addresses = body.addresses === undefined ? null : parseAddressList(body.addresses, 'addresses');
+    const selection = body.select === undefined ? null : parseSelectionField(walletManager, body.select);
+    const summary = await walletManager.syncChildBalances({ addresses, selection });
+    return { data: summary };
+}
+
+async function price(walletManager) {
+    const quote = await walletManager.getTonPriceQuote();
+    return {
+        data: { price: quote.price, source: quote.source, timestamp: quote.timestamp, stale: Boolean(quote.stale) }
+    };
+}
+
+async function previewDistribution(walletManager, { body }) {
+    const { plan, options } = await parseDistributionRequest(walletManager, body);
+    const preview = summarizePreview(await walletManager.previewDistributionPlan(plan, options));
+    return { data: { valid: preview.errors.length === 0, preview } };
+}
+
+// Validate and freeze a plan into a pending job; nothing is sent until /execute
+async function createDistribution(walletManager, { body }) {
+    const { plan, options } = await parseDistributionRequest(walletManager, body);
+    const preview = summarizePreview(await walletManager.previewDistributionPlan(plan, options));
+    if (preview.errors.length > 0) {
+        throw new ApiError(422, 'invalid_plan', `Invalid distribution plan: ${preview.errors.join('; ')}`, preview);
+    }
+
+    const job = await walletManager.createDistributionJob(plan, options);
+    return { status: 201, data: { jobId: job.id, status: job.status, preview } };
+}
+
+async function listDistributions(walletManager) {
+    const jobs = await walletManager.listDistributionJobs();
+    return { data: { jobs: jobs.map(summarizeJobResponse) } };
+}
+
+async function getDistribution(walletManager, { params }) {
+    const job = await loadJob(walletManager, params.jobId);
+    return { data: { ...summarizeJobResponse(job), recipients: job.recipients.map(toRecipientResponse) } };
+}
+
+async function executeDistribution(walletManager, { params, body }) {
+    requireUnlocked(walletManager);
+    requireMainnetConfirmation(walletManager, body);
+    const job = await loadJob(walletManager, params.jobId);
+    const results = await walletManager.resumeDistributionJob(job.id, { policyOverride: parseOverrideReason(body) });
+    const updated = await loadJob(walletManager, job.id);
+    return { data: { ...summarizeJobResponse(updated), results } };
+}
+
+async function trackDistribution(walletManager, { params }) {
+    await loadJob(walletManager, params.jobId);
+    const { job } = await walletManager.trackDistributionJob(params.jobId);
+    return { data: { ...summarizeJobResponse(job), recipients: job.recipients.map(toRecipientResponse) } };
+}
+
+async function listReports(walletManager, { query }) {
+    const kind = query.get('kind');
+    if (kind !== null && !['distribution', 'sweep'].includes(kind)) {
+        throw new ApiError(400, 'invalid_request', 'kind must be distribution or sweep');
+    }
+    const limit = parseInteger(query.get('limit') ?? '100', 'limit', { min: 1, max: 1000 });
+    return { data: { reports: walletManager.storage.listReports({ kind, limit }) } };
+}
+
+async function getReport(walletManager, { params }) {
+    const report = walletManager.getReport(params.reportId);
+    if (!report) {
+        throw new ApiError(404, 'not_found', `Report ${params.reportId} not found`);
+    }
+    return { data: { id: params.reportId, ...report } };
+}
+
+// The master's deposit log, as recorded by the deposit watcher (watch)
+async function listDeposits(walletManager, { query }) {
+    const limit = parseInteger(query.get('limit') ?? '100', 'limit', { min: 1, max: 1000 });
+    const deposits = walletManager.listDeposits({ limit }).map(deposit => ({ ...deposit, from: formatAddress(deposit.from, { network: walletManager.network }) }));
+    return { data: { deposits } };
+}
+
+// Body of a preview or create request: exactly one of
+//   { amount, addresses? | select? }  equal split of `amount` TON (or "all") across `addresses`, or the
+//                                     children matching the `select` expression (default: every child)
+//   { plan }                a plan object as in a plan JSON file (recipients with amount, weight or target)
+// plus optional `jetton` (symbol or master address) and `reserve` (TON kept on the master).
+async function parseDistributionRequest(walletManager, body) {
+    if ((body.amount === undefined) === (body.plan === undefined)) {
+        throw new ApiError(400, 'invalid_request', 'Pass exactly one of amount or plan');
+    }
+    if (body.plan !== undefined && (body.select !== undefined || body.addresses !== undefined)) {
+        throw new ApiError(400, 'invalid_request', 'A plan lists its own recipients; addresses and select only apply to amount');
+    }
+    if (body.jetton !== undefined && (typeof body.jetton !== 'string' || !body.jetton)) {
+        throw new ApiError(400, 'invalid_request', 'jetton must be a token symbol or jetton master address');
+    }
+    const options = {
+        ...(body.jetton ? { jetton: body.jetton } : {}),
+        ...(body.reserve !== undefined ? { reserve: parseAmount(body.reserve, 'reserve', { allowZero: true }) } : {}),
+        ...(body.overridePolicy !== undefined ? { policyOverride: parseOverrideReason(body) } : {})
+    };
+    if (body.plan !== undefined) {
+        if (!body.plan || typeof body.plan !== 'object' || !Array.isArray(body.plan.recipients)) {
+            throw new ApiError(400, 'invalid_request', 'plan must be an object with a recipients array');
+        }
+        try {
+            return { plan: new DistributionPlan({ ...body.plan, source: 'api' }), options };
+        } catch (error) {
+            throw new ApiError(400, 'invalid_request', error.message);
+        }
+    }
+
+    if (body.addresses !== undefined && body.select !== undefined) {
+        throw new ApiError(400, 'invalid_request', 'Pass either addresses or select, not both');
+    }
+    if (body.select !== undefined) {
+        options.selection = parseSelectionField(walletManager, body.select);
+    }
+    const addresses = body.addresses === undefined
+        ? selectChildren(walletManager, options.selection ?? null, { required: true }).map(wallet => wallet.address)
+        : parseAddressList(body.addresses, 'addresses');
+
+    if (body.amount === 'all') {
+        if (body.jetton) {
+            throw new ApiError(400, 'invalid_request', 'amount "all" only applies to TON distributions');
+        }
+        const max = await walletManager.getMaxDistributable(addresses, options.reserve !== undefined ? { reserve: options.reserve } : {});
+        if (!(max.amount > 0)) {
+            throw new ApiError(422, 'insufficient_balance', `Nothing to distribute: master holds ${max.balance} TON, fees need ${max.fees.total} TON and the reserve is ${max.reserve} TON`);
+        }
+        return { plan: DistributionPlan.equalSplit(addresses, max.amount), options };
+    }
+
+    return { plan: DistributionPlan.equalSplit(addresses, parseAmount(body.amount, 'amount')), options };
+}
+
+async function loadJob(walletManager, jobId) {
+    try {
+        return await walletManager.jobStore.load(jobId);
+    } catch (error) {
+        throw new ApiError(404, 'not_found', `Distribution job ${jobId} not found`);
+    }
+}
+
+function summarizeJobResponse(job) {
+    return {
+        jobId: job.id,
+        createdAt: job.createdAt,
+        status: job.status,
+        token: job.token,
+        totalAmount: job.totalAmount,
+        counts: summarizeJob(job),
+        reports: job.reports
+    };
+}
+
+function toRecipientResponse(recipient) {
+    return {
+        to: recipient.to,
+        amount: recipient.amount,
+        state: recipient.state,
+        lt: recipient.lt ?? null,
+        fees: recipient.fees ?? null,
+        ...(recipient.error ? { error: recipient.error } : {})
+    };
+}
+
+function requireUnlocked(walletManager) {
+    if (!walletManager.keystore.isUnlocked) {
+        throw new ApiError(403, 'keystore_locked', 'The server runs in view-only mode - start it with the keystore passphrase to sign');
+    }
+}
+
+// Sending real mainnet funds needs `confirmMainnet: true` in the request body
+function requireMainnetConfirmation(walletManager, body) {
+    if (walletManager.network === 'mainnet' && !walletManager.simulate && body.confirmMainnet !== true) {
+        throw new ApiError(409, 'mainnet_confirmation_required', 'Executing on mainnet needs "confirmMainnet": true in the request body');
+    }
+}
+
+function matchRoute(method, pathname) {
+    const segments = pathname.split('/').filter(Boolean);
+    let allowed = false;
+
+    for (const route of ROUTES) {
+        const pattern = route.path.split('/').filter(Boolean);
+        if (pattern.length !== segments.length) {
+            continue;
+        }
+
+        const params = {};
+        const matches = pattern.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeSegment(segments[i]);
+                return true;
+            }
+            return part === segments[i];
+        });
+        if (!matches) {
+            continue;
+        }
+        if (route.method === method) {
+            return { route, params };
+        }
+        allowed = true;
+    }
+
+    throw allowed
+        ? new ApiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`)
+        : new ApiError(404, 'not_found', `No route for ${method} ${pathname}`);
+}
+
+// A percent-decoded path parameter; a malformed escape is the client's error, not a server failure
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new ApiError(400, 'invalid_request', `Malformed path segment: ${segment}`);
+    }
+}
+
+// Compare hashes, so the check takes the same time however much of the token matches
+function isAuthorized(header, expected) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match) {
+        return false;
+    }
+    const actual = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new ApiError(413, 'body_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+        }
+        chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8').trim();
+    if (!text) {
+        return {};
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        throw new ApiError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(400, 'invalid_request', 'Request body must be a JSON object');
+    }
+    return body;
+}
+
+// An amount (decimal string or JSON number) as an exact decimal string, read digit for digit into units;
+// more decimals than a nanoton are refused rather than rounded
+function parseAmount(value, field, { allowZero = false } = {}) {
+    const units = parseAmountUnits(value);
+    if (units === null || (units === 0n && !allowZero)) {
+        throw new ApiError(400, 'invalid_request', `${field} must be ${allowZero ? 'zero or a positive' : 'a positive'} amount with at most ${TON_DECIMALS} decimals`);
+    }
+    return fromUnits(units);
+}
+
+function parseNumber(value, field, { min = -Infinity, max = Infinity } = {}) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number > max || number < min) {
+        throw new ApiError(400, 'invalid_request', `${field} must be a number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+function parseInteger(value, field, { min, max = Number.MAX_SAFE_INTEGER }) {
+    const number = parseNumber(value, field, { min, max });
+    if (!Number.isInteger(number)) {
+        throw new ApiError(400, 'invalid_request', `${field} must be a whole number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+// Children matching a selection expression (every child for null); bad expressions are client errors
+function selectChildren(walletManager, selection, { required = false } = {}) {
+    try {
+        return walletManager.selectChildWallets(selection, { required });
+    } catch (error) {
+        throw /matches no/.test(error.message)
+            ? new ApiError(422, 'empty_selection', error.message)
+            : new ApiError(400, 'invalid_request', error.message);
+    }
+}
+
+function parseSelectionField(walletManager, value) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new ApiError(400, 'invalid_request', 'select must be a selection expression such as "group:campaign-A"');
+    }
+    selectChildren(walletManager, value);
+    return value;
+}
+
+function parseAddressList(value, field) {
+    if (!Array.isArray(value) || value.length === 0 || value.some(address => typeof address !== 'string')) {
+        throw new ApiError(400, 'invalid_request', `${field} must be a non-empty array of addresses`);
+    }
+    return value;
+}
+
+// `overridePolicy`: the logged reason for sending despite spending policy violations
+function parseOverrideReason(body) {
+    if (body.overridePolicy === undefined) {
+        return null;
+    }
+    try {
+        return requireOverrideReason(body.overridePolicy);
+    } catch (error) {
+        throw new ApiError(400, 'invalid_request', 'overridePolicy must be a non-empty reason');
+    }
+}
+
+// Known failures keep their meaning; anything else is an internal error without a stack trace
+function toApiError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (/already running/.test(error.message)) {
+        return new ApiError(409, 'conflict', error.message);
+    }
+    if (/Unknown jetton|A jetton needs/.test(error.message)) {
+        return new ApiError(400, 'invalid_request', error.message);
+    }
+    if (/Invalid distribution plan/.test(error.message)) {
+        return new ApiError(422, 'invalid_plan', error.message);
+    }
+    if (error instanceof PolicyViolationError) {
+        return new ApiError(422, 'policy_violation', error.message, { violations: error.violations });
+    }
+    if (error instanceof PlanApprovalError) {
+        return new ApiError(403, 'approval_required', error.message);
+    }
+    return new ApiError(500, 'internal_error', error.message);
+}
+
+function sendJson(res, status, data) {
+    const body = JSON.stringify(data);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    });
+    res.end(body);
+}
@@ -0,0 +1,1212 @@
+import { parseArgs } from 'util';
+import fs from 'fs-extra';
+import { WalletManager, toPublicWallet, summarizePreview } from './wallet-manager.js';
+import { DistributionPlan, formatAddress } from './distribution-plan.js';
+import { summarizeJob } from './distribution-job.js';
+import { formatFeeBreakdown } from './fee-estimator.js';
+import { WALLET_VERSIONS, HIGHLOAD_VERSION } from './wallet-contracts.js';
+import { isValidName } from './wallet-selection.js';
+import { parseWatchOnlyCsv } from './wallet-import.js';
+import { PolicyViolationError } from './spending-policy.js';
+import { PlanApprovalError, generateOperatorKey, readOperatorKey } from './plan-approval.js';
+import { summarizeBatch, DEFAULT_OFFLINE_VALIDITY_MINUTES } from './offline-signing.js';
+import { formatExport, exportFormatOf, EXPORT_FORMATS, WALLET_EXPORT_COLUMNS, TRANSFER_EXPORT_COLUMNS } from './export.js';
+import { resolveProfile, profileManagerOptions } from './profiles.js';
+import { formatReconciliation, parseAmountUnits, fromUnits, TON_DECIMALS } from './amounts.js';
+import { watchDeposits, DEFAULT_WATCH_INTERVAL_SECONDS } from './deposit-watcher.js';
+import { startApiServer, DEFAULT_API_HOST, DEFAULT_API_PORT } from './api-server.js';
+
+export const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1, // the operation failed
+    USAGE: 2, // unknown command or invalid flags
+    PARTIAL: 3, // some transfers (or balance lookups) failed or are still pending
+    NOT_CONFIRMED: 4, // a sending command ran without --yes (preview only)
+    POLICY_VIOLATION: 5, // the spending policy blocked the run (see --override-policy)
+    NOT_APPROVED: 6 // the distribution needs an approved plan, or the plan lacks approvals, was rejected or changed
+};
+
+const USAGE = `Usage: node src/index.js <command> [flags]
+
+Commands:
+  wallets create --count <n>        Create n child wallets (--version v3r2|v4r2|v5r1, default v4r2)
+  wallets import (--mnemonic-file <path> | --key-file <path>) [--address <addr>] [--version <v>]
+                                    Add an existing wallet as a child; --address is checked against the key
+                                    (a deployed wallet's version is detected)
+  wallets import-watch <file.csv>   Add watch-only addresses (columns: address, label, tags, groups);
+                                    they sync and receive but never sign
+  wallets list [--select <expr>]    List master and child wallets (no secrets)
+  wallets sync [--select <expr>]    Refresh child balances, account states and last transactions
+  wallets label <address> --label <text>
+                                    Label a child wallet (an empty label removes it)
+  wallets tag --add <t,..> --remove <t,..> (--select <expr> | --addresses <a,..>)
+                                    Add or remove tags on child wallets
+  groups list                       List groups and tags with their member counts
+  groups add <group> (--select <expr> | --addresses <a,..>)
+                                    Add child wallets to a group
+  groups remove <group> [--select <expr> | --addresses <a,..>]
+                                    Take child wallets out of a group (all members if no target is given)
+  balance master                    Show the master wallet balance
+  convert --usdt <amount>           Convert a USDT amount to TON at the current price
+  distribute --amount <ton|all>     Split an amount (or all that fees and the reserve allow) equally across all child wallets
+                                    (or only those matching --select)
+  distribute --plan <file.csv|json> Distribute according to a plan file (--total for weighted rows)
+  plans keygen --name <name> --out <key.json>
+                                    Create an operator key file; add its public key to the approvers file
+  plans create (--amount <ton> | --plan <file>) --out <plan.json>
+                                    Write a distribution for approval (same flags as distribute); nothing is sent
+  plans show <plan.json>            Show a plan's transfers, approvals and whether it changed since it was created
+  plans approve <plan.json> --key <key.json>
+                                    Sign the plan's approval with an operator key
+  plans reject <plan.json> --key <key.json> --reason <text>
+                                    Sign the plan's rejection; a rejected plan never runs
+  plans execute <plan.json>         Send a plan once enough operators approved it (each plan runs once)
+  offline prepare (--job <jobId> | --approved-plan <plan.json> | --amount <ton> | --plan <file>) --out <batch.json>
+                                    Write a job's pending transfers as an unsigned batch for the offline signer
+                                    (--valid-for <minutes>, default ${DEFAULT_OFFLINE_VALIDITY_MINUTES}; --retry-failed includes failed transfers)
+  offline sign <batch.json> --out <signed.json>
+                                    On the air-gapped machine (--offline): show the batch, then sign it with --yes
+  offline broadcast <signed.json>   Send a signed batch and journal it in its job (track it with report <jobId>)
+  jobs list                         List distribution jobs and their recipient states
+  resume <jobId>                    Continue an interrupted distribution job (never resends)
+  retry-failed <jobId>              Send the failed recipients of a distribution job again
+  policy show                       Show the spending policy, what the rolling caps have used and past overrides
+  report <jobId>                    Track a job's transfers on-chain and show confirmed/pending/bounced counts
+  export wallets --out <file.csv|json> [--select <expr>]
+                                    Export wallet addresses (bounceable and non-bounceable), labels and balances
+  export reports --out <file.csv|json> [--job <jobId> | --report <id,..>] [--kind distribution|sweep]
+                                    Export distribution and sweep reports, one line per transfer
+  serve [--host <h>] [--port <p>]   Run the HTTP API (token from API_TOKEN or --token-file) until stopped
+  watch [--interval <s>] [--max-polls <n>]
+                                    Poll the master for incoming deposits and log them until stopped
+                                    (--interval default ${DEFAULT_WATCH_INTERVAL_SECONDS}s; the first poll only marks where the log starts)
+  watch (--auto-amount <ton> | --auto-plan <file>) --threshold <ton>
+                                    Also distribute (equally, or by the plan) whenever new deposits bring the
+                                    master to the threshold; the spending policy and approvals still apply
+  deposits list [--limit <n>]       Show the deposit log (sender, amount, comment), newest first
+
+Common flags:
+  --json                     Print machine-readable JSON on stdout (logs go to stderr)
+  --passphrase-file <path>   Read the keystore passphrase from a file (or set KEYSTORE_PASSPHRASE)
+  --profile <name>           Work on a named profile's network and data directory (or set TON_PROFILE; see profiles.json)
+  --confirm-mainnet          Needed on mainnet (unless simulated) to send, broadcast or export mnemonics
+  --simulate                 Use the offline simulated ledger instead of the network (or set TON_SIMULATE=true)
+  --offline                  Run as an air-gapped signer that never touches the network (or set TON_OFFLINE=true)
+  --select <expr>            Target children by group, tag or label, e.g. "group:campaign-A and not tag:paused"
+  --jetton <symbol>          distribute: send a jetton such as USDT instead of TON
+  --reserve <ton>            distribute: TON to keep on the master (or set MASTER_RESERVE_TON)
+  --dry-run                  distribute: only show the transfers and estimated fees, even with --yes
+  --yes                      distribute, plans execute: actually send (offline sign: sign); without it only a preview is shown
+  --override-policy <reason> distribute, plans execute, resume, retry-failed: send despite spending policy violations (the reason is logged)
+                             export wallets --include-mnemonics: confirm writing the secrets file
+  --format <csv|json>        export: file format (default: from the --out extension)
+  --include-mnemonics        export wallets: also write the mnemonics to --secrets-out, encrypted with the
+                             passphrase in --secrets-passphrase-file (needs --yes; exports never contain secrets)
+
+When the approvers file (APPROVERS_PATH, default data/approvers.json) lists operators, distribute and the
+menu only send plans approved by the configured number of them (see plans create).
+
+Run without a command to open the interactive menu.`;
+
+const COMMON_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    'passphrase-file': { type: 'string' },
+    profile: { type: 'string' },
+    'confirm-mainnet': { type: 'boolean', default: false },
+    simulate: { type: 'boolean', default: false },
+    offline: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+};
+
+const COMMANDS = {
+    'wallets create': {
+        options: { count: { type: 'string' }, version: { type: 'string' } },
+        run: createWallets
+    },
+    'wallets import': {
+        options: { address: { type: 'string' }, 'mnemonic-file': { type: 'string' }, 'key-file': { type: 'string' }, version: { type: 'string' } },
+        run: importWallet
+    },
+    'wallets import-watch': {
+        options: {},
+        positionals: ['file'],
+        run: importWatchOnly
+    },
+    'wallets list': {
+        options: { select: { type: 'string' } },
+        run: listWallets
+    },
+    'wallets sync': {
+        options: { select: { type: 'string' } },
+        run: syncWallets
+    },
+    'wallets label': {
+        options: { label: { type: 'string' } },
+        positionals: ['address'],
+        run: labelWallet
+    },
+    'wallets tag': {
+        options: { add: { type: 'string' }, remove: { type: 'string' }, select: { type: 'string' }, addresses: { type: 'string' } },
+        run: tagWallets
+    },
+    'groups list': {
+        options: {},
+        run: listGroups
+    },
+    'groups add': {
+        options: { select: { type: 'string' }, addresses: { type: 'string' } },
+        positionals: ['group'],
+        run: addToGroup
+    },
+    'groups remove': {
+        options: { select: { type: 'string' }, addresses: { type: 'string' } },
+        positionals: ['group'],
+        run: removeFromGroup
+    },
+    'balance master': {
+        options: {},
+        run: masterBalance
+    },
+    'convert': {
+        options: { usdt: { type: 'string' } },
+        run: convert
+    },
+    'distribute': {
+        options: {
+            amount: { type: 'string' },
+            plan: { type: 'string' },
+            select: { type: 'string' },
+            total: { type: 'string' },
+            jetton: { type: 'string' },
+            reserve: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            yes: { type: 'boolean', default: false },
+            'override-policy': { type: 'string' }
+        },
+        run: distribute
+    },
+    'plans keygen': {
+        options: { name: { type: 'string' }, out: { type: 'string' } },
+        standalone: true,
+        run: operatorKeygen
+    },
+    'plans create': {
+        options: {
+            amount: { type: 'string' },
+            plan: { type: 'string' },
+            select: { type: 'string' },
+            total: { type: 'string' },
+            jetton: { type: 'string' },
+            reserve: { type: 'string' },
+            out: { type: 'string' }
+        },
+        run: createPlan
+    },
+    'plans show': {
+        options: {},
+        positionals: ['file'],
+        run: showPlan
+    },
+    'plans approve': {
+        options: { key: { type: 'string' } },
+        positionals: ['file'],
+        run: (walletManager, values) => decidePlan(walletManager, values, 'approve')
+    },
+    'plans reject': {
+        options: { key: { type: 'string' }, reason: { type: 'string' } },
+        positionals: ['file'],
+        run: (walletManager, values) => decidePlan(walletManager, values, 'reject')
+    },
+    'plans execute': {
+        options: { yes: { type: 'boolean', default: false }, 'override-policy': { type: 'string' } },
+        positionals: ['file'],
+        run: executePlan
+    },
+    'offline prepare': {
+        options: {
+            job: { type: 'string' },
+            'approved-plan': { type: 'string' },
+            amount: { type: 'string' },
+            plan: { type: 'string' },
+            select: { type: 'string' },
+            total: { type: 'string' },
+            jetton: { type: 'string' },
+            reserve: { type: 'string' },
+            out: { type: 'string' },
+            'valid-for': { type: 'string' },
+            'retry-failed': { type: 'boolean', default: false },
+            'override-policy': { type: 'string' }
+        },
+        run: prepareOfflineBatch
+    },
+    'offline sign': {
+        options: { out: { type: 'string' }, yes: { type: 'boolean', default: false } },
+        positionals: ['file'],
+        run: signOfflineBatch
+    },
+    'offline broadcast': {
+        options: {},
+        positionals: ['file'],
+        run: broadcastSignedBatch
+    },
+    'jobs list': {
+        options: {},
+        run: listJobs
+    },
+    'resume': {
+        options: { 'override-policy': { type: 'string' } },
+        positionals: ['jobId'],
+        run: resumeJob
+    },
+    'retry-failed': {
+        options: { 'override-policy': { type: 'string' } },
+        positionals: ['jobId'],
+        run: retryFailed
+    },
+    'policy show': {
+        options: {},
+        run: showPolicy
+    },
+    'report': {
+        options: {},
+        positionals: ['jobId'],
+        run: jobReport
+    },
+    'export wallets': {
+        options: {
+            out: { type: 'string' },
+            format: { type: 'string' },
+            select: { type: 'string' },
+            'include-mnemonics': { type: 'boolean', default: false },
+            'secrets-out': { type: 'string' },
+            'secrets-passphrase-file': { type: 'string' },
+            yes: { type: 'boolean', default: false }
+        },
+        run: exportWallets
+    },
+    'export reports': {
+        options: { out: { type: 'string' }, format: { type: 'string' }, job: { type: 'string' }, report: { type: 'string' }, kind: { type: 'string' } },
+        run: exportReports
+    },
+    'serve': {
+        options: { host: { type: 'string' }, port: { type: 'string' }, 'token-file': { type: 'string' } },
+        run: serve
+    },
+    'watch': {
+        options: {
+            interval: { type: 'string' },
+            'max-polls': { type: 'string' },
+            'auto-amount': { type: 'string' },
+            'auto-plan': { type: 'string' },
+            select: { type: 'string' },
+            total: { type: 'string' },
+            threshold: { type: 'string' }
+        },
+        run: watch
+    },
+    'deposits list': {
+        options: { limit: { type: 'string' } },
+        run: listDeposits
+    }
+};
+
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_CODES.ERROR, data = undefined) {
+        super(message);
+        this.exitCode = exitCode;
+        this.data = data;
+    }
+}
+
+// Run one non-interactive command and resolve to its exit code
+export async function runCli(argv, { stdout = process.stdout, createManager = (values, profile) => new WalletManager({ ...profileManagerOptions(profile), ...(values.simulate ? { simulate: true } : {}), ...(values.offline ? { offline: true } : {}) }), onServerStarted } = {}) {
+    const json = argv.includes('--json');
+    const print = (text) => stdout.write(`${text}\n`);
+    const restoreConsole = json ? redirectConsoleToStderr() : () => {};
+
+    try {
+        if (argv.length === 0 || argv[0] === 'help' || argv[0] === '--help') {
+            print(USAGE);
+            return EXIT_CODES.OK;
+        }
+
+        const name = COMMANDS[`${argv[0]} ${argv[1]}`] ? `${argv[0]} ${argv[1]}` : argv[0];
+        const command = COMMANDS[name];
+        if (!command) {
+            throw new CliError(`Unknown command: ${argv.slice(0, 2).join(' ')}`, EXIT_CODES.USAGE);
+        }
+
+        let values;
+        let positionals;
+        try {
+            ({ values, positionals } = parseArgs({
+                args: argv.slice(name.split(' ').length),
+                options: { ...COMMON_OPTIONS, ...command.options },
+                strict: true,
+                allowPositionals: Boolean(command.positionals)
+            }));
+        } catch (error) {
+            throw new CliError(error.message, EXIT_CODES.USAGE);
+        }
+
+        const expected = command.positionals || [];
+        if (!values.help && positionals.length !== expected.length) {
+            throw new CliError(`${name} expects ${expected.length ? expected.map(arg => `<${arg}>`).join(' ') : 'no arguments'}`, EXIT_CODES.USAGE);
+        }
+        expected.forEach((arg, i) => {
+            values[arg] = positionals[i];
+        });
+
+        if (values.help) {
+            print(USAGE);
+            return EXIT_CODES.OK;
+        }
+
+        // Standalone commands (operator keys) need no wallets
+        const walletManager = command.standalone ? null : createManager(values, await resolveProfile(values.profile));
+        if (walletManager) {
+            await walletManager.initialize({ passphrase: await readPassphrase(values) });
+        }
+
+        const result = await command.run(walletManager, values, { onServerStarted });
+        print(json ? JSON.stringify(result.data, null, 2) : result.text.join('\n'));
+        return result.exitCode ?? EXIT_CODES.OK;
+
+    } catch (error) {
+        const exitCode = error.exitCode
+            ?? (error instanceof PolicyViolationError ? EXIT_CODES.POLICY_VIOLATION : error instanceof PlanApprovalError ? EXIT_CODES.NOT_APPROVED : EXIT_CODES.ERROR);
+        const details = error.data ?? (error.violations ? { violations: error.violations } : error.verification ? { verification: error.verification } : null);
+        if (json) {
+            print(JSON.stringify({ error: error.message, exitCode, ...(details ? { details } : {}) }, null, 2));
+        } else {
+            console.error(`❌ ${error.message}`);
+            if (exitCode === EXIT_CODES.USAGE) {
+                console.error(`\n${USAGE}`);
+            }
+        }
+        return exitCode;
+
+    } finally {
+        restoreConsole();
+    }
+}
+
+async function createWallets(walletManager, values) {
+    const count = parsePositiveNumber(values.count, '--count');
+    if (!Number.isInteger(count) || count > 1000) {
+        throw new CliError('--count must be a whole number between 1 and 1000', EXIT_CODES.USAGE);
+    }
+
+    const version = values.version ?? walletManager.childWalletVersion;
+    if (!WALLET_VERSIONS.includes(version) || version === HIGHLOAD_VERSION) {
+        throw new CliError(`--version must be one of ${WALLET_VERSIONS.filter(candidate => candidate !== HIGHLOAD_VERSION).join(', ')}`, EXIT_CODES.USAGE);
+    }
+
+    const wallets = await walletManager.createChildWallets(count, { version });
+    const created = wallets.map(wallet => toPublicWallet(wallet, walletManager.network));
+
+    return {
+        data: { created, totalChildren: walletManager.childWallets.length },
+        text: [`✅ Created ${created.length} ${version} child wallets`, ...created.map(wallet => `${wallet.index}. ${wallet.address}`)]
+    };
+}
+
+async function importWallet(walletManager, values) {
+    if (Boolean(values['mnemonic-file']) === Boolean(values['key-file'])) {
+        throw new CliError('wallets import needs either --mnemonic-file or --key-file', EXIT_CODES.USAGE);
+    }
+    if (values.version && (!WALLET_VERSIONS.includes(values.version) || values.version === HIGHLOAD_VERSION)) {
+        throw new CliError(`--version must be one of ${WALLET_VERSIONS.filter(candidate => candidate !== HIGHLOAD_VERSION).join(', ')}`, EXIT_CODES.USAGE);
+    }
+
+    const options = { address: values.address ?? null, version: values.version ?? null };
+    const imported = values['mnemonic-file']
+        ? await walletManager.importWallet({ mnemonic: (await fs.readFile(values['mnemonic-file'], 'utf8')).trim().split(/\s+/), ...options })
+        : await walletManager.importPrivateKey({ privateKey: await fs.readFile(values['key-file'], 'utf8'), ...options });
+    const wallet = toPublicWallet(imported, walletManager.network);
+
+    return {
+        data: { imported: wallet, totalChildren: walletManager.childWallets.length },
+        text: [`✅ Imported ${wallet.version} wallet ${wallet.address}`]
+    };
+}
+
+async function importWatchOnly(walletManager, values) {
+    const contents = await fs.readFile(values.file, 'utf8');
+    let entries;
+    try {
+        entries = parseWatchOnlyCsv(contents);
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+    const { imported, duplicates } = await walletManager.importWatchOnlyWallets(entries);
+
+    return {
+        data: { imported: imported.map(wallet => toPublicWallet(wallet, walletManager.network)), duplicates, totalChildren: walletManager.childWallets.length },
+        text: [
+            `👀 Imported ${imported.length} watch-only addresses`,
+            ...duplicates.map(duplicate => `⚠️ Line ${duplicate.line}: ${duplicate.address} skipped, duplicate of ${duplicate.duplicateOf}`)
+        ]
+    };
+}
+
+async function listWallets(walletManager, values) {
+    const { master } = await walletManager.getAllWallets();
+    const children = selectChildren(walletManager, values.select);
+    const data = {
+        master: master ? toPublicWallet(master, walletManager.network) : null,
+        children: children.map(wallet => toPublicWallet(wallet, walletManager.network)),
+        totalChildren: walletManager.childWallets.length,
+        selection: values.select ?? null
+    };
+
+    return {
+        data,
+        text: [
+            `👑 Master: ${data.master ? data.master.address : 'not created'}`,
+            `👶 Child wallets: ${values.select ? `${children.length} of ${walletManager.childWallets.length} matching ${values.select}` : children.length}`,
+            ...data.children.map((wallet, index) => `${index + 1}. ${wallet.address} ${wallet.balance ?? 'unknown'} TON${formatWalletNames(wallet)}`)
+        ]
+    };
+}
+
+async function syncWallets(walletManager, values) {
+    selectChildren(walletManager, values.select);
+    const summary = await walletManager.syncChildBalances({ selection: values.select ?? null });
+
+    return {
+        exitCode: summary.unknown > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+        data: summary,
+        text: [
+            ...summary.wallets.map((wallet, index) => `${index + 1}. ${wallet.address} ${wallet.balance ?? 'unknown'} TON ${wallet.accountState ?? ''}`.trimEnd()),
+            `💰 Total: ${summary.total} TON across ${summary.synced} wallets${summary.unknown > 0 ? ` (${summary.unknown} unknown)` : ''}`
+        ]
+    };
+}
+
+async function labelWallet(walletManager, values) {
+    if (values.label === undefined) {
+        throw new CliError('wallets label needs --label (an empty value removes the label)', EXIT_CODES.USAGE);
+    }
+    const wallet = toPublicWallet(await walletManager.setWalletLabel(values.address, values.label), walletManager.network);
+
+    return {
+        data: { wallet },
+        text: [wallet.label ? `🏷️ ${wallet.address} is now labelled "${wallet.label}"` : `🏷️ Removed the label of ${wallet.address}`]
+    };
+}
+
+async function tagWallets(walletManager, values) {
+    const add = parseNameList(values.add, '--add');
+    const remove = parseNameList(values.remove, '--remove');
+    if (add.length + remove.length === 0) {
+        throw new CliError('wallets tag needs --add and/or --remove', EXIT_CODES.USAGE);
+    }
+
+    const wallets = (await walletManager.tagWallets(resolveTargets(walletManager, values, { required: true }), { add, remove }))
+        .map(wallet => toPublicWallet(wallet, walletManager.network));
+    return {
+        data: { updated: wallets },
+        text: [`🏷️ Updated tags of ${wallets.length} child wallets`, ...wallets.map(wallet => `${wallet.address}${formatWalletNames(wallet)}`)]
+    };
+}
+
+async function listGroups(walletManager) {
+    const { groups, tags } = walletManager.listWalletGroups();
+
+    return {
+        data: { groups, tags },
+        text: [
+            `👥 Groups: ${groups.length === 0 ? 'none' : groups.map(group => `${group.name} (${group.count})`).join(', ')}`,
+            `🏷️ Tags: ${tags.length === 0 ? 'none' : tags.map(tag => `${tag.name} (${tag.count})`).join(', ')}`
+        ]
+    };
+}
+
+async function addToGroup(walletManager, values) {
+    requireName(values.group);
+    const wallets = await walletManager.setGroupMembership(values.group, resolveTargets(walletManager, values, { required: true }));
+
+    return {
+        data: { group: values.group, added: wallets.length, members: walletManager.selectChildWallets(`group:${values.group}`).length },
+        text: [`👥 Added ${wallets.length} child wallets to ${values.group}`]
+    };
+}
+
+async function removeFromGroup(walletManager, values) {
+    requireName(values.group);
+    const targets = resolveTargets(walletManager, values) || walletManager.selectChildWallets(`group:${values.group}`);
+    const wallets = await walletManager.setGroupMembership(values.group, targets, { remove: true });
+
+    return {
+        data: { group: values.group, removed: wallets.length, members: walletManager.selectChildWallets(`group:${values.group}`).length },
+        text: [`👥 Removed ${wallets.length} child wallets from ${values.group}`]
+    };
+}
+
+async function masterBalance(walletManager) {
+    const balance = await walletManager.getMasterWalletBalance();
+
+    return {
+        data: { address: formatAddress(walletManager.masterWallet.address, { network: walletManager.network }), balance, unit: 'TON' },
+        text: [`💰 Master Wallet Balance: ${balance} TON`]
+    };
+}
+
+async function convert(walletManager, values) {
+    const usdt = parsePositiveNumber(values.usdt, '--usdt');
+    const quote = await walletManager.getTonPriceQuote();
+    const tonAmount = Number((usdt / quote.price).toFixed(4));
+
+    return {
+        data: {
+            usdt,
+            tonAmount,
+            price: quote.price,
+            source: quote.source,
+            timestamp: quote.timestamp,
+            stale: Boolean(quote.stale)
+        },
+        text: [
+            `🔄 ${usdt} USDT = ${tonAmount} TON`,
+            `TON Price: ${quote.price} (${quote.source}, ${quote.timestamp})${quote.stale ? ' STALE' : ''}`
+        ]
+    };
+}
+
+async function distribute(walletManager, values) {
+    const { plan, options } = await buildPlan(walletManager, values);
+    const preview = await walletManager.previewDistributionPlan(plan, options);
+    const summary = summarizePreview(preview);
+    const { symbol } = preview.token;
+
+    if (preview.errors.length > 0) {
+        throw new CliError(`Invalid distribution plan: ${preview.errors.join('; ')}`, EXIT_CODES.ERROR, summary);
+    }
+
+    if (!values.yes || values['dry-run']) {
+        return {
+            exitCode: values['dry-run'] ? EXIT_CODES.OK : EXIT_CODES.NOT_CONFIRMED,
+            data: { confirmed: false, preview: summary },
+            text: [
+                ...summary.transfers.map((transfer, index) => `${index + 1}. ${transfer.to} ${transfer.amount} ${symbol}`),
+                `Total: ${summary.totalAmount} ${symbol} to ${summary.transfers.length} recipients`,
+                ...formatFeeBreakdown(summary.fees),
+                `Master balance: ${summary.masterBalance} TON (reserve ${summary.reserve} TON)`,
+                ...summary.warnings.map(warning => `⚠️ ${warning}`),
+                ...formatViolations(summary.policyViolations, values['override-policy']),
+                values['dry-run'] ? 'Dry run - nothing was sent' : 'Preview only - re-run with --yes to send'
+            ]
+        };
+    }
+
+    if (summary.policyViolations.length > 0 && values['override-policy'] === undefined) {
+        throw new CliError(new PolicyViolationError(summary.policyViolations).message, EXIT_CODES.POLICY_VIOLATION, summary);
+    }
+    requireMainnetConfirmation(walletManager, values, 'Sending');
+
+    const results = await walletManager.executeDistributionPlan(plan, options);
+
+    return {
+        exitCode: results.failedCount + results.pendingCount > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+        data: { confirmed: true, preview: summary, results },
+        text: summarizeResults(results, symbol)
+    };
+}
+
+// The plan and options described by the distribute flags (--amount or --plan, --select, --jetton, ...)
+async function buildPlan(walletManager, values) {
+    if (Boolean(values.amount) === Boolean(values.plan)) {
+        throw new CliError('Pass exactly one of --amount or --plan', EXIT_CODES.USAGE);
+    }
+    if (values.select && values.plan) {
+        throw new CliError('--select applies to --amount; a plan file lists its own recipients', EXIT_CODES.USAGE);
+    }
+    const addresses = values.plan ? [] : selectChildren(walletManager, values.select, { required: true }).map(wallet => wallet.address);
+
+    if (values.reserve !== undefined) {
+        walletManager.masterReserve = parseAmount(values.reserve, '--reserve', { allowZero: true });
+    }
+
+    let plan;
+    if (values.plan) {
+        plan = await DistributionPlan.fromFile(values.plan);
+        if (values.total) {
+            plan.totalAmount = parseAmount(values.total, '--total');
+        }
+    } else if (values.amount === 'all') {
+        if (values.jetton) {
+            throw new CliError('--amount all only applies to TON distributions', EXIT_CODES.USAGE);
+        }
+        const max = await walletManager.getMaxDistributable(addresses);
+        if (!(max.amount > 0)) {
+            throw new CliError(`Nothing to distribute: master holds ${max.balance} TON, fees need ${max.fees.total} TON and the reserve is ${max.reserve} TON`);
+        }
+        plan = DistributionPlan.equalSplit(addresses, max.amount);
+    } else {
+        const amount = parseAmount(values.amount, '--amount');
+        plan = DistributionPlan.equalSplit(addresses, amount);
+    }
+
+    const options = {
+        ...(values.jetton ? { jetton: values.jetton } : {}),
+        ...(values.select ? { selection: values.select } : {}),
+        ...(values['override-policy'] !== undefined ? { policyOverride: values['override-policy'] } : {})
+    };
+    return { plan, options };
+}
+
+async function operatorKeygen(walletManager, values) {
+    if (!values.name || !values.out) {
+        throw new CliError('plans keygen needs --name and --out', EXIT_CODES.USAGE);
+    }
+    let key;
+    try {
+        key = generateOperatorKey(values.name);
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+
+    // Never replace an existing key; only its owner may read it
+    try {
+        await fs.writeFile(values.out, `${JSON.stringify(key, null, 2)}\n`, { flag: 'wx', mode: 0o600 });
+    } catch (error) {
+        throw new CliError(error.code === 'EEXIST' ? `${values.out} already exists` : error.message);
+    }
+
+    return {
+        data: { name: key.name, publicKey: key.publicKey, out: values.out },
+        text: [
+            `🔑 Operator key for ${key.name} written to ${values.out} - keep it private`,
+            `Add to the approvers file: { "name": "${key.name}", "publicKey": "${key.publicKey}" }`
+        ]
+    };
+}
+
+async function createPlan(walletManager, values) {
+    if (!values.out) {
+        throw new CliError('plans create needs --out <plan.json>', EXIT_CODES.USAGE);
+    }
+    const { plan, options } = await buildPlan(walletManager, values);
+    const document = await walletManager.createApprovalPlan(plan, values.out, options);
+    const { verification } = await walletManager.inspectApprovalPlan(values.out);
+
+    return {
+        data: { out: values.out, planId: document.id, hash: document.hash, totalAmount: document.totalAmount, recipients: document.transfers.length, verification },
+        text: [
+            ...formatPlan(document, verification),
+            `Operators approve with: plans approve ${values.out} --key <key.json>`
+        ]
+    };
+}
+
+async function showPlan(walletManager, values) {
+    const { plan, verification } = await walletManager.inspectApprovalPlan(values.file);
+
+    return {
+        data: { plan, verification },
+        text: formatPlan(plan, verification)
+    };
+}
+
+async function decidePlan(walletManager, values, decision) {
+    if (!values.key) {
+        throw new CliError(`plans ${decision} needs --key <key.json>`, EXIT_CODES.USAGE);
+    }
+    if (decision === 'reject' && !(values.reason || '').trim()) {
+        throw new CliError('plans reject needs --reason', EXIT_CODES.USAGE);
+    }
+    const key = await readOperatorKey(values.key);
+    const { plan, verification } = await walletManager.decideApprovalPlan(values.file, key, { decision, reason: values.reason ?? null });
+
+    return {
+        data: { planId: plan.id, decision, verification },
+        text: formatPlan(plan, verification)
+    };
+}
+
+async function executePlan(walletManager, values) {
+    const { plan, verification } = await walletManager.requireExecutablePlan(values.file);
+    const { symbol } = plan.token;
+
+    if (!values.yes) {
+        return {
+            exitCode: EXIT_CODES.NOT_CONFIRMED,
+            data: { confirmed: false, planId: plan.id, verification },
+            text: [...formatPlan(plan, verification), 'Preview only - re-run with --yes to send']
+        };
+    }
+    requireMainnetConfirmation(walletManager, values, 'Sending');
+
+    const results = await walletManager.executeApprovedPlan(values.file, values['override-policy'] !== undefined ? { policyOverride: values['override-policy'] } : {});
+
+    return {
+        exitCode: results.failedCount + results.pendingCount > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+        data: { confirmed: true, planId: plan.id, verification, results },
+        text: summarizeResults(results, symbol)
+    };
+}
+
+async function prepareOfflineBatch(walletManager, values) {
+    if (!values.out) {
+        throw new CliError('offline prepare needs --out <batch.json>', EXIT_CODES.USAGE);
+    }
+    if ([values.job, values['approved-plan'], values.amount || values.plan].filter(Boolean).length !== 1) {
+        throw new CliError('Pass one of --job, --approved-plan, or --amount/--plan for a new distribution', EXIT_CODES.USAGE);
+    }
+    const validForMinutes = values['valid-for'] === undefined ? DEFAULT_OFFLINE_VALIDITY_MINUTES : parsePositiveNumber(values['valid-for'], '--valid-for');
+    const policyOverride = values['override-policy'] ?? null;
+
+    let jobId = values.job;
+    if (values['approved-plan']) {
+        jobId = (await walletManager.createApprovedJob(values['approved-plan'], policyOverride ? { policyOverride } : {})).id;
+    } else if (!jobId) {
+        const { plan, options } = await buildPlan(walletManager, values);
+        jobId = (await walletManager.createDistributionJob(plan, options)).id;
+    }
+    const batch = await walletManager.prepareOfflineBatch(jobId, values.out, { validForMinutes, retryFailed: values['retry-failed'], policyOverride });
+
+    return {
+        data: { out: values.out, batchId: batch.id, jobId, hash: batch.hash, totalAmount: batch.totalAmount, validUntil: batch.validUntil },
+        text: [...summarizeBatch(batch), `Sign it on the offline machine: offline sign ${values.out} --out <signed.json> --offline`]
+    };
+}
+
+async function signOfflineBatch(walletManager, values) {
+    if (!values.out) {
+        throw new CliError('offline sign needs --out <signed.json>', EXIT_CODES.USAGE);
+    }
+    const batch = await walletManager.readUnsignedBatch(values.file);
+
+    // The summary is the signer's check that the batch sends what was intended
+    if (!values.yes) {
+        return {
+            exitCode: EXIT_CODES.NOT_CONFIRMED,
+            data: { signed: false, batch },
+            text: [...summarizeBatch(batch), 'Nothing was signed - check the transfers above, then re-run with --yes to sign']
+        };
+    }
+
+    const { signed } = await walletManager.signOfflineBatch(values.file, values.out);
+    return {
+        data: { signed: true, batchId: batch.id, jobId: batch.jobId, out: values.out, transfers: signed.length },
+        text: [...summarizeBatch(batch), `✍️ Signed into ${values.out} - broadcast it online with: offline broadcast ${values.out}`]
+    };
+}
+
+async function broadcastSignedBatch(walletManager, values) {
+    requireMainnetConfirmation(walletManager, values, 'Broadcasting');
+    const results = await walletManager.broadcastSignedBatch(values.file);
+    const job = await walletManager.jobStore.load(results.jobId);
+    const unsent = results.failedCount + results.pendingCount;
+
+    return {
+        exitCode: unsent > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+        data: { jobId: job.id, status: job.status, recipients: summarizeJob(job), results },
+        text: [
+            `📡 Broadcast ${results.successCount} transfers of job ${job.id}: ${job.status} ${formatCounts(summarizeJob(job))}`,
+            ...(unsent > 0 ? [`⚠️ ${unsent} transfers were not sent - prepare a new batch: offline prepare --job ${job.id} --retry-failed --out <batch.json>`] : []),
+            `Track confirmations with: report ${job.id}`
+        ]
+    };
+}
+
+async function listJobs(walletManager) {
+    const jobs = (await walletManager.listDistributionJobs()).map(job => ({
+        id: job.id,
+        createdAt: job.createdAt,
+        status: job.status,
+        token: job.token.symbol,
+        totalAmount: job.totalAmount,
+        recipients: summarizeJob(job)
+    }));
+
+    return {
+        data: { jobs },
+        text: jobs.length === 0
+            ? ['No distribution jobs']
+            : jobs.map(job => `${job.id} ${job.status} ${job.totalAmount} ${job.token} ${formatCounts(job.recipients)}`)
+    };
+}
+
+async function resumeJob(walletManager, values) {
+    requireMainnetConfirmation(walletManager, values, 'Resuming a job');
+    return runJob(walletManager, values.jobId, () => walletManager.resumeDistributionJob(values.jobId, { policyOverride: values['override-policy'] ?? null }));
+}
+
+async function retryFailed(walletManager, values) {
+    requireMainnetConfirmation(walletManager, values, 'Retrying transfers');
+    return runJob(walletManager, values.jobId, () => walletManager.retryFailedTransfers(values.jobId, { policyOverride: values['override-policy'] ?? null }));
+}
+
+async function runJob(walletManager, jobId, run) {
+    const results = await run();
+    const job = await walletManager.jobStore.load(jobId);
+
+    return {
+        exitCode: results.failedCount + results.pendingCount > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+        data: { jobId, status: job.status, recipients: summarizeJob(job), results },
+        text: [...summarizeResults(results, job.token.symbol), `Job ${jobId}: ${job.status} ${formatCounts(summarizeJob(job))}`]
+    };
+}
+
+async function showPolicy(walletManager) {
+    const policy = await walletManager.getSpendingPolicy();
+    const usage = walletManager.getPolicyUsage();
+    const overrides = walletManager.storage.listPolicyOverrides({ limit: 10 });
+
+    return {
+        data: { path: walletManager.policyPath, policy, usage, overrides },
+        text: [
+            policy ? `📜 Spending policy ${walletManager.policyPath}:` : `📜 No spending policy (${walletManager.policyPath} does not exist) - distributions are not limited`,
+            ...(policy ? JSON.stringify(policy, null, 2).split('\n') : []),
+            `TON distributed in the last 24 hours: ${usage.spentLastDay}, last 7 days: ${usage.spentLastWeek}`,
+            `Last distribution run: ${usage.lastRunAt ?? 'never'}`,
+            ...(overrides.length > 0 ? ['Recent overrides:', ...overrides.map(override => `  ${override.createdAt} ${override.jobId} (${override.violations.map(violation => violation.rule).join(', ')}): ${override.reason}`)] : [])
+        ]
+    };
+}
+
+async function jobReport(walletManager, values) {
+    const { job, counts, reconciliation } = await walletManager.trackDistributionJob(values.jobId);
+    const summary = {
+        confirmed: counts.confirmed,
+        pending: counts.pending + counts.sending + counts.sent,
+        bounced: counts.bounced,
+        failed: counts.failed + counts.expired
+    };
+
+    return {
+        exitCode: summary.confirmed === job.recipients.length ? EXIT_CODES.OK : EXIT_CODES.PARTIAL,
+        data: {
+            jobId: job.id,
+            status: job.status,
+            token: job.token,
+            totalAmount: job.totalAmount,
+            trackedAt: job.trackedAt ?? null,
+            summary,
+            reconciliation,
+            recipients: job.recipients.map(recipient => ({
+                to: recipient.to,
+                amount: recipient.amount,
+                state: recipient.state,
+                lt: recipient.lt ?? null,
+                fees: recipient.fees ?? null,
+                ...(recipient.error ? { error: recipient.error } : {})
+            }))
+        },
+        text: [
+            `📋 Job ${job.id}: ${job.status} (${job.totalAmount} ${job.token.symbol})`,
+            `✅ Confirmed: ${summary.confirmed}  ⏳ Pending: ${summary.pending}  ↩️ Bounced: ${summary.bounced}  ❌ Failed: ${summary.failed}`,
+            formatReconciliation(reconciliation, job.token),
+            ...job.recipients
+                .filter(recipient => recipient.state !== 'confirmed')
+                .map(recipient => `${recipient.to} ${recipient.amount} ${job.token.symbol} ${recipient.state}${recipient.error ? ` - ${recipient.error}` : ''}`)
+        ]
+    };
+}
+
+async function exportWallets(walletManager, values) {
+    const format = resolveExportFormat(values);
+    if (values['include-mnemonics'] && (!values['secrets-out'] || !values['secrets-passphrase-file'])) {
+        throw new CliError('--include-mnemonics needs --secrets-out and --secrets-passphrase-file', EXIT_CODES.USAGE);
+    }
+    if (!values['include-mnemonics'] && (values['secrets-out'] || values['secrets-passphrase-file'])) {
+        throw new CliError('--secrets-out and --secrets-passphrase-file only apply with --include-mnemonics', EXIT_CODES.USAGE);
+    }
+
+    selectChildren(walletManager, values.select, { required: true });
+    const rows = walletManager.exportWallets({ selection: values.select ?? null });
+
+    // Mnemonics leave the keystore only when asked for twice: the flag, then --yes
+    if (values['include-mnemonics'] && !values.yes) {
+        return {
+            exitCode: EXIT_CODES.NOT_CONFIRMED,
+            data: { confirmed: false, out: null, secretsOut: null },
+            text: ['⚠️ Nothing was written: exporting mnemonics needs --yes to confirm. Anyone holding the secrets file and its passphrase controls the wallets.']
+        };
+    }
+
+    let secrets = null;
+    if (values['include-mnemonics']) {
+        requireMainnetConfirmation(walletManager, values, 'Exporting mnemonics');
+        const passphrase = (await fs.readFile(values['secrets-passphrase-file'], 'utf8')).trim();
+        secrets = await walletManager.exportSecrets(values['secrets-out'], passphrase, { selection: values.select ?? null });
+    }
+    await fs.writeFile(values.out, formatExport(rows, WALLET_EXPORT_COLUMNS, format));
+
+    return {
+        data: { confirmed: true, out: values.out, format, count: rows.length, secretsOut: secrets ? secrets.filePath : null },
+        text: [
+            `📤 Exported ${rows.length} wallets to ${values.out} (no secrets)`,
+            ...(secrets ? [`🔐 Mnemonics of ${secrets.count} wallets written to ${secrets.filePath} (encrypted)`] : [])
+        ]
+    };
+}
+
+async function exportReports(walletManager, values) {
+    const format = resolveExportFormat(values);
+    if (values.job && values.report) {
+        throw new CliError('Pass either --job or --report, not both', EXIT_CODES.USAGE);
+    }
+    if (values.kind && !['distribution', 'sweep'].includes(values.kind)) {
+        throw new CliError('--kind must be distribution or sweep', EXIT_CODES.USAGE);
+    }
+
+    const rows = await walletManager.exportReports({
+        reportIds: values.report ? values.report.split(',').map(id => id.trim()).filter(Boolean) : null,
+        jobId: values.job ?? null,
+        kind: values.kind ?? null
+    });
+    await fs.writeFile(values.out, formatExport(rows, TRANSFER_EXPORT_COLUMNS, format));
+
+    return {
+        data: { out: values.out, format, count: rows.length },
+        text: [`📤 Exported ${rows.length} transfers to ${values.out}`]
+    };
+}
+
+// --format, or the format implied by the --out extension
+function resolveExportFormat(values) {
+    if (!values.out) {
+        throw new CliError('export needs --out <file>', EXIT_CODES.USAGE);
+    }
+    const format = values.format ?? exportFormatOf(values.out);
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new CliError(`--format must be one of ${EXPORT_FORMATS.join(', ')} (or use a .csv or .json --out file)`, EXIT_CODES.USAGE);
+    }
+    return format;
+}
+
+// Serve the HTTP API until SIGINT/SIGTERM (or until `onServerStarted` closes the server)
+async function serve(walletManager, values, { onServerStarted }) {
+    const port = values.port === undefined ? Number(process.env.API_PORT) || DEFAULT_API_PORT : Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new CliError('--port must be a port number', EXIT_CODES.USAGE);
+    }
+    const token = values['token-file'] ? (await fs.readFile(values['token-file'], 'utf8')).trim() : process.env.API_TOKEN;
+    if (!token) {
+        throw new CliError('serve needs an API token: set API_TOKEN or pass --token-file', EXIT_CODES.USAGE);
+    }
+
+    const server = await startApiServer(walletManager, { host: values.host || process.env.API_HOST || DEFAULT_API_HOST, port, token });
+    const stopped = new Promise(resolve => server.once('close', resolve));
+    const stop = () => server.close();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    if (onServerStarted) {
+        onServerStarted(server);
+    }
+
+    await stopped;
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+
+    return {
+        data: { stopped: true },
+        text: ['👋 API server stopped']
+    };
+}
+
+// Watch the master for deposits until SIGINT/SIGTERM (or --max-polls), optionally distributing on deposit
+async function watch(walletManager, values) {
+    const intervalSeconds = values.interval === undefined ? DEFAULT_WATCH_INTERVAL_SECONDS : parsePositiveNumber(values.interval, '--interval');
+    const maxPolls = values['max-polls'] === undefined ? Infinity : parsePositiveNumber(values['max-polls'], '--max-polls');
+    if (!Number.isInteger(maxPolls) && maxPolls !== Infinity) {
+        throw new CliError('--max-polls must be a whole number', EXIT_CODES.USAGE);
+    }
+
+    let autoDistribution = null;
+    if (values['auto-amount'] || values['auto-plan']) {
+        if (values['auto-amount'] === 'all') {
+            throw new CliError('--auto-amount needs a fixed amount of TON', EXIT_CODES.USAGE);
+        }
+        const { plan, options } = await buildPlan(walletManager, { amount: values['auto-amount'], plan: values['auto-plan'], select: values.select, total: values.total });
+        autoDistribution = { plan, threshold: parseAmount(values.threshold, '--threshold'), options };
+        requireMainnetConfirmation(walletManager, values, 'Automatic distribution');
+    } else if (values.threshold !== undefined) {
+        throw new CliError('--threshold applies to --auto-amount or --auto-plan', EXIT_CODES.USAGE);
+    }
+
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    let summary;
+    try {
+        summary = await watchDeposits(walletManager, { intervalSeconds, autoDistribution, maxPolls, signal: controller.signal });
+    } finally {
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+    }
+
+    const blocked = summary.distributions.filter(distribution => !distribution.jobId);
+    return {
+        exitCode: blocked.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+        data: summary,
+        text: [
+            `👋 Stopped watching after ${summary.polls} polls: ${summary.deposits.length} new deposits`,
+            ...summary.distributions.map(distribution => (distribution.jobId
+                ? `🤖 Auto-distribution job ${distribution.jobId}: ${distribution.results.successCount} sent, ${distribution.results.failedCount} failed`
+                : `⛔ Auto-distribution not run: ${distribution.error ?? distribution.blocked.map(violation => violation.rule).join(', ')}`))
+        ]
+    };
+}
+
+async function listDeposits(walletManager, values) {
+    const limit = values.limit === undefined ? 50 : parsePositiveNumber(values.limit, '--limit');
+    const deposits = walletManager.listDeposits({ limit }).map(deposit => ({ ...deposit, from: formatAddress(deposit.from, { network: walletManager.network }) }));
+
+    return {
+        data: { deposits },
+        text: deposits.length === 0
+            ? ['No deposits logged yet - run watch to check for them']
+            : deposits.map(deposit => `${deposit.receivedAt} ${deposit.amount} TON from ${deposit.from}${deposit.fromChild ? ' (child)' : ''}${deposit.comment ? ` "${deposit.comment}"` : ''}`)
+    };
+}
+
+function summarizeResults(results, symbol) {
+    return [
+        `✅ Sent ${symbol} to ${results.successCount} recipients (job ${results.jobId})`,
+        ...(results.failedCount > 0 ? [`⚠️ Failed to send to ${results.failedCount} recipients - run retry-failed ${results.jobId}`] : []),
+        ...(results.pendingCount > 0 ? [`⏳ ${results.pendingCount} recipients still pending - run resume ${results.jobId}`] : [])
+    ];
+}
+
+function formatViolations(violations, override) {
+    if (violations.length === 0) {
+        return [];
+    }
+    return [
+        ...violations.map(violation => `⛔ Policy [${violation.rule}]: ${violation.message}`),
+        override === undefined ? 'Sending needs --override-policy "<reason>"' : `Overriding the policy: ${override}`
+    ];
+}
+
+function formatPlan(plan, verification) {
+    const { symbol } = plan.token;
+    const status = {
+        approved: '✅ Approved',
+        pending: '⏳ Awaiting approval',
+        rejected: '⛔ Rejected',
+        tampered: '❌ Changed since it was created - do not approve or run it'
+    }[verification.status];
+
+    return [
+        `📝 Plan ${plan.id} (${plan.network}${plan.simulated ? ', simulated' : ''}), created ${plan.createdAt}`,
+        ...plan.transfers.map((transfer, index) => `${index + 1}. ${transfer.to} ${transfer.amount} ${symbol}${transfer.label ? ` ${transfer.label}` : ''}`),
+        `Total: ${plan.totalAmount} ${symbol} to ${plan.transfers.length} recipients`,
+        `Hash: ${plan.hash}${verification.hashValid ? '' : ' (does not match the contents)'}`,
+        `${status}: ${verification.approvals.length} of ${verification.threshold} approvals (${verification.operators} operators)`,
+        ...verification.approvals.map(approval => `  ✅ ${approval.operator} at ${approval.at}`),
+        ...verification.rejections.map(rejection => `  ⛔ ${rejection.operator} at ${rejection.at}: ${rejection.reason}`),
+        ...verification.invalid.map(entry => `  ❌ ${entry.operator}: ${entry.problem}`)
+    ];
+}
+
+function formatCounts(counts) {
+    return Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .map(([state, count]) => `${state}=${count}`)
+        .join(' ');
+}
+
+// Children matching --select (every child without it); a malformed expression is a usage error
+function selectChildren(walletManager, selection, { required = false } = {}) {
+    try {
+        return walletManager.selectChildWallets(selection, { required });
+    } catch (error) {
+        throw new CliError(error.message, /matches no/.test(error.message) ? EXIT_CODES.ERROR : EXIT_CODES.USAGE);
+    }
+}
+
+// Children named by --addresses or matched by --select; null when neither is given
+function resolveTargets(walletManager, values, { required = false } = {}) {
+    if (values.addresses && values.select) {
+        throw new CliError('Pass either --addresses or --select, not both', EXIT_CODES.USAGE);
+    }
+    if (values.addresses) {
+        try {
+            return walletManager.requireChildWallets(values.addresses.split(',').map(address => address.trim()).filter(Boolean));
+        } catch (error) {
+            throw new CliError(error.message, EXIT_CODES.USAGE);
+        }
+    }
+    if (values.select) {
+        return selectChildren(walletManager, values.select, { required: true });
+    }
+    if (required) {
+        throw new CliError('Pass --addresses or --select to choose child wallets', EXIT_CODES.USAGE);
+    }
+    return null;
+}
+
+function parseNameList(value, flag) {
+    const names = (value || '').split(',').map(name => name.trim()).filter(Boolean);
+    for (const name of names) {
+        if (!isValidName(name)) {
+            throw new CliError(`${flag}: "${name}" is not a valid name (letters, digits and - _ . / only)`, EXIT_CODES.USAGE);
+        }
+    }
+    return names;
+}
+
+function requireName(name) {
+    if (!isValidName(name)) {
+        throw new CliError(`"${name}" is not a valid group name (letters, digits and - _ . / only)`, EXIT_CODES.USAGE);
+    }
+}
+
+// " [label] #tag @group" suffix for listings
+function formatWalletNames(wallet) {
+    return [
+        wallet.label ? ` [${wallet.label}]` : '',
+        ...(wallet.tags || []).map(tag => ` #${tag}`),
+        ...(wallet.groups || []).map(group => ` @${group}`)
+    ].join('');
+}
+
+// Real mainnet funds are only touched with an explicit --confirm-mainnet; testnet and simulated runs need none
+function requireMainnetConfirmation(walletManager, values, action) {
+    if (walletManager.network === 'mainnet' && !walletManager.simulate && !values['confirm-mainnet']) {
+        const profile = walletManager.profile ? ` (profile ${walletManager.profile})` : '';
+        throw new CliError(`${action} on mainnet${profile} needs --confirm-mainnet`, EXIT_CODES.NOT_CONFIRMED);
+    }
+}
+
+function parsePositiveNumber(value, flag) {
+    const number = Number(value);
+    if (value === undefined || !(number > 0)) {
+        throw new CliError(`${flag} must be a positive number`, EXIT_CODES.USAGE);
+    }
+    return number;
+}
+
+// An amount flag as an exact decimal string: it goes into units digit for digit, so more decimals than a
+// nanoton are refused rather than rounded
+function parseAmount(value, flag, { allowZero = false } = {}) {
+    const units = value === undefined ? null : parseAmountUnits(value);
+    if (units === null || (units === 0n && !allowZero)) {
+        throw new CliError(`${flag} must be ${allowZero ? 'zero or a positive' : 'a positive'} amount with at most ${TON_DECIMALS} decimals`, EXIT_CODES.USAGE);
+    }
+    return fromUnits(units);
+}
+
+async function readPassphrase(values) {
+    if (values['passphrase-file']) {
+        return (await fs.readFile(values['passphrase-file'], 'utf8')).trim();
+    }
+    return process.env.KEYSTORE_PASSPHRASE;
+}
+
+// Keep stdout clean for JSON by sending the manager's progress logs to stderr
+function redirectConsoleToStderr() {
+    const { log, warn } = console;
+    console.log = (...args) => console.error(...args);
+    console.warn = (...args) => console.error(...args);
+
+    return () => {
+        console.log = log;
+        console.warn = warn;
+    };
+}
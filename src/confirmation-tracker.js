@@ -0,0 +1,212 @@
+import { Address, fromNano } from '@ton/ton';
+import { JETTON_TRANSFER_OP } from './jetton.js';
+import { unitsOf, sumUnits, allocateUnits } from './amounts.js';
+
+// Bounced messages start with this 32-bit prefix, followed by the first 256 bits of the original body
+const BOUNCE_PREFIX = 0xffffffff;
+
+// Page back through an account's transactions (newest first) until one is older than `sinceUtime`
+export async function fetchTransactionsSince(client, address, sinceUtime, { pageSize = 50, maxPages = 20 } = {}) {
+    const transactions = [];
+    let cursor = {};
+
+    for (let page = 0; page < maxPages; page++) {
+        const batch = await client.getTransactions(Address.parse(address), { limit: pageSize, archival: true, ...cursor });
+        // Pages continue from (and include) the cursor transaction
+        const fresh = batch.filter(tx => !transactions.some(seen => seen.lt === tx.lt));
+        transactions.push(...fresh);
+
+        const oldest = batch[batch.length - 1];
+        if (fresh.length === 0 || batch.length < pageSize || oldest.now < sinceUtime) {
+            break;
+        }
+        cursor = { lt: oldest.lt.toString(), hash: oldest.hash().toString('base64') };
+    }
+
+    return transactions.filter(tx => tx.now >= sinceUtime);
+}
+
+// Settle the journal of a job against the master's transactions:
+//   sent      -> confirmed (with lt, fees and on-chain hash) once the wallet's transaction shows the
+//                outgoing message, failed if the transaction ran but did not send it, and expired if no
+//                transaction carried the signed message before it became invalid
+//   confirmed -> bounced when the message comes back bounced
+// Every transaction found for a batch is also recorded in `job.debits` by hash: the units of the token
+// its outgoing messages carried (outUnits) and its fees in nanotons (feeUnits), for the reconciliation.
+// Returns the recipients whose state changed.
+export function trackJobTransactions(job, transactions, { jettonWallet = null, expiredBefore }) {
+    const changed = [];
+    const byBody = new Map();
+    for (const tx of transactions) {
+        if (tx.inMessage && tx.inMessage.info.type === 'external-in') {
+            byBody.set(tx.inMessage.body.hash().toString('hex'), tx);
+        }
+    }
+
+    // Recipients of one signed batch share a body hash
+    const batches = new Map();
+    for (const recipient of job.recipients.filter(recipient => recipient.state === 'sent' && recipient.bodyHash)) {
+        batches.set(recipient.bodyHash, [...(batches.get(recipient.bodyHash) || []), recipient]);
+    }
+
+    for (const [bodyHash, batch] of batches) {
+        const tx = byBody.get(bodyHash);
+        if (!tx) {
+            if (batch[0].validUntil < expiredBefore) {
+                batch.forEach(recipient => {
+                    setState(recipient, 'expired', { error: 'Transfer expired before the wallet accepted it' });
+                    changed.push(recipient);
+                });
+            }
+            continue;
+        }
+
+        const compute = tx.description.computePhase;
+        const { outMessages, totalFees } = resolveHighloadBatch(tx, transactions);
+        job.debits = {
+            ...job.debits,
+            [tx.hash().toString('hex')]: {
+                lt: tx.lt.toString(),
+                outUnits: sumUnits(outMessages.map(message => sentUnits(message, job.token, jettonWallet))).toString(),
+                // The same fees the recipients are charged below: the transaction's plus each message's forward fee
+                feeUnits: (totalFees + sumUnits(outMessages.map(message => (message.info.type === 'internal' ? message.info.forwardFee : 0n)))).toString()
+            }
+        };
+        // The batch's fees are split per recipient to the nanoton, spare nanotons to the first ones
+        const { shares: batchFees } = allocateUnits(totalFees, batch.map(() => 1n));
+
+        for (const [i, recipient] of batch.entries()) {
+            if (compute && compute.type === 'vm' && !compute.success) {
+                setState(recipient, 'failed', { error: `Wallet rejected the transfer (exit code ${compute.exitCode})` });
+                changed.push(recipient);
+                continue;
+            }
+
+            const index = outMessages.findIndex(message => isTransferTo(message, recipient, job.token, jettonWallet));
+            if (index === -1) {
+                setState(recipient, 'failed', { error: 'The wallet did not send this message (action phase failed)' });
+                changed.push(recipient);
+                continue;
+            }
+
+            const [message] = outMessages.splice(index, 1);
+            setState(recipient, 'confirmed', {
+                lt: message.info.createdLt.toString(),
+                onchainTxHash: tx.hash().toString('hex'),
+                fees: fromNano(batchFees[i] + message.info.forwardFee),
+                confirmedAt: new Date(tx.now * 1000).toISOString()
+            });
+            changed.push(recipient);
+        }
+    }
+
+    // Each bounce is matched to at most one confirmed recipient
+    const bounces = transactions.filter(tx => tx.inMessage && tx.inMessage.info.type === 'internal' && tx.inMessage.info.bounced);
+    for (const recipient of job.recipients.filter(recipient => recipient.state === 'confirmed' && recipient.lt)) {
+        const index = bounces.findIndex(tx => tx.lt > BigInt(recipient.lt) && isBounceOf(tx.inMessage, recipient, job.token, jettonWallet));
+        if (index === -1) {
+            continue;
+        }
+
+        const [tx] = bounces.splice(index, 1);
+        setState(recipient, 'bounced', {
+            bounceLt: tx.lt.toString(),
+            error: `Message bounced back at ${new Date(tx.now * 1000).toISOString()}`
+        });
+        changed.push(recipient);
+    }
+
+    return changed;
+}
+
+// A highload wallet's external transaction only sends the batch to the wallet itself; the transfers
+// leave in the next transaction, the one processing that self-message. Other wallets send directly.
+function resolveHighloadBatch(tx, transactions) {
+    const outMessages = [...tx.outMessages.values()];
+    const self = outMessages.length === 1 && outMessages[0].info.type === 'internal'
+        && outMessages[0].info.dest.equals(outMessages[0].info.src) ? outMessages[0] : null;
+    const batchTx = self && transactions.find(candidate => candidate.inMessage
+        && candidate.inMessage.info.type === 'internal'
+        && candidate.inMessage.info.createdLt === self.info.createdLt);
+
+    if (!batchTx) {
+        return { outMessages, totalFees: tx.totalFees.coins };
+    }
+    return {
+        outMessages: [...batchTx.outMessages.values()],
+        totalFees: tx.totalFees.coins + self.info.forwardFee + batchTx.totalFees.coins
+    };
+}
+
+function setState(recipient, state, fields) {
+    Object.assign(recipient, { state, ...fields, updatedAt: new Date().toISOString() });
+}
+
+// TON transfers go straight to the recipient; jetton transfers go to the master's jetton wallet
+// with the recipient as destination in the body
+function isTransferTo(message, recipient, token, jettonWallet) {
+    if (message.info.type !== 'internal') {
+        return false;
+    }
+
+    if (!jettonWallet) {
+        return message.info.dest.equals(Address.parse(recipient.to))
+            && message.info.value.coins === unitsOf(recipient);
+    }
+
+    if (!message.info.dest.equals(Address.parse(jettonWallet))) {
+        return false;
+    }
+
+    try {
+        const body = message.body.beginParse();
+        if (body.loadUint(32) !== JETTON_TRANSFER_OP) {
+            return false;
+        }
+        body.skip(64);
+        return body.loadCoins() === unitsOf(recipient, token.decimals)
+            && body.loadAddress().equals(Address.parse(recipient.to));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Units of the token an outgoing message carries: its TON value, or the amount of a jetton transfer sent
+// through the master's jetton wallet (0 for anything else)
+function sentUnits(message, token, jettonWallet) {
+    if (message.info.type !== 'internal') {
+        return 0n;
+    }
+    if (!jettonWallet) {
+        return message.info.value.coins;
+    }
+    if (!message.info.dest.equals(Address.parse(jettonWallet))) {
+        return 0n;
+    }
+    try {
+        const body = message.body.beginParse();
+        return body.loadUint(32) === JETTON_TRANSFER_OP ? body.skip(64).loadCoins() : 0n;
+    } catch (error) {
+        return 0n;
+    }
+}
+
+function isBounceOf(message, recipient, token, jettonWallet) {
+    if (!jettonWallet) {
+        return message.info.src.equals(Address.parse(recipient.to));
+    }
+
+    if (!message.info.src.equals(Address.parse(jettonWallet))) {
+        return false;
+    }
+
+    // The bounced body keeps op, query id and amount of the original jetton transfer
+    try {
+        const body = message.body.beginParse();
+        return body.loadUint(32) === BOUNCE_PREFIX
+            && body.loadUint(32) === JETTON_TRANSFER_OP
+            && body.skip(64).loadCoins() === unitsOf(recipient, token.decimals);
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,176 @@
+import { Address } from '@ton/ton';
+import { JETTON_EXCESSES_OP } from './jetton.js';
+import { PolicyViolationError } from './spending-policy.js';
+import { PlanApprovalError } from './plan-approval.js';
+import { toUnits, unitsToNumber } from './amounts.js';
+
+// Watch mode polls the master's transactions and records every incoming transfer in the deposit log
+// (sender, amount, comment). Bounced transfers, the master's own messages and jetton gas refunds
+// (excesses) are not deposits. A cursor (the last transaction seen) is kept with the data, so a restarted
+// watcher picks up where it stopped and never logs a deposit twice. The first check only sets the cursor
+// to the newest transaction: history from before the watcher was started is not logged and cannot trigger
+// an automatic distribution.
+//
+// With auto-distribution the watcher runs a distribution plan when a poll finds new deposits from outside
+// the child wallets (so sweeps do not trigger it) and the master balance has reached the threshold. The
+// run is a normal journaled job, checked against the spending policy and the approvers file; a blocked
+// run is logged and the watcher keeps going - automatic runs never override the policy.
+export const DEFAULT_WATCH_INTERVAL_SECONDS = 30;
+
+export const DEFAULT_DEPOSIT_PAGE_SIZE = 50;
+
+// Every transaction of `address` after lt `afterLt`, oldest first. Pages back until it reaches `afterLt`
+// (or the start of the history), however many pages that takes, so no deposit is skipped.
+export async function fetchTransactionsAfter(client, address, afterLt, { pageSize = DEFAULT_DEPOSIT_PAGE_SIZE } = {}) {
+    const after = BigInt(afterLt);
+    const transactions = [];
+    const seen = new Set();
+    let cursor = {};
+
+    for (;;) {
+        const batch = await client.getTransactions(Address.parse(address), { limit: pageSize, archival: true, ...cursor });
+        // Pages continue from (and include) the cursor transaction
+        const fresh = batch.filter(tx => tx.lt > after && !seen.has(tx.lt.toString()));
+        fresh.forEach(tx => seen.add(tx.lt.toString()));
+        transactions.push(...fresh);
+
+        const oldest = batch[batch.length - 1];
+        if (fresh.length === 0 || batch.length < pageSize || oldest.lt <= after) {
+            break;
+        }
+        cursor = { lt: oldest.lt.toString(), hash: oldest.hash().toString('base64') };
+    }
+
+    return transactions.sort((a, b) => (a.lt < b.lt ? -1 : 1));
+}
+
+// Lt of the newest transaction of `address`, or '0' when it has none
+export async function fetchLatestLt(client, address) {
+    const [latest] = await client.getTransactions(Address.parse(address), { limit: 1, archival: true });
+    return latest ? latest.lt.toString() : '0';
+}
+
+// The deposits among transactions of `owner`: [{ hash, lt, from, units, amount, comment, receivedAt }]
+export function parseDeposits(transactions, { owner }) {
+    const ownerAddress = Address.parse(owner);
+    const deposits = [];
+
+    for (const tx of transactions) {
+        const message = tx.inMessage;
+        if (!message || message.info.type !== 'internal' || message.info.bounced || message.info.value.coins <= 0n) {
+            continue;
+        }
+        if (message.info.src.equals(ownerAddress) || readOp(message.body) === JETTON_EXCESSES_OP) {
+            continue;
+        }
+
+        deposits.push({
+            hash: tx.hash().toString('hex'),
+            lt: tx.lt.toString(),
+            from: message.info.src.toString(),
+            units: message.info.value.coins.toString(),
+            amount: unitsToNumber(message.info.value.coins),
+            comment: readComment(message.body),
+            receivedAt: new Date(tx.now * 1000).toISOString()
+        });
+    }
+    return deposits;
+}
+
+// One poll: log new deposits, then run the auto-distribution plan if they trigger it.
+// `autoDistribution` is { plan, threshold (TON), options } or null.
+// Returns { deposits, distribution } where distribution is null (not triggered), { jobId, results },
+// { blocked: violations } or { error }.
+export async function pollDeposits(walletManager, { autoDistribution = null } = {}) {
+    const deposits = await walletManager.checkDeposits();
+    const external = deposits.filter(deposit => !deposit.fromChild);
+    if (!autoDistribution || external.length === 0) {
+        return { deposits, distribution: null };
+    }
+
+    const balance = await walletManager.getMasterNanotons();
+    if (balance < toUnits(autoDistribution.threshold)) {
+        console.log(`ℹ️ Master holds ${unitsToNumber(balance)} TON, below the ${autoDistribution.threshold} TON auto-distribution threshold`);
+        return { deposits, distribution: null };
+    }
+
+    console.log(`🤖 Master holds ${unitsToNumber(balance)} TON (threshold ${autoDistribution.threshold} TON) - running the auto-distribution plan`);
+    const { policyOverride, ...options } = autoDistribution.options || {};
+    try {
+        const results = await walletManager.executeDistributionPlan(autoDistribution.plan, {
+            ...options,
+            trigger: { type: 'deposit', threshold: autoDistribution.threshold, deposits: external.map(deposit => deposit.hash) }
+        });
+        return { deposits, distribution: { jobId: results.jobId, results } };
+
+    } catch (error) {
+        if (error instanceof PolicyViolationError) {
+            console.error(`⛔ Auto-distribution blocked by the spending policy: ${error.message}`);
+            return { deposits, distribution: { blocked: error.violations } };
+        }
+        console.error(`❌ Auto-distribution failed: ${error.message}`);
+        return { deposits, distribution: { error: error.message, ...(error instanceof PlanApprovalError ? { approvalRequired: true } : {}) } };
+    }
+}
+
+// Poll every `intervalSeconds` until `signal` aborts (or after `maxPolls` polls). A failing poll is logged
+// and retried on the next interval. Returns { polls, deposits, distributions }.
+export async function watchDeposits(walletManager, { intervalSeconds = DEFAULT_WATCH_INTERVAL_SECONDS, autoDistribution = null, maxPolls = Infinity, signal = null, onPoll = null } = {}) {
+    const summary = { polls: 0, deposits: [], distributions: [] };
+    console.log(`👀 Watching ${walletManager.masterWallet.address} for deposits every ${intervalSeconds}s${autoDistribution ? ` (auto-distribution at ${autoDistribution.threshold} TON)` : ''}`);
+
+    while (summary.polls < maxPolls && !signal?.aborted) {
+        try {
+            const poll = await pollDeposits(walletManager, { autoDistribution });
+            summary.deposits.push(...poll.deposits);
+            if (poll.distribution) {
+                summary.distributions.push(poll.distribution);
+            }
+            if (onPoll) {
+                onPoll(poll);
+            }
+        } catch (error) {
+            console.error('❌ Error checking for deposits:', error.message);
+        }
+
+        summary.polls++;
+        if (summary.polls < maxPolls) {
+            await sleep(intervalSeconds * 1000, signal);
+        }
+    }
+    return summary;
+}
+
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve();
+            return;
+        }
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal?.addEventListener('abort', done);
+    });
+}
+
+function readOp(body) {
+    const slice = body.beginParse();
+    return slice.remainingBits >= 32 ? slice.loadUint(32) : null;
+}
+
+// Text comment of a message body (op 0 followed by the text), or null
+function readComment(body) {
+    try {
+        const slice = body.beginParse();
+        if (slice.remainingBits < 32 || slice.loadUint(32) !== 0) {
+            return null;
+        }
+        return slice.loadStringTail();
+    } catch (error) {
+        return null;
+    }
+}
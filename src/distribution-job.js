@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+// Recipient states in a job journal:
+//   pending   - not sent yet
+//   sending   - signed with a recorded seqno and broadcast may have happened (outcome unknown)
+//   sent      - accepted: a wallet transaction carries the signed message; not yet seen by the recipient
+//   confirmed - final (simulated transfers, or seen leaving the master on-chain)
+//   failed    - rejected or errored; only `retry-failed` sends these again
+//   expired   - never accepted before its valid-until time; `retry-failed` sends these again too
+//   bounced   - confirmed, then bounced back to the master
+export const RECIPIENT_STATES = ['pending', 'sending', 'sent', 'confirmed', 'failed', 'expired', 'bounced'];
+
+// Persists distribution jobs as data/jobs/<jobId>.json, rewritten atomically after every change
+export class JobStore {
+    constructor(jobsDir) {
+        this.jobsDir = jobsDir;
+    }
+
+    jobPath(jobId) {
+        if (!/^[\w-]+$/.test(jobId)) {
+            throw new Error(`Invalid job id: ${jobId}`);
+        }
+        return path.join(this.jobsDir, `${jobId}.json`);
+    }
+
+    // `totalUnits` is the exact total in units of the token (decimal string); each transfer carries its `units`
+    create({ token, options, plan, transfers, totalAmount, totalUnits }) {
+        const now = new Date().toISOString();
+
+        return {
+            id: `job_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            createdAt: now,
+            updatedAt: now,
+            status: 'pending',
+            token,
+            options,
+            plan,
+            totalAmount,
+            totalUnits,
+            recipients: transfers.map(transfer => ({
+                ...transfer,
+                state: 'pending',
+                attempts: 0,
+                updatedAt: now
+            })),
+            reports: []
+        };
+    }
+
+    async save(job) {
+        job.updatedAt = new Date().toISOString();
+        await fs.ensureDir(this.jobsDir);
+
+        // Write then rename, so a crash never leaves a half-written journal
+        const jobPath = this.jobPath(job.id);
+        await fs.writeJson(`${jobPath}.tmp`, job, { spaces: 2 });
+        await fs.move(`${jobPath}.tmp`, jobPath, { overwrite: true });
+    }
+
+    async load(jobId) {
+        const jobPath = this.jobPath(jobId);
+        if (!await fs.pathExists(jobPath)) {
+            throw new Error(`Distribution job ${jobId} not found`);
+        }
+        return fs.readJson(jobPath);
+    }
+
+    async list() {
+        if (!await fs.pathExists(this.jobsDir)) {
+            return [];
+        }
+
+        const files = (await fs.readdir(this.jobsDir)).filter(file => file.endsWith('.json'));
+        const jobs = await Promise.all(files.map(file => fs.readJson(path.join(this.jobsDir, file))));
+        return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Exclusive lock so two processes never work on the same job; locks of dead processes are taken over
+    async lock(jobId) {
+        const owner = await acquireLock(`${this.jobPath(jobId)}.lock`);
+        if (owner !== null) {
+            throw new Error(`Distribution job ${jobId} is already running (pid ${owner})`);
+        }
+        return () => fs.remove(`${this.jobPath(jobId)}.lock`);
+    }
+
+    // Exclusive lock on a wallet while a run signs and settles transfers from it, so two jobs (in this or
+    // another process) never take the same seqno. Waits for the holder, polling every `pollMs`, for up to
+    // `timeoutMs`; `address` is the wallet's raw form.
+    async lockWallet(address, { timeoutMs, pollMs }) {
+        await fs.ensureDir(this.jobsDir);
+        const lockPath = path.join(this.jobsDir, `wallet_${address.replace(/[^\w-]/g, '_')}.lock`);
+        const deadline = Date.now() + timeoutMs;
+
+        for (;;) {
+            const owner = await acquireLock(lockPath);
+            if (owner === null) {
+                return () => fs.remove(lockPath);
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Wallet ${address} is busy with another distribution run (pid ${owner})`);
+            }
+            await new Promise(resolve => setTimeout(resolve, pollMs));
+        }
+    }
+}
+
+// Create the lock file at `lockPath` for this process: null once it holds the lock, or the pid of the live
+// process that does
+async function acquireLock(lockPath) {
+    try {
+        await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+        return null;
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+    }
+
+    const owner = Number(await fs.readFile(lockPath, 'utf8').catch(() => ''));
+    if (isProcessAlive(owner)) {
+        return owner;
+    }
+    await fs.writeFile(lockPath, String(process.pid));
+    return null;
+}
+
+export function summarizeJob(job) {
+    const counts = Object.fromEntries(RECIPIENT_STATES.map(state => [state, 0]));
+    for (const recipient of job.recipients) {
+        counts[recipient.state]++;
+    }
+    return counts;
+}
+
+// incomplete: something is still to send; partial: some transfers failed, expired or bounced;
+// sent: everything left the wallet but is not confirmed on-chain yet; completed: all confirmed
+export function resolveJobStatus(job) {
+    const counts = summarizeJob(job);
+    if (counts.pending + counts.sending > 0) {
+        return 'incomplete';
+    }
+    if (counts.failed + counts.expired + counts.bounced > 0) {
+        return 'partial';
+    }
+    return counts.sent > 0 ? 'sent' : 'completed';
+}
+
+function isProcessAlive(pid) {
+    if (!pid) {
+        return false;
+    }
+
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
@@ -0,0 +1,342 @@
+import { Address } from '@ton/ton';
+import fs from 'fs-extra';
+import path from 'path';
+import { toUnits, unitsToNumber, sumUnits, allocateUnits, REMAINDER_RULES, TON_DECIMALS } from './amounts.js';
+
+// A distribution plan lists recipients and the rule that decides each amount:
+//   amount - fixed amount in TON
+//   target - top up to this balance (skipped when the recipient already has it)
+//   weight - share of the plan's totalAmount, proportional to the sum of weights
+// Recipients without a rule fall back to the plan-level target, or an equal weight of 1.
+// min/max clamp every computed amount (per recipient or plan-wide); allChildren adds every child.
+// Amounts resolve to whole units of the token (see amounts.js); `remainder` says where the units a weighted
+// split cannot divide go: 'recipients' (default, largest fractions first) or 'master' (not sent).
+export class DistributionPlan {
+    constructor({ name = null, totalAmount = null, target = null, min = null, max = null, allChildren = false, remainder = 'recipients', recipients = [], source = null } = {}) {
+        this.name = name;
+        this.totalAmount = toOptionalAmount(totalAmount);
+        this.target = toOptionalAmount(target);
+        this.min = toOptionalAmount(min);
+        this.max = toOptionalAmount(max);
+        this.allChildren = Boolean(allChildren);
+        this.remainder = remainder ?? 'recipients';
+        this.recipients = recipients.map(normalizeRecipient);
+        this.source = source;
+    }
+
+    // Split totalAmount equally across the given addresses
+    static equalSplit(addresses, totalAmount) {
+        return new DistributionPlan({
+            name: 'equal-split',
+            totalAmount,
+            recipients: addresses.map(address => ({ address, weight: 1 }))
+        });
+    }
+
+    static async fromFile(filePath, settings = {}) {
+        const contents = await fs.readFile(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+
+        if (extension === '.csv') {
+            return DistributionPlan.fromCsv(contents, { ...settings, source: filePath });
+        }
+        if (extension === '.json') {
+            return new DistributionPlan({ ...JSON.parse(contents), ...settings, source: filePath });
+        }
+
+        throw new Error(`Unsupported plan file type: ${extension || filePath} (use .csv or .json)`);
+    }
+
+    // CSV header names the columns: address plus any of amount, weight, target, min, max, label
+    static fromCsv(text, settings = {}) {
+        const rows = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+        if (rows.length === 0) {
+            throw new Error('Plan CSV is empty');
+        }
+
+        const header = splitCsvLine(rows[0]).map(column => column.toLowerCase());
+        if (!header.includes('address')) {
+            throw new Error('Plan CSV needs an "address" column');
+        }
+
+        const recipients = rows.slice(1).map(line => {
+            const values = splitCsvLine(line);
+            return Object.fromEntries(header.map((column, i) => [column, values[i] ?? '']));
+        });
+
+        return new DistributionPlan({ ...settings, recipients });
+    }
+
+    // Turn the plan into concrete transfers of whole units (`decimals` places: 9 for TON). `childWallets` marks
+    // child recipients (and expands allChildren); `balances` maps raw addresses to current balances in units
+    // (bigint) for top-up rules. Each transfer has `units` (decimal string) and `amount`, the same as a number.
+    // Besides the transfers' total, the result accounts for what the rules asked for (decimal unit strings):
+    // requestedUnits (the weighted totalAmount plus fixed amounts and top-up needs, before min/max),
+    // clampedUnits (taken off by max, negative when min added) and remainderUnits, so that
+    // requestedUnits = totalUnits + clampedUnits + remainderUnits.
+    resolve({ childWallets = [], balances = new Map(), decimals = TON_DECIMALS } = {}) {
+        const errors = [];
+        const warnings = [];
+        const childByRaw = new Map();
+        for (const wallet of childWallets) {
+            childByRaw.set(normalizeAddress(wallet.address), wallet);
+        }
+        if (!REMAINDER_RULES.includes(this.remainder)) {
+            errors.push(`remainder must be one of ${REMAINDER_RULES.join(', ')}`);
+        }
+        const units = (value) => (value === null ? null : parseUnits(value, decimals));
+        const [totalUnits, planMin, planMax] = [this.totalAmount, this.min, this.max].map(units);
+        if ([totalUnits, planMin, planMax].includes(undefined)) {
+            errors.push('Plan totalAmount, min and max must be non-negative numbers');
+        }
+
+        const entries = this.getEntries(childWallets);
+        const seen = new Set();
+        const valid = [];
+
+        for (const [i, entry] of entries.entries()) {
+            const raw = normalizeAddress(entry.address);
+            const position = `Recipient ${i + 1} (${entry.address || 'no address'})`;
+
+            if (!raw) {
+                errors.push(`${position}: invalid address`);
+                continue;
+            }
+            if (seen.has(raw)) {
+                errors.push(`${position}: duplicate address`);
+                continue;
+            }
+            seen.add(raw);
+
+            const rule = this.getRule(entry);
+            if (!rule) {
+                errors.push(`${position}: no amount, weight or target and the plan has no totalAmount or target`);
+                continue;
+            }
+            // Weights are ratios, so they keep 9 decimals whatever the token
+            rule.units = parseUnits(rule.value, rule.type === 'weight' ? TON_DECIMALS : decimals);
+            if (rule.units === undefined || (rule.type === 'weight' && rule.units === 0n)) {
+                errors.push(`${position}: ${rule.type} must be a positive number`);
+                continue;
+            }
+            const limits = { min: entry.min === null ? planMin : units(entry.min), max: entry.max === null ? planMax : units(entry.max) };
+            if (limits.min === undefined || limits.max === undefined) {
+                errors.push(`${position}: min and max must be non-negative numbers`);
+                continue;
+            }
+            if (!childByRaw.has(raw)) {
+                warnings.push(`${position}: external address (not a child wallet)`);
+            }
+
+            valid.push({ entry, raw, rule, limits });
+        }
+
+        const weighted = valid.filter(({ rule }) => rule.type === 'weight');
+        if (weighted.length > 0 && !(totalUnits > 0n)) {
+            errors.push('Weighted recipients need a positive totalAmount');
+        }
+        const { shares, leftover } = allocateUnits(totalUnits || 0n, weighted.map(({ rule }) => rule.units), { remainder: this.remainder });
+        const shareOf = new Map(weighted.map(({ raw }, i) => [raw, shares[i]]));
+
+        const transfers = [];
+        let requested = weighted.length > 0 && totalUnits > 0n ? totalUnits : 0n;
+        let clamped = 0n;
+        for (const { entry, raw, rule, limits } of valid) {
+            let amount;
+            if (rule.type === 'amount') {
+                amount = rule.units;
+            } else if (rule.type === 'weight') {
+                amount = shareOf.get(raw);
+            } else {
+                if (!balances.has(raw)) {
+                    errors.push(`${entry.address}: current balance unknown, cannot top up`);
+                    continue;
+                }
+                amount = rule.units - BigInt(balances.get(raw));
+                if (amount <= 0n) {
+                    warnings.push(`${entry.address}: already at or above target ${rule.value} TON, skipped`);
+                    continue;
+                }
+            }
+
+            if (rule.type !== 'weight') {
+                requested += amount;
+            }
+            const requestedAmount = amount;
+            amount = clampUnits(amount, limits);
+            clamped += requestedAmount - (amount > 0n ? amount : 0n);
+            if (amount <= 0n) {
+                continue;
+            }
+
+            const child = childByRaw.get(raw);
+            transfers.push({
+                to: child ? child.address : entry.address,
+                amount: unitsToNumber(amount, decimals),
+                units: amount.toString(),
+                rule: rule.type,
+                isChild: Boolean(child),
+                label: entry.label || null
+            });
+        }
+
+        const total = sumUnits(transfers.map(transfer => transfer.units));
+        return {
+            transfers,
+            totalAmount: unitsToNumber(total, decimals),
+            totalUnits: total.toString(),
+            requestedUnits: requested.toString(),
+            clampedUnits: clamped.toString(),
+            // Units of the weighted total kept on the master under remainder 'master'
+            remainderUnits: leftover.toString(),
+            errors,
+            warnings
+        };
+    }
+
+    getEntries(childWallets) {
+        if (!this.allChildren) {
+            return this.recipients;
+        }
+
+        // Explicit entries override the plan-level rule for the same child
+        const explicit = new Set(this.recipients.map(entry => normalizeAddress(entry.address)));
+        const children = childWallets
+            .filter(wallet => !explicit.has(normalizeAddress(wallet.address)))
+            .map(wallet => normalizeRecipient({ address: wallet.address }));
+
+        return [...this.recipients, ...children];
+    }
+
+    getRule(entry) {
+        if (entry.amount !== null) {
+            return { type: 'amount', value: entry.amount };
+        }
+        if (entry.target !== null) {
+            return { type: 'target', value: entry.target };
+        }
+        if (entry.weight !== null) {
+            return { type: 'weight', value: entry.weight };
+        }
+        if (this.target !== null) {
+            return { type: 'target', value: this.target };
+        }
+        if (this.totalAmount !== null) {
+            return { type: 'weight', value: 1 };
+        }
+        return null;
+    }
+
+    // Addresses whose current balance is needed to resolve top-up rules
+    getTopUpAddresses(childWallets = []) {
+        return this.getEntries(childWallets)
+            .filter(entry => this.getRule(entry)?.type === 'target')
+            .map(entry => entry.address);
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            source: this.source,
+            totalAmount: this.totalAmount,
+            target: this.target,
+            min: this.min,
+            max: this.max,
+            allChildren: this.allChildren,
+            remainder: this.remainder,
+            recipients: this.recipients
+        };
+    }
+}
+
+// Raw form (workchain:hash) so different friendly formats of one address compare equal
+export function normalizeAddress(address) {
+    try {
+        return Address.parse(String(address).trim()).toRawString();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Friendly form of an address for display on `network`: testnet addresses carry the test-only flag
+// (kQ.../0Q...) so they are not mistaken for mainnet ones. Unparseable input is returned as is.
+export function formatAddress(address, { network, bounceable = true } = {}) {
+    try {
+        return Address.parse(String(address).trim()).toString({ bounceable, testOnly: network === 'testnet' });
+    } catch (error) {
+        return address;
+    }
+}
+
+function normalizeRecipient(recipient) {
+    return {
+        address: String(recipient.address || '').trim(),
+        amount: toOptionalAmount(recipient.amount),
+        weight: toOptionalAmount(recipient.weight),
+        target: toOptionalAmount(recipient.target),
+        min: toOptionalAmount(recipient.min),
+        max: toOptionalAmount(recipient.max),
+        label: recipient.label || null
+    };
+}
+
+// Amounts keep the form they were given in - numbers from JSON, exact decimal strings from CSV - and are
+// only converted to units when the plan resolves
+function toOptionalAmount(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    return typeof value === 'number' ? value : String(value).trim().replace(/%$/, '');
+}
+
+// Units of a plan amount, or undefined when it is not a non-negative number
+function parseUnits(value, decimals) {
+    try {
+        return toUnits(value, decimals);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function clampUnits(amount, { min, max }) {
+    if (min !== null && amount < min) {
+        return min;
+    }
+    if (max !== null && amount > max) {
+        return max;
+    }
+    return amount;
+}
+
+// Fields of one CSV line. A field in double quotes may hold commas, and "" inside it is a literal quote.
+export function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            quoted = true;
+            field = '';
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quoted field in CSV line: ${line}`);
+    }
+    fields.push(field.trim());
+    return fields;
+}
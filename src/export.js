@@ -0,0 +1,120 @@
+import fs from 'fs-extra';
+import { formatAddress } from './distribution-plan.js';
+import { openWithPassphrase } from './keystore.js';
+import { walletBalance } from './amounts.js';
+
+// Columns of exported files, in order. Rows are built from public fields only, so secrets can never
+// reach a CSV or JSON export; mnemonics are exported separately, encrypted (see WalletManager.exportSecrets).
+export const WALLET_EXPORT_COLUMNS = [
+    'type',
+    'address',
+    'addressNonBounceable',
+    'label',
+    'tags',
+    'groups',
+    'version',
+    'watchOnly',
+    'balance',
+    'balanceStatus',
+    'balanceSyncedAt',
+    'createdAt'
+];
+
+export const TRANSFER_EXPORT_COLUMNS = [
+    'reportId',
+    'kind',
+    'jobId',
+    'timestamp',
+    'token',
+    'from',
+    'to',
+    'amount',
+    'status',
+    'txHash',
+    'lt',
+    'fees',
+    'error'
+];
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+// Marks encrypted secrets exports, which are never written in a readable format
+export const SECRETS_EXPORT_FORMAT = 'ton-wallet-manager-secrets';
+
+// One row per wallet record (master first if given), addresses in `network`'s form
+export function walletExportRows({ master = null, children = [], network = 'mainnet' }) {
+    return [master, ...children].filter(Boolean).map(wallet => ({
+        type: wallet.watchOnly ? 'watch-only' : wallet.type,
+        address: formatAddress(wallet.address, { network, bounceable: true }),
+        addressNonBounceable: formatAddress(wallet.address, { network, bounceable: false }),
+        label: wallet.label ?? '',
+        tags: (wallet.tags || []).join(' '),
+        groups: (wallet.groups || []).join(' '),
+        version: wallet.watchOnly ? '' : wallet.version ?? 'v4r2',
+        watchOnly: Boolean(wallet.watchOnly),
+        balance: wallet.balanceStatus === 'unknown' ? '' : walletBalance(wallet) ?? '',
+        balanceStatus: wallet.balanceStatus ?? '',
+        balanceSyncedAt: wallet.balanceSyncedAt ?? '',
+        createdAt: wallet.createdAt ?? ''
+    }));
+}
+
+// One row per transfer of a stored report. Distributions send from `source` (the master), sweeps to
+// `report.destination`.
+export function reportExportRows(reportId, kind, report, { source = '' } = {}) {
+    const transactions = (report.results && report.results.transactions) || [];
+
+    return transactions.map(transaction => ({
+        reportId,
+        kind,
+        jobId: report.jobId ?? '',
+        timestamp: report.timestamp ?? '',
+        token: report.token ? report.token.symbol : 'TON',
+        from: kind === 'sweep' ? transaction.from : source,
+        to: kind === 'sweep' ? report.destination : transaction.to,
+        amount: transaction.amount ?? 0,
+        status: transaction.status,
+        txHash: transaction.txHash ?? '',
+        lt: transaction.lt ?? '',
+        fees: transaction.fees ?? '',
+        error: transaction.error ?? ''
+    }));
+}
+
+// Rows as CSV (header line first) or as a JSON array
+export function formatExport(rows, columns, format = 'csv') {
+    if (format === 'json') {
+        return `${JSON.stringify(rows, null, 2)}\n`;
+    }
+    if (format !== 'csv') {
+        throw new Error(`Unknown export format: ${format} (expected one of ${EXPORT_FORMATS.join(', ')})`);
+    }
+
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return `${lines.map(values => values.map(csvValue).join(',')).join('\n')}\n`;
+}
+
+// Export format implied by a file name, or null if the extension is not csv or json
+export function exportFormatOf(filePath) {
+    const match = /\.(csv|json)$/i.exec(filePath || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Contents of a file written by WalletManager.exportSecrets: { exportedAt, wallets: [{ address, mnemonic | privateKey, ... }] }
+export async function readSecretsExport(filePath, passphrase) {
+    const sealed = await fs.readJson(filePath);
+    if (sealed.format !== SECRETS_EXPORT_FORMAT) {
+        throw new Error(`${filePath} is not a wallet secrets export`);
+    }
+    return openWithPassphrase(sealed, passphrase);
+}
+
+// Quote values holding separators, quotes or line breaks. Values starting with a formula character get
+// a leading quote so spreadsheets show them as text instead of evaluating them.
+function csvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,86 @@
+import { toNano } from '@ton/ton';
+import { SIMULATED_FEES } from './network.js';
+import { toUnits, fromUnits, unitsToNumber } from './amounts.js';
+
+// What a distribution costs on top of the amounts sent, in nanotons:
+//   compute         - gas and import fee of one wallet transaction (one per batch; highload wallets
+//                     route each batch through a message to themselves, which adds a second one)
+//   forward         - forward fee of every internal message the master sends
+//   deploy          - extra gas of the master's first transfer, which carries its state init
+//   recipientDeploy - allowance per TON message to a recipient that has never been deployed
+// Mainnet values are rounded up from wallet V4 transfers, so real fees come in at or below the estimate.
+export const DEFAULT_FEE_SCHEDULE = {
+    compute: toNano('0.004'),
+    forward: toNano('0.0004'),
+    deploy: toNano('0.001'),
+    recipientDeploy: toNano('0.0002')
+};
+
+// The simulated ledger charges exactly these (and nothing for new recipients), so estimates there are exact
+export const SIMULATED_FEE_SCHEDULE = { ...SIMULATED_FEES, recipientDeploy: 0n };
+
+// TON kept on the master by "distribute all available", unless configured otherwise
+export const DEFAULT_MASTER_RESERVE = 0.05;
+
+// Fee breakdown for sending `messages` internal messages in batches of `batchSize`, in TON, with the exact
+// total in nanotons (`totalNanotons`, a decimal string).
+// `attachedTon` is TON attached per message on top of its amount (gas for jetton transfers), and
+// `transactionsPerBatch` is 2 for highload wallets.
+export function estimateDistributionFees({ messages, batchSize, uninitializedRecipients = 0, masterDeployed = true, attachedTon = 0n, transactionsPerBatch = 1, schedule = DEFAULT_FEE_SCHEDULE }) {
+    const batches = Math.ceil(messages / batchSize);
+    const compute = BigInt(batches * transactionsPerBatch) * schedule.compute;
+    const forward = BigInt(messages + batches * (transactionsPerBatch - 1)) * schedule.forward;
+    const deploy = masterDeployed || messages === 0 ? 0n : schedule.deploy;
+    const recipientDeploy = BigInt(uninitializedRecipients) * schedule.recipientDeploy;
+    const attached = BigInt(messages) * attachedTon;
+    const total = compute + forward + deploy + recipientDeploy + attached;
+
+    return {
+        batches,
+        messages,
+        uninitializedRecipients,
+        masterDeployed,
+        compute: toTon(compute),
+        forward: toTon(forward),
+        deploy: toTon(deploy),
+        recipientDeploy: toTon(recipientDeploy),
+        attached: toTon(attached),
+        total: toTon(total),
+        totalNanotons: total.toString()
+    };
+}
+
+// Largest total that splits equally across `recipients` and still leaves `reserve` after `fees` (all in TON),
+// as an exact decimal string. Each share is a whole number of nanotons, so the total never rounds up past
+// what is available.
+export function maxDistributableAmount({ balance, reserve, fees, recipients }) {
+    const available = toUnits(balance) - toUnits(reserve) - (fees.totalNanotons !== undefined ? BigInt(fees.totalNanotons) : toUnits(fees.total));
+    if (recipients === 0 || available <= 0n) {
+        return '0';
+    }
+
+    const share = available / BigInt(recipients);
+    return fromUnits(share * BigInt(recipients));
+}
+
+// Human-readable lines for a fee breakdown, shown before a distribution is confirmed
+export function formatFeeBreakdown(fees) {
+    const lines = [
+        `Estimated Fees: ${fees.total} TON (${fees.batches} batches, ${fees.messages} messages)`,
+        `  Gas: ${fees.compute} TON, forward fees: ${fees.forward} TON`
+    ];
+    if (fees.deploy > 0) {
+        lines.push(`  Master wallet deployment: ${fees.deploy} TON`);
+    }
+    if (fees.uninitializedRecipients > 0) {
+        lines.push(`  ${fees.uninitializedRecipients} uninitialized recipients: ${fees.recipientDeploy} TON`);
+    }
+    if (fees.attached > 0) {
+        lines.push(`  TON attached to jetton transfers: ${fees.attached} TON`);
+    }
+    return lines;
+}
+
+function toTon(nanotons) {
+    return unitsToNumber(nanotons);
+}
@@ -1,5 +1,20 @@
-import { WalletManager } from './wallet-manager.js';
+import { WalletManager, DEFAULT_GAP_LIMIT, DEFAULT_SWEEP_FEE_RESERVE, DEFAULT_DUST_THRESHOLD, isLegacyChild } from './wallet-manager.js';
+import { DistributionPlan, formatAddress, normalizeAddress } from './distribution-plan.js';
+import { KNOWN_JETTONS, resolveJetton } from './jetton.js';
+import { summarizeJob } from './distribution-job.js';
+import { formatFeeBreakdown } from './fee-estimator.js';
+import { WALLET_VERSIONS, HIGHLOAD_VERSION } from './wallet-contracts.js';
+import { isValidName } from './wallet-selection.js';
+import { parseWatchOnlyCsv } from './wallet-import.js';
+import { PolicyViolationError } from './spending-policy.js';
+import { PlanApprovalError } from './plan-approval.js';
+import { summarizeBatch } from './offline-signing.js';
+import { formatExport, exportFormatOf, WALLET_EXPORT_COLUMNS, TRANSFER_EXPORT_COLUMNS } from './export.js';
+import { resolveProfile, profileManagerOptions } from './profiles.js';
+import { formatReconciliation, walletBalance } from './amounts.js';
+import { runCli } from './cli.js';
 import inquirer from 'inquirer';
+import fs from 'fs-extra';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -8,20 +23,74 @@ async function main() {
     console.log('🚀 TON Wallet Manager Started');
     console.log('================================');
     
-    const walletManager = new WalletManager();
-    await walletManager.initialize();
+    const walletManager = new WalletManager(profileManagerOptions(await resolveProfile()));
+    const passphrase = await promptPassphrase(walletManager);
+    await walletManager.initialize({ passphrase });
     
+    console.log(`\n📁 ${describeProfile(walletManager)}`);
+    if (isRealMainnet(walletManager)) {
+        console.log('\x1b[31m⚠️  MAINNET - transfers move real funds and every send asks for an extra confirmation\x1b[0m');
+    }
+    
+    await showMenu(walletManager);
+}
+
+// Profile, network and data directory, shown in the banner and above every menu
+function describeProfile(walletManager) {
+    const network = `${walletManager.network.toUpperCase()}${walletManager.simulate ? ' (simulated)' : ''}`;
+    return `${walletManager.profile ? `Profile ${walletManager.profile}: ` : ''}${network}, data in ${walletManager.dataDir}`;
+}
+
+function isRealMainnet(walletManager) {
+    return walletManager.network === 'mainnet' && !walletManager.simulate;
+}
+
+// Extra confirmation before anything touches real mainnet funds or secrets; always true elsewhere
+async function confirmMainnet(walletManager, action) {
+    if (!isRealMainnet(walletManager)) {
+        return true;
+    }
+    
+    const { confirmation } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'confirmation',
+            message: `\x1b[31mMAINNET${walletManager.profile ? ` (profile ${walletManager.profile})` : ''}:\x1b[0m ${action}. Type MAINNET to continue:`
+        }
+    ]);
+    if (confirmation.trim() !== 'MAINNET') {
+        console.log('ℹ️ Cancelled.');
+        return false;
+    }
+    return true;
+}
+
+async function showMenu(walletManager) {
     const { action } = await inquirer.prompt([
         {
             type: 'list',
             name: 'action',
-            message: 'What would you like to do?',
+            message: `[${describeProfile(walletManager)}] What would you like to do?`,
             choices: [
                 'Create Child Wallets',
                 'View All Wallets', 
                 'Check Master Wallet Balance',
+                'Check for Deposits',
                 'Convert USDT to TON',
                 'Distribute TON to Child Wallets',
+                'Distribute from Plan File (CSV/JSON)',
+                'Distribute Jettons to Child Wallets',
+                'Run Approved Plan',
+                'Offline Signing',
+                'Resume Distribution Job',
+                'Retry Failed Transfers',
+                'Distribution Report',
+                'Export Wallets and Reports',
+                'Sweep Child Wallets to Master',
+                'Recover Child Wallets from Seed',
+                'Import Existing Wallet',
+                'Manage Labels, Tags and Groups',
+                'Change Keystore Passphrase',
                 'Exit'
             ]
         }
@@ -37,25 +106,140 @@ async function main() {
         case 'Check Master Wallet Balance':
             await checkMasterBalance(walletManager);
             break;
+        case 'Check for Deposits':
+            await checkDeposits(walletManager);
+            break;
         case 'Convert USDT to TON':
             await convertUsdtToTon(walletManager);
             break;
         case 'Distribute TON to Child Wallets':
             await distributeTonToChildren(walletManager);
             break;
+        case 'Distribute from Plan File (CSV/JSON)':
+            await distributeFromPlanFile(walletManager);
+            break;
+        case 'Distribute Jettons to Child Wallets':
+            await distributeJettons(walletManager);
+            break;
+        case 'Run Approved Plan':
+            await runApprovedPlan(walletManager);
+            break;
+        case 'Offline Signing':
+            await offlineSigning(walletManager);
+            break;
+        case 'Resume Distribution Job':
+            await continueDistributionJob(walletManager, { retryFailed: false });
+            break;
+        case 'Retry Failed Transfers':
+            await continueDistributionJob(walletManager, { retryFailed: true });
+            break;
+        case 'Distribution Report':
+            await showDistributionReport(walletManager);
+            break;
+        case 'Export Wallets and Reports':
+            await exportData(walletManager);
+            break;
+        case 'Sweep Child Wallets to Master':
+            await sweepChildWallets(walletManager);
+            break;
+        case 'Recover Child Wallets from Seed':
+            await recoverChildWallets(walletManager);
+            break;
+        case 'Import Existing Wallet':
+            await importExistingWallet(walletManager);
+            break;
+        case 'Manage Labels, Tags and Groups':
+            await manageWalletNames(walletManager);
+            break;
+        case 'Change Keystore Passphrase':
+            await changePassphrase(walletManager);
+            break;
         case 'Exit':
             console.log('👋 Goodbye!');
             process.exit(0);
     }
     
     // Restart the menu
-    setTimeout(() => main(), 2000);
+    setTimeout(() => showMenu(walletManager).catch(console.error), 2000);
+}
+
+// Ask for the keystore passphrase (or a new one on first run) unless KEYSTORE_PASSPHRASE is set
+async function promptPassphrase(walletManager) {
+    if (process.env.KEYSTORE_PASSPHRASE) {
+        return process.env.KEYSTORE_PASSPHRASE;
+    }
+    
+    if (await walletManager.keystore.exists()) {
+        const { passphrase } = await inquirer.prompt([
+            {
+                type: 'password',
+                name: 'passphrase',
+                mask: '*',
+                message: 'Keystore passphrase (leave empty for view-only mode):'
+            }
+        ]);
+        return passphrase;
+    }
+    
+    console.log('🔐 Wallet secrets will be encrypted with a keystore passphrase.');
+    return promptNewPassphrase();
+}
+
+async function promptNewPassphrase(message = 'Choose a keystore passphrase:') {
+    const { passphrase } = await inquirer.prompt([
+        {
+            type: 'password',
+            name: 'passphrase',
+            mask: '*',
+            message,
+            validate: (input) => {
+                if (input.length >= 8) {
+                    return true;
+                }
+                return 'Please use at least 8 characters';
+            }
+        },
+        {
+            type: 'password',
+            name: 'confirmation',
+            mask: '*',
+            message: 'Repeat the passphrase:',
+            validate: (input, answers) => {
+                if (input === answers.passphrase) {
+                    return true;
+                }
+                return 'Passphrases do not match';
+            }
+        }
+    ]);
+    return passphrase;
+}
+
+async function changePassphrase(walletManager) {
+    try {
+        const { currentPassphrase } = await inquirer.prompt([
+            {
+                type: 'password',
+                name: 'currentPassphrase',
+                mask: '*',
+                message: 'Current keystore passphrase:'
+            }
+        ]);
+        const newPassphrase = await promptNewPassphrase();
+        
+        await walletManager.changePassphrase(currentPassphrase, newPassphrase);
+        console.log('✅ Keystore passphrase changed successfully!');
+        
+    } catch (error) {
+        console.error('❌ Error changing passphrase:', error.message);
+    }
 }
 
 async function convertUsdtToTon(walletManager) {
     try {
-        const tonPrice = await walletManager.getTonPrice();
-        console.log(`\n💰 Current TON Price: ${tonPrice}`);
+        const quote = await walletManager.getTonPriceQuote();
+        const tonPrice = quote.price;
+        console.log(`\n💰 Current TON Price: ${tonPrice} (${quote.source}, ${quote.timestamp})`);
         
         const { usdtAmount } = await inquirer.prompt([
             {
@@ -76,8 +260,15 @@ async function convertUsdtToTon(walletManager) {
         console.log(`\n🔄 Conversion Details:`);
         console.log(`USDT Amount: ${usdtAmount}`);
         console.log(`TON Price: ${tonPrice}`);
+        console.log(`Price Source: ${quote.source}${quote.stale ? ' (STALE)' : ''}`);
+        console.log(`Price Time: ${quote.timestamp}`);
         console.log(`TON Amount: ${tonAmount} TON`);
         
+        // Only the simulated ledger can be funded from here
+        if (!walletManager.simulate) {
+            return;
+        }
+        
         const { confirm } = await inquirer.prompt([
             {
                 type: 'confirm',
@@ -114,6 +305,12 @@ async function distributeTonToChildren(walletManager) {
             return;
         }
         
+        const selection = await promptSelection(walletManager, 'Which child wallets should receive TON?');
+        const addresses = walletManager.selectChildWallets(selection).map(wallet => wallet.address);
+        
+        const max = await walletManager.getMaxDistributable(addresses);
+        console.log(`📐 Available to distribute: ${max.amount} TON (after ${max.fees.total} TON fees, keeping a ${max.reserve} TON reserve)`);
+        
         const { amount } = await inquirer.prompt([
             {
                 type: 'number',
@@ -128,43 +325,733 @@ async function distributeTonToChildren(walletManager) {
             }
         ]);
         
-        const totalToDistribute = amount === 0 ? parseFloat(masterBalance) * 0.95 : amount;
-        const amountPerWallet = (totalToDistribute / childWallets.children.length).toFixed(6);
+        const totalToDistribute = amount === 0 ? max.amount : amount;
+        if (!(totalToDistribute > 0)) {
+            console.log('❌ Nothing left to distribute after fees and the reserve!');
+            return;
+        }
+        
+        // The preview shows the fee breakdown and refuses plans the master cannot pay for
+        const plan = DistributionPlan.equalSplit(addresses, totalToDistribute);
+        await previewAndExecutePlan(walletManager, plan, { selection });
         
-        console.log(`\n📊 Distribution Details:`);
-        console.log(`Total to Distribute: ${totalToDistribute} TON`);
-        console.log(`Amount per Wallet: ${amountPerWallet} TON`);
-        console.log(`Number of Recipients: ${childWallets.children.length}`);
+    } catch (error) {
+        console.error('❌ Error distributing TON:', error.message);
+    }
+}
+
+async function distributeFromPlanFile(walletManager) {
+    try {
+        const plan = await promptPlanFile('TON');
+        await previewAndExecutePlan(walletManager, plan);
+        
+    } catch (error) {
+        console.error('❌ Error distributing from plan:', error.message);
+    }
+}
+
+async function distributeJettons(walletManager) {
+    try {
+        const { symbol } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'symbol',
+                message: 'Which jetton do you want to distribute?',
+                choices: [...Object.keys(KNOWN_JETTONS), 'Other jetton']
+            }
+        ]);
+        
+        let jetton = symbol;
+        if (symbol === 'Other jetton') {
+            jetton = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'master',
+                    message: 'Jetton master address:',
+                    validate: (input) => {
+                        if (normalizeAddress(input)) {
+                            return true;
+                        }
+                        return 'Please enter a valid TON address';
+                    }
+                },
+                {
+                    type: 'input',
+                    name: 'symbol',
+                    message: 'Token symbol:',
+                    validate: (input) => {
+                        if (input.trim().length > 0) {
+                            return true;
+                        }
+                        return 'Please enter a symbol';
+                    }
+                },
+                {
+                    type: 'number',
+                    name: 'decimals',
+                    message: 'Token decimals:',
+                    default: 9,
+                    validate: (input) => {
+                        if (Number.isInteger(input) && input >= 0 && input <= 18) {
+                            return true;
+                        }
+                        return 'Please enter a whole number between 0 and 18';
+                    }
+                }
+            ]);
+        }
+        
+        const token = resolveJetton(jetton);
+        const masterJettonBalance = await walletManager.getMasterJettonBalance(token);
+        console.log(`\n🪙 Master ${token.symbol} Balance: ${masterJettonBalance ?? 'unknown'} ${token.symbol}`);
+        
+        const { mode } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'mode',
+                message: 'How should the tokens be split?',
+                choices: ['Equal split across all child wallets', 'Plan file (CSV/JSON)']
+            }
+        ]);
+        
+        let plan;
+        if (mode === 'Plan file (CSV/JSON)') {
+            plan = await promptPlanFile(token.symbol);
+        } else {
+            const { children } = await walletManager.getAllWallets();
+            if (children.length === 0) {
+                console.log('❌ No child wallets found! Create some child wallets first.');
+                return;
+            }
+            
+            const { amount } = await inquirer.prompt([
+                {
+                    type: 'number',
+                    name: 'amount',
+                    message: `How much ${token.symbol} do you want to distribute?`,
+                    validate: (input) => {
+                        if (input > 0) {
+                            return true;
+                        }
+                        return 'Please enter a positive number';
+                    }
+                }
+            ]);
+            plan = DistributionPlan.equalSplit(children.map(wallet => wallet.address), amount);
+        }
+        
+        await previewAndExecutePlan(walletManager, plan, { jetton: token });
+        
+    } catch (error) {
+        console.error('❌ Error distributing jettons:', error.message);
+    }
+}
+
+async function promptPlanFile(unit) {
+    const { planPath } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'planPath',
+            message: 'Path to the distribution plan (.csv or .json):',
+            validate: (input) => {
+                if (input.trim().length > 0) {
+                    return true;
+                }
+                return 'Please enter a file path';
+            }
+        }
+    ]);
+    
+    const plan = await DistributionPlan.fromFile(planPath.trim());
+    
+    // CSV files carry no plan-level settings, so ask for the pool shared by weighted rows
+    if (plan.totalAmount === null && plan.recipients.some(recipient => recipient.weight !== null)) {
+        const { totalAmount } = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'totalAmount',
+                message: `Total ${unit} to split across weighted recipients:`,
+                validate: (input) => {
+                    if (input > 0) {
+                        return true;
+                    }
+                    return 'Please enter a positive number';
+                }
+            }
+        ]);
+        plan.totalAmount = totalAmount;
+    }
+    
+    return plan;
+}
+
+async function previewAndExecutePlan(walletManager, plan, options = {}) {
+    const preview = await walletManager.previewDistributionPlan(plan, options);
+    const { symbol } = preview.token;
+    printPlanPreview(preview);
+    
+    if (preview.errors.length > 0) {
+        console.log('❌ Fix the plan errors above before distributing.');
+        return;
+    }
+    
+    // With approvers configured the plan is only written out; it runs from "Run Approved Plan"
+    const approvers = await walletManager.getApprovalConfig();
+    if (approvers) {
+        await savePlanForApproval(walletManager, plan, options, approvers);
+        return;
+    }
+    
+    let policyOverride = null;
+    if (preview.policyViolations.length > 0) {
+        policyOverride = await promptPolicyOverride();
+        if (!policyOverride) {
+            console.log('ℹ️ Distribution cancelled by the spending policy.');
+            return;
+        }
+    }
+    
+    // Without the keystore this machine cannot sign: the job goes to the offline signer instead
+    const locked = !walletManager.keystore.isUnlocked;
+    const { confirm } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: locked
+                ? `The keystore is locked. Prepare ${preview.totalAmount} ${symbol} to ${preview.transfers.length} recipients for offline signing?`
+                : `Send ${preview.totalAmount} ${symbol} to ${preview.transfers.length} recipients?`
+        }
+    ]);
+    
+    if (confirm && locked) {
+        const job = await walletManager.createDistributionJob(plan, { ...options, policyOverride });
+        await prepareOfflineBatch(walletManager, job.id, { policyOverride });
+    } else if (confirm && await confirmMainnet(walletManager, `send ${preview.totalAmount} ${symbol} to ${preview.transfers.length} recipients`)) {
+        console.log(`\n⏳ Starting ${symbol} distribution...`);
+        const result = await walletManager.executeDistributionPlan(plan, { ...options, policyOverride });
+        printJobResult(result, symbol);
+    }
+}
+
+async function savePlanForApproval(walletManager, plan, options, approvers) {
+    console.log(`\n🔏 Distributions need ${approvers.threshold} of ${approvers.operators.length} operator approvals.`);
+    const { out } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'out',
+            message: 'Write the plan for approval to:',
+            default: `plan-${Date.now()}.json`
+        }
+    ]);
+    
+    const document = await walletManager.createApprovalPlan(plan, out, options);
+    console.log(`Plan hash: ${document.hash}`);
+    console.log(`Operators approve it with: node src/index.js plans approve ${out} --key <key.json>`);
+    console.log('Once approved, send it with "Run Approved Plan".');
+}
+
+// Send a plan file that enough operators approved
+async function runApprovedPlan(walletManager) {
+    try {
+        const { file } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'file',
+                message: 'Approved plan file:',
+                validate: (input) => fs.pathExistsSync(input.trim()) ? true : 'File not found'
+            }
+        ]);
+        
+        let checked;
+        try {
+            checked = await walletManager.requireExecutablePlan(file.trim());
+        } catch (error) {
+            if (!(error instanceof PlanApprovalError)) {
+                throw error;
+            }
+            console.log(`⛔ ${error.message}`);
+            return;
+        }
+        
+        const { plan, verification } = checked;
+        const { symbol } = plan.token;
+        console.log(`\n📝 Plan ${plan.id}, created ${plan.createdAt}:`);
+        plan.transfers.forEach((transfer, index) => console.log(`${index + 1}. ${transfer.to} ${transfer.amount} ${symbol}`));
+        console.log(`\nTotal to Distribute: ${plan.totalAmount} ${symbol}`);
+        verification.approvals.forEach(approval => console.log(`✅ Approved by ${approval.operator} at ${approval.at}`));
         
         const { confirm } = await inquirer.prompt([
             {
                 type: 'confirm',
                 name: 'confirm',
-                message: 'Do you want to proceed with the distribution?'
+                message: `Send ${plan.totalAmount} ${symbol} to ${plan.transfers.length} recipients?`
             }
         ]);
+        if (!confirm || !(await confirmMainnet(walletManager, `send ${plan.totalAmount} ${symbol} to ${plan.transfers.length} recipients`))) {
+            return;
+        }
         
-        if (confirm) {
-            console.log('\n⏳ Starting TON distribution...');
-            const result = await walletManager.distributeTonToChildren(totalToDistribute);
+        console.log(`\n⏳ Starting ${symbol} distribution...`);
+        let result;
+        try {
+            result = await walletManager.executeApprovedPlan(file.trim());
+        } catch (error) {
+            if (!(error instanceof PolicyViolationError)) {
+                throw error;
+            }
+            error.violations.forEach(violation => console.log(`⛔ Policy [${violation.rule}]: ${violation.message}`));
+            const policyOverride = await promptPolicyOverride();
+            if (!policyOverride) {
+                return;
+            }
+            result = await walletManager.executeApprovedPlan(file.trim(), { policyOverride });
+        }
+        printJobResult(result, symbol);
+        
+    } catch (error) {
+        console.error('❌ Error running approved plan:', error.message);
+    }
+}
+
+// Prepare, sign (on the air-gapped machine) or broadcast batches of a distribution job
+async function offlineSigning(walletManager) {
+    try {
+        const { step } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'step',
+                message: 'Offline signing:',
+                choices: ['Prepare a batch for the offline signer', 'Sign a batch (offline machine)', 'Broadcast a signed batch']
+            }
+        ]);
+        
+        if (step === 'Prepare a batch for the offline signer') {
+            const jobs = (await walletManager.listDistributionJobs()).filter(job => {
+                const counts = summarizeJob(job);
+                return counts.pending + counts.failed + counts.expired > 0;
+            });
+            if (jobs.length === 0) {
+                console.log('ℹ️ No distribution jobs with transfers left to send - start a distribution first.');
+                return;
+            }
+            
+            const { jobId } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'jobId',
+                    message: 'Which job should be signed offline?',
+                    choices: jobs.map(job => {
+                        const counts = summarizeJob(job);
+                        return { name: `${job.id} - ${job.totalAmount} ${job.token.symbol} (${counts.pending} pending, ${counts.failed + counts.expired} failed)`, value: job.id };
+                    })
+                }
+            ]);
+            await prepareOfflineBatch(walletManager, jobId, { retryFailed: true });
+            
+        } else if (step === 'Sign a batch (offline machine)') {
+            const { file } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'file',
+                    message: 'Unsigned batch file:',
+                    validate: (input) => fs.pathExistsSync(input.trim()) ? true : 'File not found'
+                }
+            ]);
+            
+            const batch = await walletManager.readUnsignedBatch(file.trim());
+            console.log('');
+            summarizeBatch(batch).forEach(line => console.log(line));
             
-            if (result.success) {
-                console.log(`✅ Successfully distributed TON to ${result.successCount} wallets!`);
-                if (result.failedCount > 0) {
-                    console.log(`⚠️ Failed to send to ${result.failedCount} wallets.`);
+            const { confirm, out } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'confirm',
+                    message: 'Sign exactly these transfers?',
+                    default: false
+                },
+                {
+                    type: 'input',
+                    name: 'out',
+                    message: 'Write the signed batch to:',
+                    default: file.trim().replace(/(\.json)?$/, '.signed.json'),
+                    when: (answers) => answers.confirm
                 }
-            } else {
-                console.error('❌ Distribution failed:', result.error);
+            ]);
+            if (confirm) {
+                await walletManager.signOfflineBatch(file.trim(), out);
+                console.log(`Carry ${out} to the online machine and broadcast it there.`);
             }
+            
+        } else {
+            const { file } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'file',
+                    message: 'Signed batch file:',
+                    validate: (input) => fs.pathExistsSync(input.trim()) ? true : 'File not found'
+                }
+            ]);
+            if (!(await confirmMainnet(walletManager, `broadcast the signed batch ${file.trim()}`))) {
+                return;
+            }
+            
+            const result = await walletManager.broadcastSignedBatch(file.trim());
+            const job = await walletManager.jobStore.load(result.jobId);
+            printJobResult(result, job.token.symbol);
+            console.log('Use "Distribution Report" to track confirmations.');
         }
         
     } catch (error) {
-        console.error('❌ Error distributing TON:', error.message);
+        console.error('❌ Error in offline signing:', error.message);
+    }
+}
+
+async function prepareOfflineBatch(walletManager, jobId, options) {
+    const { out } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'out',
+            message: 'Write the unsigned batch to:',
+            default: `batch-${Date.now()}.json`
+        }
+    ]);
+    
+    const batch = await walletManager.prepareOfflineBatch(jobId, out, options);
+    summarizeBatch(batch).forEach(line => console.log(line));
+    console.log(`Sign it on the offline machine ("Offline Signing" with TON_OFFLINE=true) before ${new Date(batch.validUntil * 1000).toISOString()}.`);
+}
+
+function printJobResult(result, symbol) {
+    console.log(`✅ Distributed ${symbol} to ${result.successCount} recipients! (job ${result.jobId})`);
+    if (result.failedCount > 0) {
+        console.log(`⚠️ Failed to send to ${result.failedCount} recipients - use "Retry Failed Transfers" to send them again.`);
+    }
+    if (result.pendingCount > 0) {
+        console.log(`⏳ ${result.pendingCount} recipients are still pending - use "Resume Distribution Job" to continue.`);
+    }
+}
+
+// Pick an unfinished job and continue it (pending recipients) or retry its failed recipients
+async function continueDistributionJob(walletManager, { retryFailed }) {
+    try {
+        const jobs = (await walletManager.listDistributionJobs()).filter(job => {
+            const counts = summarizeJob(job);
+            return retryFailed ? counts.failed + counts.expired > 0 : counts.pending + counts.sending > 0;
+        });
+        
+        if (jobs.length === 0) {
+            console.log(retryFailed ? 'ℹ️ No jobs with failed transfers.' : 'ℹ️ No unfinished distribution jobs.');
+            return;
+        }
+        
+        const { jobId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'jobId',
+                message: retryFailed ? 'Which job should retry its failed transfers?' : 'Which job do you want to resume?',
+                choices: jobs.map(job => {
+                    const counts = summarizeJob(job);
+                    return {
+                        name: `${job.id} - ${job.totalAmount} ${job.token.symbol} (${counts.confirmed + counts.sent} sent, ${counts.pending + counts.sending} pending, ${counts.failed + counts.expired} failed)`,
+                        value: job.id
+                    };
+                })
+            }
+        ]);
+        
+        const job = jobs.find(candidate => candidate.id === jobId);
+        if (!(await confirmMainnet(walletManager, `${retryFailed ? 'retry the failed transfers of' : 'resume'} job ${jobId}`))) {
+            return;
+        }
+        console.log(`\n⏳ ${retryFailed ? 'Retrying failed transfers of' : 'Resuming'} job ${jobId}...`);
+        const run = (options) => retryFailed
+            ? walletManager.retryFailedTransfers(jobId, options)
+            : walletManager.resumeDistributionJob(jobId, options);
+            
+        let result;
+        try {
+            result = await run();
+        } catch (error) {
+            if (!(error instanceof PolicyViolationError)) {
+                throw error;
+            }
+            error.violations.forEach(violation => console.log(`⛔ Policy [${violation.rule}]: ${violation.message}`));
+            const policyOverride = await promptPolicyOverride();
+            if (!policyOverride) {
+                return;
+            }
+            result = await run({ policyOverride });
+        }
+        printJobResult(result, job.token.symbol);
+        
+    } catch (error) {
+        console.error('❌ Error continuing distribution job:', error.message);
+    }
+}
+
+function printPlanPreview(preview) {
+    const { symbol } = preview.token;
+    
+    console.log(`\n📊 Distribution Plan${preview.plan.name ? ` "${preview.plan.name}"` : ''}:`);
+    preview.transfers.forEach((transfer, index) => {
+        const kind = transfer.isChild ? 'child' : 'external';
+        const label = transfer.label ? ` ${transfer.label}` : '';
+        console.log(`${index + 1}. ${transfer.to} ${transfer.amount} ${symbol} (${transfer.rule}, ${kind})${label}`);
+    });
+    console.log(`\nTotal to Distribute: ${preview.totalAmount} ${symbol}`);
+    if (preview.tonFees !== undefined) {
+        console.log(`Master ${symbol} Balance: ${preview.masterJettonBalance} ${symbol}`);
+        console.log(`TON Attached for Gas: ${preview.tonFees} TON`);
+    }
+    formatFeeBreakdown(preview.fees).forEach(line => console.log(line));
+    console.log(`Master Wallet Balance: ${preview.masterBalance} TON (reserve ${preview.reserve} TON)`);
+    console.log(`Number of Recipients: ${preview.transfers.length}`);
+    
+    preview.warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+    preview.errors.forEach(error => console.log(`❌ ${error}`));
+    preview.policyViolations.forEach(violation => console.log(`⛔ Policy [${violation.rule}]: ${violation.message}`));
+}
+
+// Ask whether to send despite spending policy violations; returns the override reason, or null to stop
+async function promptPolicyOverride() {
+    const { override } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'override',
+            message: 'This breaks the spending policy. Override it?',
+            default: false
+        }
+    ]);
+    if (!override) {
+        return null;
+    }
+    
+    const { reason } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'reason',
+            message: 'Reason for the override (logged):',
+            validate: (input) => input.trim().length >= 3 ? true : 'Please give a reason'
+        }
+    ]);
+    return reason.trim();
+}
+
+// Track a job's transfers on-chain, then show how many are confirmed, pending or bounced
+async function showDistributionReport(walletManager) {
+    try {
+        const jobs = await walletManager.listDistributionJobs();
+        if (jobs.length === 0) {
+            console.log('ℹ️ No distribution jobs yet.');
+            return;
+        }
+        
+        const { jobId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'jobId',
+                message: 'Which distribution job?',
+                choices: jobs.reverse().map(job => ({
+                    name: `${job.id} - ${job.totalAmount} ${job.token.symbol} (${job.status})`,
+                    value: job.id
+                }))
+            }
+        ]);
+        
+        const { job, counts, reconciliation } = await walletManager.trackDistributionJob(jobId);
+        const { symbol } = job.token;
+        
+        console.log(`\n📋 Job ${job.id}: ${job.status}`);
+        console.log(`✅ Confirmed: ${counts.confirmed}`);
+        console.log(`⏳ Pending: ${counts.pending + counts.sending + counts.sent}`);
+        console.log(`↩️ Bounced: ${counts.bounced}`);
+        console.log(`❌ Failed: ${counts.failed + counts.expired}`);
+        console.log(formatReconciliation(reconciliation, job.token));
+        if (job.approval) {
+            const approvers = job.approval.approvals.map(approval => `${approval.operator} (${approval.at})`).join(', ');
+            console.log(`🔏 Plan ${job.approval.planId} approved by ${approvers}`);
+        }
+        
+        job.recipients.forEach((recipient, index) => {
+            const details = recipient.lt ? ` lt ${recipient.lt}, fees ${recipient.fees} TON` : '';
+            const error = recipient.error ? ` - ${recipient.error}` : '';
+            console.log(`${index + 1}. ${recipient.to} ${recipient.amount} ${symbol} ${recipient.state}${details}${error}`);
+        });
+        
+    } catch (error) {
+        console.error('❌ Error building distribution report:', error.message);
+    }
+}
+
+// Write wallets or report transfers to CSV/JSON; mnemonics only go to a separate encrypted file
+async function exportData(walletManager) {
+    try {
+        const { what, out } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'what',
+                message: 'What do you want to export?',
+                choices: ['Wallets', 'Distribution and sweep reports']
+            },
+            {
+                type: 'input',
+                name: 'out',
+                message: 'Output file (.csv or .json):',
+                validate: (input) => exportFormatOf(input.trim()) ? true : 'Please use a .csv or .json file name'
+            }
+        ]);
+        const file = out.trim();
+        const format = exportFormatOf(file);
+        
+        if (what === 'Distribution and sweep reports') {
+            const rows = await walletManager.exportReports();
+            await fs.writeFile(file, formatExport(rows, TRANSFER_EXPORT_COLUMNS, format));
+            console.log(`📤 Exported ${rows.length} transfers to ${file}`);
+            return;
+        }
+        
+        const rows = walletManager.exportWallets();
+        await fs.writeFile(file, formatExport(rows, WALLET_EXPORT_COLUMNS, format));
+        console.log(`📤 Exported ${rows.length} wallets to ${file} (no secrets)`);
+        
+        const { includeMnemonics } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'includeMnemonics',
+                message: 'Also export the mnemonics to a separate encrypted file?',
+                default: false
+            }
+        ]);
+        if (!includeMnemonics) {
+            return;
+        }
+        
+        const { secretsOut, confirmation } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'secretsOut',
+                message: 'Secrets file:',
+                default: `${file.replace(/\.(csv|json)$/i, '')}.secrets.json`
+            },
+            {
+                type: 'input',
+                name: 'confirmation',
+                message: 'Anyone holding this file and its passphrase controls the wallets. Type EXPORT to continue:'
+            }
+        ]);
+        if (confirmation.trim() !== 'EXPORT') {
+            console.log('ℹ️ Mnemonic export cancelled.');
+            return;
+        }
+        if (!(await confirmMainnet(walletManager, 'export the mnemonics of mainnet wallets'))) {
+            return;
+        }
+        
+        const passphrase = await promptNewPassphrase('Passphrase for the secrets file (separate from the keystore passphrase):');
+        await walletManager.exportSecrets(secretsOut.trim(), passphrase);
+        
+    } catch (error) {
+        console.error('❌ Error exporting:', error.message);
+    }
+}
+
+async function sweepChildWallets(walletManager) {
+    try {
+        const { children } = await walletManager.getAllWallets();
+        
+        if (children.length === 0) {
+            console.log('❌ No child wallets found! Create some child wallets first.');
+            return;
+        }
+        
+        const { scope, feeReserve, dustThreshold } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'scope',
+                message: 'Which child wallets do you want to sweep?',
+                choices: ['All child wallets', 'Select wallets', 'Group or tag expression']
+            },
+            {
+                type: 'number',
+                name: 'feeReserve',
+                message: 'TON to leave on each wallet for fees:',
+                default: DEFAULT_SWEEP_FEE_RESERVE,
+                validate: (input) => {
+                    if (input >= 0) {
+                        return true;
+                    }
+                    return 'Please enter zero or a positive number';
+                }
+            },
+            {
+                type: 'number',
+                name: 'dustThreshold',
+                message: 'Skip wallets holding less than (TON):',
+                default: DEFAULT_DUST_THRESHOLD,
+                validate: (input) => {
+                    if (input >= 0) {
+                        return true;
+                    }
+                    return 'Please enter zero or a positive number';
+                }
+            }
+        ]);
+        
+        let addresses = null;
+        if (scope === 'Select wallets') {
+            const { selected } = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'selected',
+                    message: 'Select the wallets to sweep:',
+                    choices: children.map(wallet => ({
+                        name: `${wallet.address} (${walletBalance(wallet) ?? '0'} TON)`,
+                        value: wallet.address
+                    })),
+                    validate: (input) => {
+                        if (input.length > 0) {
+                            return true;
+                        }
+                        return 'Please select at least one wallet';
+                    }
+                }
+            ]);
+            addresses = selected;
+        }
+        
+        let selection = null;
+        if (scope === 'Group or tag expression') {
+            selection = await promptSelectionExpression(walletManager, 'Sweep wallets matching:');
+        }
+        
+        const count = addresses ? addresses.length : walletManager.selectChildWallets(selection).length;
+        const { confirm } = await inquirer.prompt([
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: `Sweep ${count} wallets back to the master wallet?`
+            }
+        ]);
+        
+        if (confirm && await confirmMainnet(walletManager, `sweep ${count} wallets to the master`)) {
+            console.log('\n⏳ Starting sweep...');
+            const result = await walletManager.sweepChildrenToMaster({ addresses, selection, feeReserve, dustThreshold });
+            console.log(`✅ Swept ${result.totalAmount} TON from ${result.successCount} wallets!`);
+            if (result.skippedCount > 0) {
+                console.log(`ℹ️ Skipped ${result.skippedCount} wallets below the dust threshold.`);
+            }
+            if (result.failedCount > 0) {
+                console.log(`⚠️ Failed to sweep ${result.failedCount} wallets.`);
+            }
+        }
+        
+    } catch (error) {
+        console.error('❌ Error sweeping child wallets:', error.message);
     }
 }
 
 async function createChildWallets(walletManager) {
-    const { count } = await inquirer.prompt([
+    const { count, version } = await inquirer.prompt([
         {
             type: 'number',
             name: 'count',
@@ -175,19 +1062,25 @@ async function createChildWallets(walletManager) {
                 }
                 return 'Please enter a number between 1 and 1000';
             }
+        },
+        {
+            type: 'list',
+            name: 'version',
+            message: 'Wallet contract version:',
+            choices: WALLET_VERSIONS.filter(version => version !== HIGHLOAD_VERSION),
+            default: walletManager.childWalletVersion
         }
     ]);
     
-    console.log(`\n⏳ Creating ${count} child wallets...`);
+    console.log(`\n⏳ Creating ${count} ${version} child wallets...`);
     
     try {
-        const wallets = await walletManager.createChildWallets(count);
+        const wallets = await walletManager.createChildWallets(count, { version });
         console.log(`✅ Successfully created ${wallets.length} child wallets!`);
         
         console.log('\n📋 Preview of created wallets (first 5):');
         wallets.slice(0, 5).forEach((wallet, index) => {
-            console.log(`${index + 1}. Address: ${wallet.address}`);
-            console.log(`   Mnemonic: ${wallet.mnemonic.join(' ')}`);
+            console.log(`${index + 1}. Address: ${formatAddress(wallet.address, { network: walletManager.network })}`);
             console.log(`   Created: ${wallet.createdAt}`);
             console.log('');
         });
@@ -195,11 +1088,107 @@ async function createChildWallets(walletManager) {
         if (wallets.length > 5) {
             console.log(`... and ${wallets.length - 5} more wallets`);
         }
+        console.log('🔐 Mnemonics are stored encrypted in the keystore.');
     } catch (error) {
         console.error('❌ Error creating child wallets:', error.message);
     }
 }
 
+// Add a deployed wallet the user already owns as a child; its version is detected from the on-chain code
+async function importExistingWallet(walletManager) {
+    const { source } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'source',
+            message: 'What do you want to import?',
+            choices: ['Wallet from mnemonic', 'Wallet from private key', 'Watch-only addresses from CSV']
+        }
+    ]);
+    
+    try {
+        if (source === 'Watch-only addresses from CSV') {
+            const { file } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'file',
+                    message: 'Path to the CSV file (columns: address, label, tags, groups):',
+                    validate: (input) => input.trim().length > 0 ? true : 'Please enter a file path'
+                }
+            ]);
+            const entries = parseWatchOnlyCsv(await fs.readFile(file.trim(), 'utf8'));
+            const { duplicates } = await walletManager.importWatchOnlyWallets(entries);
+            duplicates.forEach(duplicate => console.log(`⚠️ Line ${duplicate.line}: ${duplicate.address} skipped, duplicate of ${duplicate.duplicateOf}`));
+            console.log('👀 Watch-only wallets sync balances and receive distributions, but can never sign.');
+            return;
+        }
+        
+        const { secret, address } = await inquirer.prompt([
+            source === 'Wallet from mnemonic'
+                ? {
+                    type: 'password',
+                    name: 'secret',
+                    mask: '*',
+                    message: '24-word mnemonic of the wallet:',
+                    validate: (input) => input.trim().split(/\s+/).length === 24 ? true : 'Please enter all 24 words'
+                }
+                : {
+                    type: 'password',
+                    name: 'secret',
+                    mask: '*',
+                    message: 'Private key (hex, 32-byte seed or 64-byte secret key):',
+                    validate: (input) => /^(0x)?([0-9a-f]{64}|[0-9a-f]{128})$/i.test(input.trim()) ? true : 'Please enter 64 or 128 hex characters'
+                },
+            {
+                type: 'input',
+                name: 'address',
+                message: 'Expected wallet address (empty to derive a V4R2 wallet):',
+                validate: (input) => !input.trim() || normalizeAddress(input.trim()) ? true : 'Please enter a valid TON address'
+            }
+        ]);
+        
+        const options = { address: address.trim() || null };
+        const wallet = source === 'Wallet from mnemonic'
+            ? await walletManager.importWallet({ mnemonic: secret.trim().split(/\s+/), ...options })
+            : await walletManager.importPrivateKey({ privateKey: secret.trim(), ...options });
+        console.log(`Version: ${wallet.version}, balance: ${walletBalance(wallet)} TON`);
+        console.log('🔐 The key is stored encrypted in the keystore.');
+    } catch (error) {
+        console.error('❌ Error importing wallet:', error.message);
+    }
+}
+
+async function recoverChildWallets(walletManager) {
+    try {
+        const { seed, gapLimit } = await inquirer.prompt([
+            {
+                type: 'password',
+                name: 'seed',
+                mask: '*',
+                message: 'Master seed words to verify (leave empty to use the unlocked master wallet):'
+            },
+            {
+                type: 'number',
+                name: 'gapLimit',
+                message: 'Stop after how many consecutive unused addresses?',
+                default: DEFAULT_GAP_LIMIT,
+                validate: (input) => {
+                    if (input > 0 && input <= 1000) {
+                        return true;
+                    }
+                    return 'Please enter a number between 1 and 1000';
+                }
+            }
+        ]);
+        
+        const mnemonic = seed.trim() ? seed.trim().split(/\s+/) : undefined;
+        const recovered = await walletManager.recoverChildWallets({ mnemonic, gapLimit });
+        console.log(`✅ Recovered ${recovered.length} child wallets!`);
+        
+    } catch (error) {
+        console.error('❌ Error recovering child wallets:', error.message);
+    }
+}
+
 async function viewAllWallets(walletManager) {
     try {
         const allWallets = await walletManager.getAllWallets();
@@ -210,21 +1199,200 @@ async function viewAllWallets(walletManager) {
         
         if (allWallets.master) {
             console.log('\n👑 Master Wallet:');
-            console.log(`Address: ${allWallets.master.address}`);
+            console.log(`Address: ${formatAddress(allWallets.master.address, { network: walletManager.network })}`);
             console.log(`Created: ${allWallets.master.createdAt}`);
         }
         
         if (allWallets.children.length > 0) {
-            console.log('\n👶 Child Wallets:');
-            allWallets.children.forEach((wallet, index) => {
-                console.log(`${index + 1}. ${wallet.address} (${wallet.createdAt})`);
+            const { filter } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'filter',
+                    message: 'Show wallets matching (group/tag expression, empty for all):',
+                    validate: (input) => validateSelection(walletManager, input, { optional: true })
+                }
+            ]);
+            const selection = filter.trim() || null;
+            const children = walletManager.selectChildWallets(selection);
+            const summary = await walletManager.syncChildBalances({ selection });
+            
+            console.log(`\n👶 Child Wallets${selection ? ` matching ${selection}` : ''}:`);
+            children.forEach((wallet, index) => {
+                const origin = wallet.watchOnly ? 'watch-only' : wallet.derivation === 'imported' ? `imported ${wallet.version}` : isLegacyChild(wallet) ? 'legacy' : `${wallet.derivationPath}, ${wallet.version || 'v4r2'}`;
+                const lastKnown = walletBalance(wallet);
+                const balance = wallet.balanceStatus === 'unknown'
+                    ? `unknown${lastKnown !== null ? ` (last known ${lastKnown} TON)` : ''}`
+                    : `${lastKnown ?? '0'} TON`;
+                const state = wallet.accountState ? `, ${wallet.accountState}` : '';
+                const lastTx = wallet.lastTransaction ? `, last tx lt ${wallet.lastTransaction.lt}` : '';
+                const jettons = Object.entries(wallet.jettonBalances || {})
+                    .map(([symbol, balance]) => `, ${balance} ${symbol}`)
+                    .join('');
+                console.log(`${index + 1}. ${formatAddress(wallet.address, { network: walletManager.network })} ${balance} (${wallet.createdAt}, ${origin}${state}${lastTx}${jettons})${formatWalletNames(wallet)}`);
             });
+            
+            console.log(`\n💰 Total in Child Wallets: ${summary.total} TON`);
+            if (summary.unknown > 0) {
+                console.log(`⚠️ ${summary.unknown} balances could not be fetched and are not included in the total.`);
+            }
         }
     } catch (error) {
         console.error('❌ Error retrieving wallets:', error.message);
     }
 }
 
+// Ask whether to target every child or those matching a group/tag expression; returns the expression or null
+async function promptSelection(walletManager, message) {
+    const { target } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'target',
+            message,
+            choices: ['All child wallets', 'Group or tag expression']
+        }
+    ]);
+    
+    if (target === 'All child wallets') {
+        return null;
+    }
+    return promptSelectionExpression(walletManager, 'Wallets matching (e.g. group:campaign-A and not tag:paused):');
+}
+
+async function promptSelectionExpression(walletManager, message) {
+    const { expression } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'expression',
+            message,
+            validate: (input) => validateSelection(walletManager, input)
+        }
+    ]);
+    return expression.trim();
+}
+
+// Inquirer validator: the expression must parse and match at least one child
+function validateSelection(walletManager, input, { optional = false } = {}) {
+    if (optional && !input.trim()) {
+        return true;
+    }
+    try {
+        walletManager.selectChildWallets(input.trim(), { required: true });
+        return true;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function formatWalletNames(wallet) {
+    return [
+        wallet.label ? ` [${wallet.label}]` : '',
+        ...(wallet.tags || []).map(tag => ` #${tag}`),
+        ...(wallet.groups || []).map(group => ` @${group}`)
+    ].join('');
+}
+
+// Label children, tag them and manage group membership
+async function manageWalletNames(walletManager) {
+    try {
+        const { children } = await walletManager.getAllWallets();
+        
+        if (children.length === 0) {
+            console.log('❌ No child wallets found! Create some child wallets first.');
+            return;
+        }
+        
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'What would you like to do?',
+                choices: ['List groups and tags', 'Label a wallet', 'Tag wallets', 'Add wallets to a group', 'Remove wallets from a group']
+            }
+        ]);
+        
+        if (action === 'List groups and tags') {
+            const { groups, tags } = walletManager.listWalletGroups();
+            console.log('\n👥 Groups:');
+            groups.forEach(group => console.log(`  ${group.name} (${group.count} wallets)`));
+            console.log('🏷️ Tags:');
+            tags.forEach(tag => console.log(`  ${tag.name} (${tag.count} wallets)`));
+            if (groups.length === 0 && tags.length === 0) {
+                console.log('  No groups or tags yet.');
+            }
+            return;
+        }
+        
+        if (action === 'Label a wallet') {
+            const { address, label } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'address',
+                    message: 'Which wallet?',
+                    choices: children.map(wallet => ({ name: `${wallet.address}${formatWalletNames(wallet)}`, value: wallet.address }))
+                },
+                {
+                    type: 'input',
+                    name: 'label',
+                    message: 'Label (empty to remove):'
+                }
+            ]);
+            const wallet = await walletManager.setWalletLabel(address, label.trim());
+            console.log(`✅ ${formatAddress(wallet.address, { network: walletManager.network })}${formatWalletNames(wallet)}`);
+            return;
+        }
+        
+        const { selected } = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'selected',
+                message: 'Select the wallets:',
+                choices: children.map(wallet => ({ name: `${wallet.address}${formatWalletNames(wallet)}`, value: wallet.address })),
+                validate: (input) => {
+                    if (input.length > 0) {
+                        return true;
+                    }
+                    return 'Please select at least one wallet';
+                }
+            }
+        ]);
+        const wallets = walletManager.requireChildWallets(selected);
+        
+        if (action === 'Tag wallets') {
+            const { add, remove } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'add',
+                    message: 'Tags to add (comma separated):'
+                },
+                {
+                    type: 'input',
+                    name: 'remove',
+                    message: 'Tags to remove (comma separated):'
+                }
+            ]);
+            await walletManager.tagWallets(wallets, { add: splitNames(add), remove: splitNames(remove) });
+            return;
+        }
+        
+        const { group } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'group',
+                message: 'Group name:',
+                validate: (input) => isValidName(input.trim()) ? true : 'Use letters, digits and - _ . / only'
+            }
+        ]);
+        await walletManager.setGroupMembership(group.trim(), wallets, { remove: action === 'Remove wallets from a group' });
+        
+    } catch (error) {
+        console.error('❌ Error updating wallet names:', error.message);
+    }
+}
+
+function splitNames(input) {
+    return input.split(',').map(name => name.trim()).filter(Boolean);
+}
+
 async function checkMasterBalance(walletManager) {
     try {
         const balance = await walletManager.getMasterWalletBalance();
@@ -234,5 +1402,29 @@ async function checkMasterBalance(walletManager) {
     }
 }
 
-// Start the application
-main().catch(console.error);
\ No newline at end of file
+// Log new deposits to the master and show the latest ones; `watch` keeps polling from the command line
+async function checkDeposits(walletManager) {
+    try {
+        const deposits = await walletManager.checkDeposits();
+        console.log(`\n📥 ${deposits.length} new deposits`);
+        
+        const latest = walletManager.listDeposits({ limit: 10 });
+        if (latest.length > 0) {
+            console.log('\nLatest deposits:');
+            latest.forEach(deposit => {
+                const from = formatAddress(deposit.from, { network: walletManager.network });
+                console.log(`${deposit.receivedAt} ${deposit.amount} TON from ${from}${deposit.fromChild ? ' (child)' : ''}${deposit.comment ? ` "${deposit.comment}"` : ''}`);
+            });
+        }
+        console.log('ℹ️ To keep watching (and distribute automatically), run: node src/index.js watch');
+    } catch (error) {
+        console.error('❌ Error checking deposits:', error.message);
+    }
+}
+
+// Start the application: subcommands run non-interactively, no arguments opens the menu
+if (process.argv.length > 2) {
+    runCli(process.argv.slice(2)).then(exitCode => process.exit(exitCode));
+} else {
+    main().catch(console.error);
+}
\ No newline at end of file
@@ -0,0 +1,80 @@
+import { JettonMaster, JettonWallet, Address, beginCell } from '@ton/ton';
+import { toUnits, fromUnits } from './amounts.js';
+
+// Jettons the manager knows by symbol; anything else is passed as { master, symbol, decimals }
+export const KNOWN_JETTONS = {
+    USDT: {
+        symbol: 'USDT',
+        master: 'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs',
+        decimals: 6
+    }
+};
+
+// TEP-74 transfer op code
+export const JETTON_TRANSFER_OP = 0x0f8a7ea5;
+
+// TEP-74 op of the message returning unused gas to the transfer's response destination
+export const JETTON_EXCESSES_OP = 0xd53276db;
+
+// TON attached to each transfer to pay the sender and receiver jetton wallets' gas (excess is returned)
+export const JETTON_TRANSFER_TON = 0.05;
+
+// TON forwarded to the recipient with the transfer notification
+export const DEFAULT_JETTON_FORWARD_TON = 0.000000001;
+
+export function resolveJetton(jetton) {
+    if (typeof jetton === 'string') {
+        const known = KNOWN_JETTONS[jetton.toUpperCase()];
+        if (!known) {
+            throw new Error(`Unknown jetton ${jetton} - pass { master, symbol, decimals }`);
+        }
+        return { ...known };
+    }
+
+    if (!jetton || !jetton.master || !jetton.symbol) {
+        throw new Error('A jetton needs at least a master address and a symbol');
+    }
+    Address.parse(jetton.master);
+
+    return {
+        symbol: jetton.symbol.toUpperCase(),
+        master: jetton.master,
+        decimals: jetton.decimals ?? 9
+    };
+}
+
+// Decimal token amount -> integer units (e.g. 1.5 USDT -> 1500000n)
+export function toJettonUnits(amount, decimals) {
+    return toUnits(amount, decimals);
+}
+
+export function fromJettonUnits(units, decimals) {
+    return fromUnits(units, decimals);
+}
+
+// Body of the internal message sent to the sender's own jetton wallet
+export function buildJettonTransferBody({ units, destination, responseDestination, forwardTonAmount = 0n, queryId = 0n }) {
+    return beginCell()
+        .storeUint(JETTON_TRANSFER_OP, 32)
+        .storeUint(queryId, 64)
+        .storeCoins(units)
+        .storeAddress(Address.parse(destination))
+        .storeAddress(Address.parse(responseDestination))
+        .storeBit(false) // no custom payload
+        .storeCoins(forwardTonAmount)
+        .storeBit(false) // empty forward payload, stored inline
+        .endCell();
+}
+
+// Ask the jetton master which jetton wallet belongs to `owner`
+export async function getJettonWalletAddress(client, masterAddress, owner) {
+    const master = JettonMaster.create(Address.parse(masterAddress));
+    const address = await master.getWalletAddress(client.provider(master.address, null), Address.parse(owner));
+    return address.toString();
+}
+
+// Balance in integer units (0 while the jetton wallet is not deployed)
+export async function getJettonWalletBalance(client, jettonWalletAddress) {
+    const wallet = JettonWallet.create(Address.parse(jettonWalletAddress));
+    return wallet.getBalance(client.provider(wallet.address, null));
+}
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+// scrypt parameters for new keystores (N=2^15 needs ~32MB of memory)
+const KDF_PARAMS = { name: 'scrypt', N: 32768, r: 8, p: 1, keyLength: 32 };
+const CIPHER = 'aes-256-gcm';
+const CHECK_VALUE = 'ton-wallet-manager-keystore';
+
+// Passphrase-protected keystore: one scrypt-derived key encrypts the secrets of every wallet record
+export class Keystore {
+    constructor(keystorePath) {
+        this.keystorePath = keystorePath;
+        this.key = null;
+    }
+
+    get isUnlocked() {
+        return this.key !== null;
+    }
+
+    async exists() {
+        return fs.pathExists(this.keystorePath);
+    }
+
+    // Create a new keystore file (fresh salt) and keep it unlocked
+    async create(passphrase) {
+        const { key, header } = await this.deriveNew(passphrase);
+        await fs.writeJson(this.keystorePath, header, { spaces: 2 });
+        this.key = key;
+    }
+
+    // Derive a key for a new passphrase without touching the file, so callers can re-encrypt first
+    async deriveNew(passphrase) {
+        if (!passphrase) {
+            throw new Error('Passphrase must not be empty');
+        }
+
+        const kdf = { ...KDF_PARAMS, salt: crypto.randomBytes(16).toString('hex') };
+        const key = await deriveKey(passphrase, kdf);
+
+        return {
+            key,
+            header: {
+                version: 1,
+                kdf,
+                check: encryptWithKey(key, CHECK_VALUE),
+                updatedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    async unlock(passphrase) {
+        const header = await fs.readJson(this.keystorePath);
+        const key = await deriveKey(passphrase, header.kdf);
+
+        try {
+            if (decryptWithKey(key, header.check) !== CHECK_VALUE) {
+                throw new Error('Check value mismatch');
+            }
+        } catch (error) {
+            throw new Error('Invalid keystore passphrase');
+        }
+
+        this.key = key;
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    encrypt(secrets, key = this.key) {
+        if (!key) {
+            throw new Error('Keystore is locked');
+        }
+        return encryptWithKey(key, JSON.stringify(secrets));
+    }
+
+    decrypt(box) {
+        if (!this.key) {
+            throw new Error('Keystore is locked');
+        }
+        return JSON.parse(decryptWithKey(this.key, box));
+    }
+}
+
+// Seal `secrets` under their own passphrase (fresh salt) for files that leave the keystore, such as mnemonic exports
+export async function sealWithPassphrase(secrets, passphrase) {
+    if (!passphrase) {
+        throw new Error('Passphrase must not be empty');
+    }
+
+    const kdf = { ...KDF_PARAMS, salt: crypto.randomBytes(16).toString('hex') };
+    const key = await deriveKey(passphrase, kdf);
+    return { version: 1, kdf, box: encryptWithKey(key, JSON.stringify(secrets)) };
+}
+
+export async function openWithPassphrase(sealed, passphrase) {
+    const key = await deriveKey(passphrase, sealed.kdf);
+    try {
+        return JSON.parse(decryptWithKey(key, sealed.box));
+    } catch (error) {
+        throw new Error('Invalid passphrase for the encrypted file');
+    }
+}
+
+function deriveKey(passphrase, kdf) {
+    if (kdf.name !== 'scrypt') {
+        throw new Error(`Unsupported keystore KDF: ${kdf.name}`);
+    }
+
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'hex'), kdf.keyLength, {
+            N: kdf.N,
+            r: kdf.r,
+            p: kdf.p,
+            maxmem: 128 * kdf.N * kdf.r * 2
+        }, (error, key) => error ? reject(error) : resolve(key));
+    });
+}
+
+function encryptWithKey(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+        cipher: CIPHER,
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+function decryptWithKey(key, box) {
+    const decipher = crypto.createDecipheriv(box.cipher, key, Buffer.from(box.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(box.tag, 'hex'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(box.ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
@@ -0,0 +1,510 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { signVerify } from '@ton/crypto';
+import { TonClient, Address, Cell, TupleReader, beginCell, contractAddress, loadMessageRelaxed, loadOutList, toNano } from '@ton/ton';
+import { JETTON_TRANSFER_OP } from './jetton.js';
+import { detectWalletVersion, readWalletData, DEFAULT_WALLET_VERSION, HIGHLOAD_VERSION, HIGHLOAD_INTERNAL_TRANSFER_OP } from './wallet-contracts.js';
+
+// A network adapter is anything exposing the part of TonClient the manager uses:
+//   provider(address, init) -> { getState(), get(method, args), external(body) }
+//   getBalance(address), getTransactions(address, { limit, lt, hash })
+// TonClient talks to the real network; SimulatedLedger keeps an offline ledger on disk; the offline
+// client of an air-gapped signer refuses every call.
+
+export const TONCENTER_ENDPOINTS = {
+    mainnet: 'https://toncenter.com/api/v2/jsonRPC',
+    testnet: 'https://testnet.toncenter.com/api/v2/jsonRPC'
+};
+
+export function createTonClient({ network = 'testnet', apiKey } = {}) {
+    if (!TONCENTER_ENDPOINTS[network]) {
+        throw new Error(`Unknown TON network: ${network}`);
+    }
+    return new TonClient({ endpoint: TONCENTER_ENDPOINTS[network], apiKey });
+}
+
+// Adapter of an air-gapped signer (--offline): every network call fails, so nothing it does can reach the network
+export function createOfflineClient() {
+    const refuse = async () => {
+        throw new Error('Offline mode - this instance only signs and has no network access');
+    };
+    return {
+        provider: () => ({ getState: refuse, get: refuse, external: refuse }),
+        getBalance: refuse,
+        getTransactions: refuse
+    };
+}
+
+// Fees charged by the simulated ledger, in nanotons
+export const SIMULATED_FEES = {
+    compute: toNano('0.002'), // every wallet transaction: an external message, or a highload wallet's batch to itself
+    deploy: toNano('0.001'), // extra when the transfer also deploys the wallet
+    forward: toNano('0.0004') // every outgoing internal message, paid by the sender
+};
+
+// Source of funds credited with `credit()`, e.g. an exchange withdrawal
+const FAUCET_ADDRESS = new Address(0, Buffer.alloc(32)).toString();
+
+// Bounced messages start with this prefix, followed by the first 256 bits of the original body
+const BOUNCE_PREFIX = 0xffffffff;
+
+// Op of a V5R1 request signed for an external message ('sign')
+const V5R1_SIGNED_EXTERNAL_OP = 0x7369676e;
+
+// Offline ledger with per-address balances, wallet seqnos, jetton balances, fees and transaction
+// history, persisted as JSON after every change. External messages are checked like the wallet
+// contract would (V3R2, V4R2, V5R1: signature, seqno, valid-until; highload v3: signature, query id,
+// creation time) and their internal messages are delivered, so the manager runs the same signing
+// code against it as against the real network.
+export class SimulatedLedger {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = { lt: '1000', accounts: {}, transactions: [] };
+    }
+
+    async load() {
+        if (await fs.pathExists(this.filePath)) {
+            this.data = await fs.readJson(this.filePath);
+        }
+        return this;
+    }
+
+    async save() {
+        await fs.writeJson(`${this.filePath}.tmp`, this.data, { spaces: 2 });
+        await fs.move(`${this.filePath}.tmp`, this.filePath, { overwrite: true });
+    }
+
+    account(address) {
+        const key = Address.parse(address.toString()).toRawString();
+        if (!this.data.accounts[key]) {
+            this.data.accounts[key] = { balance: '0', status: 'uninit', seqno: 0, publicKey: null, last: null };
+        }
+        return this.data.accounts[key];
+    }
+
+    nextLt() {
+        this.data.lt = (BigInt(this.data.lt) + 1n).toString();
+        return BigInt(this.data.lt);
+    }
+
+    // Add TON to an address as an incoming transfer (optionally from `from`, with a text comment)
+    async credit(address, nanotons, { from = FAUCET_ADDRESS, comment = null } = {}) {
+        const body = comment ? beginCell().storeUint(0, 32).storeStringTail(comment).endCell() : Cell.EMPTY;
+        this.deliver({ src: from, dest: address, value: nanotons, bounce: false, body, createdLt: this.nextLt() });
+        await this.save();
+    }
+
+    // Give `owner` jetton units of `jettonMaster` (its jetton wallet is created on the fly)
+    async mintJetton(jettonMaster, owner, units) {
+        const wallet = this.jettonWallet(jettonMaster, owner);
+        wallet.jetton.units = (BigInt(wallet.jetton.units) + units).toString();
+        await this.save();
+    }
+
+    // Deterministic stand-in for the jetton wallet address of `owner`
+    jettonWalletAddress(jettonMaster, owner) {
+        const seed = `${Address.parse(jettonMaster.toString()).toRawString()}:${Address.parse(owner.toString()).toRawString()}`;
+        return new Address(0, crypto.createHash('sha256').update(seed).digest());
+    }
+
+    jettonWallet(jettonMaster, owner) {
+        const account = this.account(this.jettonWalletAddress(jettonMaster, owner));
+        if (!account.jetton) {
+            account.status = 'active';
+            account.jetton = {
+                master: Address.parse(jettonMaster.toString()).toRawString(),
+                owner: Address.parse(owner.toString()).toRawString(),
+                units: '0'
+            };
+        }
+        return account;
+    }
+
+    async getBalance(address) {
+        return BigInt(this.account(address).balance);
+    }
+
+    async getTransactions(address, { limit = 20, lt = null } = {}) {
+        const key = Address.parse(address.toString()).toRawString();
+        const history = this.data.transactions
+            .filter(tx => tx.account === key)
+            .sort((a, b) => (BigInt(b.lt) > BigInt(a.lt) ? 1 : -1));
+        const start = lt ? Math.max(0, history.findIndex(tx => tx.lt === lt)) : 0;
+        return history.slice(start, start + limit).map(toTransaction);
+    }
+
+    provider(address, init = null) {
+        return {
+            getState: async () => {
+                const account = this.account(address);
+                return {
+                    balance: BigInt(account.balance),
+                    last: account.last ? { lt: BigInt(account.last.lt), hash: Buffer.from(account.last.hash, 'hex') } : null,
+                    state: account.status === 'active'
+                        ? {
+                            type: 'active',
+                            code: account.code ? Buffer.from(account.code, 'base64') : null,
+                            data: account.data ? Buffer.from(account.data, 'base64') : null
+                        }
+                        : { type: account.status }
+                };
+            },
+            get: async (name, args = []) => this.runGetMethod(address, name, args),
+            external: async (body) => {
+                this.processExternal(address, init, body);
+                await this.save();
+            }
+        };
+    }
+
+    async runGetMethod(address, name, args) {
+        const account = this.account(address);
+        switch (name) {
+            case 'seqno':
+                return { stack: new TupleReader([{ type: 'int', value: BigInt(account.seqno) }]) };
+            case 'processed?': {
+                const processed = (account.processed || []).some(query => query.queryId === Number(args[0].value));
+                return { stack: new TupleReader([{ type: 'int', value: processed ? -1n : 0n }]) };
+            }
+            case 'get_wallet_address': {
+                const owner = args[0].cell.beginParse().loadAddress();
+                return { stack: new TupleReader([{ type: 'slice', cell: beginCell().storeAddress(this.jettonWalletAddress(address, owner)).endCell() }]) };
+            }
+            case 'get_wallet_data': {
+                if (!account.jetton) {
+                    throw new Error(`Get method ${name} failed: ${address} is not a jetton wallet`);
+                }
+                return {
+                    stack: new TupleReader([
+                        { type: 'int', value: BigInt(account.jetton.units) },
+                        { type: 'slice', cell: beginCell().storeAddress(Address.parseRaw(account.jetton.owner)).endCell() },
+                        { type: 'slice', cell: beginCell().storeAddress(Address.parseRaw(account.jetton.master)).endCell() },
+                        { type: 'cell', cell: Cell.EMPTY }
+                    ])
+                };
+            }
+            default:
+                throw new Error(`Get method ${name} is not supported by the simulated ledger`);
+        }
+    }
+
+    // Accept a signed wallet transfer (or throw like a rejected external message) and send its messages
+    processExternal(address, init, body) {
+        const account = this.account(address);
+        const deploying = account.status !== 'active';
+        const now = Math.floor(Date.now() / 1000);
+
+        let version = account.version || DEFAULT_WALLET_VERSION;
+        if (deploying) {
+            if (!init || !contractAddress(Address.parse(address.toString()).workChain, init).equals(Address.parse(address.toString()))) {
+                throw new Error('External message rejected: wallet is not deployed and no matching state init was attached');
+            }
+            version = detectWalletVersion(init.code);
+            if (!version) {
+                throw new Error('External message rejected: unsupported wallet code');
+            }
+        }
+
+        const wallet = deploying
+            ? readWalletData(version, init.data)
+            : { ...account.wallet, publicKey: Buffer.from(account.publicKey, 'hex') };
+        const request = parseWalletRequest(version, body, wallet.publicKey);
+
+        if (version === HIGHLOAD_VERSION) {
+            if (request.subwalletId !== wallet.subwalletId || request.timeout !== wallet.timeout) {
+                throw new Error('External message rejected: subwallet id or timeout does not match the wallet');
+            }
+            if (request.createdAt > now || request.createdAt <= now - request.timeout) {
+                throw new Error('External message rejected: transfer expired');
+            }
+            // Processed query ids are remembered for two timeouts, like the contract's two query dictionaries
+            account.processed = (account.processed || []).filter(query => query.createdAt > now - 2 * request.timeout);
+            if (account.processed.some(query => query.queryId === request.queryId)) {
+                throw new Error(`External message rejected: query id ${request.queryId} was already processed`);
+            }
+        } else {
+            if (request.seqno !== account.seqno) {
+                throw new Error(`External message rejected: seqno ${request.seqno} does not match ${account.seqno}`);
+            }
+            if (request.validUntil < now) {
+                throw new Error('External message rejected: transfer expired');
+            }
+        }
+
+        const fees = SIMULATED_FEES.compute + (deploying ? SIMULATED_FEES.deploy : 0n);
+        if (BigInt(account.balance) < fees) {
+            throw new Error('External message rejected: not enough balance to pay fees');
+        }
+
+        account.balance = (BigInt(account.balance) - fees).toString();
+        if (deploying) {
+            const { publicKey, ...params } = wallet;
+            Object.assign(account, {
+                status: 'active',
+                version,
+                publicKey: publicKey.toString('hex'),
+                wallet: params,
+                code: init.code.toBoc().toString('base64'),
+                data: init.data.toBoc().toString('base64')
+            });
+        }
+        if (version === HIGHLOAD_VERSION) {
+            account.processed.push({ queryId: request.queryId, createdAt: request.createdAt });
+        } else {
+            account.seqno++;
+        }
+
+        const lt = this.nextLt();
+        const out = this.sendMessages(address, request.messages);
+        this.record(address, lt, {
+            in: { type: 'external-in', dest: Address.parse(address.toString()).toRawString(), body: body.toBoc().toString('base64') },
+            out,
+            totalFees: fees.toString()
+        });
+    }
+
+    // Highload wallets send each batch to themselves; this second transaction sends the transfers
+    processHighloadBatch(message) {
+        const account = this.account(message.dest);
+        const lt = this.nextLt();
+        if (BigInt(account.balance) < SIMULATED_FEES.compute) {
+            this.record(message.dest, lt, { in: serializeMessage(message), out: [], totalFees: '0' });
+            return;
+        }
+        account.balance = (BigInt(account.balance) - SIMULATED_FEES.compute).toString();
+
+        let messages = [];
+        try {
+            const body = message.body.beginParse();
+            if (body.loadUint(32) === HIGHLOAD_INTERNAL_TRANSFER_OP) {
+                body.skip(64); // query id
+                messages = loadOutList(body.loadRef().beginParse())
+                    .filter(action => action.type === 'sendMsg')
+                    .map(action => action.outMsg);
+            }
+        } catch (error) {
+            messages = [];
+        }
+
+        const out = this.sendMessages(message.dest, messages);
+        this.record(message.dest, lt, { in: serializeMessage(message), out, totalFees: SIMULATED_FEES.compute.toString() });
+    }
+
+    // Send a wallet's internal messages; ones it cannot pay for are skipped, as with IGNORE_ERRORS
+    sendMessages(address, messages) {
+        const account = this.account(address);
+        const out = [];
+
+        for (const message of messages) {
+            const value = message.info.value.coins;
+            if (BigInt(account.balance) < value + SIMULATED_FEES.forward) {
+                continue;
+            }
+            account.balance = (BigInt(account.balance) - value - SIMULATED_FEES.forward).toString();
+
+            const outgoing = {
+                src: address,
+                dest: message.info.dest,
+                value,
+                bounce: message.info.bounce,
+                body: message.body,
+                createdLt: this.nextLt()
+            };
+            out.push(serializeMessage(outgoing));
+            this.deliver(outgoing);
+        }
+        return out;
+    }
+
+    // Deliver an internal message: credit the destination, move jettons for jetton transfers,
+    // or bounce it back when the destination cannot accept it
+    deliver(message) {
+        const destination = this.account(message.dest);
+        if (destination.version === HIGHLOAD_VERSION && Address.parse(message.src.toString()).equals(Address.parse(message.dest.toString()))) {
+            this.processHighloadBatch(message);
+            return;
+        }
+
+        let accepted = !(message.bounce && destination.status !== 'active');
+
+        if (accepted && destination.jetton) {
+            accepted = this.applyJettonTransfer(destination, message.body);
+        }
+
+        if (!accepted && message.bounce) {
+            this.record(message.dest, this.nextLt(), { in: serializeMessage(message), out: [], totalFees: '0' });
+            const bounced = {
+                src: message.dest,
+                dest: message.src,
+                value: message.value > SIMULATED_FEES.forward ? message.value - SIMULATED_FEES.forward : 0n,
+                bounce: false,
+                bounced: true,
+                body: bounceBody(message.body),
+                createdLt: this.nextLt()
+            };
+            this.deliver(bounced);
+            return;
+        }
+
+        destination.balance = (BigInt(destination.balance) + message.value).toString();
+        this.record(message.dest, this.nextLt(), { in: serializeMessage(message), out: [], totalFees: '0' });
+    }
+
+    applyJettonTransfer(jettonWallet, body) {
+        try {
+            const slice = body.beginParse();
+            if (slice.loadUint(32) !== JETTON_TRANSFER_OP) {
+                return true;
+            }
+            slice.skip(64);
+            const units = slice.loadCoins();
+            const destination = slice.loadAddress();
+
+            if (BigInt(jettonWallet.jetton.units) < units) {
+                return false;
+            }
+            jettonWallet.jetton.units = (BigInt(jettonWallet.jetton.units) - units).toString();
+            const target = this.jettonWallet(Address.parseRaw(jettonWallet.jetton.master), destination);
+            target.jetton.units = (BigInt(target.jetton.units) + units).toString();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    record(address, lt, { in: inMessage, out, totalFees }) {
+        const account = Address.parse(address.toString()).toRawString();
+        const now = Math.floor(Date.now() / 1000);
+        const hash = crypto.createHash('sha256').update(`${account}:${lt}:${JSON.stringify(inMessage)}`).digest('hex');
+
+        this.data.transactions.push({ account, lt: lt.toString(), now, hash, in: inMessage, out, totalFees });
+        this.account(address).last = { lt: lt.toString(), hash };
+    }
+}
+
+// Check the signature of a wallet's external message and read it: { seqno, validUntil, messages } for
+// seqno wallets, { subwalletId, queryId, createdAt, timeout, messages } for highload wallets
+function parseWalletRequest(version, body, publicKey) {
+    const slice = body.beginParse();
+    let signature;
+    let signed;
+
+    if (version === 'v5r1') {
+        // V5R1 puts the signature after the signed fields
+        const builder = beginCell().storeBits(slice.loadBits(slice.remainingBits - 512));
+        while (slice.remainingRefs > 0) {
+            builder.storeRef(slice.loadRef());
+        }
+        signature = slice.loadBuffer(64);
+        signed = builder.endCell();
+    } else if (version === HIGHLOAD_VERSION) {
+        signature = slice.loadBuffer(64);
+        signed = slice.loadRef();
+    } else {
+        signature = slice.loadBuffer(64);
+        signed = beginCell().storeSlice(slice).endCell();
+    }
+
+    if (!signVerify(signed.hash(), signature, publicKey)) {
+        throw new Error('External message rejected: invalid signature');
+    }
+
+    const payload = signed.beginParse();
+    if (version === HIGHLOAD_VERSION) {
+        const subwalletId = payload.loadUint(32);
+        const message = loadMessageRelaxed(payload.loadRef().beginParse());
+        payload.skip(8); // send mode
+        return {
+            subwalletId,
+            queryId: payload.loadUint(23),
+            createdAt: payload.loadUint(64),
+            timeout: payload.loadUint(22),
+            messages: [message]
+        };
+    }
+
+    if (version === 'v5r1') {
+        if (payload.loadUint(32) !== V5R1_SIGNED_EXTERNAL_OP) {
+            throw new Error('External message rejected: not a signed external request');
+        }
+        payload.skip(32); // wallet id
+        const validUntil = payload.loadUint(32);
+        const seqno = payload.loadUint(32);
+        const actions = payload.loadMaybeRef();
+        const messages = actions
+            ? loadOutList(actions.beginParse()).filter(action => action.type === 'sendMsg').map(action => action.outMsg)
+            : [];
+        return { seqno, validUntil, messages };
+    }
+
+    payload.skip(32); // subwallet id
+    const validUntil = payload.loadUint(32);
+    const seqno = payload.loadUint(32);
+    if (version === 'v4r2') {
+        payload.skip(8); // op
+    }
+    const messages = [];
+    while (payload.remainingRefs > 0) {
+        payload.skip(8); // send mode
+        messages.push(loadMessageRelaxed(payload.loadRef().beginParse()));
+    }
+    return { seqno, validUntil, messages };
+}
+
+function serializeMessage(message) {
+    return {
+        type: 'internal',
+        src: Address.parse(message.src.toString()).toRawString(),
+        dest: Address.parse(message.dest.toString()).toRawString(),
+        value: message.value.toString(),
+        bounce: Boolean(message.bounce),
+        bounced: Boolean(message.bounced),
+        forwardFee: SIMULATED_FEES.forward.toString(),
+        createdLt: message.createdLt.toString(),
+        body: (message.body || Cell.EMPTY).toBoc().toString('base64')
+    };
+}
+
+function bounceBody(body) {
+    const slice = (body || Cell.EMPTY).beginParse();
+    return beginCell()
+        .storeUint(BOUNCE_PREFIX, 32)
+        .storeBits(slice.loadBits(Math.min(256, slice.remainingBits)))
+        .endCell();
+}
+
+// Rebuild a stored transaction in the shape of @ton/core's Transaction (the fields the manager reads)
+function toTransaction(tx) {
+    const toMessage = (message) => {
+        const body = Cell.fromBase64(message.body);
+        if (message.type === 'external-in') {
+            return { info: { type: 'external-in', src: null, dest: Address.parseRaw(message.dest), importFee: 0n }, body };
+        }
+        return {
+            info: {
+                type: 'internal',
+                ihrDisabled: true,
+                bounce: message.bounce,
+                bounced: message.bounced,
+                src: Address.parseRaw(message.src),
+                dest: Address.parseRaw(message.dest),
+                value: { coins: BigInt(message.value) },
+                ihrFee: 0n,
+                forwardFee: BigInt(message.forwardFee),
+                createdLt: BigInt(message.createdLt),
+                createdAt: tx.now
+            },
+            body
+        };
+    };
+
+    return {
+        lt: BigInt(tx.lt),
+        now: tx.now,
+        inMessage: tx.in ? toMessage(tx.in) : undefined,
+        outMessages: new Map(tx.out.map((message, i) => [i, toMessage(message)])),
+        totalFees: { coins: BigInt(tx.totalFees) },
+        description: { type: 'generic', computePhase: { type: 'vm', success: true, exitCode: 0 } },
+        hash: () => Buffer.from(tx.hash, 'hex')
+    };
+}
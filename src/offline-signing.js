@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { canonicalJson } from './plan-approval.js';
+import { normalizeAddress } from './distribution-plan.js';
+import { fromUnits, unitsOf, sumUnits, unitsToNumber } from './amounts.js';
+
+// Air-gapped signing moves a distribution job through two files:
+//   1. prepare (online, keystore locked): the job's pending transfers as an unsigned batch - recipients
+//      and amounts grouped into wallet transfers with their seqnos, a valid-until time and a hash
+//   2. sign (an --offline instance holding the keystore): checks the hash, the master and the expiry,
+//      shows a summary and writes the signed external messages as BOCs
+// The online instance then broadcasts the BOCs in seqno order, journaling every transfer in the job so
+// `report <jobId>` tracks their results like any other distribution.
+// The hash catches corrupted or edited files. Against a compromised online machine, which could rewrite
+// a batch and hash it again, the protection is the summary: check recipients and totals before signing.
+export const UNSIGNED_BATCH_FORMAT = 'ton-wallet-manager-unsigned-batch';
+export const SIGNED_BATCH_FORMAT = 'ton-wallet-manager-signed-batch';
+
+// How long a prepared batch stays signable and broadcastable: the time to carry it offline and back
+export const DEFAULT_OFFLINE_VALIDITY_MINUTES = 60;
+
+// An unsigned batch. `content` holds the job, master, token, valid-until time and the batches
+// ([{ seqno, transfers: [{ to, amount, units, label }] }]); the signed messages carry the exact `units`.
+export function createUnsignedBatch(content) {
+    const batch = {
+        format: UNSIGNED_BATCH_FORMAT,
+        id: `batch_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        createdAt: new Date().toISOString(),
+        ...content
+    };
+    return { ...batch, hash: hashBatch(batch) };
+}
+
+// SHA-256 (hex) over every field of the batch except the hash, with keys sorted
+export function hashBatch(batch) {
+    const content = Object.fromEntries(Object.entries(batch).filter(([field]) => field !== 'hash'));
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+// Throw unless the batch is intact, for this master and network, internally consistent and unexpired
+export function checkUnsignedBatch(batch, { masterAddress, network, simulated, now = Math.floor(Date.now() / 1000) }) {
+    if (!batch || batch.format !== UNSIGNED_BATCH_FORMAT) {
+        throw new Error('Not an unsigned distribution batch');
+    }
+    if (hashBatch(batch) !== batch.hash) {
+        throw new Error(`Batch ${batch.id} does not match its hash - it was changed after it was prepared`);
+    }
+    if (batch.network !== network || batch.simulated !== simulated) {
+        throw new Error(`Batch ${batch.id} was prepared on ${batch.network}${batch.simulated ? ' (simulated)' : ''}`);
+    }
+    if (normalizeAddress(batch.master.address) !== normalizeAddress(masterAddress)) {
+        throw new Error(`Batch ${batch.id} sends from ${batch.master.address}, not from this master wallet`);
+    }
+    if (batch.batches.length === 0 || batch.batches.some((entry, i) => entry.seqno !== batch.seqno + i || entry.transfers.length === 0)) {
+        throw new Error(`Batch ${batch.id} does not hold consecutive non-empty transfers starting at seqno ${batch.seqno}`);
+    }
+    if (batch.totalUnits === undefined || batchUnits(batch) !== BigInt(batch.totalUnits)) {
+        throw new Error(`Batch ${batch.id} totals ${batchTotal(batch)} ${batch.token.symbol}, not the ${batch.totalAmount} it states`);
+    }
+    if (now >= batch.validUntil) {
+        throw new Error(`Batch ${batch.id} expired at ${new Date(batch.validUntil * 1000).toISOString()} - prepare it again`);
+    }
+}
+
+// Human-readable lines describing what signing the batch sends
+export function summarizeBatch(batch) {
+    const { symbol } = batch.token;
+    const transfers = batch.batches.flatMap(entry => entry.transfers.map(transfer => ({ ...transfer, seqno: entry.seqno })));
+
+    return [
+        `🧾 Batch ${batch.id} for job ${batch.jobId} (${batch.network}${batch.simulated ? ', simulated' : ''}), prepared ${batch.createdAt}`,
+        `From master ${batch.master.address}${batch.deployed ? '' : ' (deployed by the first transfer)'}`,
+        ...(batch.masterJettonWallet ? [`${symbol} sent through the master's jetton wallet ${batch.masterJettonWallet}, ${batch.forwardTonAmount} TON forwarded each`] : []),
+        ...transfers.map((transfer, index) => `${index + 1}. ${transfer.to} ${fromUnits(unitsOf(transfer, batch.token.decimals), batch.token.decimals)} ${symbol}${transfer.label ? ` ${transfer.label}` : ''} (seqno ${transfer.seqno})`),
+        `Total: ${batchTotal(batch)} ${symbol} to ${transfers.length} recipients in ${batch.batches.length} signed transfers (seqno ${batch.seqno}-${batch.seqno + batch.batches.length - 1})`,
+        `Valid until ${new Date(batch.validUntil * 1000).toISOString()}`,
+        `Hash: ${batch.hash}`
+    ];
+}
+
+// The signed file: the unsigned batch it was made from plus one BOC per transfer
+export function createSignedBatch(batch, signed) {
+    return {
+        format: SIGNED_BATCH_FORMAT,
+        batchId: batch.id,
+        jobId: batch.jobId,
+        signedAt: new Date().toISOString(),
+        unsigned: batch,
+        batches: signed
+    };
+}
+
+// Sum of the batch's transfers in the token
+export function batchTotal(batch) {
+    return unitsToNumber(batchUnits(batch), batch.token.decimals);
+}
+
+// Exact sum of the batch's transfers in units of the token (bigint)
+export function batchUnits(batch) {
+    return sumUnits(batch.batches.flatMap(entry => entry.transfers.map(transfer => unitsOf(transfer, batch.token.decimals))));
+}
@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { keyPairFromSeed, sign, signVerify } from '@ton/crypto';
+import { isValidName } from './wallet-selection.js';
+
+// Operators who approve distributions are listed in a JSON file; an absent file means no approval is needed:
+//   {
+//     "threshold": 2,                 approvals a plan needs (N)
+//     "operators": [                  the M operators and their Ed25519 public keys (hex)
+//       { "name": "alice", "publicKey": "3b6a27bc..." }
+//     ]
+//   }
+// Each operator keeps the secret half in a key file of their own (see generateOperatorKey); the manager
+// only ever sees public keys.
+//
+// With approvers configured a distribution is first written as a plan file: the resolved recipients,
+// amounts and totals plus a SHA-256 hash of all of it. Operators sign the hash to approve or reject.
+// The plan runs once N valid approvals are attached, no operator has rejected it and the hash still
+// matches its contents.
+export const APPROVAL_PLAN_FORMAT = 'ton-wallet-manager-approval-plan';
+export const OPERATOR_KEY_FORMAT = 'ton-wallet-manager-operator-key';
+
+// Fields added by operators after the plan was created, so not covered by its hash
+const DECISION_FIELDS = ['hash', 'approvals', 'rejections'];
+
+// Thrown when a plan is missing approvals, was rejected or changed since it was created, and when
+// a distribution is started directly while approvals are required
+export class PlanApprovalError extends Error {
+    constructor(message, verification = null) {
+        super(message);
+        this.name = 'PlanApprovalError';
+        this.verification = verification;
+    }
+}
+
+// The approvers in `filePath`, validated, or null when the file does not exist
+export async function loadApprovalConfig(filePath) {
+    if (!filePath || !(await fs.pathExists(filePath))) {
+        return null;
+    }
+
+    let config;
+    try {
+        config = await fs.readJson(filePath);
+    } catch (error) {
+        throw new Error(`Approvers file ${filePath} is not valid JSON: ${error.message}`);
+    }
+    return validateApprovalConfig(config, filePath);
+}
+
+export function validateApprovalConfig(config, source = 'approvers') {
+    const errors = [];
+    const operators = Array.isArray(config && config.operators) ? config.operators : [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Approvers ${source} must be a JSON object`);
+    }
+    if (operators.length === 0) {
+        errors.push('operators must be a non-empty array');
+    }
+    for (const [i, operator] of operators.entries()) {
+        if (!operator || !isValidName(operator.name)) {
+            errors.push(`operator ${i + 1} needs a name (letters, digits and - _ . / only)`);
+        }
+        if (!operator || !/^[0-9a-f]{64}$/i.test(operator.publicKey || '')) {
+            errors.push(`operator ${i + 1} needs a 32-byte hex publicKey`);
+        }
+    }
+    if (new Set(operators.map(operator => operator && operator.name)).size !== operators.length) {
+        errors.push('operator names must be unique');
+    }
+    if (new Set(operators.map(operator => String(operator && operator.publicKey).toLowerCase())).size !== operators.length) {
+        errors.push('operator public keys must be unique');
+    }
+    if (!Number.isInteger(config.threshold) || config.threshold < 1 || config.threshold > operators.length) {
+        errors.push(`threshold must be a whole number between 1 and the number of operators (${operators.length})`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid approvers ${source}: ${errors.join('; ')}`);
+    }
+    return config;
+}
+
+// A new operator key file's contents; the public key goes into the approvers file
+export function generateOperatorKey(name) {
+    if (!isValidName(name)) {
+        throw new Error(`Invalid operator name "${name}": use letters, digits and - _ . / only`);
+    }
+    const keyPair = keyPairFromSeed(crypto.randomBytes(32));
+    return {
+        format: OPERATOR_KEY_FORMAT,
+        name,
+        publicKey: keyPair.publicKey.toString('hex'),
+        secretKey: keyPair.secretKey.toString('hex')
+    };
+}
+
+export async function readOperatorKey(filePath) {
+    const key = await fs.readJson(filePath);
+    if (key.format !== OPERATOR_KEY_FORMAT || !/^[0-9a-f]{128}$/i.test(key.secretKey || '')) {
+        throw new Error(`${filePath} is not an operator key file`);
+    }
+    return key;
+}
+
+// A plan awaiting approval. `content` holds what is approved (network, master, token, transfers, totals, ...).
+export function createApprovalPlan(content) {
+    const plan = {
+        format: APPROVAL_PLAN_FORMAT,
+        id: `plan_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        createdAt: new Date().toISOString(),
+        ...content
+    };
+    return { ...plan, hash: hashApprovalPlan(plan), approvals: [], rejections: [] };
+}
+
+// SHA-256 (hex) over every field of the plan except the hash and the decisions, with keys sorted
+export function hashApprovalPlan(plan) {
+    const content = Object.fromEntries(Object.entries(plan).filter(([field]) => !DECISION_FIELDS.includes(field)));
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+// Sign an approval or rejection of the plan with an operator key. Refuses plans that changed since they
+// were created, keys that are not a configured operator and operators who already decided.
+export function decidePlan(plan, operatorKey, config, { decision, reason = null }) {
+    if (!['approve', 'reject'].includes(decision)) {
+        throw new Error(`Unknown decision: ${decision}`);
+    }
+    if (plan.format !== APPROVAL_PLAN_FORMAT) {
+        throw new Error('Not a distribution plan awaiting approval');
+    }
+    if (hashApprovalPlan(plan) !== plan.hash) {
+        throw new PlanApprovalError(`Plan ${plan.id} does not match its hash - it was changed after it was created`);
+    }
+
+    const operator = config.operators.find(candidate => candidate.publicKey.toLowerCase() === operatorKey.publicKey.toLowerCase());
+    if (!operator) {
+        throw new PlanApprovalError(`Key ${operatorKey.publicKey.slice(0, 16)}... is not one of the configured operators`);
+    }
+    const decided = [...(plan.approvals || []), ...(plan.rejections || [])].find(entry => entry.operator === operator.name);
+    if (decided) {
+        throw new PlanApprovalError(`${operator.name} already ${decided.decision === 'approve' ? 'approved' : 'rejected'} plan ${plan.id}`);
+    }
+    if (decision === 'reject' && !(typeof reason === 'string' && reason.trim())) {
+        throw new Error('A rejection needs a reason');
+    }
+
+    const at = new Date().toISOString();
+    const entry = { operator: operator.name, publicKey: operator.publicKey, decision, at, ...(decision === 'reject' ? { reason: reason.trim() } : {}) };
+    entry.signature = sign(decisionMessage(plan.hash, entry), Buffer.from(operatorKey.secretKey, 'hex')).toString('hex');
+
+    const field = decision === 'approve' ? 'approvals' : 'rejections';
+    return { ...plan, [field]: [...(plan[field] || []), entry] };
+}
+
+// Check the plan against its hash and the configured operators:
+//   status   - 'tampered' (contents changed), 'rejected', 'approved' (threshold reached) or 'pending'
+//   approvals/rejections - decisions with valid signatures of configured operators
+//   invalid  - decisions that do not verify (forged, altered, or by keys no longer configured)
+export function verifyApprovalPlan(plan, config) {
+    const hashValid = plan.format === APPROVAL_PLAN_FORMAT && hashApprovalPlan(plan) === plan.hash;
+    const invalid = [];
+    const valid = { approve: [], reject: [] };
+
+    for (const entry of [...(plan.approvals || []), ...(plan.rejections || [])]) {
+        const operator = config.operators.find(candidate => candidate.name === entry.operator);
+        const problem = !['approve', 'reject'].includes(entry.decision) ? 'unknown decision'
+            : !operator ? 'not a configured operator'
+            : operator.publicKey.toLowerCase() !== String(entry.publicKey).toLowerCase() ? 'signed with a key the operator no longer uses'
+            : !verifyDecision(plan.hash, entry) ? 'signature does not verify'
+            : [...valid.approve, ...valid.reject].some(other => other.operator === entry.operator) ? 'duplicate decision'
+            : null;
+        if (problem) {
+            invalid.push({ operator: entry.operator, decision: entry.decision, problem });
+        } else {
+            valid[entry.decision].push(entry);
+        }
+    }
+
+    const status = !hashValid ? 'tampered'
+        : valid.reject.length > 0 ? 'rejected'
+        : valid.approve.length >= config.threshold ? 'approved'
+        : 'pending';
+
+    return {
+        planId: plan.id,
+        hash: plan.hash,
+        hashValid,
+        status,
+        threshold: config.threshold,
+        operators: config.operators.length,
+        approvals: valid.approve.map(({ operator, publicKey, at, signature }) => ({ operator, publicKey, at, signature })),
+        rejections: valid.reject.map(({ operator, at, reason }) => ({ operator, at, reason })),
+        invalid
+    };
+}
+
+// The verification of an approved plan; throws a PlanApprovalError naming what is missing otherwise
+export function requireApprovedPlan(plan, config) {
+    const verification = verifyApprovalPlan(plan, config);
+    const approvedBy = `${verification.approvals.length} of ${verification.threshold} approvals`;
+
+    switch (verification.status) {
+        case 'tampered':
+            throw new PlanApprovalError(`Plan ${plan.id} does not match its hash - it was changed after it was created`, verification);
+        case 'rejected':
+            throw new PlanApprovalError(`Plan ${plan.id} was rejected by ${verification.rejections.map(rejection => `${rejection.operator} (${rejection.reason})`).join(', ')}`, verification);
+        case 'pending':
+            throw new PlanApprovalError(`Plan ${plan.id} has ${approvedBy}`, verification);
+    }
+    return verification;
+}
+
+function decisionMessage(hash, { decision, operator, at, reason }) {
+    return Buffer.from([APPROVAL_PLAN_FORMAT, decision, hash, operator, at, reason ?? ''].join('\n'));
+}
+
+function verifyDecision(hash, entry) {
+    try {
+        return signVerify(decisionMessage(hash, entry), Buffer.from(entry.signature, 'hex'), Buffer.from(entry.publicKey, 'hex'));
+    } catch (error) {
+        return false;
+    }
+}
+
+// JSON with object keys sorted, so equal contents always hash the same
+export function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
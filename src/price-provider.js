@@ -0,0 +1,197 @@
+import axios from 'axios';
+import fs from 'fs-extra';
+
+// Defaults: reuse an aggregated price for 1 minute, reject quotes older than 10 minutes
+export const DEFAULT_PRICE_TTL_MS = 60 * 1000;
+export const DEFAULT_PRICE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// A price provider has a `name` and `getPrice()` resolving to { price, source, timestamp } (USD per TON)
+
+export class CoinGeckoPriceProvider {
+    constructor({ timeout = 10000 } = {}) {
+        this.name = 'coingecko';
+        this.timeout = timeout;
+    }
+
+    async getPrice() {
+        const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+            params: { ids: 'the-open-network', vs_currencies: 'usd', include_last_updated_at: true },
+            timeout: this.timeout
+        });
+        const data = response.data['the-open-network'];
+
+        return {
+            price: Number(data.usd),
+            source: this.name,
+            timestamp: data.last_updated_at ? new Date(data.last_updated_at * 1000).toISOString() : new Date().toISOString()
+        };
+    }
+}
+
+// Spot ticker of an exchange (Binance TONUSDT by default)
+export class ExchangeTickerPriceProvider {
+    constructor({ symbol = 'TONUSDT', timeout = 10000 } = {}) {
+        this.name = 'binance';
+        this.symbol = symbol;
+        this.timeout = timeout;
+    }
+
+    async getPrice() {
+        const response = await axios.get('https://api.binance.com/api/v3/ticker/price', {
+            params: { symbol: this.symbol },
+            timeout: this.timeout
+        });
+
+        return {
+            price: Number(response.data.price),
+            source: this.name,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+// Manual override; always considered fresh
+export class FixedPriceProvider {
+    constructor(price) {
+        this.name = 'fixed';
+        this.price = Number(price);
+    }
+
+    async getPrice() {
+        return { price: this.price, source: this.name, timestamp: new Date().toISOString() };
+    }
+}
+
+// Reads { "price": 2.5, "timestamp": "..." } from a local file, for offline use and tests
+export class FilePriceProvider {
+    constructor(filePath) {
+        this.name = 'file';
+        this.filePath = filePath;
+    }
+
+    async getPrice() {
+        const data = await fs.readJson(this.filePath);
+        return {
+            price: Number(data.price),
+            source: `${this.name}:${this.filePath}`,
+            timestamp: data.timestamp || (await fs.stat(this.filePath)).mtime.toISOString()
+        };
+    }
+}
+
+// Queries every provider, drops failed or stale quotes and returns the median of the rest.
+// Never invents a price: with no fresh quote it throws, unless `allowStale` accepts the last
+// known (stale) price, which is then flagged with `stale: true` and a warning.
+export class PriceService {
+    constructor(providers, { ttlMs = DEFAULT_PRICE_TTL_MS, maxAgeMs = DEFAULT_PRICE_MAX_AGE_MS, allowStale = false } = {}) {
+        if (!providers || providers.length === 0) {
+            throw new Error('At least one price provider is required');
+        }
+        this.providers = providers;
+        this.ttlMs = ttlMs;
+        this.maxAgeMs = maxAgeMs;
+        this.allowStale = allowStale;
+        this.cached = null;
+        this.cachedAt = 0;
+    }
+
+    async getPrice() {
+        if (this.cached && Date.now() - this.cachedAt < this.ttlMs) {
+            return { ...this.cached, cached: true };
+        }
+
+        const failures = [];
+        const settled = await Promise.allSettled(this.providers.map(provider => provider.getPrice()));
+        const fresh = [];
+        const stale = [];
+
+        settled.forEach((outcome, i) => {
+            const name = this.providers[i].name;
+            if (outcome.status === 'rejected') {
+                failures.push(`${name}: ${outcome.reason.message}`);
+                return;
+            }
+
+            const quote = outcome.value;
+            if (!(quote.price > 0)) {
+                failures.push(`${name}: invalid price ${quote.price}`);
+            } else if (Date.now() - new Date(quote.timestamp).getTime() > this.maxAgeMs) {
+                failures.push(`${name}: stale quote from ${quote.timestamp}`);
+                stale.push(quote);
+            } else {
+                fresh.push(quote);
+            }
+        });
+
+        if (fresh.length > 0) {
+            this.cached = aggregate(fresh, failures);
+            this.cachedAt = Date.now();
+            return { ...this.cached, cached: false };
+        }
+
+        if (this.allowStale) {
+            const fallback = stale.length > 0 ? aggregate(stale, failures) : this.cached;
+            if (fallback) {
+                return {
+                    ...fallback,
+                    cached: fallback === this.cached,
+                    stale: true,
+                    warning: `Using a stale TON price from ${fallback.timestamp} - no fresh quote available`
+                };
+            }
+        }
+
+        throw new Error(`No fresh TON price available (${failures.join('; ')})`);
+    }
+}
+
+// Build the service from environment settings:
+//   TON_PRICE_OVERRIDE=2.75            use this price only
+//   PRICE_SOURCES=coingecko,binance    providers to query (plus `file`, read from PRICE_FILE)
+//   PRICE_CACHE_TTL_MS, PRICE_MAX_AGE_MS, PRICE_ALLOW_STALE=true
+export function createPriceService(env = process.env) {
+    const options = {
+        ttlMs: Number(env.PRICE_CACHE_TTL_MS) || DEFAULT_PRICE_TTL_MS,
+        maxAgeMs: Number(env.PRICE_MAX_AGE_MS) || DEFAULT_PRICE_MAX_AGE_MS,
+        allowStale: env.PRICE_ALLOW_STALE === 'true'
+    };
+
+    if (env.TON_PRICE_OVERRIDE) {
+        return new PriceService([new FixedPriceProvider(env.TON_PRICE_OVERRIDE)], options);
+    }
+
+    const sources = (env.PRICE_SOURCES || 'coingecko,binance').split(',').map(source => source.trim()).filter(Boolean);
+    const providers = sources.map(source => {
+        switch (source) {
+            case 'coingecko':
+                return new CoinGeckoPriceProvider();
+            case 'binance':
+                return new ExchangeTickerPriceProvider();
+            case 'file':
+                return new FilePriceProvider(env.PRICE_FILE || './data/ton_price.json');
+            default:
+                throw new Error(`Unknown price source: ${source}`);
+        }
+    });
+
+    return new PriceService(providers, options);
+}
+
+function aggregate(quotes, failures) {
+    const prices = quotes.map(quote => quote.price).sort((a, b) => a - b);
+    const middle = Math.floor(prices.length / 2);
+    const price = prices.length % 2 === 1 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+
+    // Report the oldest quote's time so the age of the price is never understated
+    const timestamp = quotes
+        .map(quote => quote.timestamp)
+        .sort((a, b) => new Date(a) - new Date(b))[0];
+
+    return {
+        price,
+        source: quotes.map(quote => quote.source).join(', '),
+        timestamp,
+        quotes,
+        failures
+    };
+}
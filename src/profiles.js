@@ -0,0 +1,93 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Named profiles keep networks apart. A profile is one data directory (wallets database, keystore,
+// reports, jobs, spending policy, approvers, simulated ledger) bound to one network, listed in
+// profiles.json (PROFILES_PATH):
+//   {
+//     "default": "testnet",
+//     "profiles": {
+//       "testnet": { "network": "testnet", "dataDir": "./data/testnet", "simulate": true },
+//       "mainnet": { "network": "mainnet", "dataDir": "./data/mainnet" }
+//     }
+//   }
+// dataDir defaults to data/<name>; simulate to TON_SIMULATE. The testnet and mainnet profiles exist even
+// without the file. The active profile comes from --profile, TON_PROFILE or the file's default; with none
+// of them the tool runs without a profile, on ./data and TON_NETWORK.
+export const NETWORKS = ['testnet', 'mainnet'];
+
+export const BUILTIN_PROFILES = {
+    testnet: { network: 'testnet' },
+    mainnet: { network: 'mainnet' }
+};
+
+const PROFILE_NAME_PATTERN = /^[\w.-]+$/;
+
+// Every profile (built-in ones included) and the default profile's name, if any
+export async function loadProfiles(filePath = process.env.PROFILES_PATH || 'profiles.json') {
+    let config = {};
+    if (await fs.pathExists(filePath)) {
+        try {
+            config = await fs.readJson(filePath);
+        } catch (error) {
+            throw new Error(`Profiles file ${filePath} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const errors = [];
+    const profiles = {};
+    for (const [name, settings] of Object.entries({ ...BUILTIN_PROFILES, ...(config.profiles || {}) })) {
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            errors.push(`"${name}" is not a valid profile name (letters, digits and - _ . only)`);
+            continue;
+        }
+        if (!settings || !NETWORKS.includes(settings.network)) {
+            errors.push(`profile ${name} needs a network: ${NETWORKS.join(' or ')}`);
+            continue;
+        }
+        if (settings.simulate !== undefined && typeof settings.simulate !== 'boolean') {
+            errors.push(`profile ${name}: simulate must be true or false`);
+            continue;
+        }
+        profiles[name] = {
+            name,
+            network: settings.network,
+            dataDir: settings.dataDir || path.join('data', name),
+            ...(settings.simulate !== undefined ? { simulate: settings.simulate } : {})
+        };
+    }
+    if (config.default !== undefined && !profiles[config.default]) {
+        errors.push(`default profile ${config.default} is not defined`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid profiles ${filePath}: ${errors.join('; ')}`);
+    }
+    return { defaultProfile: config.default ?? null, profiles };
+}
+
+// The profile named `name` (or TON_PROFILE, or the configured default); null to run without a profile
+export async function resolveProfile(name = process.env.TON_PROFILE || null, { filePath } = {}) {
+    const { defaultProfile, profiles } = await loadProfiles(filePath);
+    const selected = name || defaultProfile;
+    if (!selected) {
+        return null;
+    }
+    if (!profiles[selected]) {
+        throw new Error(`Unknown profile ${selected} (available: ${Object.keys(profiles).join(', ')})`);
+    }
+    return profiles[selected];
+}
+
+// WalletManager options for a profile
+export function profileManagerOptions(profile) {
+    if (!profile) {
+        return {};
+    }
+    return {
+        profile: profile.name,
+        network: profile.network,
+        dataDir: profile.dataDir,
+        ...(profile.simulate !== undefined ? { simulate: profile.simulate } : {})
+    };
+}
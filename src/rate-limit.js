@@ -0,0 +1,43 @@
+// Defaults for bulk lookups against toncenter (1 request per second without an API key)
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_RATE_LIMIT_RETRIES = 5;
+export const DEFAULT_RETRY_DELAY_MS = 1000;
+
+// Map `items` through `fn` with at most `limit` calls in flight; results keep the input order
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// HTTP 429 from toncenter (axios error) or a client error message saying so
+export function isRateLimitError(error) {
+    const status = error.response?.status ?? error.status;
+    return status === 429 || /rate limit|too many requests/i.test(error.message || '');
+}
+
+// Call `fn`, retrying rate-limited calls with exponential backoff (or the server's Retry-After)
+export async function retryOnRateLimit(fn, { retries = DEFAULT_RATE_LIMIT_RETRIES, delayMs = DEFAULT_RETRY_DELAY_MS } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (!isRateLimitError(error) || attempt >= retries) {
+                throw error;
+            }
+
+            const retryAfter = Number(error.response?.headers?.['retry-after']);
+            const wait = retryAfter > 0 ? retryAfter * 1000 : delayMs * 2 ** attempt;
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+}
@@ -0,0 +1,153 @@
+import fs from 'fs-extra';
+import { normalizeAddress } from './distribution-plan.js';
+import { toUnits, unitsToNumber } from './amounts.js';
+
+// A spending policy is a JSON file; every field is optional and an absent file means no limits:
+//   {
+//     "maxPerDistribution": 100,      largest total of one distribution (TON)
+//     "maxPerRecipient": 10,          largest amount to one recipient (TON)
+//     "dailyCap": 250,                most distributed in any rolling 24 hours, this run included (TON)
+//     "weeklyCap": 1000,              the same over a rolling 7 days
+//     "recipients": "children",       "any" (default), "children" (child wallets and the allowList)
+//                                     or "allow-list" (only the allowList)
+//     "allowList": ["EQ..."],
+//     "cooldownMinutes": 30,          minimum time since the previous distribution run that sent anything
+//     "jettons": { "USDT": { "maxPerDistribution": 500, ... } }
+//   }
+// The amount rules above apply to TON; a jetton is limited by its own entry under "jettons" (in token
+// units) and only by the recipient and cooldown rules when it has none. Caps and the cooldown count what
+// past runs sent or confirmed, so a run whose transfers all failed does not hold up its retry.
+
+const AMOUNT_RULES = ['maxPerDistribution', 'maxPerRecipient', 'dailyCap', 'weeklyCap'];
+const RECIPIENT_MODES = ['any', 'children', 'allow-list'];
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const WEEK_MS = 7 * DAY_MS;
+
+// Thrown before anything is sent when a distribution breaks the policy and no override reason was given
+export class PolicyViolationError extends Error {
+    constructor(violations) {
+        super(`Spending policy violated: ${violations.map(violation => `[${violation.rule}] ${violation.message}`).join('; ')}`);
+        this.name = 'PolicyViolationError';
+        this.violations = violations;
+    }
+}
+
+// The policy in `filePath`, validated, or null when the file does not exist
+export async function loadSpendingPolicy(filePath) {
+    if (!filePath || !(await fs.pathExists(filePath))) {
+        return null;
+    }
+
+    let policy;
+    try {
+        policy = await fs.readJson(filePath);
+    } catch (error) {
+        throw new Error(`Spending policy ${filePath} is not valid JSON: ${error.message}`);
+    }
+    return validatePolicy(policy, filePath);
+}
+
+export function validatePolicy(policy, source = 'policy') {
+    const errors = [];
+    const checkAmounts = (limits, prefix) => {
+        for (const rule of AMOUNT_RULES) {
+            if (limits[rule] !== undefined && !(typeof limits[rule] === 'number' && limits[rule] >= 0)) {
+                errors.push(`${prefix}${rule} must be a non-negative number`);
+            }
+        }
+    };
+
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error(`Spending policy ${source} must be a JSON object`);
+    }
+    checkAmounts(policy, '');
+    for (const [symbol, limits] of Object.entries(policy.jettons || {})) {
+        checkAmounts(limits || {}, `jettons.${symbol}.`);
+    }
+    if (policy.recipients !== undefined && !RECIPIENT_MODES.includes(policy.recipients)) {
+        errors.push(`recipients must be one of ${RECIPIENT_MODES.join(', ')}`);
+    }
+    const invalid = (policy.allowList || []).filter(address => !normalizeAddress(address));
+    if (policy.allowList !== undefined && !Array.isArray(policy.allowList)) {
+        errors.push('allowList must be an array of addresses');
+    } else if (invalid.length > 0) {
+        errors.push(`allowList has invalid addresses: ${invalid.join(', ')}`);
+    }
+    if (policy.recipients === 'allow-list' && !(policy.allowList || []).length) {
+        errors.push('recipients "allow-list" needs a non-empty allowList');
+    }
+    if (policy.cooldownMinutes !== undefined && !(typeof policy.cooldownMinutes === 'number' && policy.cooldownMinutes >= 0)) {
+        errors.push('cooldownMinutes must be a non-negative number');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid spending policy ${source}: ${errors.join('; ')}`);
+    }
+    return policy;
+}
+
+// Amount limits that apply to `token` ({ symbol }): the top-level ones for TON, the jetton's own entry otherwise
+export function limitsFor(policy, token) {
+    if (token.symbol === 'TON') {
+        return policy;
+    }
+    return (policy.jettons || {})[token.symbol] || {};
+}
+
+// Every rule the distribution breaks, as [{ rule, message }]. `transfers` are [{ to, amount }];
+// `usage` holds what past runs used: { spentLastDay, spentLastWeek, lastRunAt } (amounts in the token).
+export function evaluatePolicy(policy, { token, transfers, totalAmount, childAddresses = [], usage = {}, now = new Date() }) {
+    const violations = [];
+    const unit = token.symbol;
+    const limits = limitsFor(policy, token);
+
+    if (limits.maxPerDistribution !== undefined && totalAmount > limits.maxPerDistribution) {
+        violations.push({ rule: 'maxPerDistribution', message: `total ${totalAmount} ${unit} exceeds the ${limits.maxPerDistribution} ${unit} maximum per distribution` });
+    }
+
+    if (limits.maxPerRecipient !== undefined) {
+        const over = transfers.filter(transfer => transfer.amount > limits.maxPerRecipient);
+        if (over.length > 0) {
+            violations.push({ rule: 'maxPerRecipient', message: `${over.length} recipients get more than ${limits.maxPerRecipient} ${unit} (largest ${Math.max(...over.map(transfer => transfer.amount))} ${unit})` });
+        }
+    }
+
+    for (const [rule, spent, window] of [['dailyCap', usage.spentLastDay, '24 hours'], ['weeklyCap', usage.spentLastWeek, '7 days']]) {
+        const total = unitsToNumber(toUnits(spent || 0, token.decimals) + toUnits(totalAmount, token.decimals), token.decimals);
+        if (limits[rule] !== undefined && total > limits[rule]) {
+            violations.push({ rule, message: `${spent || 0} ${unit} already distributed in the last ${window}; this run would bring it to ${total} ${unit}, over the ${limits[rule]} ${unit} cap` });
+        }
+    }
+
+    const mode = policy.recipients || 'any';
+    if (mode !== 'any') {
+        const allowed = new Set((policy.allowList || []).map(normalizeAddress));
+        if (mode === 'children') {
+            childAddresses.forEach(address => allowed.add(normalizeAddress(address)));
+        }
+        const outside = transfers.filter(transfer => !allowed.has(normalizeAddress(transfer.to)));
+        if (outside.length > 0) {
+            const allowedText = mode === 'children' ? 'child wallets or the allow-list' : 'the allow-list';
+            violations.push({ rule: 'recipients', message: `${outside.length} recipients are not ${allowedText}: ${outside.slice(0, 3).map(transfer => transfer.to).join(', ')}${outside.length > 3 ? ', ...' : ''}` });
+        }
+    }
+
+    if (policy.cooldownMinutes !== undefined && usage.lastRunAt) {
+        const elapsedMinutes = (now.getTime() - new Date(usage.lastRunAt).getTime()) / 60000;
+        if (elapsedMinutes < policy.cooldownMinutes) {
+            violations.push({ rule: 'cooldownMinutes', message: `the previous distribution ran ${Math.floor(elapsedMinutes)} minutes ago; the policy requires ${policy.cooldownMinutes} minutes between runs` });
+        }
+    }
+
+    return violations;
+}
+
+// An override reason must say something; it is stored with the job, its reports and the override log
+export function requireOverrideReason(reason) {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (text.length < 3) {
+        throw new Error('A policy override needs a reason');
+    }
+    return text;
+}
@@ -0,0 +1,419 @@
+import Database from 'better-sqlite3';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { Address } from '@ton/ton';
+import { toUnits, fromUnits, sumUnits, unitsToNumber } from './amounts.js';
+
+// Transfer statuses that took funds off the master ('success' in reports from before journaled jobs); only
+// these count toward the spending policy's caps and cooldown
+const DEBITED_STATUSES = "'sent', 'confirmed', 'success'";
+
+// Schema changes, applied in order; PRAGMA user_version records how many a database has seen.
+// Append new entries - never edit one that has shipped.
+const MIGRATIONS = [
+    `
+    CREATE TABLE wallets (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL CHECK (type IN ('master', 'child')),
+        address TEXT NOT NULL,
+        raw_address TEXT NOT NULL UNIQUE,
+        wallet_index INTEGER,
+        version TEXT,
+        position INTEGER NOT NULL,
+        record TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX wallets_type ON wallets (type, position);
+
+    CREATE TABLE distributions (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL CHECK (kind IN ('distribution', 'sweep')),
+        job_id TEXT,
+        status TEXT,
+        token TEXT NOT NULL,
+        total_amount REAL,
+        network TEXT,
+        simulated INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        report TEXT NOT NULL
+    );
+    CREATE INDEX distributions_job ON distributions (job_id);
+    CREATE INDEX distributions_created ON distributions (created_at);
+
+    CREATE TABLE transfers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        distribution_id TEXT NOT NULL REFERENCES distributions (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        from_address TEXT,
+        to_address TEXT,
+        amount REAL NOT NULL,
+        status TEXT NOT NULL,
+        tx_hash TEXT,
+        lt TEXT,
+        fees TEXT,
+        error TEXT
+    );
+    CREATE INDEX transfers_distribution ON transfers (distribution_id, position);
+    CREATE INDEX transfers_from ON transfers (from_address);
+    CREATE INDEX transfers_to ON transfers (to_address);
+
+    CREATE TABLE balance_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        address TEXT NOT NULL,
+        balance TEXT NOT NULL,
+        account_state TEXT,
+        last_lt TEXT,
+        taken_at TEXT NOT NULL
+    );
+    CREATE INDEX balance_snapshots_address ON balance_snapshots (address, taken_at);
+    `,
+    `
+    CREATE TABLE policy_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        violations TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX policy_overrides_job ON policy_overrides (job_id);
+    `,
+    `
+    CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    `,
+    `
+    ALTER TABLE distributions ADD COLUMN total_units TEXT;
+    ALTER TABLE transfers ADD COLUMN units TEXT;
+    `,
+    `
+    CREATE TABLE deposits (
+        hash TEXT PRIMARY KEY,
+        address TEXT NOT NULL,
+        lt TEXT NOT NULL,
+        from_address TEXT NOT NULL,
+        from_child INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        units TEXT NOT NULL,
+        comment TEXT,
+        received_at TEXT NOT NULL,
+        recorded_at TEXT NOT NULL
+    );
+    CREATE INDEX deposits_address ON deposits (address, received_at);
+    `,
+    `
+    ALTER TABLE balance_snapshots ADD COLUMN units TEXT;
+    `
+];
+
+// SQLite storage for wallet records, distribution and sweep reports (with one row per transfer), balance
+// snapshots and the deposit log. Every multi-row write runs in a single transaction. Addresses are indexed in raw
+// form, so any friendly form of an address finds the same rows.
+export class Storage {
+    constructor(dbPath) {
+        this.dbPath = dbPath;
+        this.db = null;
+    }
+
+    // Open the database on first use and bring its schema up to date
+    connection() {
+        if (this.db) {
+            return this.db;
+        }
+
+        fs.ensureDirSync(path.dirname(this.dbPath));
+        const db = new Database(this.dbPath);
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+
+        const applied = db.pragma('user_version', { simple: true });
+        db.transaction(() => {
+            MIGRATIONS.slice(applied).forEach(sql => db.exec(sql));
+            db.pragma(`user_version = ${MIGRATIONS.length}`);
+        })();
+
+        this.db = db;
+        return db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // Run `fn` in one transaction; nested calls join the outer one
+    transaction(fn) {
+        return this.connection().transaction(fn)();
+    }
+
+    // Stored records as they were saved (secrets stay in their encrypted box): { master, children }
+    loadWallets() {
+        const rows = this.connection().prepare('SELECT type, record FROM wallets ORDER BY type DESC, position').all();
+        const master = rows.find(row => row.type === 'master');
+
+        return {
+            master: master ? JSON.parse(master.record) : null,
+            children: rows.filter(row => row.type === 'child').map(row => JSON.parse(row.record))
+        };
+    }
+
+    hasWallets() {
+        return this.connection().prepare('SELECT 1 FROM wallets LIMIT 1').get() !== undefined;
+    }
+
+    saveMasterWallet(record) {
+        this.transaction(() => {
+            this.connection().prepare("DELETE FROM wallets WHERE type = 'master'").run();
+            this.insertWallet('master', record, 0);
+        });
+    }
+
+    // Replace the stored children with `records`, optionally recording balance snapshots in the same transaction
+    saveChildWallets(records, { snapshots = [] } = {}) {
+        this.transaction(() => {
+            this.connection().prepare("DELETE FROM wallets WHERE type = 'child'").run();
+            records.forEach((record, position) => this.insertWallet('child', record, position));
+            this.saveBalanceSnapshots(snapshots);
+        });
+    }
+
+    insertWallet(type, record, position) {
+        this.connection().prepare(`
+            INSERT INTO wallets (id, type, address, raw_address, wallet_index, version, position, record, updated_at)
+            VALUES (@id, @type, @address, @rawAddress, @index, @version, @position, @record, @updatedAt)
+        `).run({
+            id: type === 'master' ? 'master' : record.id,
+            type,
+            address: record.address,
+            rawAddress: toRawAddress(record.address),
+            index: record.index ?? null,
+            version: record.version ?? null,
+            position,
+            record: JSON.stringify(record),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    // Stored record of the master or child at `address` (any friendly form), or null
+    findWallet(address) {
+        const row = this.connection().prepare('SELECT record FROM wallets WHERE raw_address = ?').get(toRawAddress(address));
+        return row ? JSON.parse(row.record) : null;
+    }
+
+    // Save a distribution or sweep report and its transfers; returns the report id
+    saveReport(kind, report, { id = `${kind}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`, source = null } = {}) {
+        this.transaction(() => {
+            this.connection().prepare(`
+                INSERT INTO distributions (id, kind, job_id, status, token, total_amount, total_units, network, simulated, created_at, updated_at, report)
+                VALUES (@id, @kind, @jobId, @status, @token, @totalAmount, @totalUnits, @network, @simulated, @createdAt, @createdAt, @report)
+            `).run({
+                id,
+                kind,
+                jobId: report.jobId ?? null,
+                status: reportStatus(kind, report),
+                token: report.token ? report.token.symbol : 'TON',
+                totalAmount: report.totalAmount ?? null,
+                totalUnits: report.totalUnits ?? null,
+                network: report.network ?? null,
+                simulated: report.simulated ? 1 : 0,
+                createdAt: report.timestamp || new Date().toISOString(),
+                report: JSON.stringify(report)
+            });
+            this.insertTransfers(id, kind, report, source);
+        });
+        return id;
+    }
+
+    // Replace a stored report (and its transfers) with an updated version; returns false if it does not exist
+    updateReport(id, report, { source = null } = {}) {
+        return this.transaction(() => {
+            const row = this.connection().prepare('SELECT kind FROM distributions WHERE id = ?').get(id);
+            if (!row) {
+                return false;
+            }
+
+            this.connection().prepare(`
+                UPDATE distributions SET status = @status, updated_at = @updatedAt, report = @report WHERE id = @id
+            `).run({ id, status: reportStatus(row.kind, report), updatedAt: new Date().toISOString(), report: JSON.stringify(report) });
+            this.connection().prepare('DELETE FROM transfers WHERE distribution_id = ?').run(id);
+            this.insertTransfers(id, row.kind, report, source);
+            return true;
+        });
+    }
+
+    // One row per transfer: distributions send from the master (`source`), sweeps send to `report.destination`
+    insertTransfers(id, kind, report, source) {
+        const insert = this.connection().prepare(`
+            INSERT INTO transfers (distribution_id, position, from_address, to_address, amount, units, status, tx_hash, lt, fees, error)
+            VALUES (@id, @position, @from, @to, @amount, @units, @status, @txHash, @lt, @fees, @error)
+        `);
+
+        const transactions = (report.results && report.results.transactions) || [];
+        transactions.forEach((transaction, position) => insert.run({
+            id,
+            position,
+            from: toRawAddress(kind === 'sweep' ? transaction.from : source),
+            to: toRawAddress(kind === 'sweep' ? report.destination : transaction.to),
+            amount: transaction.amount ?? 0,
+            units: transaction.units ?? null,
+            status: transaction.status,
+            txHash: transaction.txHash ?? null,
+            lt: transaction.lt ?? null,
+            fees: transaction.fees ?? null,
+            error: transaction.error ?? null
+        }));
+    }
+
+    getReport(id) {
+        const row = this.connection().prepare('SELECT report FROM distributions WHERE id = ?').get(id);
+        return row ? JSON.parse(row.report) : null;
+    }
+
+    // Report summaries, newest first: { id, kind, jobId, status, token, totalAmount, createdAt }
+    listReports({ kind = null, limit = 100 } = {}) {
+        return this.connection().prepare(`
+            SELECT id, kind, job_id AS jobId, status, token, total_amount AS totalAmount, created_at AS createdAt
+            FROM distributions WHERE @kind IS NULL OR kind = @kind
+            ORDER BY created_at DESC LIMIT @limit
+        `).all({ kind, limit });
+    }
+
+    // Every stored transfer from or to `address`, newest first
+    getTransfersByAddress(address) {
+        const raw = toRawAddress(address);
+        return this.connection().prepare(`
+            SELECT t.distribution_id AS reportId, d.kind, d.token, t.from_address AS fromAddress, t.to_address AS toAddress,
+                   t.amount, t.units, t.status, t.tx_hash AS txHash, t.lt, t.fees, t.error, d.created_at AS createdAt
+            FROM transfers t JOIN distributions d ON d.id = t.distribution_id
+            WHERE t.from_address = @raw OR t.to_address = @raw
+            ORDER BY d.created_at DESC, t.position
+        `).all({ raw });
+    }
+
+    // Total of `token` distributed by reports created since `since` (ISO time), counting only transfers that were
+    // sent or confirmed - not what failed, expired, bounced or is still pending. Every run of a job saves a report with all its recipients, so each job counts once,
+    // by its latest report.
+    getDistributedSince(token, since, { excludeJobId = null, decimals = 9 } = {}) {
+        // Summed in units here, not by SQL over floats; rows written before `units` fall back to the amount
+        const rows = this.connection().prepare(`
+            SELECT t.amount, t.units
+            FROM transfers t JOIN distributions d ON d.id = t.distribution_id
+            WHERE d.kind = 'distribution' AND d.token = @token AND d.created_at >= @since
+              AND t.status IN (${DEBITED_STATUSES})
+              AND (@excludeJobId IS NULL OR d.job_id IS NULL OR d.job_id != @excludeJobId)
+              AND (d.job_id IS NULL OR d.created_at = (SELECT MAX(created_at) FROM distributions latest WHERE latest.job_id = d.job_id))
+        `).all({ token, since, excludeJobId });
+        return unitsToNumber(sumUnits(rows.map(row => (row.units !== null ? BigInt(row.units) : toUnits(row.amount, decimals)))), decimals);
+    }
+
+    // Time of the latest distribution report (of another job than `excludeJobId`) that moved funds, or null
+    getLastDistributionAt({ excludeJobId = null } = {}) {
+        const row = this.connection().prepare(`
+            SELECT MAX(d.created_at) AS createdAt FROM distributions d
+            WHERE d.kind = 'distribution' AND (@excludeJobId IS NULL OR d.job_id IS NULL OR d.job_id != @excludeJobId)
+              AND EXISTS (SELECT 1 FROM transfers t WHERE t.distribution_id = d.id AND t.status IN (${DEBITED_STATUSES}))
+        `).get({ excludeJobId });
+        return row.createdAt;
+    }
+
+    // Record that `jobId` was allowed to break the spending policy, and why
+    logPolicyOverride({ jobId, reason, violations }) {
+        this.connection().prepare(`
+            INSERT INTO policy_overrides (job_id, reason, violations, created_at) VALUES (?, ?, ?, ?)
+        `).run(jobId, reason, JSON.stringify(violations), new Date().toISOString());
+    }
+
+    // Logged policy overrides, newest first: { jobId, reason, violations, createdAt }
+    listPolicyOverrides({ limit = 100 } = {}) {
+        return this.connection().prepare(`
+            SELECT job_id AS jobId, reason, violations, created_at AS createdAt FROM policy_overrides ORDER BY id DESC LIMIT ?
+        `).all(limit).map(row => ({ ...row, violations: JSON.parse(row.violations) }));
+    }
+
+    // Add deposits to `address` to the deposit log; returns the ones not logged before
+    recordDeposits(address, deposits) {
+        const insert = this.connection().prepare(`
+            INSERT OR IGNORE INTO deposits (hash, address, lt, from_address, from_child, amount, units, comment, received_at, recorded_at)
+            VALUES (@hash, @address, @lt, @from, @fromChild, @amount, @units, @comment, @receivedAt, @recordedAt)
+        `);
+        const recordedAt = new Date().toISOString();
+        return this.transaction(() => deposits.filter(deposit => insert.run({
+            ...deposit,
+            address: toRawAddress(address),
+            fromChild: deposit.fromChild ? 1 : 0,
+            recordedAt
+        }).changes > 0));
+    }
+
+    // Logged deposits to `address` (any friendly form), newest first
+    listDeposits(address, { limit = 100 } = {}) {
+        return this.connection().prepare(`
+            SELECT hash, lt, from_address AS "from", from_child AS fromChild, amount, units, comment, received_at AS receivedAt
+            FROM deposits WHERE address = ? ORDER BY CAST(lt AS INTEGER) DESC LIMIT ?
+        `).all(toRawAddress(address), limit).map(row => ({ ...row, fromChild: Boolean(row.fromChild) }));
+    }
+
+    // A value kept with the data (such as the network it belongs to), or null when it was never set
+    getSetting(key) {
+        const row = this.connection().prepare('SELECT value FROM settings WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+
+    setSetting(key, value) {
+        this.connection().prepare(`
+            INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value
+        `).run(key, String(value));
+    }
+
+    // `snapshots`: [{ address, units (nanotons), accountState, lastLt, takenAt }]
+    saveBalanceSnapshots(snapshots) {
+        const insert = this.connection().prepare(`
+            INSERT INTO balance_snapshots (address, balance, units, account_state, last_lt, taken_at)
+            VALUES (@address, @balance, @units, @accountState, @lastLt, @takenAt)
+        `);
+        this.transaction(() => {
+            for (const snapshot of snapshots) {
+                insert.run({
+                    address: toRawAddress(snapshot.address),
+                    balance: fromUnits(snapshot.units),
+                    units: String(snapshot.units),
+                    accountState: snapshot.accountState ?? null,
+                    lastLt: snapshot.lastLt ?? null,
+                    takenAt: snapshot.takenAt
+                });
+            }
+        });
+    }
+
+    // Balance history of an address, newest first; snapshots taken before they carried `units` have it null
+    getBalanceHistory(address, { limit = 100 } = {}) {
+        return this.connection().prepare(`
+            SELECT balance, units, account_state AS accountState, last_lt AS lastLt, taken_at AS takenAt
+            FROM balance_snapshots WHERE address = ? ORDER BY taken_at DESC, id DESC LIMIT ?
+        `).all(toRawAddress(address), limit);
+    }
+}
+
+// Raw form of an address for indexing; strings that do not parse are kept as they are
+function toRawAddress(address) {
+    if (!address) {
+        return null;
+    }
+    try {
+        return Address.parse(address).toRawString();
+    } catch (error) {
+        return address;
+    }
+}
+
+function reportStatus(kind, report) {
+    if (kind === 'distribution') {
+        return report.jobStatus ?? null;
+    }
+    return report.results && report.results.success ? 'completed' : 'partial';
+}
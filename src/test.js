@@ -1,13 +1,1328 @@
-import { WalletManager } from './wallet-manager.js';
+import { WalletManager, toPublicWallet } from './wallet-manager.js';
+import { SimulatedLedger } from './network.js';
+import { estimateDistributionFees, maxDistributableAmount, DEFAULT_FEE_SCHEDULE } from './fee-estimator.js';
+import { DistributionPlan } from './distribution-plan.js';
+import { toUnits, fromUnits } from './amounts.js';
+import { parseSelection } from './wallet-selection.js';
+import { parseWatchOnlyCsv } from './wallet-import.js';
+import { readSecretsExport } from './export.js';
+import { generateOperatorKey, verifyApprovalPlan, PlanApprovalError } from './plan-approval.js';
+import { hashBatch } from './offline-signing.js';
+import { resolveProfile, profileManagerOptions } from './profiles.js';
+import { watchDeposits } from './deposit-watcher.js';
+import { openWalletContract } from './wallet-contracts.js';
+import { runCli, EXIT_CODES } from './cli.js';
+import { PriceService, FixedPriceProvider, FilePriceProvider } from './price-provider.js';
+import { buildJettonTransferBody, toJettonUnits, fromJettonUnits, JETTON_TRANSFER_OP } from './jetton.js';
+import { mnemonicNew, mnemonicToPrivateKey } from '@ton/crypto';
+import { Address, TupleReader, loadMessageRelaxed, beginCell, toNano } from '@ton/ton';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Minimal in-memory client: accepts externals and bumps the wallet seqno
+function createMockClient() {
+    const sent = [];
+    const transactions = [];
+    let seqno = 0;
+    let lt = 1000n;
+    
+    // Transactions of the wallet, newest first, shaped like @ton/core's Transaction
+    const addTransaction = (inMessage, outMessages = []) => {
+        lt += 10n;
+        const txLt = lt;
+        transactions.unshift({
+            lt: txLt,
+            now: Math.floor(Date.now() / 1000),
+            inMessage,
+            outMessages: new Map(outMessages.map((message, i) => [i, message])),
+            totalFees: { coins: toNano('0.004') },
+            description: { type: 'generic', computePhase: { type: 'vm', success: true, exitCode: 0 } },
+            hash: () => Buffer.from(txLt.toString(16).padStart(64, '0'), 'hex')
+        });
+    };
+    
+    return {
+        sent,
+        transactions,
+        async getBalance() {
+            return toNano('5');
+        },
+        // A message coming back bounced from `src`
+        bounce(src, amount) {
+            addTransaction({ info: { type: 'internal', bounced: true, src: Address.parse(src), value: { coins: toNano(amount) } }, body: beginCell().endCell() });
+        },
+        async getTransactions(address, { limit, lt: fromLt }) {
+            const start = fromLt ? transactions.findIndex(tx => tx.lt.toString() === fromLt) : 0;
+            return transactions.slice(start, start + limit);
+        },
+        provider(address) {
+            return {
+                async getState() {
+                    return {
+                        balance: 0n,
+                        last: null,
+                        state: seqno > 0 ? { type: 'active', code: null, data: null } : { type: 'uninit' }
+                    };
+                },
+                async get(name) {
+                    if (name !== 'seqno') {
+                        throw new Error(`Unsupported get-method ${name}`);
+                    }
+                    return { stack: new TupleReader([{ type: 'int', value: BigInt(seqno) }]) };
+                },
+                async external(body) {
+                    sent.push(body);
+                    seqno++;
+                    
+                    // Skip signature, subwallet id, valid_until, seqno and op; each ref is one outgoing message
+                    const slice = body.beginParse();
+                    slice.skip(512 + 32 + 32 + 32 + 8);
+                    const outMessages = [];
+                    while (slice.remainingRefs > 0) {
+                        slice.loadUint(8);
+                        const message = loadMessageRelaxed(slice.loadRef().beginParse());
+                        outMessages.push({ info: { ...message.info, src: address, createdLt: lt + 11n, forwardFee: toNano('0.001') }, body: message.body });
+                    }
+                    addTransaction({ info: { type: 'external-in', dest: address }, body }, outMessages);
+                }
+            };
+        }
+    };
+}
+
+async function testBatchedTransfers(masterWallet, childWallets) {
+    const mockClient = createMockClient();
+    const manager = new WalletManager({ client: mockClient, seqnoPollInterval: 10 });
+    manager.masterWallet = masterWallet;
+    
+    const recipients = Array.from({ length: 6 }, (_, i) => ({
+        to: childWallets[i % childWallets.length].address,
+        amount: 0.1
+    }));
+    const first = await manager.sendTonBatch(recipients.slice(0, 4));
+    const second = await manager.sendTonBatch(recipients.slice(4));
+    
+    // Skip signature (512 bits), subwallet id, valid_until, seqno and op
+    const slice = mockClient.sent[0].beginParse();
+    slice.skip(512 + 32 + 32 + 32 + 8);
+    let messageCount = 0;
+    while (slice.remainingRefs > 0) {
+        slice.loadUint(8);
+        loadMessageRelaxed(slice.loadRef().beginParse());
+        messageCount++;
+    }
+    
+    if (first.seqno !== 0 || second.seqno !== 1 || messageCount !== 4 || first.hash === second.hash) {
+        throw new Error('Batched transfer check failed');
+    }
+    console.log(`✅ Signed ${mockClient.sent.length} transfers (${messageCount} messages in the first), hash ${first.hash.slice(0, 16)}...`);
+}
+
+async function testKeystore(dataDir, walletManager) {
+    const { master, children } = walletManager.storage.loadWallets();
+    for (const record of [master, ...children]) {
+        if (record.mnemonic || record.privateKey || !record.encrypted) {
+            throw new Error(`Stored record of ${record.address} still contains plaintext secrets`);
+        }
+    }
+    
+    // View-only: addresses load without the passphrase, signing is refused
+    const locked = new WalletManager({ dataDir });
+    await locked.initialize();
+    if (locked.childWallets.length !== walletManager.childWallets.length || locked.childWallets[0].mnemonic) {
+        throw new Error('Locked manager should see addresses only');
+    }
+    await locked.getMasterKeyPair().then(
+        () => { throw new Error('Locked manager should not sign'); },
+        () => {}
+    );
+    
+    await walletManager.changePassphrase(TEST_PASSPHRASE, 'another-passphrase');
+    const unlocked = new WalletManager({ dataDir });
+    await unlocked.initialize({ passphrase: 'another-passphrase' });
+    if (unlocked.masterWallet.mnemonic.join(' ') !== walletManager.masterWallet.mnemonic.join(' ')) {
+        throw new Error('Secrets did not survive the passphrase change');
+    }
+    await new WalletManager({ dataDir }).initialize({ passphrase: TEST_PASSPHRASE }).then(
+        () => { throw new Error('Old passphrase should be rejected'); },
+        () => {}
+    );
+    
+    // A change whose header swap fails after the records were re-encrypted is finished on the next start
+    const move = fs.move;
+    fs.move = async () => { throw new Error('simulated failed move'); };
+    const interrupted = await unlocked.changePassphrase('another-passphrase', 'third-passphrase').then(() => null, error => error.message);
+    fs.move = move;
+    const resumed = new WalletManager({ dataDir });
+    await resumed.initialize({ passphrase: 'third-passphrase' });
+    if (interrupted !== 'simulated failed move' || await fs.pathExists(`${resumed.keystore.keystorePath}.tmp`)
+        || resumed.masterWallet.mnemonic.join(' ') !== walletManager.masterWallet.mnemonic.join(' ')) {
+        throw new Error('An interrupted passphrase change was not finished on the next start');
+    }
+    console.log('✅ Secrets are encrypted at rest and the passphrase can be changed, even when the change is interrupted');
+}
+
+async function testRecovery(dataDir, walletManager) {
+    // Pretend every existing child has been funded on-chain, and so has a V5R1 child at the next index
+    const usedAddresses = new Set(walletManager.childWallets.map(wallet => wallet.address));
+    const otherVersion = await walletManager.createSingleChildWallet(await walletManager.getChildRootSeed(), walletManager.getNextChildIndex(), 'v5r1');
+    usedAddresses.add(otherVersion.address);
+    const client = {
+        provider(address) {
+            return {
+                async getState() {
+                    const used = usedAddresses.has(address.toString());
+                    return { balance: used ? 1n : 0n, last: null, state: { type: 'uninit' } };
+                }
+            };
+        }
+    };
+    
+    walletManager.storage.saveChildWallets([]);
+    const manager = new WalletManager({ dataDir, client });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    const recovered = await manager.recoverChildWallets({ gapLimit: 3 });
+    
+    const expected = [...walletManager.childWallets, otherVersion].map(wallet => `${wallet.index}:${wallet.version}:${wallet.address}`).join(',');
+    const actual = recovered.map(wallet => `${wallet.index}:${wallet.version}:${wallet.address}`).join(',');
+    if (actual !== expected) {
+        throw new Error('Recovered children do not match the original derivation');
+    }
+    // The V5R1 child only exists on the pretend chain; the stored children go back to the original ones
+    await walletManager.saveWallets({ quiet: true });
+    console.log(`✅ Recovered ${recovered.length} children from the master seed, one of them a ${otherVersion.version} wallet`);
+}
+
+async function testStorageMigration(dataDir, walletManager) {
+    // Lay out a data directory the way versions before the SQLite storage wrote it
+    const legacyDir = await fs.mkdtemp(path.join(dataDir, 'legacy-'));
+    const { master, children } = walletManager.storage.loadWallets();
+    const [latest] = walletManager.storage.listReports({ kind: 'distribution', limit: 1 });
+    await fs.writeJson(path.join(legacyDir, 'master_wallet.json'), master);
+    await fs.writeJson(path.join(legacyDir, 'wallets.json'), { children, totalCount: children.length });
+    await fs.writeJson(path.join(legacyDir, 'distribution_1700000000000.json'), walletManager.getReport(latest.id));
+    await fs.copy(walletManager.keystore.keystorePath, path.join(legacyDir, 'keystore.json'));
+    await fs.outputJson(path.join(legacyDir, 'jobs', 'job_legacy.json'), {
+        id: 'job_legacy',
+        createdAt: new Date().toISOString(),
+        recipients: [],
+        reports: [path.join(legacyDir, 'distribution_1700000000000.json')]
+    });
+    
+    const manager = new WalletManager({ dataDir: legacyDir, simulate: true });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    const job = await manager.jobStore.load('job_legacy');
+    const transfers = manager.storage.getTransfersByAddress(Address.parse(children[0].address).toString({ bounceable: false }));
+    
+    if (manager.masterWallet.address !== master.address || manager.childWallets.length !== children.length
+        || manager.childWallets[0].mnemonic.join(' ') !== walletManager.childWallets[0].mnemonic.join(' ')
+        || job.reports[0] !== 'distribution_1700000000000' || !manager.getReport(job.reports[0])
+        || !transfers.some(transfer => transfer.reportId === 'distribution_1700000000000')
+        || await fs.pathExists(path.join(legacyDir, 'wallets.json'))
+        || !await fs.pathExists(path.join(legacyDir, 'json-backup', 'wallets.json'))) {
+        throw new Error('JSON files were not migrated to the database');
+    }
+    manager.storage.close();
+    console.log(`✅ Migrated ${children.length + 1} wallets and a report from JSON files; transfers are found by address`);
+}
+
+async function testFeeEstimation(walletManager) {
+    // 6 messages in 2 batches from an undeployed master, 2 of them to uninitialized recipients
+    const fees = estimateDistributionFees({ messages: 6, batchSize: 4, uninitializedRecipients: 2, masterDeployed: false, schedule: DEFAULT_FEE_SCHEDULE });
+    const max = maxDistributableAmount({ balance: 1, reserve: 0.05, fees, recipients: 3 });
+    if (fees.batches !== 2 || fees.total !== 0.0118 || max !== '0.938199999') {
+        throw new Error(`Unexpected fee estimate ${fees.total} / maximum ${max}`);
+    }
+    
+    // The simulated ledger charges exactly the simulated schedule, so "all available" leaves just the reserve
+    const addresses = walletManager.childWallets.map(wallet => wallet.address);
+    const available = await walletManager.getMaxDistributable();
+    const overBalance = await walletManager.previewDistributionPlan(DistributionPlan.equalSplit(addresses, fromUnits(toUnits(available.amount) + toUnits(available.reserve) + 30000n)));
+    const intoReserve = await walletManager.previewDistributionPlan(DistributionPlan.equalSplit(addresses, fromUnits(toUnits(available.amount) + 30000000n)));
+    if (available.fees.deploy === 0 || available.fees.uninitializedRecipients !== 3
+        || overBalance.errors.length !== 1 || intoReserve.errors.length !== 0 || !intoReserve.warnings.some(warning => warning.includes('reserve'))) {
+        throw new Error('Distribution preview did not check amount plus fees against the master balance');
+    }
+    
+    const result = await walletManager.distributeTonToChildren(available.amount);
+    const left = toUnits(await walletManager.getExactMasterBalance()) - toUnits(available.reserve);
+    if (left < 0n || left >= BigInt(addresses.length)) {
+        throw new Error(`Master kept ${left} nanotons more than the reserve`);
+    }
+    console.log(`✅ Distributed the maximum ${available.amount} TON after ${available.fees.total} TON fees, keeping the reserve`);
+    return result;
+}
+
+async function testDistributionPlans(walletManager) {
+    const [first, second, third] = walletManager.childWallets;
+    const external = 'UQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJKZ';
+    
+    const csv = [
+        'address,label,amount,weight,target,max',
+        `${first.address},"fixed, ""quoted""",0.5,,,`,
+        `${second.address},weighted,,30,,`,
+        `${external},external,,70,,0.5`,
+        `${third.address},topup,,,${await walletManager.getAddressBalance(third.address) + 0.25},`
+    ].join('\n');
+    const plan = DistributionPlan.fromCsv(csv, { totalAmount: 1 });
+    const preview = await walletManager.previewDistributionPlan(plan);
+    
+    const amounts = preview.transfers.map(transfer => transfer.amount).join(',');
+    // A quoted comma stays inside its field instead of shifting the columns after it
+    if (preview.errors.length > 0 || amounts !== '0.5,0.3,0.5,0.25' || preview.totalAmount !== 1.55 || plan.recipients[0].label !== 'fixed, "quoted"') {
+        throw new Error(`Unexpected plan resolution: ${amounts} ${preview.errors.join('; ')}`);
+    }
+    
+    // The same child in another friendly format is still a duplicate; bad addresses are rejected
+    const invalid = new DistributionPlan({
+        recipients: [
+            { address: first.address, amount: 1 },
+            { address: Address.parse(first.address).toString({ bounceable: false }), amount: 1 },
+            { address: 'not-an-address', amount: 1 },
+            { address: second.address, amount: 1e9 }
+        ]
+    }).resolve({ childWallets: walletManager.childWallets });
+    if (invalid.errors.length !== 2) {
+        throw new Error(`Expected 2 plan errors, got: ${invalid.errors.join('; ')}`);
+    }
+    
+    const result = await walletManager.executeDistributionPlan(plan);
+    if (result.successCount !== 4) {
+        throw new Error('Plan execution failed');
+    }
+    console.log(`✅ Plan resolved to ${amounts} TON and executed`);
+}
+
+async function testDistributionJobs(dataDir, walletManager) {
+    const children = walletManager.childWallets;
+    const balancesOf = () => Promise.all(children.map(wallet => walletManager.getAddressBalance(wallet.address)));
+    
+    // Simulated ledger: a recipient already confirmed in the journal is never credited again
+    const job = await walletManager.createDistributionJob(DistributionPlan.equalSplit(children.map(wallet => wallet.address), 0.3));
+    job.recipients[0].state = 'confirmed';
+    await walletManager.jobStore.save(job);
+    const before = await balancesOf();
+    const resumed = await walletManager.resumeDistributionJob(job.id);
+    const after = await balancesOf();
+    await walletManager.resumeDistributionJob(job.id);
+    if (resumed.successCount !== 3 || after[0] !== before[0] || Math.abs(after[1] - before[1] - 0.1) > 1e-9
+        || (await balancesOf()).join(',') !== after.join(',')) {
+        throw new Error('Resuming a simulated job re-sent confirmed recipients');
+    }
+    
+    // Against a mock client every broadcast is counted
+    const mockClient = createMockClient();
+    const manager = new WalletManager({ client: mockClient, dataDir, seqnoPollInterval: 10 });
+    manager.masterWallet = walletManager.masterWallet;
+    manager.childWallets = children;
+    manager.keystore = walletManager.keystore; // Unlocked, so saved records stay encrypted
+    
+    const externals = [1, 2, 3].map(i => new Address(0, Buffer.alloc(32, i)).toString());
+    const recipients = [...children.map(wallet => wallet.address), ...externals].map(address => ({ address, amount: 0.1 }));
+    const first = await manager.executeDistributionPlan(new DistributionPlan({ recipients }));
+    await manager.resumeDistributionJob(first.jobId);
+    if (first.successCount !== 6 || mockClient.sent.length !== 2) {
+        throw new Error(`Running a job twice broadcast ${mockClient.sent.length} transfers instead of 2`);
+    }
+    
+    // Crash states: seqno 1 was accepted, seqno 2 expired unaccepted, and one recipient failed
+    const second = await manager.createDistributionJob(new DistributionPlan({ recipients: recipients.slice(0, 3) }));
+    const expired = Math.floor(Date.now() / 1000) - 120;
+    Object.assign(second.recipients[0], { state: 'sending', seqno: 1, validUntil: expired });
+    Object.assign(second.recipients[1], { state: 'sending', seqno: 2, validUntil: expired });
+    Object.assign(second.recipients[2], { state: 'failed', error: 'test failure' });
+    await manager.jobStore.save(second);
+    
+    const resumedJob = await manager.resumeDistributionJob(second.id);
+    if (resumedJob.successCount !== 2 || resumedJob.failedCount !== 1 || mockClient.sent.length !== 3) {
+        throw new Error('Resume must settle in-flight transfers and resend only expired ones');
+    }
+    
+    const retried = await manager.retryFailedTransfers(second.id);
+    const stored = await manager.jobStore.load(second.id);
+    if (retried.successCount !== 3 || mockClient.sent.length !== 4 || stored.status !== 'sent'
+        || await fs.pathExists(`${manager.jobStore.jobPath(second.id)}.lock`)) {
+        throw new Error('retry-failed must resend only the failed recipient');
+    }
+    console.log('✅ Distribution jobs resume without sending twice');
+}
+
+async function testConfirmationTracking(dataDir, walletManager) {
+    const children = walletManager.childWallets;
+    const mockClient = createMockClient();
+    const manager = new WalletManager({ client: mockClient, dataDir, seqnoPollInterval: 10 });
+    manager.masterWallet = walletManager.masterWallet;
+    manager.childWallets = children;
+    manager.keystore = walletManager.keystore; // Unlocked, so saved records stay encrypted
+    
+    const sent = await manager.executeDistributionPlan(DistributionPlan.equalSplit(children.map(wallet => wallet.address), 0.3));
+    mockClient.bounce(children[1].address, 0.099);
+    
+    // A transfer that was signed but never landed, long past its valid-until time
+    const lost = await manager.createDistributionJob(new DistributionPlan({ recipients: [{ address: children[0].address, amount: 0.2 }] }));
+    Object.assign(lost.recipients[0], { state: 'sent', bodyHash: '00'.repeat(32), validUntil: Math.floor(Date.now() / 1000) - 600 });
+    await manager.jobStore.save(lost);
+    
+    const { job, counts } = await manager.trackDistributionJob(sent.jobId);
+    const expired = await manager.trackDistributionJob(lost.id);
+    const report = manager.getReport(job.reports[0]);
+    const confirmed = job.recipients.find(recipient => recipient.state === 'confirmed');
+    
+    if (counts.confirmed !== 2 || counts.bounced !== 1 || job.status !== 'partial'
+        || !confirmed.lt || !(Number(confirmed.fees) > 0.001)
+        || report.results.confirmedCount !== 2 || report.results.bouncedCount !== 1
+        || children[1].lastTransfer.status !== 'bounced' || children[2].lastTransfer.lt !== confirmed.lt
+        || children[0].lastTransfer.status !== 'expired'
+        || expired.counts.expired !== 1) {
+        throw new Error('Confirmation tracking produced unexpected states');
+    }
+    console.log('✅ Tracked confirmations, bounces and expired transfers on-chain');
+}
+
+async function testBalanceSync(dataDir, walletManager) {
+    const [first, second, third] = walletManager.childWallets;
+    let inFlight = 0;
+    let maxInFlight = 0;
+    let rateLimited = false;
+    
+    // First child active, second rate limited once then uninit, third always failing
+    const client = {
+        provider(address) {
+            return {
+                async getState() {
+                    inFlight++;
+                    maxInFlight = Math.max(maxInFlight, inFlight);
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    inFlight--;
+                    
+                    if (address.equals(Address.parse(first.address))) {
+                        return { balance: toNano('1.5'), last: { lt: 42n, hash: Buffer.alloc(32) }, state: { type: 'active' } };
+                    }
+                    if (address.equals(Address.parse(second.address))) {
+                        if (!rateLimited) {
+                            rateLimited = true;
+                            throw Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, headers: {} } });
+                        }
+                        return { balance: 0n, last: null, state: { type: 'uninit' } };
+                    }
+                    throw new Error('lookup failed');
+                }
+            };
+        }
+    };
+    
+    const syncDir = await fs.mkdtemp(path.join(dataDir, 'sync-'));
+    const manager = new WalletManager({ client, dataDir: syncDir, syncConcurrency: 2, retryDelayMs: 10 });
+    manager.childWallets = [first, second, third].map(({ address }) => ({ address, balance: '0.3' }));
+    const summary = await manager.syncChildBalances();
+    const [active, uninit, failed] = manager.childWallets;
+    
+    if (summary.total !== '1.5' || summary.unknown !== 1 || maxInFlight > 2
+        || active.accountState !== 'active' || active.lastTransaction.lt !== '42'
+        || uninit.accountState !== 'uninit' || uninit.balanceUnits !== '0'
+        || failed.balanceStatus !== 'unknown' || failed.balance !== '0.3' || summary.wallets[2].balance !== null) {
+        throw new Error('Unexpected balance sync result');
+    }
+    
+    // On the simulated ledger the records pick up the real ledger balances
+    const ledgerSummary = await walletManager.syncChildBalances();
+    const ledgerTotal = (await Promise.all(walletManager.childWallets.map(wallet => walletManager.client.getBalance(Address.parse(wallet.address)))))
+        .reduce((sum, balance) => sum + balance, 0n);
+    const history = walletManager.getBalanceHistory(Address.parse(first.address).toRawString());
+    if (ledgerSummary.unknown !== 0 || toNano(ledgerSummary.total) !== ledgerTotal || history[0].units !== first.balanceUnits) {
+        throw new Error('Sync against the simulated ledger returned unexpected balances');
+    }
+    console.log('✅ Synced child balances with bounded concurrency; failed lookups stay unknown');
+}
+
+async function testSweep(walletManager) {
+    const [first, second] = walletManager.childWallets;
+    const sweep = (addresses) => walletManager.sweepChildrenToMaster({ addresses, feeReserve: 0.01, dustThreshold: 0.05 });
+    
+    // Empty the second child first, so it is dust in the run below
+    await sweep([second.address]);
+    const balance = await walletManager.getAddressBalance(first.address);
+    const expected = Number((balance - 0.01).toFixed(9));
+    const masterBefore = Number(await walletManager.getMasterWalletBalance());
+    
+    const result = await sweep([first.address, second.address, 'UQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJKZ']);
+    const left = await walletManager.getAddressBalance(first.address);
+    const masterAfter = Number(await walletManager.getMasterWalletBalance());
+    
+    // One swept, one dust, one unknown address: the failure must not stop the others.
+    // The child pays the deploy and transfer fees out of the reserve it keeps.
+    if (result.successCount !== 1 || result.skippedCount !== 1 || result.failedCount !== 1
+        || result.totalAmount !== expected || !(left > 0 && left < 0.01)
+        || Math.abs(masterAfter - masterBefore - expected) > 1e-4) {
+        throw new Error('Unexpected sweep result');
+    }
+    console.log(`✅ Swept ${result.totalAmount} TON back to the master`);
+}
+
+async function testWalletGroups(walletManager) {
+    const [first, second, third] = walletManager.childWallets;
+    
+    // `and` binds tighter than `or`; the normalized expression spells the grouping out
+    const loose = parseSelection('tag:a OR tag:b and not group:c');
+    const grouped = parseSelection('(tag:a or tag:b) and not group:c');
+    const wallet = { tags: ['a'], groups: ['c'] };
+    const syntaxErrors = ['group:x and', 'owner:bob', '(tag:a', ''].filter(expression => {
+        try {
+            parseSelection(expression);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    });
+    if (loose.expression !== 'tag:a or (tag:b and not group:c)' || grouped.expression !== '(tag:a or tag:b) and not group:c'
+        || !loose.matches(wallet) || grouped.matches(wallet) || syntaxErrors.length !== 4) {
+        throw new Error('Selection expressions parsed unexpectedly');
+    }
+    
+    await walletManager.tagWallets([first, second], { add: ['vip'] });
+    await walletManager.setGroupMembership('campaign-A', [first, third]);
+    await walletManager.setWalletLabel(second.address, 'Second child');
+    
+    const selection = 'tag:vip and not label:"Second child" or group:campaign-A';
+    const result = await walletManager.distributeTonToChildren(0.2, { selection });
+    const job = await walletManager.jobStore.load(result.jobId);
+    const report = walletManager.getReport(job.reports[0]);
+    const recipients = report.results.transactions.map(transaction => transaction.to);
+    const { groups, tags } = walletManager.listWalletGroups();
+    
+    if (result.successCount !== 2 || recipients.join() !== [first.address, third.address].join() || report.selection !== selection
+        || JSON.stringify(groups) !== '[{"name":"campaign-A","count":2}]' || tags[0].count !== 2) {
+        throw new Error('Distributing to a selection reached the wrong children');
+    }
+    console.log(`✅ Distributed to ${recipients.length} children selected by "${selection}"`);
+}
+
+async function testSimulatedLedger(walletManager) {
+    const master = Address.parse(walletManager.masterWallet.address);
+    const ledger = await new SimulatedLedger(walletManager.ledgerPath).load();
+    const balance = await ledger.getBalance(master);
+    
+    // Replaying the master's last signed transfer must fail on its seqno and leave balances alone
+    const [last] = (await ledger.getTransactions(master, { limit: 5 })).filter(tx => tx.inMessage?.info.type === 'external-in');
+    let rejected = null;
+    try {
+        ledger.processExternal(master, null, last.inMessage.body);
+    } catch (error) {
+        rejected = error;
+    }
+    
+    if (balance !== await walletManager.client.getBalance(master)
+        || !/seqno/.test(rejected?.message) || await ledger.getBalance(master) !== balance) {
+        throw new Error('The simulated ledger did not persist or accepted a replayed transfer');
+    }
+    console.log('✅ Simulated ledger persists on disk and rejects replayed transfers');
+}
+
+async function testWalletVersions(dataDir, priceService, walletManager) {
+    const versionsDir = await fs.mkdtemp(path.join(dataDir, 'versions-'));
+    const manager = new WalletManager({ dataDir: versionsDir, priceService, simulate: true, masterWalletVersion: 'highload-v3' });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    await manager.createChildWallets(3, { version: 'v3r2' });
+    await manager.createChildWallets(3, { version: 'v5r1' });
+    await manager.simulateAddTonToMaster(2);
+    
+    // Six messages fit one highload batch; the estimate includes the batch's message to the master itself
+    const available = await manager.getMaxDistributable();
+    const result = await manager.distributeTonToChildren(available.amount);
+    const left = toUnits(await manager.getExactMasterBalance()) - toUnits(available.reserve);
+    const { counts } = await manager.trackDistributionJob(result.jobId);
+    if (result.successCount !== 6 || available.fees.batches !== 1 || left < 0n || left >= 6n || counts.confirmed !== 6) {
+        throw new Error(`Highload distribution failed (${result.successCount} sent, ${left} nanotons over the reserve)`);
+    }
+    
+    // V3R2 and V5R1 children sign transfers the ledger accepts
+    const sweep = await manager.sweepChildrenToMaster({ feeReserve: 0.01, dustThreshold: 0.05 });
+    if (sweep.successCount !== 6) {
+        throw new Error('Sweeping V3R2/V5R1 children failed');
+    }
+    
+    // A deployed wallet is imported as the version its code shows
+    const [v5] = manager.childWallets.splice(3, 1);
+    const imported = await manager.importWallet({ mnemonic: v5.mnemonic, address: v5.address });
+    
+    // Records written before versions existed still open as the same V4R2 address
+    const { version, ...legacy } = walletManager.masterWallet;
+    if (imported.version !== 'v5r1' || imported.networkGlobalId !== v5.networkGlobalId || version !== 'v4r2'
+        || !manager.openWallet(legacy).address.equals(Address.parse(legacy.address))) {
+        throw new Error('Wallet version detection failed');
+    }
+    console.log(`✅ Highload master sent ${result.successCount} transfers in one batch; V3R2/V5R1 children swept and imported`);
+}
+
+async function testWalletImports(dataDir, priceService) {
+    const importDir = await fs.mkdtemp(path.join(dataDir, 'imports-'));
+    const manager = new WalletManager({ dataDir: importDir, priceService, simulate: true });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    await manager.simulateAddTonToMaster(1);
+    
+    // A mnemonic derives its address, which must match the expected one in any friendly format
+    const mnemonic = await mnemonicNew();
+    const { publicKey } = await mnemonicToPrivateKey(mnemonic);
+    const expected = openWalletContract({ version: 'v4r2', publicKey }).address;
+    const fromMnemonic = await manager.importWallet({ mnemonic, address: expected.toString({ bounceable: false }) });
+    const seed = (await mnemonicToPrivateKey(await mnemonicNew())).secretKey.subarray(0, 32).toString('hex');
+    const fromKey = await manager.importPrivateKey({ privateKey: seed, version: 'v5r1' });
+    
+    const rejected = await Promise.all([
+        manager.importWallet({ mnemonic: await mnemonicNew(), address: expected.toString() }),
+        manager.importWallet({ mnemonic }),
+        manager.importPrivateKey({ privateKey: 'abcd' })
+    ].map(attempt => attempt.then(() => null, error => error.message)));
+    if (fromMnemonic.address !== expected.toString() || fromKey.version !== 'v5r1' || fromKey.mnemonic || fromKey.privateKey.length !== 128
+        || !/derives no/.test(rejected[0]) || !/already managed/.test(rejected[1]) || !/32 bytes/.test(rejected[2])) {
+        throw new Error(`Mnemonic or key import misbehaved: ${rejected.join('; ')}`);
+    }
+    
+    // Watch-only rows: one duplicates an imported wallet (other format), one repeats an earlier row
+    const [cold, hot] = [new Address(0, Buffer.alloc(32, 1)), new Address(0, Buffer.alloc(32, 2))];
+    const csv = [
+        'address,label,tags,groups',
+        `${cold.toString()},Cold storage,cold;vip,treasury`,
+        `${hot.toRawString()},,hot,`,
+        `${cold.toString({ bounceable: false })},,,`,
+        `${expected.toString({ urlSafe: false })},,,`
+    ].join('\n');
+    const { imported, duplicates } = await manager.importWatchOnlyWallets(parseWatchOnlyCsv(csv));
+    let invalidRows = null;
+    try {
+        parseWatchOnlyCsv('address,tags\nnot-an-address,\n' + `${hot.toString()},bad tag!`);
+    } catch (error) {
+        invalidRows = error.message;
+    }
+    if (imported.length !== 2 || duplicates.map(duplicate => duplicate.line).join() !== '4,5'
+        || imported[0].tags.join() !== 'cold,vip' || !/Line 2.*\n.*Line 3/.test(invalidRows)) {
+        throw new Error('Watch-only CSV import did not deduplicate by normalized address');
+    }
+    
+    // Watch-only wallets sync and receive, but every signing path refuses them
+    const synced = await manager.syncChildBalances();
+    const received = await manager.distributeTonToChildren(0.1, { selection: 'tag:cold' });
+    const sweep = await manager.sweepChildrenToMaster({ addresses: [cold.toString()], dustThreshold: 0 });
+    const sweepAll = await manager.sweepChildrenToMaster({ dustThreshold: 10 });
+    const reloaded = new WalletManager({ dataDir: importDir, priceService, simulate: true });
+    await reloaded.initialize({ passphrase: TEST_PASSPHRASE });
+    if (synced.synced !== 4 || received.successCount !== 1 || await manager.getAddressBalance(cold.toString()) !== 0.1
+        || sweep.failedCount !== 1 || !/watch-only/i.test(sweep.transactions[0].error)
+        || sweepAll.transactions.length !== 2 || !toPublicWallet(reloaded.findChildWallet(hot.toString())).watchOnly) {
+        throw new Error('Watch-only wallets were not synced, funded or refused for signing as expected');
+    }
+    await reloaded.getKeyPair(reloaded.findChildWallet(hot.toString())).then(
+        () => { throw new Error('A watch-only wallet produced a key pair'); },
+        error => error
+    );
+    console.log(`✅ Imported wallets from a mnemonic and a raw key, and ${imported.length} watch-only addresses`);
+}
+
+async function testSpendingPolicy(dataDir, priceService) {
+    const policyDir = await fs.mkdtemp(path.join(dataDir, 'policy-'));
+    const manager = new WalletManager({ dataDir: policyDir, priceService, simulate: true });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    await manager.createChildWallets(2);
+    await manager.simulateAddTonToMaster(10);
+    
+    const external = 'UQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJKZ';
+    await fs.writeJson(manager.policyPath, {
+        maxPerDistribution: 3,
+        maxPerRecipient: 1,
+        dailyCap: 2.5,
+        recipients: 'children',
+        cooldownMinutes: 60
+    });
+    const rulesOf = (attempt) => attempt.then(() => [], error => (error.violations || [{ rule: error.message }]).map(violation => violation.rule).join());
+    const balance = await manager.getExactMasterBalance();
+    
+    // Blocked runs are stopped before a job exists, so nothing is sent
+    const tooLarge = await rulesOf(manager.distributeTonToChildren(4));
+    const outsider = await rulesOf(manager.executeDistributionPlan(new DistributionPlan({ recipients: [{ address: external, amount: 0.1 }] })));
+    if (tooLarge !== 'maxPerDistribution,maxPerRecipient,dailyCap' || outsider !== 'recipients'
+        || (await manager.listDistributionJobs()).length !== 0 || await manager.getExactMasterBalance() !== balance) {
+        throw new Error(`Policy did not block the run before sending: ${tooLarge} / ${outsider}`);
+    }
+    
+    // A run where every transfer failed debited nothing: it neither counts toward the cap nor starts the cooldown
+    const failedJob = await manager.createDistributionJob(DistributionPlan.equalSplit(manager.childWallets.map(wallet => wallet.address), 1));
+    failedJob.recipients.forEach(recipient => Object.assign(recipient, { state: 'failed', error: 'test failure' }));
+    await manager.jobStore.save(failedJob);
+    const failedRun = await manager.resumeDistributionJob(failedJob.id);
+    const afterFailure = manager.getPolicyUsage();
+    if (failedRun.failedCount !== 2 || afterFailure.spentLastDay !== 0 || afterFailure.lastRunAt !== null) {
+        throw new Error(`A failed run counted against the policy: ${JSON.stringify(afterFailure)}`);
+    }
+    
+    // The rolling cap counts past reports (each job once, however often it ran); the cooldown counts other jobs only
+    const first = await manager.distributeTonToChildren(1.5);
+    await manager.resumeDistributionJob(first.jobId);
+    const capped = await rulesOf(manager.distributeTonToChildren(1.2));
+    const noReason = await rulesOf(manager.distributeTonToChildren(1.2, { policyOverride: ' ' }));
+    const overridden = await manager.distributeTonToChildren(1.2, { policyOverride: 'Quarterly bonus approved by finance' });
+    const job = await manager.jobStore.load(overridden.jobId);
+    const [logged] = manager.storage.listPolicyOverrides();
+    const usage = manager.getPolicyUsage();
+    
+    if (first.successCount !== 2 || capped !== 'dailyCap,cooldownMinutes' || !/needs a reason/.test(noReason) || overridden.successCount !== 2
+        || manager.getReport(job.reports[0]).policyOverride.reason !== 'Quarterly bonus approved by finance'
+        || logged.jobId !== job.id || logged.violations.length !== 2 || usage.spentLastDay !== 2.7) {
+        throw new Error(`Rolling cap, cooldown or override misbehaved: ${capped}, spent ${usage.spentLastDay}`);
+    }
+    
+    // The CLI exits with its own code for policy violations
+    const passphraseFile = path.join(policyDir, 'passphrase.txt');
+    await fs.writeFile(passphraseFile, TEST_PASSPHRASE);
+    const exitCode = await runCli(['distribute', '--amount', '0.2', '--yes', '--json', '--passphrase-file', passphraseFile], {
+        stdout: { write: () => {} },
+        createManager: () => new WalletManager({ dataDir: policyDir, priceService, simulate: true })
+    });
+    if (exitCode !== EXIT_CODES.POLICY_VIOLATION) {
+        throw new Error(`distribute under the policy exited with ${exitCode}`);
+    }
+    console.log(`✅ Spending policy blocked ${tooLarge}, ${outsider} and ${capped}; the override was logged`);
+}
+
+async function testPlanApprovals(dataDir, priceService) {
+    const approvalDir = await fs.mkdtemp(path.join(dataDir, 'approvals-'));
+    const manager = new WalletManager({ dataDir: approvalDir, priceService, simulate: true });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    await manager.createChildWallets(2);
+    await manager.simulateAddTonToMaster(5);
+    
+    const [alice, bob, carol, outsider] = ['alice', 'bob', 'carol', 'mallory'].map(generateOperatorKey);
+    const approvers = { threshold: 2, operators: [alice, bob, carol].map(({ name, publicKey }) => ({ name, publicKey })) };
+    await fs.writeJson(manager.approversPath, approvers);
+    const failure = (attempt) => attempt.then(() => 'no error', error => `${error instanceof PlanApprovalError ? 'approval: ' : ''}${error.message}`);
+    
+    // With approvers configured nothing is sent without an approved plan
+    const direct = await failure(manager.distributeTonToChildren(1));
+    const planPath = path.join(approvalDir, 'plan.json');
+    await manager.createApprovalPlan(DistributionPlan.equalSplit(manager.childWallets.map(wallet => wallet.address), 1), planPath);
+    await manager.decideApprovalPlan(planPath, alice, { decision: 'approve' });
+    const twice = await failure(manager.decideApprovalPlan(planPath, alice, { decision: 'approve' }));
+    const stranger = await failure(manager.decideApprovalPlan(planPath, outsider, { decision: 'approve' }));
+    const oneApproval = await failure(manager.executeApprovedPlan(planPath));
+    
+    // Raising an amount after approval breaks the hash; forging the hash breaks the signatures
+    const approved = await fs.readJson(planPath);
+    const tampered = { ...approved, transfers: approved.transfers.map(transfer => ({ ...transfer, amount: transfer.amount * 10 })) };
+    const tamperedPath = path.join(approvalDir, 'tampered.json');
+    await fs.writeJson(tamperedPath, tampered);
+    const tamperedApproval = await failure(manager.decideApprovalPlan(tamperedPath, bob, { decision: 'approve' }));
+    const { hash: forgedHash } = await manager.createApprovalPlan(DistributionPlan.equalSplit([manager.childWallets[0].address], 4), path.join(approvalDir, 'other.json'));
+    const forged = verifyApprovalPlan({ ...tampered, hash: forgedHash }, approvers);
+    
+    if (!/^approval: Distributions need 2 of 3/.test(direct) || !/already approved/.test(twice) || !/not one of the configured operators/.test(stranger)
+        || !/1 of 2 approvals/.test(oneApproval) || !/changed after it was created/.test(tamperedApproval)
+        || forged.status !== 'tampered' || (await manager.listDistributionJobs()).length !== 0) {
+        throw new Error(`Unapproved plans were not refused: ${[direct, twice, stranger, oneApproval, tamperedApproval, forged.status].join(' | ')}`);
+    }
+    
+    // The second approval releases the plan, once; approvers and their timestamps reach the report
+    await manager.decideApprovalPlan(planPath, bob, { decision: 'approve' });
+    const results = await manager.executeApprovedPlan(planPath);
+    const job = await manager.jobStore.load(results.jobId);
+    const report = manager.getReport(job.reports[0]);
+    const again = await failure(manager.executeApprovedPlan(planPath));
+    
+    if (results.successCount !== 2 || report.approval.planId !== approved.id || report.approval.hash !== approved.hash
+        || report.approval.approvals.map(approval => approval.operator).join() !== 'alice,bob' || !report.approval.approvals.every(approval => approval.at)
+        || !/already ran as job/.test(again)) {
+        throw new Error(`Approved plan did not run once with its approvals reported: ${JSON.stringify(report.approval)} | ${again}`);
+    }
+    
+    // One rejection blocks a plan whatever the approvals; the CLI reports it with its own exit code
+    const rejectedPath = path.join(approvalDir, 'rejected.json');
+    const keyPath = path.join(approvalDir, 'carol.json');
+    const passphraseFile = path.join(approvalDir, 'passphrase.txt');
+    await fs.writeFile(passphraseFile, TEST_PASSPHRASE);
+    await fs.writeJson(keyPath, carol);
+    const cli = (args) => runCli([...args, '--json', '--passphrase-file', passphraseFile], {
+        stdout: { write: () => {} },
+        createManager: () => new WalletManager({ dataDir: approvalDir, priceService, simulate: true })
+    });
+    const created = await cli(['plans', 'create', '--amount', '0.5', '--out', rejectedPath]);
+    await manager.decideApprovalPlan(rejectedPath, alice, { decision: 'approve' });
+    await manager.decideApprovalPlan(rejectedPath, bob, { decision: 'approve' });
+    const rejected = await cli(['plans', 'reject', rejectedPath, '--key', keyPath, '--reason', 'Wrong campaign']);
+    const executed = await cli(['plans', 'execute', rejectedPath, '--yes']);
+    const distributed = await cli(['distribute', '--amount', '0.5', '--yes']);
+    
+    if (created !== EXIT_CODES.OK || rejected !== EXIT_CODES.OK || executed !== EXIT_CODES.NOT_APPROVED || distributed !== EXIT_CODES.NOT_APPROVED
+        || (await manager.inspectApprovalPlan(rejectedPath)).verification.status !== 'rejected') {
+        throw new Error(`Rejected plan handling failed: create ${created}, reject ${rejected}, execute ${executed}, distribute ${distributed}`);
+    }
+    console.log('✅ Plans ran only with 2 of 3 valid approvals, unchanged and once; rejections and direct distributions were refused');
+}
+
+async function testOfflineSigning(dataDir, priceService) {
+    const offlineDir = await fs.mkdtemp(path.join(dataDir, 'offline-'));
+    const setup = new WalletManager({ dataDir: offlineDir, priceService, simulate: true });
+    await setup.initialize({ passphrase: TEST_PASSPHRASE });
+    await setup.createChildWallets(5);
+    await setup.simulateAddTonToMaster(10);
+    
+    // The online instance never unlocks the keystore; the offline one has no network at all
+    const online = new WalletManager({ dataDir: offlineDir, priceService, simulate: true });
+    await online.initialize({ passphrase: null });
+    const offline = new WalletManager({ dataDir: offlineDir, priceService, simulate: true, offline: true });
+    await offline.initialize({ passphrase: TEST_PASSPHRASE });
+    const failure = (attempt) => attempt.then(() => 'no error', error => error.message);
+    
+    const job = await online.createDistributionJob(DistributionPlan.equalSplit(online.childWallets.map(wallet => wallet.address), 2.5));
+    const unsignedPath = path.join(offlineDir, 'batch.json');
+    const batch = await online.prepareOfflineBatch(job.id, unsignedPath);
+    
+    // Edited or expired batches are refused before anything is signed
+    const edited = { ...batch, batches: [{ ...batch.batches[0], transfers: batch.batches[0].transfers.map(transfer => ({ ...transfer, amount: 2 })) }, ...batch.batches.slice(1)] };
+    const expired = { ...batch, validUntil: Math.floor(Date.now() / 1000) - 1 };
+    expired.hash = hashBatch(expired);
+    await fs.writeJson(path.join(offlineDir, 'edited.json'), edited);
+    await fs.writeJson(path.join(offlineDir, 'expired.json'), expired);
+    const editedError = await failure(offline.signOfflineBatch(path.join(offlineDir, 'edited.json'), path.join(offlineDir, 'edited.signed.json')));
+    const expiredError = await failure(offline.signOfflineBatch(path.join(offlineDir, 'expired.json'), path.join(offlineDir, 'expired.signed.json')));
+    const onlineError = await failure(online.signOfflineBatch(unsignedPath, path.join(offlineDir, 'online.signed.json')));
+    
+    // A fresh air-gapped machine refuses to sign rather than create a master of its own
+    const emptyDir = await fs.mkdtemp(path.join(dataDir, 'offline-empty-'));
+    const fresh = new WalletManager({ dataDir: emptyDir, priceService, simulate: true, offline: true });
+    const freshError = await failure(fresh.initialize({ passphrase: TEST_PASSPHRASE }));
+    if (!/No master wallet/.test(freshError) || fresh.masterWallet || fresh.storage.loadWallets().master) {
+        throw new Error(`Offline signer without a master wallet did not refuse: ${freshError}`);
+    }
+    
+    // Without --yes the signer only shows the summary
+    const passphraseFile = path.join(offlineDir, 'passphrase.txt');
+    await fs.writeFile(passphraseFile, TEST_PASSPHRASE);
+    let summary = '';
+    const signedPath = path.join(offlineDir, 'batch.signed.json');
+    const previewExit = await runCli(['offline', 'sign', unsignedPath, '--out', signedPath, '--passphrase-file', passphraseFile], {
+        stdout: { write: (text) => { summary += text; } },
+        createManager: () => new WalletManager({ dataDir: offlineDir, priceService, simulate: true, offline: true })
+    });
+    
+    if (batch.batches.length !== 2 || batch.batches[1].seqno !== batch.seqno + 1 || !/does not match its hash/.test(editedError) || !/expired at/.test(expiredError)
+        || !/offline instance/.test(onlineError) || previewExit !== EXIT_CODES.NOT_CONFIRMED || !/Total: 2\.5 TON to 5 recipients/.test(summary) || await fs.pathExists(signedPath)) {
+        throw new Error(`Offline signer accepted a bad batch or signed without confirmation: ${[editedError, expiredError, onlineError, previewExit].join(' | ')}`);
+    }
+    
+    // Signing makes no network call (the offline client would throw); broadcasting sends and journals it
+    const balanceBefore = await online.getExactMasterBalance();
+    await offline.signOfflineBatch(unsignedPath, signedPath);
+    const unsent = await online.getExactMasterBalance();
+    const results = await online.broadcastSignedBatch(signedPath);
+    const { counts } = await online.trackDistributionJob(job.id);
+    const again = await online.broadcastSignedBatch(signedPath);
+    const report = online.getReport((await online.jobStore.load(job.id)).reports[0]);
+    
+    if (unsent !== balanceBefore || results.successCount !== 5 || counts.confirmed !== 5 || again.successCount !== 5
+        || await online.getWalletSeqno(online.masterWallet) !== batch.seqno + 2 || report.offlineBatch.id !== batch.id) {
+        throw new Error(`Broadcasting the signed batch failed: ${JSON.stringify({ results, counts })}`);
+    }
+    console.log(`✅ Offline signer refused edited and expired batches; ${results.successCount} transfers signed offline were broadcast once and confirmed`);
+}
+
+async function testProfiles(dataDir, priceService) {
+    const profilesDir = await fs.mkdtemp(path.join(dataDir, 'profiles-'));
+    const profilesPath = path.join(profilesDir, 'profiles.json');
+    await fs.writeJson(profilesPath, {
+        default: 'sandbox',
+        profiles: {
+            sandbox: { network: 'testnet', dataDir: path.join(profilesDir, 'testnet'), simulate: true },
+            rehearsal: { network: 'mainnet', dataDir: path.join(profilesDir, 'rehearsal'), simulate: true },
+            live: { network: 'mainnet', dataDir: path.join(profilesDir, 'live') }
+        }
+    });
+    const failure = (attempt) => attempt.then(() => 'no error', error => error.message);
+    
+    // Under a profile the per-file path variables no longer point at shared files
+    const sandbox = await resolveProfile(null, { filePath: profilesPath });
+    const savedDatabasePath = process.env.DATABASE_PATH;
+    process.env.DATABASE_PATH = path.join(dataDir, 'shared.db');
+    let testnet;
+    try {
+        testnet = new WalletManager({ ...profileManagerOptions(sandbox), priceService });
+    } finally {
+        if (savedDatabasePath === undefined) {
+            delete process.env.DATABASE_PATH;
+        } else {
+            process.env.DATABASE_PATH = savedDatabasePath;
+        }
+    }
+    await testnet.initialize({ passphrase: TEST_PASSPHRASE });
+    const rehearsal = new WalletManager({ ...profileManagerOptions(await resolveProfile('rehearsal', { filePath: profilesPath })), priceService });
+    await rehearsal.initialize({ passphrase: TEST_PASSPHRASE });
+    const unknownError = await failure(resolveProfile('staging', { filePath: profilesPath }));
+    
+    // A data directory stays bound to the network it was first used on
+    const mixed = new WalletManager({ dataDir: sandbox.dataDir, network: 'mainnet', priceService, simulate: true });
+    const mixedError = await failure(mixed.initialize({ passphrase: TEST_PASSPHRASE }));
+    
+    if (sandbox.name !== 'sandbox' || !testnet.storage.dbPath.startsWith(sandbox.dataDir) || testnet.masterWallet.address === rehearsal.masterWallet.address
+        || !/Unknown profile staging/.test(unknownError) || !/holds testnet data and cannot be used on mainnet/.test(mixedError)) {
+        throw new Error(`Profiles did not keep their data apart: ${[unknownError, mixedError].join(' | ')}`);
+    }
+    
+    // Addresses are shown in the profile network's form; real mainnet sends need --confirm-mainnet
+    const run = async (...args) => {
+        let output = '';
+        const createManager = (values, profile) => new WalletManager({
+            ...profileManagerOptions(profile),
+            priceService,
+            ...(profile.simulate ? {} : { client: createMockClient() })
+        });
+        const savedProfilesPath = process.env.PROFILES_PATH;
+        process.env.PROFILES_PATH = profilesPath;
+        try {
+            const exitCode = await runCli([...args, '--json'], { stdout: { write: (text) => { output += text; } }, createManager });
+            return { exitCode, data: JSON.parse(output) };
+        } finally {
+            if (savedProfilesPath === undefined) {
+                delete process.env.PROFILES_PATH;
+            } else {
+                process.env.PROFILES_PATH = savedProfilesPath;
+            }
+        }
+    };
+    const passphraseFile = path.join(profilesDir, 'passphrase.txt');
+    await fs.writeFile(passphraseFile, TEST_PASSPHRASE);
+    const testnetList = await run('wallets', 'list', '--passphrase-file', passphraseFile);
+    const mainnetList = await run('wallets', 'list', '--profile', 'rehearsal', '--passphrase-file', passphraseFile);
+    const unconfirmed = await run('resume', 'job_missing', '--profile', 'live', '--passphrase-file', passphraseFile);
+    const confirmed = await run('resume', 'job_missing', '--profile', 'live', '--confirm-mainnet', '--passphrase-file', passphraseFile);
+    
+    if (!/^kQ/.test(testnetList.data.master.address) || !/^EQ/.test(mainnetList.data.master.address)
+        || Address.parse(testnetList.data.master.address).toRawString() !== Address.parse(testnet.masterWallet.address).toRawString()
+        || unconfirmed.exitCode !== EXIT_CODES.NOT_CONFIRMED || !/on mainnet \(profile live\) needs --confirm-mainnet/.test(unconfirmed.data.error)
+        || /confirm-mainnet/.test(confirmed.data.error)) {
+        throw new Error(`Profile address formats or the mainnet confirmation are wrong: ${JSON.stringify([testnetList.data.master, unconfirmed.data, confirmed.data])}`);
+    }
+    console.log('✅ Profiles kept testnet and mainnet data apart, showed testnet addresses as kQ... and required --confirm-mainnet on mainnet');
+}
+
+async function testNanotonAccounting(dataDir, priceService) {
+    const accountingDir = await fs.mkdtemp(path.join(dataDir, 'accounting-'));
+    const manager = new WalletManager({ dataDir: accountingDir, priceService, simulate: true });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    await manager.createChildWallets(3);
+    await manager.simulateAddTonToMaster(5);
+    const addresses = manager.childWallets.map(wallet => wallet.address);
+    
+    // 1 TON does not split into three whole nanoton thirds: the spare nanoton goes to the first recipient,
+    // or stays on the master with remainder "master"; amounts that drift as floats stay exact
+    const equal = DistributionPlan.equalSplit(addresses, 1).resolve({ childWallets: manager.childWallets });
+    const kept = new DistributionPlan({ totalAmount: 1, remainder: 'master', recipients: addresses.map(address => ({ address })) }).resolve({ childWallets: manager.childWallets });
+    const drift = new DistributionPlan({ recipients: [{ address: addresses[0], amount: 0.1 }, { address: addresses[1], amount: '0.2' }] }).resolve({ childWallets: manager.childWallets });
+    const invalid = new DistributionPlan({ totalAmount: 1, remainder: 'burn', allChildren: true }).resolve({ childWallets: manager.childWallets });
+    
+    if (equal.transfers.map(transfer => transfer.units).join() !== '333333334,333333333,333333333' || equal.totalUnits !== '1000000000'
+        || kept.transfers.some(transfer => transfer.units !== '333333333') || kept.remainderUnits !== '1' || kept.totalUnits !== '999999999'
+        || drift.totalUnits !== '300000000' || drift.totalAmount !== 0.3 || invalid.errors.length !== 1) {
+        throw new Error(`Remainder rule not applied exactly: ${JSON.stringify([equal, kept, drift.totalUnits, invalid.errors])}`);
+    }
+    
+    // A run moves exactly the planned nanotons and its report shows the transfers add up to the total
+    const before = await Promise.all(addresses.map(address => manager.getAddressUnits(address)));
+    const result = await manager.distributeTonToChildren(1);
+    const after = await Promise.all(addresses.map(address => manager.getAddressUnits(address)));
+    const report = manager.getReport((await manager.jobStore.load(result.jobId)).reports[0]);
+    const received = after.map((units, i) => (units - before[i]).toString());
+    
+    const masterBalance = await manager.getMasterWalletBalance();
+    
+    if (masterBalance !== fromUnits(await manager.getMasterNanotons()) || toUnits(1e-7) !== 100n
+        || received.join() !== '333333334,333333333,333333333' || !report.reconciliation.balanced || report.reconciliation.sentUnits !== '1000000000'
+        || report.results.transactions.map(transaction => transaction.units).join() !== received.join() || report.totalUnits !== '1000000000') {
+        throw new Error(`Distribution did not reconcile to the nanoton: ${JSON.stringify({ received, reconciliation: report.reconciliation })}`);
+    }
+    
+    // What the plan asked for is accounted for by the transfers, the clamped units and the remainder kept on
+    // the master, and the tracked master transactions by the confirmed transfers plus fees
+    const clampedPlan = new DistributionPlan({ totalAmount: 1, remainder: 'master', max: 0.3, recipients: addresses.map(address => ({ address })) });
+    const clampedRun = await manager.executeDistributionPlan(clampedPlan);
+    const { reconciliation: tracked } = await manager.trackDistributionJob(clampedRun.jobId);
+    const masterUnits = await manager.getMasterNanotons();
+    const otherRun = await manager.distributeTonToChildren(0.2);
+    await manager.trackDistributionJob(otherRun.jobId);
+    const debited = masterUnits - await manager.getMasterNanotons();
+    const { reconciliation: other } = await manager.trackDistributionJob(otherRun.jobId);
+    
+    if (!tracked.balanced || !tracked.planBalanced || !tracked.chainBalanced || tracked.requestedUnits !== '1000000000' || tracked.transfersUnits !== '900000000'
+        || tracked.clampedUnits !== '99999999' || tracked.remainderUnits !== '1' || tracked.onchainUnits !== '900000000'
+        || !other.chainBalanced || BigInt(other.debitedUnits) !== debited) {
+        throw new Error(`Clamped plan or on-chain debit did not reconcile: ${JSON.stringify({ tracked, other, debited: debited.toString() })}`);
+    }
+    
+    // A journal that no longer matches its plan or its transactions does not reconcile
+    const tampered = await manager.jobStore.load(clampedRun.jobId);
+    tampered.recipients[0].units = (BigInt(tampered.recipients[0].units) + 1n).toString();
+    await manager.jobStore.save(tampered);
+    const { reconciliation: unbalanced } = await manager.trackDistributionJob(clampedRun.jobId);
+    if (unbalanced.balanced || unbalanced.planBalanced || unbalanced.chainBalanced !== false) {
+        throw new Error(`A tampered journal still reconciled: ${JSON.stringify(unbalanced)}`);
+    }
+    console.log(`✅ 1 TON split three ways as ${received.join(' + ')} nanotons; clamped and remainder runs reconciled against the plan and the master's debit, a tampered journal did not`);
+}
+
+async function testOverlappingJobs(dataDir, priceService) {
+    const overlapDir = await fs.mkdtemp(path.join(dataDir, 'overlap-'));
+    const manager = new WalletManager({ dataDir: overlapDir, priceService, simulate: true, seqnoPollInterval: 10 });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    await manager.createChildWallets(2);
+    await manager.simulateAddTonToMaster(5);
+    const addresses = manager.childWallets.map(wallet => wallet.address);
+    const received = async (before) => (await Promise.all(addresses.map(address => manager.getAddressUnits(address)))).map((units, i) => units - before[i]);
+    
+    // Two jobs started at once (say the CLI and the deposit watcher) take turns on the master's seqno
+    const before = await Promise.all(addresses.map(address => manager.getAddressUnits(address)));
+    const runs = await Promise.all(['0.3', '0.5'].map(amount => manager.executeDistributionPlan(DistributionPlan.equalSplit(addresses, amount))));
+    const overlapped = await received(before);
+    if (runs.some(run => run.successCount !== 2) || overlapped.some(units => units !== toUnits('0.4'))) {
+        throw new Error(`Overlapping jobs did not both pay out: ${JSON.stringify(runs.map(run => run.successCount))}, received ${overlapped.join(',')}`);
+    }
+    
+    // A seqno used up by another job's message is no proof: a batch whose signed body never reached the
+    // wallet goes back to pending once it expired, and is sent
+    const job = await manager.createDistributionJob(DistributionPlan.equalSplit(addresses, '0.2'));
+    const now = Math.floor(Date.now() / 1000);
+    const seqno = await manager.getWalletSeqno(manager.masterWallet);
+    job.recipients.forEach(recipient => Object.assign(recipient, { state: 'sending', seqno: seqno - 1, queryId: null, bodyHash: 'ab'.repeat(32), signedAt: now - 200, validUntil: now - 120 }));
+    await manager.jobStore.save(job);
+    const resumeBefore = await Promise.all(addresses.map(address => manager.getAddressUnits(address)));
+    const resumed = await manager.resumeDistributionJob(job.id);
+    const resent = await received(resumeBefore);
+    if (resumed.successCount !== 2 || resent.some(units => units !== toUnits('0.1'))) {
+        throw new Error(`A batch was taken as accepted on another message's seqno: received ${resent.join(',')}`);
+    }
+    console.log('✅ Two jobs on one master ran one after the other; a batch is only sent once its signed body is on-chain');
+}
+
+async function testDepositWatcher(dataDir, priceService) {
+    const watchDir = await fs.mkdtemp(path.join(dataDir, 'deposits-'));
+    const manager = new WalletManager({ dataDir: watchDir, priceService, simulate: true });
+    await manager.initialize({ passphrase: TEST_PASSPHRASE });
+    await manager.createChildWallets(2);
+    const customer = 'UQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAJKZ';
+    const master = manager.masterWallet.address;
+    const autoDistribution = { plan: DistributionPlan.equalSplit(manager.childWallets.map(wallet => wallet.address), 1), threshold: 11 };
+    const poll = (options = {}) => watchDeposits(manager, { autoDistribution, maxPolls: 1, ...options });
+    
+    // History from before the first check is neither logged nor a reason to distribute
+    await manager.client.credit(master, toNano('6'), { from: customer, comment: 'before the watch' });
+    const start = await poll();
+    if (start.deposits.length !== 0 || start.distributions.length !== 0 || manager.listDeposits().length !== 0) {
+        throw new Error(`The first check treated old transfers as deposits: ${JSON.stringify(start)}`);
+    }
+    
+    // Every incoming transfer is logged once with its sender and comment; sweeps are marked as from a child
+    await manager.client.credit(master, toNano('3'), { from: customer, comment: 'invoice 42' });
+    await manager.client.credit(master, toNano('0.5'), { from: manager.childWallets[0].address });
+    // More than the 20 pages of 5 a poll used to stop at: every one of them is still logged
+    for (let i = 0; i < 105; i++) {
+        await manager.client.credit(master, 1n, { from: customer, comment: `dust ${i}` });
+    }
+    const first = await manager.checkDeposits({ pageSize: 5 });
+    const second = await manager.checkDeposits();
+    
+    if (first.length !== 107 || first[106].comment !== 'dust 104' || first[0].amount !== 3 || first[0].comment !== 'invoice 42' || first[0].fromChild || !first[1].fromChild
+        || first[0].units !== '3000000000' || second.length !== 0 || manager.listDeposits({ limit: 1000 }).length !== 107) {
+        throw new Error(`Deposits were not logged exactly once: ${JSON.stringify({ first, second })}`);
+    }
+    
+    // Deposits that bring the master to the threshold run the plan, unless the spending policy blocks it
+    await manager.client.credit(master, toNano('1'), { from: customer });
+    const below = await poll();
+    await fs.writeJson(manager.policyPath, { maxPerDistribution: 0.5 });
+    await manager.client.credit(master, toNano('1'), { from: customer, comment: 'top-up' });
+    const blocked = await poll();
+    await fs.remove(manager.policyPath);
+    await manager.client.credit(master, toNano('0.1'), { from: customer });
+    const triggered = await poll();
+    const idle = await poll({ maxPolls: 2, intervalSeconds: 0.01 });
+    const job = await manager.jobStore.load(triggered.distributions[0].jobId);
+    
+    if (below.distributions.length !== 0 || blocked.distributions[0].blocked?.[0].rule !== 'maxPerDistribution' || (await manager.listDistributionJobs()).length !== 1
+        || triggered.distributions[0].results.successCount !== 2 || job.trigger.type !== 'deposit' || job.trigger.deposits.length !== 1
+        || idle.polls !== 2 || idle.deposits.length !== 0 || idle.distributions.length !== 0) {
+        throw new Error(`Auto-distribution did not follow the threshold and policy: ${JSON.stringify({ below, blocked, triggered: triggered.distributions, idle })}`);
+    }
+    
+    let output = '';
+    const exitCode = await runCli(['deposits', 'list', '--limit', '2', '--json'], {
+        stdout: { write: (text) => { output += text; } },
+        createManager: () => new WalletManager({ dataDir: watchDir, priceService, simulate: true })
+    });
+    const { deposits } = JSON.parse(output);
+    if (exitCode !== EXIT_CODES.OK || deposits.length !== 2 || deposits[1].comment !== 'top-up' || deposits[0].amount !== 0.1) {
+        throw new Error(`deposits list did not show the latest deposits: ${output}`);
+    }
+    console.log(`✅ Logged ${manager.listDeposits({ limit: 1000 }).length} deposits once each (none from before the watch); auto-distribution waited for the threshold, respected the policy and ran job ${job.id}`);
+}
+
+async function testJettonDistribution(walletManager) {
+    if (toJettonUnits(1.5, 6) !== 1500000n || fromJettonUnits(1500000n, 6) !== '1.5') {
+        throw new Error('Jetton unit conversion failed');
+    }
+    
+    const [first] = walletManager.childWallets;
+    const body = buildJettonTransferBody({
+        units: 1500000n,
+        destination: first.address,
+        responseDestination: walletManager.masterWallet.address
+    }).beginParse();
+    if (body.loadUint(32) !== JETTON_TRANSFER_OP || body.loadUint(64) !== 0 || body.loadCoins() !== 1500000n
+        || !body.loadAddress().equals(Address.parse(first.address))) {
+        throw new Error('Jetton transfer body is malformed');
+    }
+    
+    await walletManager.simulateAddJettonToMaster('USDT', 100);
+    const result = await walletManager.distributeJettonToChildren('USDT', 30);
+    await walletManager.syncJettonBalances('USDT');
+    const balances = walletManager.childWallets.map(wallet => wallet.jettonBalances.USDT).join(',');
+    if (result.successCount !== 3 || balances !== '10.000000,10.000000,10.000000'
+        || await walletManager.getMasterJettonBalance('USDT') !== 70) {
+        throw new Error(`Unexpected jetton distribution: ${balances}`);
+    }
+    
+    // Amounts finer than the token's decimals are rounded, and the master's jetton balance is enforced
+    const preview = await walletManager.previewDistributionPlan(
+        new DistributionPlan({ recipients: [{ address: first.address, amount: 0.1234567 }, { address: walletManager.childWallets[1].address, amount: 80 }] }),
+        { jetton: 'USDT' }
+    );
+    if (preview.transfers[0].amount !== 0.123457 || preview.errors.length !== 1) {
+        throw new Error('Jetton plan preview did not validate as expected');
+    }
+    console.log(`✅ Distributed 30 USDT across ${result.successCount} children`);
+}
+
+async function testPriceService(dataDir) {
+    let calls = 0;
+    const quote = (name, price, ageMs = 0) => ({
+        name,
+        async getPrice() {
+            calls++;
+            return { price, source: name, timestamp: new Date(Date.now() - ageMs).toISOString() };
+        }
+    });
+    const failing = { name: 'down', async getPrice() { throw new Error('offline'); } };
+    
+    // Median of the fresh quotes; failed and stale ones are dropped and reported
+    const service = new PriceService([quote('a', 2), quote('b', 3), quote('c', 10), quote('old', 99, 3600000), failing]);
+    const first = await service.getPrice();
+    const second = await service.getPrice();
+    if (first.price !== 3 || first.failures.length !== 2 || !second.cached || calls !== 4) {
+        throw new Error('Median aggregation or caching failed');
+    }
+    
+    const stale = new PriceService([quote('old', 2.1, 3600000), failing]);
+    await stale.getPrice().then(
+        () => { throw new Error('Stale-only prices must be rejected'); },
+        () => {}
+    );
+    const lenient = new PriceService([quote('old', 2.1, 3600000)], { allowStale: true });
+    const fallback = await lenient.getPrice();
+    if (!fallback.stale || !fallback.warning || fallback.price !== 2.1) {
+        throw new Error('Stale fallback must be flagged');
+    }
+    
+    const priceFile = path.join(dataDir, 'ton_price.json');
+    await fs.writeJson(priceFile, { price: 3.25, timestamp: new Date().toISOString() });
+    const fromFile = await new PriceService([new FilePriceProvider(priceFile), new FixedPriceProvider(3.75)]).getPrice();
+    if (fromFile.price !== 3.5) {
+        throw new Error('File and fixed providers were not aggregated');
+    }
+    console.log(`✅ Median price ${first.price} from ${first.source}; stale prices rejected`);
+}
+
+// `run` executes a CLI command against the shared data directory (see testCli)
+async function testExports(dataDir, run, job) {
+    const walletsCsv = path.join(dataDir, 'export-wallets.csv');
+    const reportJson = path.join(dataDir, 'export-report.json');
+    const secretsFile = path.join(dataDir, 'export-secrets.json');
+    const secretsPassphrase = path.join(dataDir, 'export-passphrase.txt');
+    await fs.writeFile(secretsPassphrase, 'export-passphrase');
+    
+    const wallets = await run('export', 'wallets', '--out', walletsCsv);
+    const lines = (await fs.readFile(walletsCsv, 'utf8')).trim().split('\n');
+    const [, masterRow] = lines;
+    const master = Address.parse(masterRow.split(',')[1]);
+    const reports = await run('export', 'reports', '--job', job.id, '--out', reportJson);
+    const transfers = await fs.readJson(reportJson);
+    if (wallets.exitCode !== EXIT_CODES.OK || lines.length !== 5 || !lines[0].startsWith('type,address,addressNonBounceable,label')
+        || !masterRow.includes(master.toString({ bounceable: false, testOnly: true })) || /mnemonic|privateKey|encrypted/.test(lines.join())
+        || reports.exitCode !== EXIT_CODES.OK || transfers.length !== job.recipients.length
+        || transfers.some((transfer, i) => transfer.status !== job.recipients[i].state || !transfer.txHash || transfer.jobId !== job.id)) {
+        throw new Error('Wallet or report export returned unexpected output');
+    }
+    
+    // Mnemonics need the flag and --yes, and land only in the encrypted secrets file
+    const secretsArgs = ['export', 'wallets', '--out', walletsCsv, '--include-mnemonics', '--secrets-out', secretsFile, '--secrets-passphrase-file', secretsPassphrase];
+    const unconfirmed = await run(...secretsArgs);
+    const unconfirmedWrote = await fs.pathExists(secretsFile);
+    const confirmed = await run(...secretsArgs, '--yes');
+    const overwrite = await run(...secretsArgs, '--yes');
+    const secrets = await readSecretsExport(secretsFile, 'export-passphrase');
+    const wrongPassphrase = await readSecretsExport(secretsFile, 'wrong-passphrase').then(() => null, error => error.message);
+    if (unconfirmed.exitCode !== EXIT_CODES.NOT_CONFIRMED || unconfirmedWrote || confirmed.exitCode !== EXIT_CODES.OK
+        || overwrite.exitCode !== EXIT_CODES.ERROR || secrets.wallets.length !== 4 || secrets.wallets[0].mnemonic.length !== 24
+        || (await fs.readFile(secretsFile, 'utf8')).includes(secrets.wallets[0].mnemonic[0] + '"') || !/Invalid passphrase/.test(wrongPassphrase)) {
+        throw new Error('Mnemonic export was not gated or not encrypted');
+    }
+    console.log(`✅ Exported ${lines.length - 1} wallets and ${transfers.length} transfers; mnemonics only encrypted and confirmed`);
+}
+
+async function testCli(dataDir, priceService) {
+    const passphraseFile = path.join(dataDir, 'passphrase.txt');
+    await fs.writeFile(passphraseFile, TEST_PASSPHRASE);
+    
+    const run = async (...args) => {
+        let output = '';
+        const stdout = { write: (text) => { output += text; } };
+        // Each command gets a fresh manager; the simulated ledger on disk carries the funds over
+        const createManager = () => new WalletManager({ dataDir, priceService, simulate: true });
+        const exitCode = await runCli([...args, '--json', '--passphrase-file', passphraseFile], { stdout, createManager });
+        return { exitCode, data: JSON.parse(output) };
+    };
+    
+    const list = await run('wallets', 'list');
+    if (list.exitCode !== EXIT_CODES.OK || list.data.children.length !== 3 || JSON.stringify(list.data).includes('mnemonic')) {
+        throw new Error('wallets list returned unexpected output');
+    }
+    
+    const preview = await run('distribute', '--amount', '0.3');
+    if (preview.exitCode !== EXIT_CODES.NOT_CONFIRMED || preview.data.confirmed !== false) {
+        throw new Error('distribute without --yes must only preview');
+    }
+    
+    // Amounts are read digit for digit; a tenth decimal is refused, not rounded
+    const tooPrecise = await run('distribute', '--amount', '0.1000000001');
+    if (tooPrecise.exitCode !== EXIT_CODES.USAGE || !tooPrecise.data.error.includes('9 decimals')) {
+        throw new Error(`distribute accepted an amount finer than a nanoton: ${JSON.stringify(tooPrecise.data)}`);
+    }
+    
+    const dryRun = await run('distribute', '--amount', 'all', '--reserve', '1', '--dry-run', '--yes');
+    if (dryRun.exitCode !== EXIT_CODES.OK || dryRun.data.confirmed !== false || dryRun.data.preview.reserve !== '1'
+        || !(dryRun.data.preview.fees.total > 0) || dryRun.data.preview.warnings.length !== 0) {
+        throw new Error('distribute --dry-run must preview the maximum amount with its fees');
+    }
+    
+    const jobs = await run('jobs', 'list');
+    const report = await run('report', jobs.data.jobs[0].id);
+    const resume = await run('resume', jobs.data.jobs[0].id);
+    const missingId = await run('resume');
+    if (jobs.exitCode !== EXIT_CODES.OK || resume.exitCode !== EXIT_CODES.OK || resume.data.status !== 'completed'
+        || report.data.summary.confirmed !== report.data.recipients.length || missingId.exitCode !== EXIT_CODES.USAGE) {
+        throw new Error('jobs list / resume returned unexpected output');
+    }
+    
+    await testExports(dataDir, run, { id: jobs.data.jobs[0].id, recipients: report.data.recipients });
+    
+    const grouped = await run('groups', 'add', 'cli-test', '--addresses', list.data.children[1].address);
+    const selected = await run('wallets', 'list', '--select', 'group:cli-test');
+    const badSelect = await run('wallets', 'list', '--select', 'group:cli-test and (');
+    if (grouped.exitCode !== EXIT_CODES.OK || selected.data.children.length !== 1
+        || selected.data.children[0].groups.join() !== 'cli-test' || badSelect.exitCode !== EXIT_CODES.USAGE) {
+        throw new Error('groups add / wallets list --select returned unexpected output');
+    }
+    
+    const usage = await run('distribute', '--amount', '1', '--plan', 'plan.csv');
+    const unknown = await run('wallets', 'delete');
+    const noSecret = await run('wallets', 'import', '--address', list.data.children[0].address);
+    if (usage.exitCode !== EXIT_CODES.USAGE || unknown.exitCode !== EXIT_CODES.USAGE || !unknown.data.error
+        || noSecret.exitCode !== EXIT_CODES.USAGE) {
+        throw new Error('Usage errors must exit with code 2');
+    }
+    console.log('✅ CLI subcommands return JSON and meaningful exit codes');
+}
+
+async function testApiServer(dataDir, priceService) {
+    const tokenFile = path.join(dataDir, 'api-token.txt');
+    await fs.writeFile(tokenFile, 'test-api-token');
+    
+    let started;
+    const serverStarted = new Promise(resolve => { started = resolve; });
+    const exited = runCli(['serve', '--port', '0', '--token-file', tokenFile, '--passphrase-file', path.join(dataDir, 'passphrase.txt'), '--json'], {
+        stdout: { write: () => {} },
+        createManager: () => new WalletManager({ dataDir, priceService, simulate: true }),
+        onServerStarted: started
+    });
+    const server = await Promise.race([serverStarted, exited.then(code => { throw new Error(`serve exited with ${code}`); })]);
+    
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const call = async (method, route, body, token = 'test-api-token') => {
+        const response = await fetch(`${base}${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, text: await response.text() };
+    };
+    
+    try {
+        const unauthorized = await call('GET', '/wallets', undefined, 'wrong-token');
+        const wallets = await call('GET', '/wallets');
+        const invalid = await call('POST', '/wallets/children', { count: 'many' });
+        const badPlan = await call('POST', '/distributions', { amount: 1e9 });
+        const preview = await call('POST', '/distributions/preview', { amount: 0.3 });
+        const tooPrecise = await call('POST', '/distributions/preview', { amount: '0.1000000001' });
+        const created = await call('POST', '/distributions', { amount: 0.3 });
+        const { jobId } = JSON.parse(created.text);
+        const executed = await call('POST', `/distributions/${jobId}/execute`);
+        const reportId = JSON.parse(executed.text).reports[0];
+        const report = await call('GET', `/reports/${reportId}`);
+        const missing = await call('GET', '/distributions/job_missing');
+        const malformed = await call('GET', '/distributions/%E0%A4%A');
+        
+        if (unauthorized.status !== 401 || JSON.parse(unauthorized.text).error.code !== 'unauthorized'
+            || wallets.status !== 200 || /mnemonic|privateKey|encrypted/.test(wallets.text) || JSON.parse(wallets.text).children.length !== 3
+            || invalid.status !== 400 || !JSON.parse(invalid.text).error.message.includes('count')
+            || badPlan.status !== 422 || !JSON.parse(badPlan.text).error.details.errors.length
+            || preview.status !== 200 || !JSON.parse(preview.text).valid
+            || tooPrecise.status !== 400 || JSON.parse(tooPrecise.text).error.code !== 'invalid_request'
+            || created.status !== 201 || executed.status !== 200 || JSON.parse(executed.text).results.successCount !== 3
+            || report.status !== 200 || JSON.parse(report.text).jobId !== jobId || missing.status !== 404
+            || malformed.status !== 400 || JSON.parse(malformed.text).error.code !== 'invalid_request') {
+            throw new Error('HTTP API returned unexpected responses');
+        }
+    } finally {
+        server.close();
+    }
+    
+    if (await exited !== EXIT_CODES.OK) {
+        throw new Error('serve did not stop cleanly');
+    }
+    console.log('✅ HTTP API authenticates, validates input and runs distributions without exposing secrets');
+}
+
+const TEST_PASSPHRASE = 'test-passphrase';
+
+// Stand-in for the compiled highload wallet v3 code (see wallet-contracts.js). The simulated ledger never
+// runs contract code, so any fixed cell gives stable highload addresses.
+process.env.HIGHLOAD_WALLET_V3_CODE = beginCell().storeUint(0x686c7633, 32).endCell().toBoc().toString('hex');
+
 async function testFullWorkflow() {
     console.log('🧪 Testing Full TON Wallet Manager Workflow...');
     
-    const walletManager = new WalletManager();
-    await walletManager.initialize();
+    // Work in a throwaway data directory so real wallets are never touched; it is removed even when a test fails
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ton-wallet-manager-'));
+    try {
+        await runWorkflow(dataDir);
+    } finally {
+        await fs.remove(dataDir);
+    }
+    
+    console.log('\n✅ Full workflow test completed successfully!');
+}
+
+async function runWorkflow(dataDir) {
+    const priceService = new PriceService([new FixedPriceProvider(2.5)]);
+    const walletManager = new WalletManager({ dataDir, priceService, simulate: true });
+    await walletManager.initialize({ passphrase: TEST_PASSPHRASE });
     
     console.log('\n1️⃣ Creating 3 test child wallets...');
     await walletManager.createChildWallets(3);
@@ -15,6 +1330,7 @@ async function testFullWorkflow() {
     console.log('\n2️⃣ Getting TON price...');
     const tonPrice = await walletManager.getTonPrice();
     console.log(`💰 Current TON Price: ${tonPrice}`);
+    await testPriceService(dataDir);
     
     console.log('\n3️⃣ Simulating USDT to TON conversion...');
     const usdtAmount = 100; // $100 USDT
@@ -27,13 +1343,66 @@ async function testFullWorkflow() {
     const masterBalance = await walletManager.getMasterWalletBalance();
     console.log(`👑 Master Wallet Balance: ${masterBalance} TON`);
     
-    console.log('\n5️⃣ Distributing TON to child wallets...');
-    const result = await walletManager.distributeTonToChildren(parseFloat(masterBalance) * 0.9);
+    console.log('\n5️⃣ Distributing all available TON to child wallets...');
+    const result = await testFeeEstimation(walletManager);
     
     console.log('\n6️⃣ Distribution Results:');
     console.log(`✅ Successful transfers: ${result.successCount}`);
     console.log(`❌ Failed transfers: ${result.failedCount}`);
     
+    console.log('\n📑 Distributing from a custom plan...');
+    await walletManager.simulateAddTonToMaster(5);
+    await testDistributionPlans(walletManager);
+    
+    console.log('\n🪙 Distributing USDT jettons...');
+    await testJettonDistribution(walletManager);
+    
+    console.log('\n🗂️ Resuming and retrying distribution jobs...');
+    await testDistributionJobs(dataDir, walletManager);
+    
+    console.log('\n🔎 Tracking sent transfers on-chain...');
+    await testConfirmationTracking(dataDir, walletManager);
+    
+    console.log('\n🔄 Syncing child balances from the chain...');
+    await testBalanceSync(dataDir, walletManager);
+    
+    console.log('\n🧹 Sweeping child wallets back to the master...');
+    await testSweep(walletManager);
+    await testSimulatedLedger(walletManager);
+    
+    console.log('\n👥 Distributing to groups and tags of child wallets...');
+    await testWalletGroups(walletManager);
+    
+    console.log('\n🗄️ Migrating JSON files to the SQLite database...');
+    await testStorageMigration(dataDir, walletManager);
+    
+    console.log('\n🧬 Using other wallet contract versions...');
+    await testWalletVersions(dataDir, priceService, walletManager);
+    
+    console.log('\n📥 Importing existing and watch-only wallets...');
+    await testWalletImports(dataDir, priceService);
+    
+    console.log('\n📜 Enforcing the spending policy...');
+    await testSpendingPolicy(dataDir, priceService);
+    
+    console.log('\n🔏 Approving distribution plans...');
+    await testPlanApprovals(dataDir, priceService);
+    
+    console.log('\n✍️ Signing distribution batches offline...');
+    await testOfflineSigning(dataDir, priceService);
+    
+    console.log('\n🗂️ Keeping network profiles apart...');
+    await testProfiles(dataDir, priceService);
+    
+    console.log('\n🧮 Accounting in exact nanotons...');
+    await testNanotonAccounting(dataDir, priceService);
+    
+    console.log('\n📥 Watching the master for deposits...');
+    await testDepositWatcher(dataDir, priceService);
+    
+    console.log('\n🔒 Running two jobs on one master at once...');
+    await testOverlappingJobs(dataDir, priceService);
+    
     console.log('\n7️⃣ Final wallet stats...');
     const stats = walletManager.getWalletStats();
     console.log('📊 Stats:', stats);
@@ -41,7 +1410,24 @@ async function testFullWorkflow() {
     const finalMasterBalance = await walletManager.getMasterWalletBalance();
     console.log(`👑 Final Master Balance: ${finalMasterBalance} TON`);
     
-    console.log('\n✅ Full workflow test completed successfully!');
+    console.log('\n8️⃣ Signing batched transfers against a mock client...');
+    await testBatchedTransfers(walletManager.masterWallet, walletManager.childWallets);
+    
+    console.log('\n⌨️ Running non-interactive CLI commands...');
+    await testCli(dataDir, priceService);
+    
+    console.log('\n🌐 Serving the HTTP API against the simulated ledger...');
+    await testApiServer(dataDir, priceService);
+    
+    console.log('\n9️⃣ Recovering children from the master seed...');
+    await testRecovery(dataDir, walletManager);
+    
+    console.log('\n🔟 Checking the encrypted keystore...');
+    await testKeystore(dataDir, walletManager);
 }
 
-testFullWorkflow().catch(console.error);
\ No newline at end of file
+// A failing test fails the run
+testFullWorkflow().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
\ No newline at end of file
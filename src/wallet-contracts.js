@@ -0,0 +1,244 @@
+import { sign } from '@ton/crypto';
+import {
+    WalletContractV3R2,
+    WalletContractV4,
+    WalletContractV5R1,
+    Address,
+    Cell,
+    beginCell,
+    contractAddress,
+    internal,
+    storeMessageRelaxed,
+    storeOutList,
+    SendMode
+} from '@ton/ton';
+
+// Wallet contract versions a record can use. Records written before versions were selectable are V4R2,
+// so a missing `version` always means 'v4r2' and those addresses never change.
+export const WALLET_VERSIONS = ['v3r2', 'v4r2', 'v5r1', 'highload-v3'];
+export const DEFAULT_WALLET_VERSION = 'v4r2';
+export const HIGHLOAD_VERSION = 'highload-v3';
+
+// V5R1 wallet ids include the network: -239 is mainnet, -3 is testnet
+export const NETWORK_GLOBAL_IDS = { mainnet: -239, testnet: -3 };
+
+// Highload wallet v3 defaults: the reference subwallet id, and how long (seconds) a signed batch stays
+// valid and its query id stays reserved. Both are part of the wallet's address.
+export const DEFAULT_HIGHLOAD_SUBWALLET_ID = 0x10ad;
+export const DEFAULT_HIGHLOAD_TIMEOUT = 600;
+
+// Highload batches are sent as one message to the wallet itself, which then sends up to this many transfers
+const HIGHLOAD_MAX_MESSAGES = 254;
+export const HIGHLOAD_INTERNAL_TRANSFER_OP = 0xae42e5a4;
+
+// Query ids are 23 bits: a 13-bit shift and a 10-bit bit number (1023 is reserved by the contract)
+const HIGHLOAD_BITS_PER_SHIFT = 1023;
+const HIGHLOAD_MAX_SHIFT = 8192;
+
+// The highload wallet v3 code is not bundled with @ton/ton. Set HIGHLOAD_WALLET_V3_CODE to the compiled
+// contract (hex or base64 BOC) published at github.com/ton-blockchain/highload-wallet-contract-v3.
+export function getHighloadCode() {
+    const boc = (process.env.HIGHLOAD_WALLET_V3_CODE || '').trim();
+    if (!boc) {
+        throw new Error('Highload wallets need the contract code: set HIGHLOAD_WALLET_V3_CODE to the compiled highload wallet v3 BOC');
+    }
+    return Cell.fromBoc(Buffer.from(boc, /^[0-9a-f]+$/i.test(boc) ? 'hex' : 'base64'))[0];
+}
+
+// Open the contract of a wallet record (or the same fields: version, publicKey, workchain and the
+// version's own parameters). Every version exposes:
+//   address, init, maxMessages
+//   sequential - true for seqno wallets, false for highload wallets (replay protection by query id)
+//   createTransfer({ secretKey, messages, sendMode, seqno, validUntil })   (seqno wallets)
+//   createTransfer({ secretKey, messages, sendMode, queryId, createdAt })   (highload wallets)
+export function openWalletContract({ version = DEFAULT_WALLET_VERSION, publicKey, workchain = 0, walletId, networkGlobalId, subwalletId, timeout }) {
+    const key = Buffer.isBuffer(publicKey) ? publicKey : Buffer.from(publicKey, 'hex');
+
+    switch (version) {
+        case 'v3r2':
+            return seqnoWallet(version, WalletContractV3R2.create({ workchain, publicKey: key, walletId }), 4);
+        case 'v4r2':
+            return seqnoWallet(version, WalletContractV4.create({ workchain, publicKey: key, walletId }), 4);
+        case 'v5r1':
+            return seqnoWallet(version, WalletContractV5R1.create({
+                publicKey: key,
+                walletId: {
+                    networkGlobalId: networkGlobalId ?? NETWORK_GLOBAL_IDS.mainnet,
+                    context: { workChain: workchain, walletVersion: 'v5r1', subwalletNumber: 0 }
+                }
+            }), 255);
+        case HIGHLOAD_VERSION:
+            return highloadWallet({
+                publicKey: key,
+                workchain,
+                subwalletId: subwalletId ?? DEFAULT_HIGHLOAD_SUBWALLET_ID,
+                timeout: timeout ?? DEFAULT_HIGHLOAD_TIMEOUT
+            });
+        default:
+            throw new Error(`Unknown wallet version: ${version} (expected one of ${WALLET_VERSIONS.join(', ')})`);
+    }
+}
+
+// Version-specific fields to keep on a record so its address can be derived again
+export function walletContractParams(version, { network = 'mainnet' } = {}) {
+    if (version === 'v5r1') {
+        return { networkGlobalId: NETWORK_GLOBAL_IDS[network] };
+    }
+    if (version === HIGHLOAD_VERSION) {
+        return { subwalletId: DEFAULT_HIGHLOAD_SUBWALLET_ID, timeout: DEFAULT_HIGHLOAD_TIMEOUT, nextQuery: 0 };
+    }
+    return {};
+}
+
+// Wallet version whose code is `code`, or null for anything else
+export function detectWalletVersion(code) {
+    const hash = code.hash();
+    const dummyKey = Buffer.alloc(32);
+
+    for (const version of WALLET_VERSIONS) {
+        if (version === HIGHLOAD_VERSION && !process.env.HIGHLOAD_WALLET_V3_CODE) {
+            continue;
+        }
+        if (openWalletContract({ version, publicKey: dummyKey }).init.code.hash().equals(hash)) {
+            return version;
+        }
+    }
+    return null;
+}
+
+// Public key and version parameters stored in a wallet's data cell
+export function readWalletData(version, data) {
+    const slice = data.beginParse();
+
+    switch (version) {
+        case 'v3r2':
+        case 'v4r2': {
+            slice.skip(32); // seqno
+            const walletId = slice.loadUint(32);
+            return { publicKey: slice.loadBuffer(32), walletId };
+        }
+        case 'v5r1': {
+            slice.skip(1 + 32); // signature allowed, seqno
+            const walletId = slice.loadInt(32);
+            return { publicKey: slice.loadBuffer(32), walletId };
+        }
+        case HIGHLOAD_VERSION: {
+            const publicKey = slice.loadBuffer(32);
+            const subwalletId = slice.loadUint(32);
+            slice.loadMaybeRef(); // old queries
+            slice.loadMaybeRef(); // queries
+            slice.skip(64); // last clean time
+            return { publicKey, subwalletId, timeout: slice.loadUint(22) };
+        }
+        default:
+            throw new Error(`Unknown wallet version: ${version}`);
+    }
+}
+
+// Record fields of a deployed wallet at `address`, given its on-chain code and data.
+// Throws if the code is not a supported wallet or the wallet uses parameters we cannot reproduce.
+export function identifyWallet({ address, code, data }) {
+    const version = detectWalletVersion(code);
+    if (!version) {
+        throw new Error(`${address} is not a supported wallet contract (code hash ${code.hash().toString('hex')})`);
+    }
+
+    const { workChain: workchain } = Address.parse(address);
+    const { publicKey, ...params } = readWalletData(version, data);
+    const candidates = version === 'v5r1'
+        ? Object.values(NETWORK_GLOBAL_IDS).map(networkGlobalId => ({ networkGlobalId }))
+        : [version === HIGHLOAD_VERSION ? { ...params, nextQuery: 0 } : { walletId: params.walletId }];
+
+    for (const candidate of candidates) {
+        const contract = openWalletContract({ version, publicKey, workchain, ...candidate });
+        if (contract.address.equals(Address.parse(address))) {
+            return { version, publicKey: publicKey.toString('hex'), workchain, ...candidate };
+        }
+    }
+    throw new Error(`${address} is a ${version} wallet with parameters this manager cannot reproduce`);
+}
+
+// The query id for the `counter`-th batch of a highload wallet; ids repeat only after 8 million batches
+export function highloadQueryId(counter) {
+    const shift = Math.floor(counter / HIGHLOAD_BITS_PER_SHIFT) % HIGHLOAD_MAX_SHIFT;
+    return shift * 1024 + counter % HIGHLOAD_BITS_PER_SHIFT;
+}
+
+function seqnoWallet(version, contract, maxMessages) {
+    return {
+        version,
+        address: contract.address,
+        init: contract.init,
+        maxMessages,
+        sequential: true,
+        getSeqno: (provider) => contract.getSeqno(provider),
+        createTransfer: ({ secretKey, messages, sendMode, seqno, validUntil }) => contract.createTransfer({
+            seqno,
+            secretKey,
+            timeout: validUntil,
+            sendMode,
+            messages
+        })
+    };
+}
+
+function highloadWallet({ publicKey, workchain, subwalletId, timeout }) {
+    const code = getHighloadCode();
+    const data = beginCell()
+        .storeBuffer(publicKey, 32)
+        .storeUint(subwalletId, 32)
+        .storeUint(0, 1 + 1 + 64) // empty query dictionaries, last clean time
+        .storeUint(timeout, 22)
+        .endCell();
+    const init = { code, data };
+    const address = contractAddress(workchain, init);
+
+    return {
+        version: HIGHLOAD_VERSION,
+        address,
+        init,
+        maxMessages: HIGHLOAD_MAX_MESSAGES,
+        sequential: false,
+        subwalletId,
+        timeout,
+
+        // One external message carrying an internal message to the wallet itself, whose body holds the transfers
+        createTransfer({ secretKey, messages, sendMode, queryId, createdAt }) {
+            const actions = beginCell()
+                .store(storeOutList(messages.map(outMsg => ({ type: 'sendMsg', mode: sendMode, outMsg }))))
+                .endCell();
+            const batch = internal({
+                to: address,
+                value: 0n,
+                body: beginCell()
+                    .storeUint(HIGHLOAD_INTERNAL_TRANSFER_OP, 32)
+                    .storeUint(queryId, 64)
+                    .storeRef(actions)
+                    .endCell()
+            });
+
+            const request = beginCell()
+                .storeUint(subwalletId, 32)
+                .storeRef(beginCell().store(storeMessageRelaxed(batch)))
+                .storeUint(SendMode.CARRY_ALL_REMAINING_BALANCE, 8)
+                .storeUint(queryId, 23)
+                .storeUint(createdAt, 64)
+                .storeUint(timeout, 22)
+                .endCell();
+
+            return beginCell()
+                .storeBuffer(sign(request.hash(), secretKey))
+                .storeRef(request)
+                .endCell();
+        },
+
+        async isProcessed(provider, queryId) {
+            const state = await provider.getState();
+            if (state.state.type !== 'active') {
+                return false;
+            }
+            const { stack } = await provider.get('processed?', [{ type: 'int', value: BigInt(queryId) }, { type: 'int', value: 0n }]);
+            return stack.readBoolean();
+        }
+    };
+}
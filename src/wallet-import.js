@@ -0,0 +1,63 @@
+import { keyPairFromSecretKey, keyPairFromSeed } from '@ton/crypto';
+import { normalizeAddress, splitCsvLine } from './distribution-plan.js';
+import { updateNames } from './wallet-selection.js';
+
+// Key pair of a raw Ed25519 key: the 64-byte secret key (as stored in wallet records) or its 32-byte seed, in hex
+export function parsePrivateKey(privateKey) {
+    const hex = String(privateKey || '').trim().replace(/^0x/i, '');
+    if (!/^[0-9a-f]+$/i.test(hex) || (hex.length !== 64 && hex.length !== 128)) {
+        throw new Error('A private key must be 32 bytes (seed) or 64 bytes (secret key) of hex');
+    }
+
+    const key = Buffer.from(hex, 'hex');
+    return key.length === 32 ? keyPairFromSeed(key) : keyPairFromSecretKey(key);
+}
+
+// Watch-only addresses from CSV. The header names the columns: address plus any of label, tags, groups;
+// tags and groups hold several names separated by spaces or semicolons. Throws on rows with invalid
+// addresses or names, listing every bad row, so a file is imported completely or not at all.
+export function parseWatchOnlyCsv(text) {
+    const rows = text.split(/\r?\n/)
+        .map((line, i) => ({ line: i + 1, text: line }))
+        .filter(row => row.text.trim() && !row.text.trim().startsWith('#'));
+    if (rows.length === 0) {
+        throw new Error('Watch-only CSV is empty');
+    }
+
+    const header = splitCsvLine(rows[0].text).map(column => column.toLowerCase());
+    if (!header.includes('address')) {
+        throw new Error('Watch-only CSV needs an "address" column');
+    }
+
+    const errors = [];
+    const entries = [];
+    for (const row of rows.slice(1)) {
+        const values = splitCsvLine(row.text);
+        const column = (name) => values[header.indexOf(name)] ?? '';
+
+        if (!normalizeAddress(column('address'))) {
+            errors.push(`Line ${row.line}: invalid address "${column('address')}"`);
+            continue;
+        }
+        try {
+            entries.push({
+                line: row.line,
+                address: column('address'),
+                label: column('label') || null,
+                tags: updateNames([], { add: splitNames(column('tags')) }),
+                groups: updateNames([], { add: splitNames(column('groups')) })
+            });
+        } catch (error) {
+            errors.push(`Line ${row.line}: ${error.message}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Watch-only CSV has ${errors.length} invalid rows:\n${errors.join('\n')}`);
+    }
+    return entries;
+}
+
+function splitNames(value) {
+    return value.split(/[\s;]+/).filter(Boolean);
+}
@@ -1,39 +1,145 @@
-import { mnemonicNew, mnemonicToPrivateKey } from '@ton/crypto';
-import { WalletContractV4, Address, toNano, fromNano, Cell, beginCell } from '@ton/ton';
-import { TonClient } from '@ton/ton';
+import { mnemonicNew, mnemonicToPrivateKey, mnemonicToHDSeed, deriveMnemonicsPath } from '@ton/crypto';
+import { Address, fromNano, Cell, beginCell, internal, external, storeMessage, loadMessage, SendMode } from '@ton/ton';
 import fs from 'fs-extra';
 import path from 'path';
-import axios from 'axios';
+import { Keystore, sealWithPassphrase } from './keystore.js';
+import { Storage } from './storage.js';
+import { createPriceService } from './price-provider.js';
+import { DistributionPlan, formatAddress, normalizeAddress } from './distribution-plan.js';
+import { JobStore, summarizeJob, resolveJobStatus } from './distribution-job.js';
+import { fetchTransactionsSince, trackJobTransactions } from './confirmation-tracker.js';
+import { createTonClient, createOfflineClient, SimulatedLedger } from './network.js';
+import { parseSelection, updateNames } from './wallet-selection.js';
+import { parsePrivateKey } from './wallet-import.js';
+import { loadSpendingPolicy, evaluatePolicy, requireOverrideReason, PolicyViolationError, DAY_MS, WEEK_MS } from './spending-policy.js';
+import { loadApprovalConfig, createApprovalPlan, decidePlan, verifyApprovalPlan, requireApprovedPlan, PlanApprovalError } from './plan-approval.js';
+import { createUnsignedBatch, createSignedBatch, checkUnsignedBatch, batchTotal, batchUnits, SIGNED_BATCH_FORMAT, DEFAULT_OFFLINE_VALIDITY_MINUTES } from './offline-signing.js';
+import { walletExportRows, reportExportRows, SECRETS_EXPORT_FORMAT } from './export.js';
+import { toUnits, fromUnits, unitsOf, unitsToNumber, sumUnits, balanceUnitsOf } from './amounts.js';
+import { fetchTransactionsAfter, fetchLatestLt, parseDeposits } from './deposit-watcher.js';
+import {
+    openWalletContract,
+    walletContractParams,
+    identifyWallet,
+    highloadQueryId,
+    WALLET_VERSIONS,
+    DEFAULT_WALLET_VERSION,
+    HIGHLOAD_VERSION
+} from './wallet-contracts.js';
+import { estimateDistributionFees, maxDistributableAmount, DEFAULT_FEE_SCHEDULE, SIMULATED_FEE_SCHEDULE, DEFAULT_MASTER_RESERVE } from './fee-estimator.js';
+import { mapWithConcurrency, retryOnRateLimit, DEFAULT_CONCURRENCY, DEFAULT_RATE_LIMIT_RETRIES, DEFAULT_RETRY_DELAY_MS } from './rate-limit.js';
+import {
+    resolveJetton,
+    toJettonUnits,
+    buildJettonTransferBody,
+    getJettonWalletAddress,
+    getJettonWalletBalance,
+    JETTON_TRANSFER_TON,
+    DEFAULT_JETTON_FORWARD_TON
+} from './jetton.js';
+
+// Wallet V4 accepts at most 4 internal messages per external transfer (other versions: see wallet-contracts.js)
+export const MAX_MESSAGES_PER_TRANSFER = 4;
+
+// Hardened path prefix for child wallets derived from the master mnemonic (m/44'/607'/0'/<index>')
+export const CHILD_DERIVATION_PATH = [44, 607, 0];
+
+// Consecutive unused addresses scanned before recovery stops
+export const DEFAULT_GAP_LIMIT = 20;
+
+// Contract versions a child can have; recovery probes each of them at every index
+const CHILD_WALLET_VERSIONS = WALLET_VERSIONS.filter(version => version !== HIGHLOAD_VERSION);
+
+// Sweep defaults in TON: left on each child for fees, and balances too small to be worth sweeping
+export const DEFAULT_SWEEP_FEE_RESERVE = 0.01;
+export const DEFAULT_DUST_THRESHOLD = 0.05;
+
+// Signed transfers expire after this many seconds; an unaccepted transfer is only resent once it expired
+export const TRANSFER_VALIDITY_SECONDS = 60;
+const TRANSFER_EXPIRY_GRACE_SECONDS = 30;
+
+// Highload batches are dated this far back, so nodes whose clock lags behind ours still accept them
+const HIGHLOAD_CLOCK_SKEW_SECONDS = 30;
+
+const DEFAULT_WALLET_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const TON_TOKEN = { symbol: 'TON', decimals: 9 };
+
+// Setting that holds the salt of the keystore header the stored secrets are encrypted under, once the
+// passphrase has been changed
+const KEYSTORE_SALT_SETTING = 'keystoreSalt';
 
 export class WalletManager {
-    constructor() {
-        this.client = null;
+    constructor(options = {}) {
+        // A network adapter (see network.js); a custom one (sandbox or mock) can be injected for testing
+        this.client = options.client || null;
+        // Named profile (see profiles.js) whose data directory this manager works on, if any
+        this.profile = options.profile || null;
+        this.network = options.network || (process.env.TON_NETWORK === 'mainnet' ? 'mainnet' : 'testnet');
+        // Simulate mode runs against an offline ledger on disk instead of the network, on either network
+        this.simulate = options.simulate ?? process.env.TON_SIMULATE === 'true';
+        // An offline instance only signs prepared batches (see offline-signing.js) and never touches the network
+        this.offline = options.offline ?? process.env.TON_OFFLINE === 'true';
+        this.feeSchedule = options.feeSchedule || (this.simulate ? SIMULATED_FEE_SCHEDULE : DEFAULT_FEE_SCHEDULE);
+        // TON that "distribute all available" leaves on the master
+        this.masterReserve = options.masterReserve ?? (process.env.MASTER_RESERVE_TON ? Number(process.env.MASTER_RESERVE_TON) : DEFAULT_MASTER_RESERVE);
         this.masterWallet = null;
         this.childWallets = [];
-        this.dataDir = './data';
-        this.walletsDbPath = process.env.WALLETS_DB_PATH || './data/wallets.json';
-        this.masterWalletPath = process.env.MASTER_WALLET_PATH || './data/master_wallet.json';
-        this.simulatedBalance = 0; // For simulating TON balance
+        // Contract versions for new wallets; existing records keep the version they were created with
+        this.masterWalletVersion = options.masterWalletVersion || process.env.MASTER_WALLET_VERSION || DEFAULT_WALLET_VERSION;
+        this.childWalletVersion = options.childWalletVersion || process.env.CHILD_WALLET_VERSION || DEFAULT_WALLET_VERSION;
+        this.dataDir = options.dataDir || './data';
+        // A profile keeps everything in its own data directory, so the per-file path variables only apply without one
+        const envPath = name => (this.profile ? null : process.env[name]);
+        this.storage = new Storage(envPath('DATABASE_PATH') || path.join(this.dataDir, 'wallets.db'));
+        // JSON files written before the SQLite storage; imported once by migrateJsonFiles()
+        this.legacyWalletsPath = envPath('WALLETS_DB_PATH') || path.join(this.dataDir, 'wallets.json');
+        this.legacyMasterWalletPath = envPath('MASTER_WALLET_PATH') || path.join(this.dataDir, 'master_wallet.json');
+        this.keystore = new Keystore(envPath('KEYSTORE_PATH') || path.join(this.dataDir, 'keystore.json'));
+        this.jobStore = new JobStore(path.join(this.dataDir, 'jobs'));
+        // Spending limits checked before every distribution run (see spending-policy.js); no file means no limits
+        this.policyPath = options.policyPath || envPath('SPENDING_POLICY_PATH') || path.join(this.dataDir, 'policy.json');
+        // Operators whose approvals distributions need (see plan-approval.js); no file means no approval step
+        this.approversPath = options.approversPath || envPath('APPROVERS_PATH') || path.join(this.dataDir, 'approvers.json');
+        this.ledgerPath = envPath('SIMULATED_LEDGER_PATH') || path.join(this.dataDir, 'simulated_ledger.json');
+        this.hasPlaintextSecrets = false; // Set when loaded files still hold unencrypted secrets
+        this.priceService = options.priceService || createPriceService();
+        this.seqnoPollInterval = options.seqnoPollInterval ?? (Number(process.env.SEQNO_POLL_INTERVAL_MS) || 2000);
+        this.seqnoTimeout = options.seqnoTimeout ?? (Number(process.env.SEQNO_TIMEOUT_MS) || 60000);
+        // How long a run waits for another run sending from the same master to finish
+        this.walletLockTimeout = options.walletLockTimeout ?? (Number(process.env.WALLET_LOCK_TIMEOUT_MS) || DEFAULT_WALLET_LOCK_TIMEOUT_MS);
+        this.syncConcurrency = options.syncConcurrency ?? (Number(process.env.SYNC_CONCURRENCY) || DEFAULT_CONCURRENCY);
+        this.retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
     }
     
-    async initialize() {
+    async initialize({ passphrase = process.env.KEYSTORE_PASSPHRASE } = {}) {
         console.log('🔧 Initializing Wallet Manager...');
         
         // Create data directory
         await fs.ensureDir(this.dataDir);
+        this.bindNetwork();
         
-        // Initialize TON client
-        const isTestnet = process.env.TON_NETWORK !== 'mainnet';
-        this.client = new TonClient({
-            endpoint: isTestnet 
-                ? 'https://testnet.toncenter.com/api/v2/jsonRPC'
-                : 'https://toncenter.com/api/v2/jsonRPC',
-            apiKey: process.env.TON_API_KEY
-        });
+        // Initialize the network adapter (unless one was injected)
+        if (!this.client) {
+            this.client = this.offline ? createOfflineClient()
+                : this.simulate ? await new SimulatedLedger(this.ledgerPath).load()
+                : createTonClient({ network: this.network, apiKey: process.env.TON_API_KEY });
+        }
+        console.log(`🌐 ${this.profile ? `Profile: ${this.profile} - ` : ''}Network: ${this.network}${this.simulate ? ' (simulated ledger)' : ''}${this.offline ? ' - offline signer' : ''}`);
         
-        // Load existing wallets
+        // Import wallets and reports still kept in JSON files, then load existing wallets
+        await this.migrateJsonFiles();
         await this.loadWallets();
         
+        // An air-gapped signer signs for the master it was given; creating one here would sign batches no
+        // online instance can broadcast
+        if (this.offline && !this.masterWallet) {
+            throw new Error(`No master wallet in ${this.dataDir} - an offline signer needs a copy of the data directory holding the master's keystore`);
+        }
+        
+        // Unlock secrets (without a passphrase only view-only operations are available)
+        await this.unlockKeystore(passphrase);
+        
         // Create master wallet if doesn't exist
         if (!this.masterWallet) {
             await this.createMasterWallet();
@@ -42,21 +148,33 @@ export class WalletManager {
         console.log('✅ Wallet Manager initialized successfully');
     }
     
-    async createMasterWallet() {
-        console.log('👑 Creating master wallet...');
+    // A data directory belongs to the network it was first used on; refuse to mix another network's state into it
+    bindNetwork() {
+        const bound = this.storage.getSetting('network');
+        if (!bound) {
+            this.storage.setSetting('network', this.network);
+        } else if (bound !== this.network) {
+            throw new Error(`${this.dataDir} holds ${bound} data and cannot be used on ${this.network} - use a separate profile (see profiles.js) for each network`);
+        }
+    }
+    
+    async createMasterWallet({ version = this.masterWalletVersion } = {}) {
+        console.log(`👑 Creating master wallet (${version})...`);
+        this.requireUnlocked();
+        requireWalletVersion(version);
         
         try {
             const mnemonic = await mnemonicNew(24);
             const keyPair = await mnemonicToPrivateKey(mnemonic);
             
             const workchain = 0;
-            const wallet = WalletContractV4.create({
-                workchain,
-                publicKey: keyPair.publicKey
-            });
+            const params = walletContractParams(version, { network: this.network });
+            const wallet = openWalletContract({ version, publicKey: keyPair.publicKey, workchain, ...params });
             
             this.masterWallet = {
                 address: wallet.address.toString(),
+                version,
+                ...params,
                 mnemonic: mnemonic,
                 publicKey: keyPair.publicKey.toString('hex'),
                 privateKey: keyPair.secretKey.toString('hex'),
@@ -74,19 +192,24 @@ export class WalletManager {
         }
     }
     
-    async createChildWallets(count) {
-        console.log(`👶 Creating ${count} child wallets...`);
+    async createChildWallets(count, { version = this.childWalletVersion } = {}) {
+        console.log(`👶 Creating ${count} child wallets (${version})...`);
+        this.requireUnlocked();
+        requireWalletVersion(version, { child: true });
         
         const newWallets = [];
         const batchSize = 10; // Process in batches to avoid memory issues
         
         try {
+            const rootSeed = await this.getChildRootSeed();
+            const startIndex = this.getNextChildIndex();
+            
             for (let i = 0; i < count; i += batchSize) {
                 const batchEnd = Math.min(i + batchSize, count);
                 const batchPromises = [];
                 
                 for (let j = i; j < batchEnd; j++) {
-                    batchPromises.push(this.createSingleChildWallet(j + 1));
+                    batchPromises.push(this.createSingleChildWallet(rootSeed, startIndex + j, version));
                 }
                 
                 const batchWallets = await Promise.all(batchPromises);
@@ -111,50 +234,303 @@ export class WalletManager {
         }
     }
     
-    async createSingleChildWallet(index) {
+    // Derive the child at `index` from the master seed; the same index and version always yield the same wallet
+    async createSingleChildWallet(rootSeed, index, version = this.childWalletVersion) {
+        const [wallet] = await this.deriveChildWallets(rootSeed, index, [version]);
+        return wallet;
+    }
+    
+    // The child records at `index` for each of `versions` - one key, one wallet per contract version. Records
+    // after the first carry their version in the id, so they can be stored side by side.
+    async deriveChildWallets(rootSeed, index, versions) {
         try {
-            const mnemonic = await mnemonicNew(24);
+            const mnemonic = await deriveMnemonicsPath(rootSeed, [...CHILD_DERIVATION_PATH, index]);
             const keyPair = await mnemonicToPrivateKey(mnemonic);
-            
             const workchain = 0;
-            const wallet = WalletContractV4.create({
-                workchain,
-                publicKey: keyPair.publicKey
+            
+            return versions.map((version, position) => {
+                const params = walletContractParams(version, { network: this.network });
+                const wallet = openWalletContract({ version, publicKey: keyPair.publicKey, workchain, ...params });
+                
+                return {
+                    id: `child_${Date.now()}_${index}${position > 0 ? `_${version}` : ''}`,
+                    address: wallet.address.toString(),
+                    version,
+                    ...params,
+                    mnemonic: mnemonic,
+                    publicKey: keyPair.publicKey.toString('hex'),
+                    privateKey: keyPair.secretKey.toString('hex'),
+                    workchain: workchain,
+                    createdAt: new Date().toISOString(),
+                    type: 'child',
+                    index: index,
+                    derivation: 'hd',
+                    derivationPath: formatDerivationPath(index),
+                    balanceUnits: '0'
+                };
             });
             
-            return {
-                id: `child_${Date.now()}_${index}`,
-                address: wallet.address.toString(),
-                mnemonic: mnemonic,
-                publicKey: keyPair.publicKey.toString('hex'),
-                privateKey: keyPair.secretKey.toString('hex'),
-                workchain: workchain,
+        } catch (error) {
+            console.error(`❌ Error creating child wallet ${index}:`, error);
+            throw error;
+        }
+    }
+    
+    // Children are derived from the master mnemonic, so backing it up covers every derived child
+    async getChildRootSeed(mnemonic = this.masterWallet && this.masterWallet.mnemonic) {
+        if (!mnemonic) {
+            throw new Error('Master mnemonic is required to derive child wallets - unlock the keystore first');
+        }
+        return mnemonicToHDSeed(mnemonic);
+    }
+    
+    getNextChildIndex() {
+        const derivedIndexes = this.childWallets
+            .filter(wallet => !isLegacyChild(wallet))
+            .map(wallet => wallet.index);
+            
+        return derivedIndexes.length > 0 ? Math.max(...derivedIndexes) + 1 : 0;
+    }
+    
+    // Rebuild derived children by scanning indexes until `gapLimit` consecutive unused addresses.
+    // Every child contract version is probed at each index, so children created with another version than
+    // the current one are found too; unused indexes below a used one are kept with the current version.
+    // Pass the seed words to verify a backup; they must belong to the current master wallet.
+    async recoverChildWallets({ mnemonic, gapLimit = DEFAULT_GAP_LIMIT } = {}) {
+        this.requireUnlocked();
+        
+        if (mnemonic) {
+            const keyPair = await mnemonicToPrivateKey(mnemonic);
+            if (keyPair.publicKey.toString('hex') !== this.masterWallet.publicKey) {
+                throw new Error('Seed does not belong to the master wallet');
+            }
+        }
+        
+        console.log(`🔎 Recovering child wallets (gap limit ${gapLimit})...`);
+        
+        try {
+            const rootSeed = await this.getChildRootSeed(mnemonic);
+            const knownAddresses = new Set(this.childWallets.map(wallet => wallet.address));
+            const versions = [this.childWalletVersion, ...CHILD_WALLET_VERSIONS.filter(version => version !== this.childWalletVersion)];
+            const recovered = [];
+            let candidates = [];
+            let index = 0;
+            
+            // Known addresses count as used
+            while (candidates.length < gapLimit) {
+                const wallets = await this.deriveChildWallets(rootSeed, index, versions);
+                const isKnown = wallets.some(wallet => knownAddresses.has(wallet.address));
+                const used = [];
+                for (const wallet of wallets) {
+                    if (!knownAddresses.has(wallet.address) && await this.isAddressUsed(wallet.address)) {
+                        used.push(wallet);
+                    }
+                }
+                
+                if (isKnown || used.length > 0) {
+                    recovered.push(...candidates, ...used);
+                    candidates = [];
+                } else {
+                    candidates.push(wallets[0]);
+                }
+                index++;
+            }
+            
+            this.childWallets.push(...recovered);
+            await this.saveWallets();
+            
+            console.log(`✅ Recovered ${recovered.length} child wallets (scanned ${index} indexes)`);
+            return recovered;
+            
+        } catch (error) {
+            console.error('❌ Error recovering child wallets:', error);
+            throw error;
+        }
+    }
+    
+    // An address is used once it has a balance or any transaction on-chain
+    async isAddressUsed(address) {
+        const state = await this.client.provider(Address.parse(address), null).getState();
+        return state.balance > 0n || state.last !== null;
+    }
+    
+    // Add an existing wallet as a child from its mnemonic. The address is derived from the key: with an
+    // expected `address` the import fails unless the key belongs to it (a deployed wallet's version is read
+    // on-chain; otherwise every child version is tried), and `version` picks the contract (default V4R2).
+    async importWallet({ mnemonic, address = null, version = null }) {
+        this.requireUnlocked();
+        
+        const keyPair = await mnemonicToPrivateKey(mnemonic);
+        return this.addImportedChild(keyPair, { mnemonic, privateKey: keyPair.secretKey.toString('hex') }, { address, version });
+    }
+    
+    // Same as importWallet, from a raw Ed25519 key in hex (64-byte secret key or 32-byte seed)
+    async importPrivateKey({ privateKey, address = null, version = null }) {
+        this.requireUnlocked();
+        
+        const keyPair = parsePrivateKey(privateKey);
+        return this.addImportedChild(keyPair, { privateKey: keyPair.secretKey.toString('hex') }, { address, version });
+    }
+    
+    async addImportedChild(keyPair, secrets, { address, version }) {
+        try {
+            if (address && !normalizeAddress(address)) {
+                throw new Error(`Invalid address: ${address}`);
+            }
+            if (version) {
+                requireWalletVersion(version, { child: true });
+            }
+            
+            const { state, ...contract } = await this.resolveImportedContract(keyPair.publicKey, { address, version });
+            this.requireUnmanaged(contract.address);
+            
+            const wallet = {
+                id: `child_${Date.now()}_imported`,
+                ...contract,
+                ...secrets,
                 createdAt: new Date().toISOString(),
                 type: 'child',
-                index: this.childWallets.length + index,
-                balance: '0'
+                derivation: 'imported',
+                balanceUnits: state.balance.toString()
             };
             
+            this.childWallets.push(wallet);
+            await this.saveWallets();
+            
+            console.log(`✅ Imported ${contract.version} wallet ${wallet.address}`);
+            return wallet;
+            
         } catch (error) {
-            console.error(`❌ Error creating child wallet ${index}:`, error);
+            console.error('❌ Error importing wallet:', error.message);
             throw error;
         }
     }
     
+    // Wallet contract of `publicKey` at the expected address (or for `version` when no address is given),
+    // with the account state of that address
+    async resolveImportedContract(publicKey, { address, version }) {
+        const getState = (target) => this.client.provider(Address.parse(target), null).getState();
+        const publicKeyHex = publicKey.toString('hex');
+        
+        if (address) {
+            const state = await getState(address);
+            
+            // A deployed wallet tells its version and parameters itself
+            if (state.state.type === 'active' && state.state.code && state.state.data) {
+                const contract = identifyWallet({
+                    address,
+                    code: Cell.fromBoc(state.state.code)[0],
+                    data: Cell.fromBoc(state.state.data)[0]
+                });
+                requireWalletVersion(contract.version, { child: true });
+                if (version && contract.version !== version) {
+                    throw new Error(`${address} is a ${contract.version} wallet, not ${version}`);
+                }
+                if (contract.publicKey !== publicKeyHex) {
+                    throw new Error(`The imported key does not belong to ${address}`);
+                }
+                return { address: Address.parse(address).toString(), ...contract, state };
+            }
+        }
+        
+        const workchain = address ? Address.parse(address).workChain : 0;
+        const versions = version ? [version] : address ? CHILD_WALLET_VERSIONS : [DEFAULT_WALLET_VERSION];
+        
+        for (const candidate of versions) {
+            const params = walletContractParams(candidate, { network: this.network });
+            const contract = openWalletContract({ version: candidate, publicKey, workchain, ...params });
+            
+            if (!address || contract.address.equals(Address.parse(address))) {
+                return {
+                    address: contract.address.toString(),
+                    version: candidate,
+                    ...params,
+                    publicKey: publicKeyHex,
+                    workchain,
+                    state: await getState(contract.address.toString())
+                };
+            }
+        }
+        throw new Error(`The imported key derives no ${versions.join('/')} wallet at ${address} - check the expected address`);
+    }
+    
+    // Bulk-add addresses that are watched but never signed for: they take part in balance sync, selections
+    // and distributions as recipients. `entries` come from parseWatchOnlyCsv ({ address, label, tags, groups }).
+    // Addresses already managed (in any friendly form) or repeated in `entries` are skipped and reported.
+    async importWatchOnlyWallets(entries) {
+        const imported = [];
+        const duplicates = [];
+        const seen = new Set();
+        
+        for (const entry of entries) {
+            const raw = normalizeAddress(entry.address);
+            if (!raw) {
+                throw new Error(`Invalid address: ${entry.address}`);
+            }
+            
+            const existing = this.findManagedWallet(entry.address);
+            if (existing || seen.has(raw)) {
+                duplicates.push({ address: entry.address, line: entry.line, duplicateOf: existing ? existing.address : 'an earlier row' });
+                continue;
+            }
+            seen.add(raw);
+            
+            const wallet = {
+                id: `child_${Date.now()}_watch_${imported.length}`,
+                address: Address.parse(entry.address).toString(),
+                createdAt: new Date().toISOString(),
+                type: 'child',
+                derivation: 'watch-only',
+                watchOnly: true,
+                balanceUnits: '0'
+            };
+            if (entry.label) {
+                wallet.label = entry.label;
+            }
+            wallet.tags = updateNames([], { add: entry.tags || [] });
+            wallet.groups = updateNames([], { add: entry.groups || [] });
+            imported.push(wallet);
+        }
+        
+        this.childWallets.push(...imported);
+        await this.saveWallets({ quiet: true });
+        
+        console.log(`👀 Imported ${imported.length} watch-only addresses${duplicates.length > 0 ? ` (${duplicates.length} duplicates skipped)` : ''}`);
+        return { imported, duplicates };
+    }
+    
+    // The master or child at `address` in any friendly form, or null
+    findManagedWallet(address) {
+        const raw = normalizeAddress(address);
+        if (this.masterWallet && normalizeAddress(this.masterWallet.address) === raw) {
+            return this.masterWallet;
+        }
+        return this.findChildWallet(address);
+    }
+    
+    requireUnmanaged(address) {
+        const existing = this.findManagedWallet(address);
+        if (existing) {
+            throw new Error(`${address} is already managed${existing.address !== address ? ` as ${existing.address}` : ''}`);
+        }
+    }
+    
     async loadWallets() {
         try {
+            const { master, children } = this.storage.loadWallets();
+            
             // Load master wallet
-            if (await fs.pathExists(this.masterWalletPath)) {
-                const masterData = await fs.readJson(this.masterWalletPath);
-                this.masterWallet = masterData;
-                console.log('📁 Master wallet loaded from file');
+            if (master) {
+                this.masterWallet = master;
+                this.hasPlaintextSecrets = this.hasPlaintextSecrets || isPlaintextRecord(master);
+                console.log('📁 Master wallet loaded from database');
             }
             
             // Load child wallets
-            if (await fs.pathExists(this.walletsDbPath)) {
-                const walletsData = await fs.readJson(this.walletsDbPath);
-                this.childWallets = walletsData.children || [];
-                console.log(`📁 Loaded ${this.childWallets.length} child wallets from file`);
+            this.childWallets = children;
+            this.hasPlaintextSecrets = this.hasPlaintextSecrets || this.childWallets.some(isPlaintextRecord);
+            if (children.length > 0) {
+                console.log(`📁 Loaded ${this.childWallets.length} child wallets from database`);
             }
             
         } catch (error) {
@@ -163,16 +539,13 @@ export class WalletManager {
         }
     }
     
-    async saveWallets() {
+    // `snapshots` ([{ address, units, accountState, lastLt, takenAt }]) are stored in the same transaction
+    async saveWallets({ quiet = false, snapshots = [] } = {}) {
         try {
-            const walletsData = {
-                children: this.childWallets,
-                lastUpdated: new Date().toISOString(),
-                totalCount: this.childWallets.length
-            };
-            
-            await fs.writeJson(this.walletsDbPath, walletsData, { spaces: 2 });
-            console.log(`💾 Saved ${this.childWallets.length} child wallets to database`);
+            this.storage.saveChildWallets(this.buildStoredChildren(), { snapshots });
+            if (!quiet) {
+                console.log(`💾 Saved ${this.childWallets.length} child wallets to database`);
+            }
             
         } catch (error) {
             console.error('❌ Error saving wallets:', error);
@@ -182,8 +555,8 @@ export class WalletManager {
     
     async saveMasterWallet() {
         try {
-            await fs.writeJson(this.masterWalletPath, this.masterWallet, { spaces: 2 });
-            console.log('💾 Master wallet saved to file');
+            this.storage.saveMasterWallet(this.toStoredRecord(this.masterWallet));
+            console.log('💾 Master wallet saved to database');
             
         } catch (error) {
             console.error('❌ Error saving master wallet:', error);
@@ -191,42 +564,259 @@ export class WalletManager {
         }
     }
     
-    async getAllWallets() {
+    buildStoredChildren(key) {
+        return this.childWallets.map(wallet => this.toStoredRecord(wallet, key));
+    }
+    
+    // Import master_wallet.json, wallets.json and the distribution/sweep report files into the database in
+    // one transaction, point job journals at the imported reports, and move the files to data/json-backup.
+    // Records are copied as they are, so encrypted secrets stay encrypted.
+    async migrateJsonFiles() {
+        const reportFiles = (await fs.pathExists(this.dataDir) ? await fs.readdir(this.dataDir) : [])
+            .filter(file => /^(distribution|sweep)_\d+\.json$/.test(file))
+            .sort();
+        const walletFiles = [this.legacyMasterWalletPath, this.legacyWalletsPath];
+        const existing = (await Promise.all(walletFiles.map(file => fs.pathExists(file)))).some(Boolean);
+        if (!existing && reportFiles.length === 0) {
+            return;
+        }
+        
+        try {
+            const master = await fs.pathExists(this.legacyMasterWalletPath) ? await fs.readJson(this.legacyMasterWalletPath) : null;
+            const children = await fs.pathExists(this.legacyWalletsPath) ? (await fs.readJson(this.legacyWalletsPath)).children || [] : [];
+            const reports = await Promise.all(reportFiles.map(async file => ({ file, report: await fs.readJson(path.join(this.dataDir, file)) })));
+            
+            // A database that already holds wallets wins; the files are then only backed up
+            const importWallets = !this.storage.hasWallets();
+            this.storage.transaction(() => {
+                if (importWallets && master) {
+                    this.storage.saveMasterWallet(master);
+                }
+                if (importWallets) {
+                    this.storage.saveChildWallets(children);
+                }
+                for (const { file, report } of reports) {
+                    if (!this.storage.getReport(path.basename(file, '.json'))) {
+                        const kind = file.startsWith('sweep_') ? 'sweep' : 'distribution';
+                        this.storage.saveReport(kind, report, { id: path.basename(file, '.json'), source: master && master.address });
+                    }
+                }
+            });
+            
+            // Job journals referenced their reports by file path; they now use the report id
+            for (const job of await this.jobStore.list()) {
+                if (job.reports.some(report => report.endsWith('.json'))) {
+                    job.reports = job.reports.map(report => report.endsWith('.json') ? path.basename(report, '.json') : report);
+                    await this.jobStore.save(job);
+                }
+            }
+            
+            const backupDir = path.join(this.dataDir, 'json-backup');
+            const files = [...walletFiles.filter(file => fs.pathExistsSync(file)), ...reportFiles.map(file => path.join(this.dataDir, file))];
+            for (const file of files) {
+                await fs.move(file, path.join(backupDir, path.basename(file)), { overwrite: true });
+            }
+            
+            console.log(`📦 Migrated ${importWallets ? `${(master ? 1 : 0) + children.length} wallets and ` : ''}${reports.length} reports from JSON files to ${this.storage.dbPath} (originals in ${backupDir})`);
+            
+        } catch (error) {
+            console.error('❌ Error migrating JSON files to the database:', error);
+            throw error;
+        }
+    }
+    
+    // Strip mnemonic and private key from a record, storing them as an encrypted box instead
+    toStoredRecord(wallet, key = this.keystore.key) {
+        const { mnemonic, privateKey, ...publicData } = wallet;
+        
+        // Locked records already carry their encrypted box; without a keystore legacy files stay as they are
+        if ((!mnemonic && !privateKey) || !key) {
+            return wallet;
+        }
+        
         return {
-            master: this.masterWallet,
-            children: this.childWallets,
-            totalChildren: this.childWallets.length
+            ...publicData,
+            encrypted: this.keystore.encrypt({ mnemonic, privateKey }, key)
         };
     }
     
-    async getMasterWalletBalance() {
-        if (!this.masterWallet) {
-            throw new Error('Master wallet not found');
+    requireUnlocked() {
+        if (!this.keystore.isUnlocked) {
+            throw new Error('Keystore is locked - unlock it with your passphrase first');
+        }
+    }
+    
+    // Unlock (or create) the keystore and encrypt any plaintext secrets left from older versions
+    async unlockKeystore(passphrase) {
+        await this.settlePassphraseChange();
+        const keystoreExists = await this.keystore.exists();
+        
+        if (!passphrase) {
+            if (keystoreExists) {
+                console.log('🔒 Keystore locked - running in view-only mode');
+            } else if (this.hasPlaintextSecrets) {
+                console.log('⚠️ Wallet secrets are stored in plaintext - provide a passphrase to encrypt them');
+            }
+            return false;
+        }
+        
+        if (keystoreExists) {
+            await this.keystore.unlock(passphrase);
+            this.decryptLoadedSecrets();
+            console.log('🔓 Keystore unlocked');
+        } else {
+            await this.keystore.create(passphrase);
+            console.log('🔐 New keystore created');
+        }
+        
+        if (this.hasPlaintextSecrets) {
+            await this.migratePlaintextSecrets();
+        }
+        
+        return true;
+    }
+    
+    decryptLoadedSecrets() {
+        for (const wallet of [this.masterWallet, ...this.childWallets]) {
+            if (wallet && wallet.encrypted) {
+                Object.assign(wallet, this.keystore.decrypt(wallet.encrypted));
+                delete wallet.encrypted;
+            }
+        }
+    }
+    
+    // Rewrite every stored wallet record with its secrets encrypted
+    async migratePlaintextSecrets() {
+        this.requireUnlocked();
+        
+        if (this.masterWallet) {
+            await this.saveMasterWallet();
         }
+        await this.saveWallets();
+        
+        this.hasPlaintextSecrets = false;
+        console.log('🔐 Plaintext wallet secrets migrated to the encrypted keystore');
+    }
+    
+    // Re-encrypt all secrets under a new passphrase; the new keystore header is swapped in
+    // right after the re-encrypted records are committed
+    // The new header is written beside the old one, the records are re-encrypted in one transaction that also
+    // records the new header's salt, and only then is the header swapped in. If the swap does not happen,
+    // settlePassphraseChange finishes it on the next start.
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        await this.settlePassphraseChange();
+        await this.keystore.unlock(currentPassphrase);
+        this.decryptLoadedSecrets();
+        
+        const { key, header } = await this.keystore.deriveNew(newPassphrase);
+        const headerPath = this.keystore.keystorePath;
         
         try {
-            const address = Address.parse(this.masterWallet.address);
-            const balance = await this.client.getBalance(address);
-            return (Number(balance) / 1e9).toFixed(4); // Convert from nanoton to TON
+            await fs.writeJson(`${headerPath}.tmp`, header, { spaces: 2 });
+            this.storage.transaction(() => {
+                if (this.masterWallet) {
+                    this.storage.saveMasterWallet(this.toStoredRecord(this.masterWallet, key));
+                }
+                this.storage.saveChildWallets(this.buildStoredChildren(key));
+                this.storage.setSetting(KEYSTORE_SALT_SETTING, header.kdf.salt);
+            });
+            this.keystore.key = key;
+            this.hasPlaintextSecrets = false;
+            
+            await fs.move(`${headerPath}.tmp`, headerPath, { overwrite: true });
+            console.log('🔑 Keystore passphrase changed');
             
         } catch (error) {
-            console.error('❌ Error getting master wallet balance:', error);
-            return this.simulatedBalance.toFixed(4);
+            console.error('❌ Error changing keystore passphrase:', error);
+            throw error;
+        }
+    }
+    
+    // A keystore header left beside the current one by an interrupted passphrase change: swapped in when the
+    // records were committed under it (its salt is the recorded one), discarded when they never were
+    async settlePassphraseChange() {
+        const pendingPath = `${this.keystore.keystorePath}.tmp`;
+        if (!(await fs.pathExists(pendingPath))) {
+            return;
+        }
+        
+        const pending = await fs.readJson(pendingPath).catch(() => null);
+        if (pending && pending.kdf && pending.kdf.salt === this.storage.getSetting(KEYSTORE_SALT_SETTING)) {
+            await fs.move(pendingPath, this.keystore.keystorePath, { overwrite: true });
+            console.log('🔑 Finished an interrupted passphrase change');
+        } else {
+            await fs.remove(pendingPath);
+            console.log('🔑 Discarded the header of a passphrase change that never committed');
         }
     }
     
+    async getAllWallets() {
+        return {
+            master: this.masterWallet,
+            children: this.childWallets,
+            totalChildren: this.childWallets.length
+        };
+    }
+    
+    // On-chain balance of a child in TON, or null when the lookup fails (unknown is not zero)
     async getChildWalletBalance(childWallet) {
         try {
             const address = Address.parse(childWallet.address);
-            const balance = await this.client.getBalance(address);
-            return (Number(balance) / 1e9).toFixed(4); // Convert from nanoton to TON
+            const balance = await retryOnRateLimit(() => this.client.getBalance(address), { delayMs: this.retryDelayMs });
+            return fromNano(balance);
             
         } catch (error) {
-            console.error(`❌ Error getting balance for ${childWallet.address}:`, error);
-            return '0';
+            console.error(`❌ Error getting balance for ${childWallet.address}:`, error.message);
+            return null;
         }
     }
     
+    // Refresh balance, account state and last transaction of the children (default: all, or those matching
+    // `selection`) from the chain.
+    // Lookups run `concurrency` at a time and back off when rate limited; a lookup that still fails marks
+    // the child's balance as unknown and keeps the last known value instead of writing zero.
+    async syncChildBalances({ addresses = null, selection = null, concurrency = this.syncConcurrency, retries = DEFAULT_RATE_LIMIT_RETRIES } = {}) {
+        const wallets = addresses ? addresses.map(address => this.findChildWallet(address)).filter(Boolean) : this.selectChildWallets(selection);
+        
+        console.log(`🔄 Syncing balances of ${wallets.length} child wallets (${concurrency} at a time)...`);
+        
+        await mapWithConcurrency(wallets, concurrency, async (wallet) => {
+            try {
+                const provider = this.client.provider(Address.parse(wallet.address), null);
+                const state = await retryOnRateLimit(() => provider.getState(), { retries, delayMs: this.retryDelayMs });
+                
+                wallet.balanceUnits = state.balance.toString();
+                delete wallet.balance;
+                wallet.balanceStatus = 'synced';
+                wallet.accountState = state.state.type;
+                wallet.lastTransaction = state.last ? { lt: state.last.lt.toString(), hash: state.last.hash.toString('hex') } : null;
+                wallet.balanceSyncedAt = new Date().toISOString();
+                delete wallet.syncError;
+                
+            } catch (error) {
+                console.error(`❌ Error syncing ${wallet.address}:`, error.message);
+                wallet.balanceStatus = 'unknown';
+                wallet.syncError = error.message;
+            }
+        });
+        
+        // Every successful lookup is also kept as a balance snapshot
+        const snapshots = wallets
+            .filter(wallet => wallet.balanceStatus === 'synced')
+            .map(wallet => ({
+                address: wallet.address,
+                units: wallet.balanceUnits,
+                accountState: wallet.accountState,
+                lastLt: wallet.lastTransaction ? wallet.lastTransaction.lt : null,
+                takenAt: wallet.balanceSyncedAt
+            }));
+        await this.saveWallets({ quiet: true, snapshots });
+        
+        const summary = { ...summarizeBalances(wallets), selection };
+        console.log(`✅ Synced ${summary.synced}/${wallets.length} child wallets, total ${summary.total} TON${summary.unknown > 0 ? ` (${summary.unknown} unknown)` : ''}`);
+        return summary;
+    }
+    
     getWalletStats() {
         return {
             masterWallet: this.masterWallet ? 1 : 0,
@@ -235,179 +825,1708 @@ export class WalletManager {
         };
     }
     
-    // Get current TON price from CoinGecko API
-    async getTonPrice() {
+    // Get the current TON price quote in USD: { price, source, timestamp, ... }.
+    // Throws when no source has a fresh price instead of falling back to a made-up one.
+    async getTonPriceQuote() {
         try {
-            const response = await axios.get('https://api.coingecko.com/api/v3/simple/price?ids=the-open-network&vs_currencies=usd');
-            return response.data['the-open-network'].usd;
+            const quote = await this.priceService.getPrice();
+            if (quote.warning) {
+                console.warn(`⚠️ ${quote.warning}`);
+            }
+            return quote;
+            
         } catch (error) {
             console.error('❌ Error fetching TON price:', error.message);
-            // Fallback price if API fails
-            return 2.5;
+            throw error;
+        }
+    }
+    
+    // Get current TON price in USD
+    async getTonPrice() {
+        const quote = await this.getTonPriceQuote();
+        return quote.price;
+    }
+    
+    requireSimulation() {
+        if (!this.simulate || !(this.client instanceof SimulatedLedger)) {
+            throw new Error('Simulated funds are only available in simulate mode (set TON_SIMULATE=true)');
         }
     }
     
-    // Simulate adding TON to master wallet (for testing without real transactions)
+    // Credit TON to the master on the simulated ledger (for testing without real transactions)
     async simulateAddTonToMaster(tonAmount) {
-        this.simulatedBalance += tonAmount;
+        this.requireSimulation();
+        await this.client.credit(this.masterWallet.address, toUnits(tonAmount));
         console.log(`💡 Simulated: Added ${tonAmount} TON to master wallet`);
-        console.log(`📊 Simulated Master Balance: ${this.simulatedBalance} TON`);
+        console.log(`📊 Simulated Master Balance: ${await this.getMasterWalletBalance()} TON`);
     }
     
-    // Get master wallet balance (including simulated balance for testing)
+    // Get master wallet balance from the network (or the simulated ledger)
     async getMasterWalletBalance() {
         if (!this.masterWallet) {
             throw new Error('Master wallet not found');
         }
         
         try {
-            const address = Address.parse(this.masterWallet.address);
-            const realBalance = await this.client.getBalance(address);
-            const realTonBalance = Number(fromNano(realBalance));
-            
-            // Add simulated balance for testing
-            const totalBalance = realTonBalance + this.simulatedBalance;
-            
-            return totalBalance.toFixed(4);
+            const balance = await this.client.getBalance(Address.parse(this.masterWallet.address));
+            return fromUnits(balance);
             
         } catch (error) {
-            console.error('❌ Error getting master wallet balance:', error);
-            // Return only simulated balance if real balance check fails
-            return this.simulatedBalance.toFixed(4);
+            console.error('❌ Error getting master wallet balance:', error.message);
+            throw error;
         }
     }
     
-    // Distribute TON from master wallet to all child wallets equally
-    async distributeTonToChildren(totalAmount) {
+    // Split `totalAmount` equally across all children, or those matching `selection`
+    async distributeTonToChildren(totalAmount, { selection = null, policyOverride = null } = {}) {
         if (!this.masterWallet || this.childWallets.length === 0) {
             throw new Error('Master wallet or child wallets not found');
         }
         
-        try {
-            const amountPerWallet = totalAmount / this.childWallets.length;
-            const results = {
-                success: false,
-                successCount: 0,
-                failedCount: 0,
-                transactions: []
-            };
-            
-            console.log(`💸 Distributing ${amountPerWallet.toFixed(6)} TON to each of ${this.childWallets.length} wallets...`);
-            
-            // In testnet, we'll simulate the transfers
-            const isTestnet = process.env.TON_NETWORK !== 'mainnet';
-            
-            if (isTestnet) {
-                // Simulate transfers in testnet
-                for (let i = 0; i < this.childWallets.length; i++) {
-                    const wallet = this.childWallets[i];
-                    
-                    try {
-                        // Simulate transfer delay
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                        
-                        console.log(`📤 Simulating transfer to wallet ${i + 1}/${this.childWallets.length}: ${wallet.address.slice(0, 10)}...`);
-                        
-                        // Update child wallet balance in memory
-                        wallet.balance = (parseFloat(wallet.balance || '0') + amountPerWallet).toFixed(6);
-                        
-                        results.successCount++;
-                        results.transactions.push({
-                            to: wallet.address,
-                            amount: amountPerWallet,
-                            status: 'simulated_success'
-                        });
-                        
-                    } catch (error) {
-                        console.error(`❌ Failed to simulate transfer to ${wallet.address}:`, error.message);
-                        results.failedCount++;
-                        results.transactions.push({
-                            to: wallet.address,
-                            amount: amountPerWallet,
-                            status: 'failed',
-                            error: error.message
-                        });
-                    }
-                }
-                
-                // Deduct from simulated master balance
-                this.simulatedBalance = Math.max(0, this.simulatedBalance - totalAmount);
-                
-            } else {
-                // Real transfers on mainnet (implement actual TON transfers here)
-                for (let i = 0; i < this.childWallets.length; i++) {
-                    const wallet = this.childWallets[i];
-                    
-                    try {
-                        // This would be real transfer logic
-                        const transferResult = await this.sendTonTransfer(
-                            wallet.address, 
-                            amountPerWallet
-                        );
-                        
-                        results.successCount++;
-                        results.transactions.push({
-                            to: wallet.address,
-                            amount: amountPerWallet,
-                            status: 'success',
-                            txHash: transferResult.hash
-                        });
-                        
-                        console.log(`✅ Sent ${amountPerWallet} TON to ${wallet.address.slice(0, 10)}...`);
-                        
-                    } catch (error) {
-                        console.error(`❌ Failed to send to ${wallet.address}:`, error.message);
-                        results.failedCount++;
-                        results.transactions.push({
-                            to: wallet.address,
-                            amount: amountPerWallet,
-                            status: 'failed',
-                            error: error.message
-                        });
-                    }
-                }
-            }
-            
-            // Save updated wallet data
-            await this.saveWallets();
-            
-            results.success = results.successCount > 0;
-            
-            // Save distribution report
-            await this.saveDistributionReport(results, totalAmount);
-            
-            return results;
-            
-        } catch (error) {
-            console.error('❌ Error in distribution process:', error);
-            throw error;
-        }
+        const wallets = this.selectChildWallets(selection, { required: true });
+        const plan = DistributionPlan.equalSplit(wallets.map(wallet => wallet.address), totalAmount);
+        return this.executeDistributionPlan(plan, { selection, policyOverride });
     }
     
-    // Send actual TON transfer (for mainnet)
-    async sendTonTransfer(toAddress, amount) {
-        // This is a placeholder for real TON transfer implementation
-        // In production, you would implement the actual transfer logic here
-        throw new Error('Real TON transfers not implemented yet - use testnet for simulation');
+    findChildWallet(address) {
+        const raw = normalizeAddress(address);
+        return this.childWallets.find(wallet => normalizeAddress(wallet.address) === raw) || null;
     }
     
-    // Save distribution report
-    async saveDistributionReport(results, totalAmount) {
-        try {
-            const reportPath = `./data/distribution_${Date.now()}.json`;
+    // Children matching a selection expression such as `group:campaign-A and not tag:paused`
+    // (see wallet-selection.js); no expression selects every child. With `required`, an empty result throws.
+    selectChildWallets(selection = null, { required = false } = {}) {
+        if (!selection) {
+            return this.childWallets;
+        }
+        
+        const wallets = this.childWallets.filter(parseSelection(selection).matches);
+        if (required && wallets.length === 0) {
+            throw new Error(`Selection "${selection}" matches no child wallets`);
+        }
+        return wallets;
+    }
+    
+    // Children by address; unknown addresses throw, so a typo never silently drops a wallet
+    requireChildWallets(addresses) {
+        return addresses.map(address => {
+            const wallet = this.findChildWallet(address);
+            if (!wallet) {
+                throw new Error(`${address} is not a child wallet`);
+            }
+            return wallet;
+        });
+    }
+    
+    // Set the free-text label of a child; an empty label removes it
+    async setWalletLabel(address, label) {
+        const [wallet] = this.requireChildWallets([address]);
+        if (label) {
+            wallet.label = String(label).trim();
+        } else {
+            delete wallet.label;
+        }
+        
+        await this.saveWallets({ quiet: true });
+        return wallet;
+    }
+    
+    // Add and remove tags on children
+    async tagWallets(wallets, { add = [], remove = [] } = {}) {
+        for (const wallet of wallets) {
+            wallet.tags = updateNames(wallet.tags, { add, remove });
+        }
+        
+        await this.saveWallets({ quiet: true });
+        console.log(`🏷️ Updated tags of ${wallets.length} child wallets`);
+        return wallets;
+    }
+    
+    // Add children to (or with `remove`, take them out of) a named group
+    async setGroupMembership(group, wallets, { remove = false } = {}) {
+        for (const wallet of wallets) {
+            wallet.groups = updateNames(wallet.groups, remove ? { remove: [group] } : { add: [group] });
+        }
+        
+        await this.saveWallets({ quiet: true });
+        console.log(`👥 ${remove ? 'Removed' : 'Added'} ${wallets.length} child wallets ${remove ? 'from' : 'to'} group ${group}`);
+        return wallets;
+    }
+    
+    // Groups and tags in use, each with its number of members: { groups: [{ name, count }], tags: [...] }
+    listWalletGroups() {
+        const count = (field) => {
+            const counts = new Map();
+            for (const wallet of this.childWallets) {
+                (wallet[field] || []).forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+            }
+            return [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([name, members]) => ({ name, count: members }));
+        };
+        return { groups: count('groups'), tags: count('tags') };
+    }
+    
+    // Distribute a jetton (e.g. 'USDT') from the master's jetton wallet to all child wallets (or a selection) equally
+    async distributeJettonToChildren(jetton, totalAmount, options = {}) {
+        if (!this.masterWallet || this.childWallets.length === 0) {
+            throw new Error('Master wallet or child wallets not found');
+        }
+        
+        const wallets = this.selectChildWallets(options.selection, { required: true });
+        const plan = DistributionPlan.equalSplit(wallets.map(wallet => wallet.address), totalAmount);
+        return this.executeDistributionPlan(plan, { ...options, jetton });
+    }
+    
+    // Current balance (null if unknown) in TON, or in `token` for a jetton
+    async getAddressBalance(address, token = null) {
+        const units = await this.getAddressUnits(address, token);
+        return units === null ? null : unitsToNumber(units, token ? token.decimals : undefined);
+    }
+    
+    // Exact current balance in nanotons, or in the jetton's units (bigint; null if unknown)
+    async getAddressUnits(address, token = null) {
+        try {
+            if (token) {
+                const jettonWallet = await this.getJettonWalletFor(address, token);
+                return await getJettonWalletBalance(this.client, jettonWallet);
+            }
+            return await this.client.getBalance(Address.parse(address));
+            
+        } catch (error) {
+            console.error(`❌ Error getting ${token ? token.symbol : 'TON'} balance for ${address}:`, error.message);
+            return null;
+        }
+    }
+    
+    // Jetton wallet owned by `owner`, cached on the master or child record once resolved
+    async getJettonWalletFor(owner, token) {
+        const record = this.masterWallet && normalizeAddress(this.masterWallet.address) === normalizeAddress(owner)
+            ? this.masterWallet
+            : this.findChildWallet(owner);
+            
+        if (record && record.jettonWallets && record.jettonWallets[token.symbol]) {
+            return record.jettonWallets[token.symbol];
+        }
+        
+        const jettonWallet = await getJettonWalletAddress(this.client, token.master, owner);
+        if (record) {
+            record.jettonWallets = { ...record.jettonWallets, [token.symbol]: jettonWallet };
+        }
+        return jettonWallet;
+    }
+    
+    async getMasterJettonBalance(jetton) {
+        const token = resolveJetton(jetton);
+        return this.getAddressBalance(this.masterWallet.address, token);
+    }
+    
+    // Mint jettons to the master's jetton wallet on the simulated ledger (for testing without real transactions)
+    async simulateAddJettonToMaster(jetton, amount) {
+        this.requireSimulation();
+        const token = resolveJetton(jetton);
+        await this.client.mintJetton(token.master, this.masterWallet.address, toJettonUnits(amount, token.decimals));
+        console.log(`💡 Simulated: Added ${amount} ${token.symbol} to master wallet`);
+    }
+    
+    // Refresh the stored jetton balance of every child; failed lookups keep the previous value
+    async syncJettonBalances(jetton) {
+        const token = resolveJetton(jetton);
+        let updated = 0;
+        
+        for (const wallet of this.childWallets) {
+            const balance = await this.getAddressUnits(wallet.address, token);
+            if (balance !== null) {
+                wallet.jettonBalances = { ...wallet.jettonBalances, [token.symbol]: fromUnits(balance, token.decimals, { fixed: true }) };
+                updated++;
+            }
+        }
+        
+        await this.saveWallets();
+        console.log(`🪙 Synced ${token.symbol} balances for ${updated}/${this.childWallets.length} child wallets`);
+        return updated;
+    }
+    
+    // Resolve a plan into transfers and validate it against the master balance, without sending.
+    // With `jetton` the amounts are token amounts; the master needs the tokens plus TON for gas.
+    // `reserve` overrides the configured master reserve for this preview. Amounts resolve to whole units
+    // (see amounts.js) and every balance check compares units, so nothing is lost to rounding.
+    async previewDistributionPlan(plan, { jetton = null, forwardTonAmount = DEFAULT_JETTON_FORWARD_TON, reserve = this.masterReserve } = {}) {
+        const token = jetton ? resolveJetton(jetton) : TON_TOKEN;
+        const balances = new Map();
+        for (const address of plan.getTopUpAddresses(this.childWallets)) {
+            const raw = normalizeAddress(address);
+            const balance = raw ? await this.getAddressUnits(address, jetton ? token : null) : null;
+            if (balance !== null) {
+                balances.set(raw, balance);
+            }
+        }
+        
+        const resolved = plan.resolve({ childWallets: this.childWallets, balances, decimals: token.decimals });
+        const masterNanotons = await this.getMasterNanotons();
+        const masterBalance = unitsToNumber(masterNanotons);
+        
+        if (resolved.transfers.length === 0) {
+            resolved.errors.push('Plan has no transfers to send');
+        }
+        
+        if (!jetton) {
+            const fees = await this.estimateTransferFees(resolved.transfers);
+            const required = BigInt(resolved.totalUnits) + BigInt(fees.totalNanotons);
+            if (required > masterNanotons) {
+                resolved.errors.push(`Total ${resolved.totalAmount} TON plus ${fees.total} TON fees exceeds master balance ${masterBalance} TON`);
+            } else if (required + toUnits(reserve) > masterNanotons) {
+                resolved.warnings.push(`Leaves ${fromUnits(masterNanotons - required)} TON on the master, below the ${reserve} TON reserve`);
+            }
+            const { violations: policyViolations } = await this.checkSpendingPolicy({ token, transfers: resolved.transfers, totalAmount: resolved.totalAmount });
+            return { plan, token, masterBalance, fees, reserve, policyViolations, ...resolved };
+        }
+        
+        const masterJettonUnits = await this.getAddressUnits(this.masterWallet.address, token);
+        const masterJettonBalance = masterJettonUnits === null ? null : unitsToNumber(masterJettonUnits, token.decimals);
+        const attachedTon = toUnits(JETTON_TRANSFER_TON) + toUnits(forwardTonAmount);
+        const tonFees = unitsToNumber(BigInt(resolved.transfers.length) * attachedTon);
+        const fees = await this.estimateTransferFees(resolved.transfers, { attachedTon });
+        
+        if (masterJettonUnits === null) {
+            resolved.errors.push(`Master ${token.symbol} balance is unknown`);
+        } else if (BigInt(resolved.totalUnits) > masterJettonUnits) {
+            resolved.errors.push(`Total ${resolved.totalAmount} ${token.symbol} exceeds master balance ${masterJettonBalance} ${token.symbol}`);
+        }
+        if (BigInt(fees.totalNanotons) > masterNanotons) {
+            resolved.errors.push(`Jetton transfers need ${fees.total} TON for gas and fees but the master holds ${masterBalance} TON`);
+        }
+        
+        const { violations: policyViolations } = await this.checkSpendingPolicy({ token, transfers: resolved.transfers, totalAmount: resolved.totalAmount });
+        return { plan, token, masterBalance, masterJettonBalance, tonFees, fees, reserve, forwardTonAmount, policyViolations, ...resolved };
+    }
+    
+    // Estimated fees of sending `transfers` from the master (see fee-estimator.js). TON recipients that are not
+    // deployed, or whose state is unknown, count as uninitialized; jetton transfers attach `attachedTon` each
+    // and deploy the recipient's jetton wallet out of it.
+    async estimateTransferFees(transfers, { attachedTon = 0n } = {}) {
+        const master = this.openWallet(this.masterWallet);
+        const masterDeployed = await this.getAccountState(this.masterWallet.address) === 'active';
+        
+        let uninitializedRecipients = 0;
+        if (attachedTon === 0n) {
+            const states = await mapWithConcurrency(transfers, this.syncConcurrency, transfer => this.getAccountState(transfer.to));
+            uninitializedRecipients = states.filter(state => state !== 'active').length;
+        }
+        
+        return estimateDistributionFees({
+            messages: transfers.length,
+            batchSize: master.maxMessages,
+            uninitializedRecipients,
+            masterDeployed,
+            attachedTon,
+            transactionsPerBatch: master.sequential ? 1 : 2,
+            schedule: this.feeSchedule
+        });
+    }
+    
+    // The most TON that can be split equally across `addresses` (all children by default) while
+    // paying every fee and keeping `reserve` on the master: { amount, balance, reserve, fees }
+    async getMaxDistributable(addresses = this.childWallets.map(wallet => wallet.address), { reserve = this.masterReserve } = {}) {
+        const balance = await this.getExactMasterBalance();
+        const fees = await this.estimateTransferFees(addresses.map(address => ({ to: address })));
+        const amount = maxDistributableAmount({ balance, reserve, fees, recipients: addresses.length });
+        
+        return { amount, balance, reserve, fees };
+    }
+    
+    // Master balance in TON to the nanoton, as a decimal string
+    async getExactMasterBalance() {
+        return fromUnits(await this.getMasterNanotons());
+    }
+    
+    // Master balance in nanotons (bigint), for fee and reserve arithmetic
+    async getMasterNanotons() {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not found');
+        }
+        return this.client.getBalance(Address.parse(this.masterWallet.address));
+    }
+    
+    // Account state type ('active', 'uninit', 'frozen'), or null when the lookup fails
+    async getAccountState(address) {
+        try {
+            const provider = this.client.provider(Address.parse(address), null);
+            const state = await retryOnRateLimit(() => provider.getState(), { delayMs: this.retryDelayMs });
+            return state.state.type;
+            
+        } catch (error) {
+            console.error(`❌ Error getting account state of ${address}:`, error.message);
+            return null;
+        }
+    }
+    
+    // Send every transfer of a validated plan as a journaled job; refuses to start if the plan has errors.
+    // Pass { jetton } to send a jetton instead of TON.
+    async executeDistributionPlan(plan, options = {}) {
+        const job = await this.createDistributionJob(plan, options);
+        return this.runDistributionJob(job.id);
+    }
+    
+    // Freeze a plan's resolved transfers into a job journal on disk; nothing is sent yet.
+    // With approvers configured only approved plans (see executeApprovedPlan) become jobs.
+    async createDistributionJob(plan, options = {}) {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not found');
+        }
+        
+        const { approvedPlan = null } = options;
+        const approvers = approvedPlan ? null : await this.getApprovalConfig();
+        if (approvers) {
+            throw new PlanApprovalError(`Distributions need ${approvers.threshold} of ${approvers.operators.length} operator approvals: create a plan for approval (plans create) and run it once approved`);
+        }
+        
+        const preview = await this.previewDistributionPlan(plan, options);
+        if (preview.errors.length > 0) {
+            throw new Error(`Invalid distribution plan: ${preview.errors.join('; ')}`);
+        }
+        if (approvedPlan && !sameTransfers(preview.transfers, approvedPlan.plan.transfers, preview.token.decimals)) {
+            throw new PlanApprovalError(`Plan ${approvedPlan.plan.id} no longer resolves to the approved transfers`);
+        }
+        if (preview.policyViolations.length > 0 && !options.policyOverride) {
+            throw new PolicyViolationError(preview.policyViolations);
+        }
+        
+        const job = this.jobStore.create({
+            token: preview.token,
+            options: {
+                jetton: options.jetton ? preview.token : null,
+                forwardTonAmount: preview.forwardTonAmount ?? null
+            },
+            plan: plan.toJSON(),
+            transfers: preview.transfers,
+            totalAmount: preview.totalAmount,
+            totalUnits: preview.totalUnits
+        });
+        // What the plan asked for, what min/max clamped off and the units of a weighted total kept on the
+        // master by the remainder rule, for the report's reconciliation
+        job.requestedUnits = preview.requestedUnits;
+        job.clampedUnits = preview.clampedUnits;
+        job.remainderUnits = preview.remainderUnits;
+        job.network = this.network;
+        job.simulated = this.simulate;
+        job.warnings = preview.warnings;
+        job.estimatedFees = preview.fees;
+        // The selection expression the recipients were chosen by, if any
+        job.selection = options.selection ?? null;
+        // What started the job when it was not an operator (the deposit watcher)
+        job.trigger = options.trigger ?? null;
+        if (preview.tonFees !== undefined) {
+            job.tonFees = preview.tonFees;
+        }
+        if (preview.policyViolations.length > 0) {
+            this.recordPolicyOverride(job, options.policyOverride, preview.policyViolations);
+        }
+        if (approvedPlan) {
+            const { verification } = approvedPlan;
+            job.approval = {
+                planId: approvedPlan.plan.id,
+                hash: verification.hash,
+                threshold: verification.threshold,
+                operators: verification.operators,
+                createdAt: approvedPlan.plan.createdAt,
+                approvals: verification.approvals
+            };
+        }
+        
+        await this.jobStore.save(job);
+        console.log(`🗂️ Created distribution job ${job.id}`);
+        return job;
+    }
+    
+    // Operators who must approve distributions, or null when no approval is required
+    async getApprovalConfig() {
+        return loadApprovalConfig(this.approversPath);
+    }
+    
+    // Resolve a plan and write it to `filePath` for the operators to approve; nothing is sent.
+    // Takes the options of executeDistributionPlan (jetton, selection, ...).
+    async createApprovalPlan(plan, filePath, options = {}) {
+        const approvers = await this.requireApprovalConfig();
+        if (await fs.pathExists(filePath)) {
+            throw new Error(`${filePath} already exists - choose a new file for the plan`);
+        }
+        
+        const preview = await this.previewDistributionPlan(plan, options);
+        if (preview.errors.length > 0) {
+            throw new Error(`Invalid distribution plan: ${preview.errors.join('; ')}`);
+        }
+        
+        const document = createApprovalPlan({
+            network: this.network,
+            simulated: this.simulate,
+            master: this.masterWallet.address,
+            token: preview.token,
+            options: {
+                jetton: options.jetton ? preview.token : null,
+                forwardTonAmount: preview.forwardTonAmount ?? null
+            },
+            selection: options.selection ?? null,
+            plan: plan.toJSON(),
+            transfers: preview.transfers,
+            totalAmount: preview.totalAmount,
+            totalUnits: preview.totalUnits,
+            requestedUnits: preview.requestedUnits,
+            clampedUnits: preview.clampedUnits,
+            remainderUnits: preview.remainderUnits,
+            estimatedFees: preview.fees,
+            warnings: preview.warnings,
+            policyViolations: preview.policyViolations
+        });
+        await fs.writeJson(filePath, document, { spaces: 2 });
+        
+        console.log(`📝 Plan ${document.id} written to ${filePath}; it needs ${approvers.threshold} of ${approvers.operators.length} operator approvals`);
+        return document;
+    }
+    
+    // Verify a plan file against its hash and the configured operators (see verifyApprovalPlan)
+    async inspectApprovalPlan(filePath) {
+        const approvers = await this.requireApprovalConfig();
+        const plan = await fs.readJson(filePath);
+        return { plan, verification: verifyApprovalPlan(plan, approvers) };
+    }
+    
+    // Sign the plan file's approval (decision 'approve') or rejection ('reject', with a reason) with an
+    // operator key and write the decision into the file
+    async decideApprovalPlan(filePath, operatorKey, { decision, reason = null }) {
+        const approvers = await this.requireApprovalConfig();
+        const plan = decidePlan(await fs.readJson(filePath), operatorKey, approvers, { decision, reason });
+        await fs.writeJson(filePath, plan, { spaces: 2 });
+        
+        const verification = verifyApprovalPlan(plan, approvers);
+        const { operator } = plan[decision === 'approve' ? 'approvals' : 'rejections'].at(-1);
+        console.log(`${decision === 'approve' ? '✅' : '⛔'} ${operator} ${decision === 'approve' ? 'approved' : 'rejected'} plan ${plan.id} (${verification.approvals.length} of ${verification.threshold} approvals)`);
+        return { plan, verification };
+    }
+    
+    // Send an approved plan file as a journaled job. Refuses plans that lack approvals, were rejected,
+    // changed since they were created, belong to another network or master, or already ran.
+    // Takes the options of executeDistributionPlan (policyOverride).
+    async executeApprovedPlan(filePath, options = {}) {
+        const job = await this.createApprovedJob(filePath, options);
+        return this.runDistributionJob(job.id);
+    }
+    
+    // Freeze an approved plan file into a job without sending (see executeApprovedPlan)
+    async createApprovedJob(filePath, options = {}) {
+        const { plan, verification } = await this.requireExecutablePlan(filePath);
+        const distribution = new DistributionPlan({
+            name: plan.plan.name,
+            // The approved units, as exact decimal amounts
+            recipients: plan.transfers.map(transfer => ({ address: transfer.to, amount: fromUnits(unitsOf(transfer, plan.token.decimals), plan.token.decimals), label: transfer.label }))
+        });
+        
+        const job = await this.createDistributionJob(distribution, {
+            ...options,
+            jetton: plan.options.jetton,
+            ...(plan.options.forwardTonAmount !== null ? { forwardTonAmount: plan.options.forwardTonAmount } : {}),
+            selection: plan.selection,
+            approvedPlan: { plan, verification }
+        });
+        console.log(`🔏 Job ${job.id} runs plan ${plan.id}, approved by ${verification.approvals.map(approval => approval.operator).join(', ')}`);
+        return job;
+    }
+    
+    async requireExecutablePlan(filePath) {
+        const approvers = await this.requireApprovalConfig();
+        const plan = await fs.readJson(filePath);
+        const verification = requireApprovedPlan(plan, approvers);
+        
+        if (plan.network !== this.network || plan.simulated !== this.simulate) {
+            throw new PlanApprovalError(`Plan ${plan.id} was created on ${plan.network}${plan.simulated ? ' (simulated)' : ''}`, verification);
+        }
+        if (normalizeAddress(plan.master) !== normalizeAddress(this.masterWallet.address)) {
+            throw new PlanApprovalError(`Plan ${plan.id} was created for master ${plan.master}`, verification);
+        }
+        const executed = (await this.jobStore.list()).find(job => job.approval && job.approval.planId === plan.id);
+        if (executed) {
+            throw new PlanApprovalError(`Plan ${plan.id} already ran as job ${executed.id}`, verification);
+        }
+        return { plan, verification };
+    }
+    
+    async requireApprovalConfig() {
+        const approvers = await this.getApprovalConfig();
+        if (!approvers) {
+            throw new Error(`No approvers are configured (${this.approversPath} does not exist)`);
+        }
+        return approvers;
+    }
+    
+    async listDistributionJobs() {
+        return this.jobStore.list();
+    }
+    
+    // Continue a job that was interrupted; recipients already sent are skipped
+    async resumeDistributionJob(jobId, options = {}) {
+        return this.runDistributionJob(jobId, options);
+    }
+    
+    // Send the failed recipients of a job again
+    async retryFailedTransfers(jobId, options = {}) {
+        return this.runDistributionJob(jobId, { ...options, retryFailed: true });
+    }
+    
+    // Send the job's pending recipients, journaling every state change before moving on.
+    // A recipient that reached `sent` or `confirmed` is never sent again, however often this runs.
+    // The spending policy is checked again first; a job created with an override keeps it.
+    async runDistributionJob(jobId, { retryFailed = false, policyOverride = null } = {}) {
+        const unlock = await this.lockJobRun(jobId);
+        
+        try {
+            const job = await this.loadJobForRun(jobId, { retryFailed });
+            const pending = job.recipients.filter(recipient => recipient.state === 'pending');
+            const pendingAmount = fromUnits(sumUnits(pending.map(recipient => unitsOf(recipient, job.token.decimals))), job.token.decimals);
+            if (pending.length > 0) {
+                await this.enforceSpendingPolicy(job, pending, policyOverride);
+            }
+            
+            if (pending.length === 0) {
+                console.log(`ℹ️ Job ${job.id} has nothing left to send`);
+            } else {
+                console.log(`💸 Distributing ${pendingAmount} ${job.token.symbol} to ${pending.length} recipients (job ${job.id})...`);
+            }
+            
+            job.status = 'running';
+            await this.jobStore.save(job);
+            
+            await this.sendJobTransfers(job, pending);
+            return this.completeJobRun(job);
+            
+        } catch (error) {
+            console.error('❌ Error in distribution process:', error);
+            throw error;
+            
+        } finally {
+            await unlock();
+        }
+    }
+    
+    // Lock a job for a run that sends from the master: the job's own lock, then the master's wallet lock, so
+    // runs of two jobs on one master (CLI, API, the deposit watcher) take turns instead of sharing seqnos.
+    // Returns one function that releases both.
+    async lockJobRun(jobId) {
+        const unlockJob = await this.jobStore.lock(jobId);
+        try {
+            const unlockWallet = await this.jobStore.lockWallet(normalizeAddress(this.masterWallet.address), {
+                timeoutMs: this.walletLockTimeout,
+                pollMs: this.seqnoPollInterval
+            });
+            return async () => {
+                await unlockWallet();
+                await unlockJob();
+            };
+        } catch (error) {
+            await unlockJob();
+            throw error;
+        }
+    }
+    
+    // A job about to send (run here or prepared for offline signing), with in-flight transfers settled.
+    // With `retryFailed` its failed and expired recipients are pending again.
+    async loadJobForRun(jobId, { retryFailed = false } = {}) {
+        const job = await this.jobStore.load(jobId);
+        if (job.simulated !== this.simulate || job.network !== this.network) {
+            throw new Error(`Job ${job.id} was created on ${job.network}${job.simulated ? ' (simulated)' : ''}`);
+        }
+        
+        await this.reconcileInFlightRecipients(job);
+        
+        // Expired transfers never reached the chain, so they are retried like failed ones
+        if (retryFailed) {
+            for (const recipient of job.recipients.filter(recipient => ['failed', 'expired'].includes(recipient.state))) {
+                recipient.state = 'pending';
+                ['error', 'txHash', 'bodyHash', 'seqno', 'queryId', 'signedAt', 'validUntil'].forEach(field => delete recipient[field]);
+            }
+        }
+        return job;
+    }
+    
+    // Settle the job's status after sending and save a report of this run
+    async completeJobRun(job) {
+        job.status = resolveJobStatus(job);
+        
+        const results = buildJobResults(job);
+        const reportId = await this.saveDistributionReport(results, job);
+        if (reportId) {
+            job.reports.push(reportId);
+        }
+        await this.jobStore.save(job);
+        
+        return results;
+    }
+    
+    // Throw before sending if the job breaks the spending policy, unless this run or the job carries an override
+    async enforceSpendingPolicy(job, pending, policyOverride) {
+        const { violations } = await this.checkSpendingPolicy({ token: job.token, transfers: pending, totalAmount: job.totalAmount, jobId: job.id });
+        if (violations.length === 0) {
+            return;
+        }
+        
+        if (policyOverride) {
+            this.recordPolicyOverride(job, policyOverride, violations);
+            await this.jobStore.save(job);
+        } else if (job.policyOverride) {
+            console.warn(`⚠️ Job ${job.id} breaks the spending policy; sending under its override: ${job.policyOverride.reason}`);
+        } else {
+            throw new PolicyViolationError(violations);
+        }
+    }
+    
+    // Keep an override on the job (and so in its reports) and in the override log
+    recordPolicyOverride(job, reason, violations) {
+        const text = requireOverrideReason(reason);
+        job.policyOverride = { reason: text, violations, at: new Date().toISOString() };
+        this.storage.logPolicyOverride({ jobId: job.id, reason: text, violations });
+        console.warn(`⚠️ Spending policy overridden for job ${job.id} (${violations.map(violation => violation.rule).join(', ')}): ${text}`);
+    }
+    
+    // The spending policy in force, or null when there is none
+    async getSpendingPolicy() {
+        return loadSpendingPolicy(this.policyPath);
+    }
+    
+    // What past distributions of `token` count against the rolling caps and the cooldown. The runs of
+    // `excludeJobId` are left out, so resuming a job does not count it twice.
+    getPolicyUsage(token = TON_TOKEN, { excludeJobId = null, now = new Date() } = {}) {
+        const since = (ms) => new Date(now.getTime() - ms).toISOString();
+        return {
+            spentLastDay: this.storage.getDistributedSince(token.symbol, since(DAY_MS), { excludeJobId, decimals: token.decimals }),
+            spentLastWeek: this.storage.getDistributedSince(token.symbol, since(WEEK_MS), { excludeJobId, decimals: token.decimals }),
+            lastRunAt: this.storage.getLastDistributionAt({ excludeJobId })
+        };
+    }
+    
+    // Every spending policy rule the transfers ([{ to, amount }], `totalAmount` in all) would break
+    async checkSpendingPolicy({ token, transfers, totalAmount, jobId = null }) {
+        const policy = await this.getSpendingPolicy();
+        if (!policy) {
+            return { policy: null, usage: null, violations: [] };
+        }
+        
+        const now = new Date();
+        const usage = this.getPolicyUsage(token, { excludeJobId: jobId, now });
+        const childAddresses = this.childWallets.map(wallet => wallet.address);
+        return { policy, usage, violations: evaluatePolicy(policy, { token, transfers, totalAmount, childAddresses, usage, now }) };
+    }
+    
+    // Transfers packed into batches of signed multi-message transfers (as many per batch as the master's
+    // wallet version allows). The batch seqno or query id and its expiry are journaled before
+    // broadcasting so an interrupted run can be reconciled safely.
+    async sendJobTransfers(job, recipients) {
+        const { token } = job;
+        const isJetton = Boolean(job.options.jetton);
+        const masterJettonWallet = isJetton ? await this.getJettonWalletFor(this.masterWallet.address, token) : null;
+        const batchSize = this.openWallet(this.masterWallet).maxMessages;
+        
+        for (let i = 0; i < recipients.length; i += batchSize) {
+            const batch = recipients.slice(i, i + batchSize);
+            
+            try {
+                const messages = isJetton
+                    ? batch.map(recipient => this.buildJettonTransferMessage(recipient, token, job.options.forwardTonAmount, masterJettonWallet))
+                    : batch;
+                    
+                const transferResult = await this.sendTonBatch(messages, this.masterWallet, {
+                    onPrepared: async ({ hash, bodyHash, seqno, queryId, signedAt, validUntil }) => {
+                        for (const recipient of batch) {
+                            Object.assign(recipient, { state: 'sending', txHash: hash, bodyHash, seqno, queryId, signedAt, validUntil, updatedAt: new Date().toISOString() });
+                            recipient.attempts++;
+                        }
+                        await this.jobStore.save(job);
+                    }
+                });
+                
+                for (const recipient of batch) {
+                    recipient.state = 'sent';
+                    recipient.updatedAt = new Date().toISOString();
+                }
+                await this.jobStore.save(job);
+                
+                console.log(`✅ Sent batch of ${batch.length} transfers (${formatBatchRef(transferResult)})`);
+                
+            } catch (error) {
+                console.error(`❌ Failed to send batch starting at transfer ${i + 1}:`, error.message);
+                
+                // A broadcast may still land until it expires: settle it before deciding it failed
+                await this.reconcileInFlightRecipients(job, batch);
+                for (const recipient of batch.filter(recipient => recipient.state === 'pending')) {
+                    recipient.state = 'failed';
+                    recipient.error = error.message;
+                    recipient.updatedAt = new Date().toISOString();
+                }
+                await this.jobStore.save(job);
+            }
+        }
+    }
+    
+    // Settle recipients left in `sending`: if the master's transactions carry their signed body (or, for a
+    // highload master, their query id is marked processed) the wallet accepted that batch, so they count as
+    // sent; once their message expired unaccepted they go back to pending. Either way nothing is sent twice.
+    async reconcileInFlightRecipients(job, recipients = job.recipients) {
+        const inFlight = recipients.filter(recipient => recipient.state === 'sending');
+        if (inFlight.length === 0) {
+            return;
+        }
+        
+        // A batch is identified by its seqno, or its query id on a highload master
+        const batches = [...new Set(inFlight.map(formatBatchRef))];
+        for (const ref of batches) {
+            const group = inFlight.filter(recipient => formatBatchRef(recipient) === ref);
+            
+            while (true) {
+                if (await this.isBatchAccepted(this.masterWallet, group[0])) {
+                    group.forEach(recipient => { recipient.state = 'sent'; });
+                    break;
+                }
+                if (Date.now() / 1000 > group[0].validUntil + TRANSFER_EXPIRY_GRACE_SECONDS) {
+                    group.forEach(recipient => {
+                        recipient.state = 'pending';
+                        delete recipient.txHash;
+                        delete recipient.bodyHash;
+                        delete recipient.seqno;
+                        delete recipient.queryId;
+                        delete recipient.validUntil;
+                    });
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, this.seqnoPollInterval));
+            }
+            
+            console.log(`🔁 Reconciled ${group.length} in-flight transfers with ${ref}: ${group[0].state}`);
+        }
+        
+        await this.jobStore.save(job);
+    }
+    
+    // Write the job's pending transfers to `filePath` as an unsigned batch for an offline instance to sign
+    // (see offline-signing.js). Seqnos start at the master's current one, so nothing else may send from the
+    // master until the batch is broadcast; the batch expires `validForMinutes` from now.
+    async prepareOfflineBatch(jobId, filePath, { validForMinutes = DEFAULT_OFFLINE_VALIDITY_MINUTES, retryFailed = false, policyOverride = null } = {}) {
+        if (await fs.pathExists(filePath)) {
+            throw new Error(`${filePath} already exists - choose a new file for the batch`);
+        }
+        const wallet = this.openWallet(this.masterWallet);
+        if (!wallet.sequential) {
+            throw new Error('Offline signing needs a seqno wallet as master - a highload wallet reserves query ids as it signs');
+        }
+        
+        const unlock = await this.lockJobRun(jobId);
+        try {
+            const job = await this.loadJobForRun(jobId, { retryFailed });
+            const pending = job.recipients.filter(recipient => recipient.state === 'pending');
+            if (pending.length === 0) {
+                throw new Error(`Job ${job.id} has nothing left to send`);
+            }
+            await this.enforceSpendingPolicy(job, pending, policyOverride);
+            
+            const provider = this.client.provider(wallet.address, wallet.init);
+            const deployed = (await provider.getState()).state.type === 'active';
+            const seqno = deployed ? await wallet.getSeqno(provider) : 0;
+            const batches = [];
+            for (let i = 0; i < pending.length; i += wallet.maxMessages) {
+                batches.push({
+                    seqno: seqno + batches.length,
+                    transfers: pending.slice(i, i + wallet.maxMessages).map(recipient => ({
+                        to: recipient.to,
+                        amount: recipient.amount,
+                        units: unitsOf(recipient, job.token.decimals).toString(),
+                        label: recipient.label ?? null
+                    }))
+                });
+            }
+            
+            const batch = createUnsignedBatch({
+                network: this.network,
+                simulated: this.simulate,
+                jobId: job.id,
+                master: { address: this.masterWallet.address, version: wallet.version },
+                deployed,
+                token: job.token,
+                masterJettonWallet: job.options.jetton ? await this.getJettonWalletFor(this.masterWallet.address, job.token) : null,
+                forwardTonAmount: job.options.forwardTonAmount ?? null,
+                seqno,
+                validUntil: Math.floor(Date.now() / 1000) + Math.round(validForMinutes * 60),
+                totalAmount: batchTotal({ token: job.token, batches }),
+                totalUnits: batchUnits({ token: job.token, batches }).toString(),
+                batches
+            });
+            
+            job.offlineBatch = { id: batch.id, hash: batch.hash, preparedAt: batch.createdAt, validUntil: batch.validUntil, broadcastAt: null };
+            await this.jobStore.save(job);
+            await fs.writeJson(filePath, batch, { spaces: 2 });
+            
+            console.log(`🧾 Prepared ${pending.length} transfers of job ${job.id} for offline signing in ${filePath} (valid ${validForMinutes} minutes)`);
+            return batch;
+            
+        } finally {
+            await unlock();
+        }
+    }
+    
+    // An unsigned batch file, refused if it changed, is for another master or network, or expired
+    async readUnsignedBatch(filePath) {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not found');
+        }
+        const batch = await fs.readJson(filePath);
+        checkUnsignedBatch(batch, { masterAddress: this.masterWallet.address, network: this.network, simulated: this.simulate });
+        return batch;
+    }
+    
+    // Sign an unsigned batch into `outPath` without any network access: one external message BOC per seqno
+    async signOfflineBatch(filePath, outPath) {
+        if (!this.offline) {
+            throw new Error('Batches are signed by an offline instance - start it with --offline (or TON_OFFLINE=true) on the air-gapped machine');
+        }
+        if (await fs.pathExists(outPath)) {
+            throw new Error(`${outPath} already exists - choose a new file for the signed batch`);
+        }
+        const batch = await this.readUnsignedBatch(filePath);
+        const keyPair = await this.getMasterKeyPair();
+        const wallet = this.openWallet(this.masterWallet, keyPair.publicKey);
+        if (wallet.version !== batch.master.version || !wallet.address.equals(Address.parse(batch.master.address))) {
+            throw new Error(`Batch ${batch.id} was prepared for a ${batch.master.version} master; this key opens a ${wallet.version} wallet at ${wallet.address.toString()}`);
+        }
+        
+        const isJetton = Boolean(batch.masterJettonWallet);
+        const signed = batch.batches.map((entry, i) => {
+            if (entry.transfers.length > wallet.maxMessages) {
+                throw new Error(`A ${wallet.version} transfer carries at most ${wallet.maxMessages} messages`);
+            }
+            const messages = isJetton
+                ? entry.transfers.map(transfer => this.buildJettonTransferMessage(transfer, batch.token, batch.forwardTonAmount, batch.masterJettonWallet))
+                : entry.transfers;
+            const { boc, hash, bodyHash } = this.signTonBatch(messages, wallet, keyPair.secretKey, {
+                seqno: entry.seqno,
+                validUntil: batch.validUntil,
+                deployed: batch.deployed || i > 0
+            });
+            return { seqno: entry.seqno, boc, hash, bodyHash };
+        });
+        
+        await fs.writeJson(outPath, createSignedBatch(batch, signed), { spaces: 2 });
+        console.log(`✍️ Signed ${signed.length} transfers of batch ${batch.id} into ${outPath}`);
+        return { batch, signed };
+    }
+    
+    // Broadcast a signed batch in seqno order, journaling each transfer in its job like sendJobTransfers does.
+    // Only the batch last prepared for the job is accepted; transfers already sent are skipped, and once the
+    // master's seqno moved past a signed one the rest stays pending for a new batch.
+    async broadcastSignedBatch(filePath) {
+        const signedBatch = await fs.readJson(filePath);
+        if (signedBatch.format !== SIGNED_BATCH_FORMAT) {
+            throw new Error(`${filePath} is not a signed distribution batch`);
+        }
+        const batch = signedBatch.unsigned;
+        checkUnsignedBatch(batch, { masterAddress: this.masterWallet.address, network: this.network, simulated: this.simulate });
+        if (signedBatch.batches.length !== batch.batches.length || signedBatch.batches.some((entry, i) => entry.seqno !== batch.batches[i].seqno)) {
+            throw new Error(`Signed batch ${batch.id} does not hold one transfer per prepared seqno`);
+        }
+        
+        const unlock = await this.lockJobRun(batch.jobId);
+        try {
+            const job = await this.loadJobForRun(batch.jobId);
+            if (!job.offlineBatch || job.offlineBatch.id !== batch.id || job.offlineBatch.hash !== batch.hash) {
+                throw new Error(`Batch ${batch.id} is not the batch last prepared for job ${job.id}`);
+            }
+            const preparedAt = Math.floor(Date.parse(batch.createdAt) / 1000);
+            
+            for (const [i, entry] of batch.batches.entries()) {
+                const recipients = entry.transfers.map(transfer => job.recipients.find(recipient => normalizeAddress(recipient.to) === normalizeAddress(transfer.to)
+                    && unitsOf(recipient, batch.token.decimals) === unitsOf(transfer, batch.token.decimals)));
+                if (recipients.some(recipient => !recipient)) {
+                    throw new Error(`Batch ${batch.id} holds transfers that are not in job ${job.id}`);
+                }
+                if (recipients.every(recipient => recipient.state !== 'pending')) {
+                    console.log(`ℹ️ Transfers with seqno ${entry.seqno} were already sent`);
+                    continue;
+                }
+                
+                const seqno = await this.getWalletSeqno(this.masterWallet);
+                if (seqno !== entry.seqno) {
+                    console.warn(`⚠️ Master seqno is ${seqno}, transfers from seqno ${entry.seqno} on were signed for another - prepare a new batch for them`);
+                    break;
+                }
+                
+                const { boc, hash, bodyHash } = signedBatch.batches[i];
+                try {
+                    const message = loadMessage(Cell.fromBase64(boc).beginParse());
+                    for (const recipient of recipients) {
+                        Object.assign(recipient, { state: 'sending', txHash: hash, bodyHash, seqno: entry.seqno, queryId: null, signedAt: preparedAt, validUntil: batch.validUntil, updatedAt: new Date().toISOString() });
+                        recipient.attempts++;
+                    }
+                    await this.jobStore.save(job);
+                    
+                    await this.client.provider(Address.parse(this.masterWallet.address), message.init ?? null).external(message.body);
+                    await this.waitForAcceptance(this.masterWallet, { seqno: entry.seqno, queryId: null, bodyHash, signedAt: preparedAt, validUntil: batch.validUntil });
+                    
+                    for (const recipient of recipients) {
+                        recipient.state = 'sent';
+                        recipient.updatedAt = new Date().toISOString();
+                    }
+                    await this.jobStore.save(job);
+                    console.log(`✅ Broadcast ${recipients.length} signed transfers (seqno ${entry.seqno})`);
+                    
+                } catch (error) {
+                    console.error(`❌ Failed to broadcast the transfers with seqno ${entry.seqno}:`, error.message);
+                    
+                    await this.reconcileInFlightRecipients(job, recipients);
+                    for (const recipient of recipients.filter(recipient => recipient.state === 'pending')) {
+                        recipient.state = 'failed';
+                        recipient.error = error.message;
+                        recipient.updatedAt = new Date().toISOString();
+                    }
+                    await this.jobStore.save(job);
+                    break;
+                }
+            }
+            
+            job.offlineBatch.broadcastAt = new Date().toISOString();
+            return this.completeJobRun(job);
+            
+        } finally {
+            await unlock();
+        }
+    }
+    
+    // Check a job's sent transfers against the master's on-chain transactions and record the outcome
+    // (confirmed with lt and fees, bounced, expired or failed) in the journal, its reports and child records.
+    // Returns the job, its recipient counts and its reconciliation (see reconcileJob).
+    async trackDistributionJob(jobId) {
+        const unlock = await this.jobStore.lock(jobId);
+        
+        try {
+            const job = await this.jobStore.load(jobId);
+            const tracked = job.recipients.filter(recipient => ['sent', 'confirmed'].includes(recipient.state) && recipient.validUntil);
+            
+            if (tracked.length === 0) {
+                return { job, counts: summarizeJob(job), reconciliation: reconcileJob(job), changed: 0 };
+            }
+            
+            // Journals written before `signedAt` was recorded only have seqno-wallet validity windows
+            const signedAt = Math.min(...tracked.map(recipient => recipient.signedAt ?? recipient.validUntil - TRANSFER_VALIDITY_SECONDS));
+            const transactions = await fetchTransactionsSince(this.client, this.masterWallet.address, signedAt - TRANSFER_EXPIRY_GRACE_SECONDS);
+            const jettonWallet = job.options.jetton ? await this.getJettonWalletFor(this.masterWallet.address, job.token) : null;
+            
+            const changed = trackJobTransactions(job, transactions, {
+                jettonWallet,
+                expiredBefore: Math.floor(Date.now() / 1000) - TRANSFER_EXPIRY_GRACE_SECONDS
+            });
+            
+            job.status = resolveJobStatus(job);
+            job.trackedAt = new Date().toISOString();
+            await this.jobStore.save(job);
+            
+            if (changed.length > 0) {
+                await this.updateDistributionReports(job);
+                await this.updateChildTransferRecords(job, changed);
+            }
+            console.log(`🔎 Tracked ${transactions.length} master transactions: ${changed.length} transfers updated`);
+            
+            return { job, counts: summarizeJob(job), reconciliation: reconcileJob(job), changed: changed.length };
+            
+        } catch (error) {
+            console.error('❌ Error tracking distribution job:', error);
+            throw error;
+            
+        } finally {
+            await unlock();
+        }
+    }
+    
+    // Rewrite the results of every report written for a job with the journal's latest outcome
+    async updateDistributionReports(job) {
+        for (const reportId of job.reports) {
+            const report = this.storage.getReport(reportId);
+            if (!report) {
+                continue;
+            }
+            
+            report.jobStatus = job.status;
+            report.trackedAt = job.trackedAt;
+            report.results = buildJobResults(job);
+            report.reconciliation = reconcileJob(job);
+            this.storage.updateReport(reportId, report, { source: this.masterWallet.address });
+        }
+    }
+    
+    // Log incoming transfers to the master since the last check (see deposit-watcher.js) and return the
+    // new deposits, oldest first; deposits from child wallets (sweeps) are marked `fromChild`. The first
+    // check only records where the watch starts and returns no deposits.
+    async checkDeposits({ pageSize } = {}) {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not found');
+        }
+        
+        try {
+            const cursorKey = `depositCursor:${normalizeAddress(this.masterWallet.address)}`;
+            const cursor = this.storage.getSetting(cursorKey);
+            if (cursor === null) {
+                const start = await fetchLatestLt(this.client, this.masterWallet.address);
+                this.storage.setSetting(cursorKey, start);
+                console.log(`👀 Watching deposits after lt ${start}; earlier transactions are not logged`);
+                return [];
+            }
+            
+            const transactions = await fetchTransactionsAfter(this.client, this.masterWallet.address, cursor, { pageSize });
+            const children = new Set(this.childWallets.map(wallet => normalizeAddress(wallet.address)));
+            const deposits = parseDeposits(transactions, { owner: this.masterWallet.address })
+                .map(deposit => ({ ...deposit, fromChild: children.has(normalizeAddress(deposit.from)) }));
+                
+            const recorded = this.storage.recordDeposits(this.masterWallet.address, deposits);
+            if (transactions.length > 0) {
+                this.storage.setSetting(cursorKey, transactions[transactions.length - 1].lt.toString());
+            }
+            for (const deposit of recorded) {
+                console.log(`📥 Deposit of ${deposit.amount} TON from ${deposit.from}${deposit.fromChild ? ' (child wallet)' : ''}${deposit.comment ? ` "${deposit.comment}"` : ''}`);
+            }
+            return recorded;
+            
+        } catch (error) {
+            console.error('❌ Error checking deposits:', error.message);
+            throw error;
+        }
+    }
+    
+    // The deposit log of the master, newest first
+    listDeposits(options) {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not found');
+        }
+        return this.storage.listDeposits(this.masterWallet.address, options);
+    }
+    
+    // A stored distribution or sweep report by id, or null
+    getReport(reportId) {
+        return this.storage.getReport(reportId);
+    }
+    
+    // Balances recorded for an address by past syncs, newest first
+    getBalanceHistory(address, options) {
+        return this.storage.getBalanceHistory(address, options);
+    }
+    
+    // Public wallet rows for CSV/JSON export: the master and every child, or only children matching `selection`
+    exportWallets({ selection = null } = {}) {
+        return walletExportRows({
+            master: selection ? null : this.masterWallet,
+            children: this.selectChildWallets(selection, { required: Boolean(selection) }),
+            network: this.network
+        });
+    }
+    
+    // One row per transfer of the reports listed in `reportIds`, of job `jobId`, or of every stored report
+    // (of `kind`, if given), newest first. Each run of a job saves a report covering all its recipients, so
+    // jobs are exported from their latest report only.
+    async exportReports({ reportIds = null, jobId = null, kind = null } = {}) {
+        let ids = reportIds;
+        if (jobId) {
+            ids = (await this.jobStore.load(jobId)).reports.slice(-1);
+        }
+        if (!ids) {
+            const seenJobs = new Set();
+            ids = this.storage.listReports({ kind, limit: -1 })
+                .filter(summary => {
+                    if (!summary.jobId) {
+                        return true;
+                    }
+                    if (seenJobs.has(summary.jobId)) {
+                        return false;
+                    }
+                    seenJobs.add(summary.jobId);
+                    return true;
+                })
+                .map(summary => summary.id);
+        }
+        
+        const kinds = new Map(this.storage.listReports({ limit: -1 }).map(summary => [summary.id, summary.kind]));
+        const source = this.masterWallet ? this.masterWallet.address : '';
+        return ids.flatMap(id => {
+            if (!kinds.has(id)) {
+                throw new Error(`Report not found: ${id}`);
+            }
+            return reportExportRows(id, kinds.get(id), this.storage.getReport(id), { source });
+        });
+    }
+    
+    // Write the mnemonics (or raw keys of key-only imports) of the master and every child - or the children
+    // matching `selection` - to `filePath`, encrypted under `passphrase`. Existing files are never overwritten.
+    async exportSecrets(filePath, passphrase, { selection = null } = {}) {
+        this.requireUnlocked();
+        
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('The export passphrase must have at least 8 characters');
+        }
+        if (await fs.pathExists(filePath)) {
+            throw new Error(`${filePath} already exists - choose a new file for the secrets export`);
+        }
+        
+        const wallets = [selection ? null : this.masterWallet, ...this.selectChildWallets(selection, { required: Boolean(selection) })]
+            .filter(wallet => wallet && !wallet.watchOnly)
+            .map(wallet => ({
+                type: wallet.type,
+                address: wallet.address,
+                version: wallet.version ?? DEFAULT_WALLET_VERSION,
+                derivationPath: wallet.derivationPath,
+                ...(wallet.mnemonic ? { mnemonic: wallet.mnemonic } : { privateKey: wallet.privateKey })
+            }));
+            
+        const exportedAt = new Date().toISOString();
+        const sealed = await sealWithPassphrase({ exportedAt, wallets }, passphrase);
+        await fs.writeJson(filePath, { format: SECRETS_EXPORT_FORMAT, exportedAt, count: wallets.length, ...sealed }, { spaces: 2, mode: 0o600 });
+        
+        console.log(`🔐 Exported the secrets of ${wallets.length} wallets to ${filePath} (encrypted)`);
+        return { filePath, count: wallets.length, exportedAt };
+    }
+    
+    // Keep the outcome of the latest transfer to each child on its record
+    async updateChildTransferRecords(job, recipients) {
+        let updated = 0;
+        for (const recipient of recipients) {
+            const wallet = this.findChildWallet(recipient.to);
+            if (!wallet) {
+                continue;
+            }
+            
+            wallet.lastTransfer = {
+                jobId: job.id,
+                amount: recipient.amount,
+                symbol: job.token.symbol,
+                status: recipient.state,
+                lt: recipient.lt ?? null,
+                fees: recipient.fees ?? null,
+                updatedAt: recipient.updatedAt
+            };
+            updated++;
+        }
+        
+        if (updated > 0) {
+            await this.saveWallets({ quiet: true });
+        }
+    }
+    
+    // Internal message to the master's jetton wallet asking it to move tokens to `transfer.to`
+    buildJettonTransferMessage(transfer, token, forwardTonAmount, masterJettonWallet) {
+        return {
+            to: masterJettonWallet,
+            units: toUnits(JETTON_TRANSFER_TON) + toUnits(forwardTonAmount),
+            bounce: true,
+            body: buildJettonTransferBody({
+                units: unitsOf(transfer, token.decimals),
+                destination: transfer.to,
+                responseDestination: this.masterWallet.address,
+                forwardTonAmount: toUnits(forwardTonAmount)
+            })
+        };
+    }
+    
+    // Pull TON from child wallets back to the master, leaving `feeReserve` on each and skipping dust.
+    // `addresses` selects children (default: all); one failing child never stops the run. Watch-only
+    // children are left out unless named in `addresses`, where they fail because they cannot sign.
+    async sweepChildrenToMaster({ addresses = null, selection = null, feeReserve = DEFAULT_SWEEP_FEE_RESERVE, dustThreshold = DEFAULT_DUST_THRESHOLD } = {}) {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not found');
+        }
+        
+        const wallets = addresses
+            ? addresses.map(address => this.findChildWallet(address) || { address, missing: true })
+            : this.selectChildWallets(selection).filter(wallet => !wallet.watchOnly);
+            
+        try {
+            const results = {
+                success: false,
+                successCount: 0,
+                failedCount: 0,
+                skippedCount: 0,
+                totalAmount: 0,
+                totalUnits: '0',
+                transactions: []
+            };
+            const reserveUnits = toUnits(feeReserve);
+            let sweptUnits = 0n;
+            
+            console.log(`🧹 Sweeping ${wallets.length} child wallets to ${this.masterWallet.address.slice(0, 10)}...`);
+            
+            for (let i = 0; i < wallets.length; i++) {
+                const wallet = wallets[i];
+                
+                try {
+                    if (wallet.missing) {
+                        throw new Error('Not a child wallet');
+                    }
+                    if (wallet.watchOnly) {
+                        throw new Error('Watch-only - there is no key to sign with');
+                    }
+                    
+                    const balanceUnits = await this.getAddressUnits(wallet.address);
+                    if (balanceUnits === null) {
+                        throw new Error('Balance unknown');
+                    }
+                    
+                    const balance = unitsToNumber(balanceUnits);
+                    const units = balanceUnits - reserveUnits;
+                    const amount = unitsToNumber(units);
+                    if (balanceUnits < toUnits(dustThreshold) || units <= 0n) {
+                        results.skippedCount++;
+                        results.transactions.push({
+                            from: wallet.address,
+                            amount: 0,
+                            balance,
+                            status: 'skipped_dust'
+                        });
+                        continue;
+                    }
+                    
+                    const transferResult = await this.sendTonBatch(
+                        [{ to: this.masterWallet.address, amount, units }],
+                        wallet
+                    );
+                    const transaction = { status: 'success', txHash: transferResult.hash, seqno: transferResult.seqno };
+                    
+                    console.log(`📥 Swept ${amount} TON from wallet ${i + 1}/${wallets.length}: ${wallet.address.slice(0, 10)}...`);
+                    results.successCount++;
+                    sweptUnits += units;
+                    results.totalAmount = unitsToNumber(sweptUnits);
+                    results.totalUnits = sweptUnits.toString();
+                    results.transactions.push({ from: wallet.address, amount, units: units.toString(), balance, ...transaction });
+                    
+                } catch (error) {
+                    console.error(`❌ Failed to sweep ${wallet.address}:`, error.message);
+                    results.failedCount++;
+                    results.transactions.push({
+                        from: wallet.address,
+                        amount: 0,
+                        status: 'failed',
+                        error: error.message
+                    });
+                }
+            }
+            
+            await this.saveWallets();
+            
+            results.success = results.failedCount === 0;
+            await this.saveSweepReport(results, { feeReserve, dustThreshold, selection });
+            
+            return results;
+            
+        } catch (error) {
+            console.error('❌ Error in sweep process:', error);
+            throw error;
+        }
+    }
+    
+    // Send a single TON transfer from the master
+    async sendTonTransfer(toAddress, amount) {
+        return this.sendTonBatch([{ to: toAddress, amount }]);
+    }
+    
+    // Load the master wallet key pair from its mnemonic (or stored secret key)
+    async getMasterKeyPair() {
+        if (!this.masterWallet) {
+            throw new Error('Master wallet not found');
+        }
+        return this.getKeyPair(this.masterWallet);
+    }
+    
+    async getKeyPair(walletRecord) {
+        if (walletRecord.watchOnly) {
+            throw new Error(`${walletRecord.address} is watch-only - there is no key to sign with`);
+        }
+        if (walletRecord.mnemonic) {
+            return mnemonicToPrivateKey(walletRecord.mnemonic);
+        }
+        
+        if (!walletRecord.privateKey) {
+            throw new Error('Keystore is locked - unlock it to sign transfers');
+        }
+        
+        return {
+            publicKey: Buffer.from(walletRecord.publicKey, 'hex'),
+            secretKey: Buffer.from(walletRecord.privateKey, 'hex')
+        };
+    }
+    
+    // Sign and send one external transfer carrying as many internal messages as the wallet's version allows.
+    // Works with any client exposing provider(address, init): TonClient, a sandbox or a mock.
+    // `onPrepared({ hash, bodyHash, seqno, queryId, signedAt, validUntil })` runs after signing and before broadcasting;
+    // seqno wallets set `seqno`, highload wallets set `queryId`.
+    async sendTonBatch(transfers, fromWallet = this.masterWallet, { onPrepared } = {}) {
+        const keyPair = await this.getKeyPair(fromWallet);
+        const wallet = this.openWallet(fromWallet, keyPair.publicKey);
+        
+        if (transfers.length === 0 || transfers.length > wallet.maxMessages) {
+            throw new Error(`A ${wallet.version} transfer must carry between 1 and ${wallet.maxMessages} messages`);
+        }
+        if (!wallet.address.equals(Address.parse(fromWallet.address))) {
+            throw new Error(`Key pair does not match the stored address ${fromWallet.address}`);
+        }
+        
+        const provider = this.client.provider(wallet.address, wallet.init);
+        const state = await provider.getState();
+        const isDeployed = state.state.type === 'active';
+        const now = Math.floor(Date.now() / 1000);
+        
+        let seqno = null;
+        let queryId = null;
+        let validUntil;
+        let signed;
+        if (wallet.sequential) {
+            seqno = isDeployed ? await wallet.getSeqno(provider) : 0;
+            validUntil = now + TRANSFER_VALIDITY_SECONDS;
+            signed = this.signTonBatch(transfers, wallet, keyPair.secretKey, { seqno, validUntil, deployed: isDeployed });
+        } else {
+            queryId = await this.nextHighloadQueryId(fromWallet);
+            const createdAt = now - HIGHLOAD_CLOCK_SKEW_SECONDS;
+            validUntil = createdAt + wallet.timeout;
+            signed = this.signTonBatch(transfers, wallet, keyPair.secretKey, { queryId, createdAt, deployed: isDeployed });
+        }
+        const { body, hash, bodyHash } = signed;
+        
+        if (onPrepared) {
+            await onPrepared({ hash, bodyHash, seqno, queryId, signedAt: now, validUntil });
+        }
+        
+        await provider.external(body);
+        await this.waitForAcceptance(fromWallet, { seqno, queryId, bodyHash, signedAt: now, validUntil });
+        
+        return { hash, bodyHash, seqno, queryId, validUntil, messageCount: transfers.length };
+    }
+    
+    // Sign a transfer of `transfers` from an opened wallet contract without touching the network: seqno wallets
+    // take { seqno, validUntil }, highload wallets { queryId, createdAt }; `deployed` false attaches the init.
+    // Returns the signed body, the external message as a base64 BOC, and the hashes of both.
+    signTonBatch(transfers, wallet, secretKey, { seqno = null, validUntil = null, queryId = null, createdAt = null, deployed = true }) {
+        const messages = transfers.map(transfer => internal({
+            to: Address.parse(transfer.to),
+            value: unitsOf(transfer),
+            bounce: transfer.bounce ?? false,
+            body: transfer.body
+        }));
+        const sendMode = SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS;
+        const body = wallet.sequential
+            ? wallet.createTransfer({ secretKey, messages, sendMode, seqno, validUntil })
+            : wallet.createTransfer({ secretKey, messages, sendMode, queryId, createdAt });
+            
+        // Hash of the exact external message the provider broadcasts (init is attached until deployed)
+        const message = beginCell().store(storeMessage(external({
+            to: wallet.address,
+            init: deployed ? null : wallet.init,
+            body
+        }))).endCell();
+        
+        return {
+            body,
+            boc: message.toBoc().toString('base64'),
+            hash: message.hash().toString('hex'),
+            // The signed body is what the wallet's transaction carries as its inbound message
+            bodyHash: body.hash().toString('hex')
+        };
+    }
+    
+    // Contract of a stored wallet (see wallet-contracts.js); records without a version are V4R2
+    openWallet(walletRecord, publicKey = walletRecord.publicKey) {
+        return openWalletContract({ ...walletRecord, publicKey });
+    }
+    
+    // Reserve the next query id of a highload wallet; it is saved before use so it is never signed twice
+    async nextHighloadQueryId(walletRecord) {
+        const counter = walletRecord.nextQuery || 0;
+        walletRecord.nextQuery = counter + 1;
+        if (walletRecord === this.masterWallet) {
+            await this.saveMasterWallet();
+        }
+        return highloadQueryId(counter);
+    }
+    
+    // Current seqno of a stored wallet (0 until it is deployed)
+    async getWalletSeqno(walletRecord) {
+        const provider = this.client.provider(Address.parse(walletRecord.address));
+        const state = await provider.getState();
+        if (state.state.type !== 'active') {
+            return 0;
+        }
+        
+        const { stack } = await provider.get('seqno', []);
+        return stack.readNumber();
+    }
+    
+    // Whether the wallet accepted the batch signed with `seqno` and `bodyHash` (seqno wallets) or `queryId`
+    // (highload wallets)
+    async isBatchAccepted(walletRecord, { seqno, queryId, bodyHash = null, signedAt = null, validUntil = null }) {
+        if (queryId !== null && queryId !== undefined) {
+            const provider = this.client.provider(Address.parse(walletRecord.address));
+            return this.openWallet(walletRecord).isProcessed(provider, queryId);
+        }
+        if (await this.getWalletSeqno(walletRecord) <= seqno) {
+            return false;
+        }
+        // Another message may have taken the seqno; only a wallet transaction carrying this batch's signed
+        // body shows it was accepted. Journals from before body hashes were recorded only have the seqno.
+        if (!bodyHash) {
+            return true;
+        }
+        const since = (signedAt ?? validUntil - TRANSFER_VALIDITY_SECONDS) - TRANSFER_EXPIRY_GRACE_SECONDS;
+        const transactions = await fetchTransactionsSince(this.client, walletRecord.address, since);
+        return transactions.some(tx => tx.inMessage && tx.inMessage.info.type === 'external-in' && tx.inMessage.body.hash().toString('hex') === bodyHash);
+    }
+    
+    // Wait until the wallet accepted the batch, so the next one can be signed
+    async waitForAcceptance(walletRecord, batch) {
+        const deadline = Date.now() + this.seqnoTimeout;
+        
+        while (Date.now() < deadline) {
+            if (await this.isBatchAccepted(walletRecord, batch)) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.seqnoPollInterval));
+        }
+        
+        throw new Error(`Transfer with ${formatBatchRef(batch)} was not confirmed within ${this.seqnoTimeout}ms`);
+    }
+    
+    // Save sweep report (same layout as distribution reports)
+    async saveSweepReport(results, options) {
+        try {
             const report = {
                 timestamp: new Date().toISOString(),
-                totalAmount: totalAmount,
-                totalWallets: this.childWallets.length,
-                amountPerWallet: totalAmount / this.childWallets.length,
+                totalAmount: results.totalAmount,
+                totalUnits: results.totalUnits,
+                totalWallets: results.transactions.length,
+                destination: this.masterWallet.address,
+                network: this.network,
+                simulated: this.simulate,
+                feeReserve: options.feeReserve,
+                dustThreshold: options.dustThreshold,
+                selection: options.selection ?? null,
                 results: results
             };
             
-            await fs.writeJson(reportPath, report, { spaces: 2 });
-            console.log(`📋 Distribution report saved to: ${reportPath}`);
+            const reportId = this.storage.saveReport('sweep', report);
+            console.log(`📋 Sweep report saved as ${reportId}`);
+            
+        } catch (error) {
+            console.error('❌ Error saving sweep report:', error);
+        }
+    }
+    
+    // Save distribution report (one per run of a job) and return its id
+    async saveDistributionReport(results, job) {
+        try {
+            const amounts = new Set(job.recipients.map(recipient => unitsOf(recipient, job.token.decimals)));
+            const report = {
+                timestamp: new Date().toISOString(),
+                jobId: job.id,
+                jobStatus: job.status,
+                network: job.network,
+                simulated: job.simulated,
+                totalAmount: job.totalAmount,
+                totalUnits: job.totalUnits ?? null,
+                requestedUnits: job.requestedUnits ?? null,
+                clampedUnits: job.clampedUnits ?? '0',
+                remainderUnits: job.remainderUnits ?? '0',
+                totalWallets: job.recipients.length,
+                amountPerWallet: amounts.size === 1 ? job.recipients[0].amount : null,
+                token: job.token,
+                ...(job.tonFees !== undefined ? { tonFees: job.tonFees } : {}),
+                estimatedFees: job.estimatedFees ?? null,
+                selection: job.selection ?? null,
+                trigger: job.trigger ?? null,
+                policyOverride: job.policyOverride ?? null,
+                approval: job.approval ?? null,
+                offlineBatch: job.offlineBatch ?? null,
+                plan: job.plan,
+                warnings: job.warnings,
+                reconciliation: reconcileJob(job),
+                results: results
+            };
+            
+            const reportId = this.storage.saveReport('distribution', report, { source: this.masterWallet.address });
+            console.log(`📋 Distribution report saved as ${reportId}`);
+            return reportId;
             
         } catch (error) {
             console.error('❌ Error saving distribution report:', error);
+            return null;
         }
     }
+}
+
+// A record whose mnemonic or private key sits unencrypted in the loaded file
+function isPlaintextRecord(record) {
+    return Boolean(record && (record.mnemonic || record.privateKey) && !record.encrypted);
+}
+
+// Totals over child balances; wallets whose last sync failed are counted as unknown, not as zero
+function summarizeBalances(wallets) {
+    const known = wallets.filter(wallet => wallet.balanceStatus !== 'unknown');
+    const nanotons = sumUnits(known.map(wallet => balanceUnitsOf(wallet) ?? 0n));
+    
+    return {
+        total: fromUnits(nanotons),
+        totalUnits: nanotons.toString(),
+        synced: known.length,
+        unknown: wallets.length - known.length,
+        wallets: wallets.map(wallet => ({
+            address: wallet.address,
+            ...publicBalance(wallet),
+            accountState: wallet.accountState ?? null,
+            lastTransaction: wallet.lastTransaction ?? null,
+            ...(wallet.syncError ? { error: wallet.syncError } : {})
+        }))
+    };
+}
+
+// `balance` (decimal TON) and `balanceUnits` of a wallet record; both null when its last sync failed
+function publicBalance(wallet) {
+    const units = wallet.balanceStatus === 'unknown' ? null : balanceUnitsOf(wallet);
+    return { balance: units === null ? null : fromUnits(units), balanceUnits: units === null ? null : units.toString() };
+}
+
+// Results of a job in the report layout, derived from its journal
+function buildJobResults(job) {
+    const counts = summarizeJob(job);
+    const transactions = job.recipients.map(recipient => {
+        const status = recipient.state === 'sending' ? 'pending' : recipient.state;
+        
+        return {
+            to: recipient.to,
+            amount: recipient.amount,
+            units: unitsOf(recipient, job.token.decimals).toString(),
+            status,
+            ...(recipient.txHash ? { txHash: recipient.txHash, seqno: recipient.seqno, ...(recipient.queryId != null ? { queryId: recipient.queryId } : {}) } : {}),
+            ...(recipient.lt ? { lt: recipient.lt, fees: recipient.fees } : {}),
+            ...(recipient.error ? { error: recipient.error } : {})
+        };
+    });
+    
+    // `sent` transfers were accepted by the wallet and count as successful until tracking says otherwise
+    const successCount = counts.sent + counts.confirmed;
+    
+    return {
+        jobId: job.id,
+        success: successCount > 0,
+        successCount,
+        confirmedCount: counts.confirmed,
+        failedCount: counts.failed + counts.expired + counts.bounced,
+        bouncedCount: counts.bounced,
+        pendingCount: counts.pending + counts.sending,
+        transactions
+    };
+}
+
+// Reconcile a job in units of its token (decimal strings) against two independent sources:
+//   plan  - what the plan asked for (requestedUnits: the weighted totalAmount, fixed amounts and top-up
+//           needs) must equal the transfers plus what min/max clamped off plus the remainder kept on the
+//           master
+//   chain - what the tracked master transactions sent (debitedUnits, fees included, less feesUnits) must
+//           equal the journal units of the transfers they confirmed; null until a transaction is tracked
+// `balanced` is false when either side does not add up. The per-state sums show where the transfers stand.
+function reconcileJob(job) {
+    const { decimals } = job.token;
+    const byState = (states) => sumUnits(job.recipients.filter(recipient => states.includes(recipient.state)).map(recipient => unitsOf(recipient, decimals)));
+    const transfersUnits = sumUnits(job.recipients.map(recipient => unitsOf(recipient, decimals)));
+    const totalUnits = job.totalUnits !== undefined ? BigInt(job.totalUnits) : toUnits(job.totalAmount, decimals);
+    // Jobs created before requests were recorded can only compare the transfers with their stated total
+    const requestedUnits = job.requestedUnits !== undefined ? BigInt(job.requestedUnits) : totalUnits;
+    const clampedUnits = BigInt(job.clampedUnits ?? 0);
+    const remainderUnits = BigInt(job.remainderUnits ?? 0);
+    const planBalanced = requestedUnits === transfersUnits + clampedUnits + remainderUnits;
+    
+    const debits = Object.values(job.debits || {});
+    const debitedUnits = sumUnits(debits.map(debit => BigInt(debit.outUnits) + (job.options.jetton ? 0n : BigInt(debit.feeUnits))));
+    const feesUnits = sumUnits(debits.map(debit => BigInt(debit.feeUnits)));
+    const onchainUnits = byState(['confirmed', 'bounced']);
+    const chainBalanced = debits.length === 0 ? null : onchainUnits === debitedUnits - (job.options.jetton ? 0n : feesUnits);
+    
+    return {
+        unit: job.token.symbol === 'TON' ? 'nanoton' : `10^-${decimals} ${job.token.symbol}`,
+        totalUnits: totalUnits.toString(),
+        requestedUnits: requestedUnits.toString(),
+        transfersUnits: transfersUnits.toString(),
+        clampedUnits: clampedUnits.toString(),
+        remainderUnits: remainderUnits.toString(),
+        planBalanced,
+        sentUnits: byState(['sent', 'confirmed']).toString(),
+        bouncedUnits: byState(['bounced']).toString(),
+        pendingUnits: byState(['pending', 'sending']).toString(),
+        failedUnits: byState(['failed', 'expired']).toString(),
+        onchainUnits: onchainUnits.toString(),
+        debitedUnits: debitedUnits.toString(),
+        // TON, whatever the token
+        feesUnits: feesUnits.toString(),
+        chainBalanced,
+        balanced: planBalanced && transfersUnits === totalUnits && chainBalanced !== false
+    };
+}
+
+// Whether a preview resolved to exactly the approved recipients and amounts, in order
+function sameTransfers(transfers, approved, decimals) {
+    return transfers.length === approved.length
+        && transfers.every((transfer, i) => normalizeAddress(transfer.to) === normalizeAddress(approved[i].to)
+            && unitsOf(transfer, decimals) === unitsOf(approved[i], decimals));
+}
+
+// 'seqno 3' or 'query id 12', for logs about a signed batch
+function formatBatchRef({ seqno, queryId }) {
+    return queryId !== null && queryId !== undefined ? `query id ${queryId}` : `seqno ${seqno}`;
+}
+
+function requireWalletVersion(version, { child = false } = {}) {
+    if (!WALLET_VERSIONS.includes(version)) {
+        throw new Error(`Unknown wallet version: ${version} (expected one of ${WALLET_VERSIONS.join(', ')})`);
+    }
+    if (child && version === HIGHLOAD_VERSION) {
+        throw new Error('Highload wallets can only be used as the master wallet');
+    }
+}
+
+function formatDerivationPath(index) {
+    return `m/${[...CHILD_DERIVATION_PATH, index].map(segment => `${segment}'`).join('/')}`;
+}
+
+// Children created before deterministic derivation carry their own random mnemonic
+export function isLegacyChild(wallet) {
+    return wallet.derivation !== 'hd';
+}
+
+// Public fields only: mnemonics, private keys and encrypted boxes never leave the manager. With `network`
+// the address is shown in that network's form (testnet addresses carry the test-only flag).
+export function toPublicWallet(wallet, network = null) {
+    return {
+        id: wallet.id,
+        type: wallet.type,
+        address: network ? formatAddress(wallet.address, { network }) : wallet.address,
+        version: wallet.watchOnly ? null : wallet.version ?? DEFAULT_WALLET_VERSION,
+        watchOnly: Boolean(wallet.watchOnly),
+        index: wallet.index,
+        derivationPath: wallet.derivationPath,
+        label: wallet.label,
+        tags: wallet.tags || [],
+        groups: wallet.groups || [],
+        ...publicBalance(wallet),
+        accountState: wallet.accountState,
+        lastTransaction: wallet.lastTransaction,
+        jettonBalances: wallet.jettonBalances,
+        createdAt: wallet.createdAt
+    };
+}
+
+// Preview of a distribution plan as shown to CLI and API callers
+export function summarizePreview(preview) {
+    return {
+        token: preview.token,
+        totalAmount: preview.totalAmount,
+        masterBalance: preview.masterBalance,
+        fees: preview.fees,
+        reserve: preview.reserve,
+        ...(preview.tonFees !== undefined ? { masterJettonBalance: preview.masterJettonBalance, tonFees: preview.tonFees } : {}),
+        transfers: preview.transfers,
+        warnings: preview.warnings,
+        errors: preview.errors,
+        policyViolations: preview.policyViolations
+    };
 }
\ No newline at end of file
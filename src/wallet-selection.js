@@ -0,0 +1,154 @@
+// Selection expressions pick child wallets by their groups, tags and labels:
+//   group:campaign-A                 member of the group
+//   tag:vip                          carries the tag
+//   label:"Alice's wallet"           label equals the text (quotes for spaces)
+//   all                              every child
+// combined with `and`, `or`, `not` and parentheses, e.g. `group:campaign-A and not tag:paused`.
+// `and` binds tighter than `or`. Names are case-sensitive; keywords are not.
+
+// Group and tag names: letters, digits and - _ . / (no spaces)
+const NAME_PATTERN = /^[\w./-]+$/;
+
+export function isValidName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+// Parse `expression` into a selection: { expression (normalized text), matches(wallet) }.
+// Throws on syntax errors, naming the position.
+export function parseSelection(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Selection expression is empty');
+    }
+
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const expect = (type) => {
+        const token = tokens[position];
+        if (!token || token.type !== type) {
+            throw new Error(`Invalid selection "${expression}": expected ${type} ${token ? `at "${token.text}"` : 'at the end'}`);
+        }
+        position++;
+        return token;
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (peek() && peek().type === 'or') {
+            position++;
+            node = { op: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+    const parseAnd = () => {
+        let node = parseUnary();
+        while (peek() && peek().type === 'and') {
+            position++;
+            node = { op: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    };
+    const parseUnary = () => {
+        const token = peek();
+        if (token && token.type === 'not') {
+            position++;
+            return { op: 'not', operand: parseUnary() };
+        }
+        if (token && token.type === '(') {
+            position++;
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+        return expect('term').node;
+    };
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Invalid selection "${expression}": unexpected "${tokens[position].text}"`);
+    }
+
+    return {
+        expression: format(tree),
+        matches: (wallet) => evaluate(tree, wallet)
+    };
+}
+
+// Children matching `expression`, in their stored order
+export function selectWallets(wallets, expression) {
+    const selection = parseSelection(expression);
+    return wallets.filter(selection.matches);
+}
+
+// Add and remove tags or groups on a record's list field, keeping it sorted and free of duplicates
+export function updateNames(current = [], { add = [], remove = [] } = {}) {
+    for (const name of [...add, ...remove]) {
+        if (!isValidName(name)) {
+            throw new Error(`Invalid name "${name}": use letters, digits and - _ . / only`);
+        }
+    }
+    const names = new Set(current);
+    add.forEach(name => names.add(name));
+    remove.forEach(name => names.delete(name));
+    return [...names].sort();
+}
+
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|(group|tag|label):(?:"([^"]*)"|([\w./-]+))|([A-Za-z]+)|(\S+))/gy;
+    let match;
+
+    while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+        const [text, open, close, field, quoted, bare, word, other] = match;
+        if (open || close) {
+            tokens.push({ type: open ? '(' : ')', text: text.trim() });
+        } else if (field) {
+            tokens.push({ type: 'term', text: text.trim(), node: { field, value: quoted ?? bare } });
+        } else if (word && ['and', 'or', 'not'].includes(word.toLowerCase())) {
+            tokens.push({ type: word.toLowerCase(), text: word });
+        } else if (word && word.toLowerCase() === 'all') {
+            tokens.push({ type: 'term', text: word, node: { field: 'all' } });
+        } else if (word || other) {
+            throw new Error(`Invalid selection "${expression}": unknown term "${(word || other).trim()}" (use group:, tag:, label: or all)`);
+        }
+    }
+    return tokens;
+}
+
+function evaluate(node, wallet) {
+    switch (node.op) {
+        case 'and':
+            return evaluate(node.left, wallet) && evaluate(node.right, wallet);
+        case 'or':
+            return evaluate(node.left, wallet) || evaluate(node.right, wallet);
+        case 'not':
+            return !evaluate(node.operand, wallet);
+    }
+
+    switch (node.field) {
+        case 'all':
+            return true;
+        case 'group':
+            return (wallet.groups || []).includes(node.value);
+        case 'tag':
+            return (wallet.tags || []).includes(node.value);
+        case 'label':
+            return (wallet.label || '') === node.value;
+    }
+    return false;
+}
+
+function format(node, parent = null) {
+    if (node.op === 'not') {
+        return `not ${format(node.operand, 'not')}`;
+    }
+    if (node.op) {
+        const text = `${format(node.left, node.op)} ${node.op} ${format(node.right, node.op)}`;
+        return parent && parent !== node.op ? `(${text})` : text;
+    }
+    if (node.field === 'all') {
+        return 'all';
+    }
+    return NAME_PATTERN.test(node.value) ? `${node.field}:${node.value}` : `${node.field}:"${node.value}"`;
+}